@@ -0,0 +1,229 @@
+/**
+ * Daily puzzle audit
+ *
+ * Regenerates the daily puzzles for a range of dates exactly as players will
+ * get them - same getDailySeed(), same board, same generator version, same
+ * runPuzzleTask() the game calls - under every hint arm, and prints each
+ * puzzle's describePuzzle() measurements and deduction grade as CSV or JSON. This is where the "over
+ * 365 daily seeds" figures in CONFIG.DIFFICULTY come from.
+ *
+ * Daily builds from generator version 2 on go through the quality gate
+ * (CONFIG.DIFFICULTY.QUALITY_GATE), so a flag there means every retry the
+ * gate allowed came out weak as well; the `reseeds` column counts the retries
+ * each puzzle took. Version-1 days are built as they always were, ungated.
+ *
+ * A puzzle is flagged when it looks like a bad day:
+ *
+ *   - fallback     the solution is the stored fallback loop, not a random one
+ *   - coverage     a covering arm (dense, unique) left cells outside every hint
+ *   - anchors      a covering arm placed no low-value anchors where it should
+ *   - not-unique   the unique arm shipped a puzzle with more than one answer
+ *
+ * Flags go in the `flags` column and a summary on stderr, and the command
+ * exits non-zero if any puzzle was flagged, so it can gate a release.
+ *
+ * `solved` and `difficultyScore` come from the deduction grader, which stalls
+ * on most medium and hard puzzles, unique or not (see Limits in
+ * deduction.js). A stalled puzzle's score is mostly its undecided cells, so
+ * only solved rows compare as difficulty. The stderr summary counts the rest.
+ *
+ * The game modules are loaded through Vite, which resolves the i18n alias and
+ * build-time constants that plain Node cannot.
+ *
+ * Usage: npm run audit:daily -- [options]
+ *
+ *   --from YYYY-MM-DD     First date (default: today)
+ *   --days N              Number of days (default: 365)
+ *   --difficulty NAME     easy, medium or hard; repeatable (default: all three)
+ *   --arm NAME            control, dense or unique; repeatable (default: all)
+ *   --format csv|json     Output format (default: csv)
+ *   --out FILE            Write to a file instead of stdout
+ */
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const COLUMNS = [
+  'date', 'puzzleNumber', 'difficulty', 'arm', 'generatorVersion', 'seed', 'board',
+  'hintCount', 'expectedTurnsTotal', 'anchorHints', 'coveragePercent', 'redundancy',
+  'solutionTurns', 'loopFillPercent', 'solved', 'difficultyScore', 'hardestTechnique',
+  'unique', 'fallback', 'reseeds', 'flags',
+];
+
+const { values: options } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    days: { type: 'string', default: '365' },
+    difficulty: { type: 'string', multiple: true },
+    arm: { type: 'string', multiple: true },
+    format: { type: 'string', default: 'csv' },
+    out: { type: 'string' },
+  },
+});
+
+/** Parse YYYY-MM-DD as a local date, the way the game reads the calendar */
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/** Local date as YYYY-MM-DD */
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/** Quote a CSV field if it needs it */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flag what looks wrong with one puzzle
+ *
+ * @returns {Array<string>} Flag names (see the module comment)
+ */
+function flagPuzzle(row, hintConfig, arms) {
+  const flags = [];
+  if (row.fallback) flags.push('fallback');
+
+  // Version 1 predates the unique arm and builds it as control (see
+  // generation/dailyV1.js), so there is no covering placement to check
+  if (row.arm === arms.UNIQUE && row.generatorVersion === 1) return flags;
+
+  if (row.arm === arms.VARIANT || row.arm === arms.UNIQUE) {
+    if (row.coveragePercent < 100) flags.push('coverage');
+    if (row.anchorHints === 0 && hintConfig.lowValueAnchors > 0) flags.push('anchors');
+  }
+
+  if (row.arm === arms.UNIQUE && !row.unique) flags.push('not-unique');
+  return flags;
+}
+
+const server = await createServer({
+  root: ROOT,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+});
+
+try {
+  const load = modulePath => server.ssrLoadModule(modulePath);
+  const { CONFIG } = await load('/src/config.js');
+  const {
+    getDailySeed, getDailyGridSize, getDailyBoardShape, getPuzzleNumber, getGeneratorVersion,
+  } = await load('/src/seededRandom.js');
+  const { runPuzzleTask } = await load('/src/generation/puzzleBuilder.js');
+  const { isFallbackCycle } = await load('/src/generator.js');
+  const { isFallbackCycleV1 } = await load('/src/generation/dailyV1.js');
+  const { readHintValues, countSolutions } = await load('/src/generation/solver.js');
+  const { formatGridSize } = await load('/src/utils.js');
+
+  const arms = CONFIG.EXPERIMENT.HINT_GENERATION;
+  const armConfigs = {
+    [arms.CONTROL]: CONFIG.DIFFICULTY.HINT_CONFIG,
+    [arms.VARIANT]: CONFIG.DIFFICULTY.HINT_CONFIG_DENSE,
+    [arms.UNIQUE]: CONFIG.DIFFICULTY.HINT_CONFIG_UNIQUE,
+  };
+
+  const start = options.from ? parseDate(options.from) : new Date();
+  const days = Number(options.days);
+  const difficulties = options.difficulty || DIFFICULTIES;
+  const armNames = options.arm || Object.keys(armConfigs);
+
+  if (!Number.isInteger(days) || days < 1) throw new Error(`Invalid --days "${options.days}"`);
+  for (const name of difficulties) {
+    if (!DIFFICULTIES.includes(name)) throw new Error(`Unknown difficulty "${name}"`);
+  }
+  for (const name of armNames) {
+    if (!armConfigs[name]) throw new Error(`Unknown arm "${name}"`);
+  }
+  if (!['csv', 'json'].includes(options.format)) throw new Error(`Unknown format "${options.format}"`);
+
+  // Fallbacks announce themselves with a warning; the fallback column says the
+  // same thing per row, so keep the output readable
+  console.warn = () => {};
+
+  const rows = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+
+    for (const difficulty of difficulties) {
+      const seed = getDailySeed(difficulty, date);
+      const gridSize = getDailyGridSize(difficulty, date);
+      const generatorVersion = getGeneratorVersion(date);
+
+      for (const arm of armNames) {
+        const puzzle = runPuzzleTask({ type: 'build', gridSize, difficulty, seed, variant: arm, generatorVersion });
+        const { grade, ...shape } = puzzle.shape;
+        const values = readHintValues(gridSize, puzzle.hints, puzzle.turnMap);
+
+        const row = {
+          date: formatDate(date),
+          puzzleNumber: getPuzzleNumber(date),
+          difficulty,
+          arm,
+          generatorVersion,
+          seed,
+          board: getDailyBoardShape(difficulty, date) || formatGridSize(gridSize),
+          ...shape,
+          solved: grade.solved,
+          difficultyScore: grade.difficultyScore,
+          hardestTechnique: grade.hardestTechnique || '',
+          unique: countSolutions(gridSize, values, 2) === 1,
+          fallback: isFallbackCycle(puzzle.solution) || isFallbackCycleV1(puzzle.solution),
+        };
+        row.flags = flagPuzzle(row, armConfigs[arm][difficulty], arms);
+        rows.push(row);
+      }
+    }
+
+    process.stderr.write(`\r${offset + 1}/${days} days`);
+  }
+  process.stderr.write('\n');
+
+  const output = options.format === 'json'
+    ? JSON.stringify(rows, null, 2)
+    : [COLUMNS.join(','), ...rows.map(row =>
+      COLUMNS.map(column => csvField(column === 'flags' ? row.flags.join(';') : row[column])).join(',')
+    )].join('\n');
+
+  if (options.out) {
+    writeFileSync(options.out, output + '\n');
+  } else {
+    console.log(output);
+  }
+
+  const unsolved = rows.filter(row => !row.solved);
+  if (unsolved.length > 0) {
+    const unsolvedUnique = unsolved.filter(row => row.unique).length;
+    console.error(
+      `ℹ ${unsolved.length} of ${rows.length} puzzle(s) not solved by the deduction grader ` +
+      `(${unsolvedUnique} with a single answer); their difficultyScore counts undecided cells ` +
+      `as guesses, so it is not a difficulty\n`
+    );
+  }
+
+  const flagged = rows.filter(row => row.flags.length > 0);
+  if (flagged.length > 0) {
+    console.error(`✗ ${flagged.length} of ${rows.length} puzzle(s) flagged:\n`);
+    for (const row of flagged) {
+      console.error(`  ${row.date} ${row.difficulty} ${row.arm}: ${row.flags.join(', ')}`);
+    }
+    process.exitCode = 1;
+  } else {
+    console.error(`✓ ${rows.length} puzzles, none flagged`);
+  }
+} finally {
+  await server.close();
+}
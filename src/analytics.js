@@ -216,7 +216,8 @@ export function trackTutorialCompleted() {
  * - a distinction the difficulty label alone can never make.
  *
  * @param {Object|null} shape - From describePuzzle() in generation/hintPlacement.js
- * @param {{variant: string, source: string}|null} assignment - Experiment arm actually used
+ * @param {{variant: string, source: string, generatorVersion: number|null}|null} assignment - Experiment arm
+ *   and generator version actually used
  * @returns {Object} Event properties (empty when nothing is known)
  */
 function puzzleProperties(shape, assignment) {
@@ -231,6 +232,14 @@ function puzzleProperties(shape, assignment) {
     props.variant_source = assignment.source;
   }
 
+  if (assignment?.generatorVersion) {
+    // The arm only means what the generator version did with it: version 1
+    // builds the unique arm exactly like control (see generation/dailyV1.js),
+    // so daily unique rows are only real unique puzzles from version 2 on.
+    // Absent for unlimited puzzles, always built by the current pipeline.
+    props.generator_version = assignment.generatorVersion;
+  }
+
   if (shape) {
     props.hint_count = shape.hintCount;
     props.expected_turns_total = shape.expectedTurnsTotal;
@@ -238,6 +247,23 @@ function puzzleProperties(shape, assignment) {
     props.hint_redundancy = shape.redundancy;
     props.anchor_hints = shape.anchorHints;
     props.solution_turns = shape.solutionTurns;
+    props.loop_fill_percent = shape.loopFillPercent;
+  }
+
+  if (shape?.reseeds !== undefined) {
+    // Retries the daily quality gate needed (buildDailyPuzzle() in
+    // generation/puzzleBuilder.js). Only known for a freshly built daily - a
+    // restored game's shape is re-measured and has no record of it.
+    props.daily_reseeds = shape.reseeds;
+  }
+
+  if (shape?.grade) {
+    // Whether gradePuzzle() in generation/deduction.js finished the puzzle.
+    // Its score, step count and techniques are held back: the grader stalls on
+    // most medium and hard puzzles (see Limits there), and a stalled grade says
+    // where the search stopped, not how hard the puzzle is. They can be sent
+    // once unique puzzles grade to completion.
+    props.deduction_solved = shape.grade.solved;
   }
 
   return props;
@@ -246,9 +272,9 @@ function puzzleProperties(shape, assignment) {
 /**
  * Track game started
  * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  * @param {Object} [shape] - Measured puzzle shape from describePuzzle()
- * @param {{variant: string, source: string}} [assignment] - Experiment arm used
+ * @param {{variant: string, source: string, generatorVersion: number|null}} [assignment] - Experiment arm used
  */
 export function trackGameStarted(difficulty, mode, shape = null, assignment = null) {
   trackEvent('game_started', {
@@ -261,20 +287,22 @@ export function trackGameStarted(difficulty, mode, shape = null, assignment = nu
 /**
  * Track game completed
  * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  * @param {number} completionTimeSeconds - Time in seconds
  * @param {string} completionTimeFormatted - Formatted time (e.g., "Easy • 2:34")
  * @param {number} score - Score percentage at completion
  * @param {Object} [shape] - Measured puzzle shape from describePuzzle()
- * @param {{variant: string, source: string}} [assignment] - Experiment arm used
+ * @param {{variant: string, source: string, generatorVersion: number|null}} [assignment] - Experiment arm used
+ * @param {number} [hintsUsed] - Logical hints taken on the way
  */
-export function trackGameCompleted(difficulty, mode, completionTimeSeconds, completionTimeFormatted, score, shape = null, assignment = null) {
+export function trackGameCompleted(difficulty, mode, completionTimeSeconds, completionTimeFormatted, score, shape = null, assignment = null, hintsUsed = 0) {
   trackEvent('game_completed', {
     difficulty,
     mode,
     completion_time_seconds: completionTimeSeconds,
     completion_time_formatted: completionTimeFormatted,
     score,
+    hints_used: hintsUsed,
     ...puzzleProperties(shape, assignment)
   });
 }
@@ -293,13 +321,13 @@ export function trackGameCompleted(difficulty, mode, completionTimeSeconds, comp
  * the count as a lower bound.
  *
  * @param {string} difficulty - Difficulty level
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  * @param {number} elapsedSeconds - Time spent on the puzzle
  * @param {number} score - Score percentage when the player left
  * @param {number} cellsDrawn - Cells in the player's path at exit
  * @param {number} hintsSatisfied - Hints reading zero at exit
  * @param {Object} [shape] - Measured puzzle shape from describePuzzle()
- * @param {{variant: string, source: string}} [assignment] - Experiment arm used
+ * @param {{variant: string, source: string, generatorVersion: number|null}} [assignment] - Experiment arm used
  */
 export function trackGameAbandoned(difficulty, mode, elapsedSeconds, score, cellsDrawn, hintsSatisfied, shape = null, assignment = null) {
   trackEvent('game_abandoned', {
@@ -316,7 +344,7 @@ export function trackGameAbandoned(difficulty, mode, elapsedSeconds, score, cell
 /**
  * Track game restarted
  * @param {string} difficulty - Difficulty level
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  */
 export function trackGameRestarted(difficulty, mode) {
   trackEvent('game_restarted', {
@@ -338,7 +366,7 @@ export function trackPuzzleGenerated(difficulty) {
 /**
  * Track path validation error (player made loop but hints don't match)
  * @param {string} difficulty - Difficulty level
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  */
 export function trackValidationError(difficulty, mode) {
   trackEvent('validation_error', {
@@ -355,7 +383,7 @@ export function trackValidationError(difficulty, mode) {
 /**
  * Track undo button used
  * @param {string} difficulty - Difficulty level
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  */
 export function trackUndoUsed(difficulty, mode) {
   trackEvent('undo_used', {
@@ -364,10 +392,36 @@ export function trackUndoUsed(difficulty, mode) {
   });
 }
 
+/**
+ * Track redo used (button or keyboard shortcut)
+ * @param {string} difficulty - Difficulty level
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
+ */
+export function trackRedoUsed(difficulty, mode) {
+  trackEvent('redo_used', {
+    difficulty,
+    mode
+  });
+}
+
+/**
+ * Track a checkpoint set, gone back to, or kept
+ * @param {string} difficulty - Difficulty level
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
+ * @param {'set'|'revert'|'commit'} action - What the player did with it
+ */
+export function trackCheckpointUsed(difficulty, mode, action) {
+  trackEvent('checkpoint_used', {
+    difficulty,
+    mode,
+    action
+  });
+}
+
 /**
  * Track solution viewed
  * @param {string} difficulty - Difficulty level
- * @param {string} mode - Game mode ('daily', 'unlimited')
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
  */
 export function trackSolutionViewed(difficulty, mode) {
   trackEvent('solution_viewed', {
@@ -376,6 +430,26 @@ export function trackSolutionViewed(difficulty, mode) {
   });
 }
 
+/**
+ * Track a logical hint taken
+ *
+ * The graded alternative to solution_viewed: it reveals one deduction and
+ * leaves the run eligible for the streak, so the two are tracked separately.
+ *
+ * @param {string} difficulty - Difficulty level
+ * @param {string} mode - Game mode ('daily', 'archive', 'linked', 'unlimited')
+ * @param {string} reason - Technique behind the hint
+ * @param {number} hintsUsed - Hints taken on this puzzle so far, including this one
+ */
+export function trackLogicalHintUsed(difficulty, mode, reason, hintsUsed) {
+  trackEvent('logical_hint_used', {
+    difficulty,
+    mode,
+    reason,
+    hints_used: hintsUsed
+  });
+}
+
 /* ============================================================================
  * SETTINGS EVENTS
  * ========================================================================= */
@@ -0,0 +1,184 @@
+/**
+ * Completion Calendar
+ *
+ * One month at a time, each day shaded by how many of its three daily puzzles
+ * were solved on the day, with a skull on days where a solution was viewed.
+ * A streak is a single number; this is where a player sees when it broke and
+ * how steady they have been.
+ *
+ * Only puzzles finished on their own day count - archive replays fill in the
+ * archive, not this. Results come from the daily results history, which
+ * starts when it shipped, so earlier days show empty even for long streaks.
+ * Today also reads the home screen's completion flags, so it is right from
+ * the first day either way.
+ */
+
+import { CONFIG } from '../config.js';
+import { getPuzzleId, parseDateKey } from '../seededRandom.js';
+import { getDailyResults, isDailyCompleted, isDailyCompletedWithViewedSolution } from '../persistence.js';
+import { initIcons } from '../icons.js';
+import { t, formatDate } from '../i18n/index.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Read one day's results
+ *
+ * @param {Date} date - Day to read
+ * @param {Object<string, string>} results - From getDailyResults()
+ * @param {boolean} isToday - Whether the date is today
+ * @returns {{solved: number, viewedSolution: boolean}} Day summary
+ */
+function getDaySummary(date, results, isToday) {
+  let solved = 0;
+  let viewedSolution = false;
+
+  for (const difficulty of DIFFICULTIES) {
+    let result = results[getPuzzleId(difficulty, date)];
+    if (isToday && !result) {
+      if (isDailyCompleted(difficulty)) result = 'won';
+      else if (isDailyCompletedWithViewedSolution(difficulty)) result = 'viewed-solution';
+    }
+
+    if (result === 'won') solved++;
+    if (result === 'viewed-solution') viewedSolution = true;
+  }
+
+  return { solved, viewedSolution };
+}
+
+/**
+ * Create the completion calendar
+ *
+ * Opens on the current month. The month buttons stop at the first daily
+ * puzzle (CONFIG.DAILY.PUZZLE_NUMBER_EPOCH) and at the current month.
+ *
+ * @returns {{element: HTMLElement, destroy: Function}} Calendar instance
+ */
+export function createCalendarHeatmap() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const epoch = parseDateKey(CONFIG.DAILY.PUZZLE_NUMBER_EPOCH);
+  const firstMonth = new Date(epoch.getFullYear(), epoch.getMonth(), 1);
+  const lastMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+
+  // Read once: the calendar lives inside a sheet over the home screen, where
+  // nothing can finish a puzzle while it is open
+  const results = getDailyResults();
+
+  const element = document.createElement('div');
+  element.className = 'calendar-heatmap';
+
+  const header = document.createElement('div');
+  header.className = 'calendar-heatmap-header';
+
+  const prevBtn = document.createElement('button');
+  prevBtn.className = 'icon-btn';
+  prevBtn.setAttribute('aria-label', t('calendar.previousMonth'));
+  prevBtn.innerHTML = '<i data-lucide="chevron-left" width="24" height="24"></i>';
+
+  const title = document.createElement('h3');
+  title.className = 'calendar-heatmap-title';
+  title.setAttribute('aria-live', 'polite');
+
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'icon-btn';
+  nextBtn.setAttribute('aria-label', t('calendar.nextMonth'));
+  nextBtn.innerHTML = '<i data-lucide="chevron-right" width="24" height="24"></i>';
+
+  header.append(prevBtn, title, nextBtn);
+
+  // Monday first; 2024-01-01 was a Monday
+  const weekdays = document.createElement('div');
+  weekdays.className = 'calendar-heatmap-weekdays';
+  weekdays.setAttribute('aria-hidden', 'true');
+  for (let i = 0; i < 7; i++) {
+    const cell = document.createElement('span');
+    cell.textContent = formatDate(new Date(2024, 0, 1 + i), { weekday: 'narrow' });
+    weekdays.appendChild(cell);
+  }
+
+  const grid = document.createElement('div');
+  grid.className = 'calendar-heatmap-grid';
+
+  element.append(header, weekdays, grid);
+
+  let month = lastMonth;
+
+  /**
+   * Draw the current month
+   */
+  function render() {
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+
+    title.textContent = formatDate(month, { month: 'long', year: 'numeric' });
+    prevBtn.disabled = month <= firstMonth;
+    nextBtn.disabled = month >= lastMonth;
+
+    grid.replaceChildren();
+
+    const leading = (month.getDay() + 6) % 7;
+    for (let i = 0; i < leading; i++) {
+      grid.appendChild(document.createElement('span'));
+    }
+
+    const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = new Date(year, monthIndex, day);
+      const cell = document.createElement('span');
+      cell.className = 'calendar-heatmap-day';
+      cell.textContent = String(day);
+
+      // No puzzle yet, or none any more to be had
+      if (date < epoch || date > today) {
+        cell.classList.add('outside');
+        grid.appendChild(cell);
+        continue;
+      }
+
+      const isToday = date.getTime() === today.getTime();
+      const { solved, viewedSolution } = getDaySummary(date, results, isToday);
+      cell.classList.add(`level-${solved}`);
+      cell.classList.toggle('today', isToday);
+
+      let label = t('calendar.daySolved', {
+        date: formatDate(date, { day: 'numeric', month: 'long' }),
+        n: solved
+      });
+
+      if (viewedSolution) {
+        cell.classList.add('viewed-solution');
+        cell.insertAdjacentHTML('beforeend', '<i data-lucide="skull" width="10" height="10"></i>');
+        label = t('calendar.viewedSolution', { label });
+      }
+
+      cell.setAttribute('role', 'img');
+      cell.setAttribute('aria-label', label);
+      grid.appendChild(cell);
+    }
+
+    initIcons();
+  }
+
+  const handlePrev = () => {
+    month = new Date(month.getFullYear(), month.getMonth() - 1, 1);
+    render();
+  };
+
+  const handleNext = () => {
+    month = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    render();
+  };
+
+  prevBtn.addEventListener('click', handlePrev);
+  nextBtn.addEventListener('click', handleNext);
+  render();
+
+  function destroy() {
+    prevBtn.removeEventListener('click', handlePrev);
+    nextBtn.removeEventListener('click', handleNext);
+  }
+
+  return { element, destroy };
+}
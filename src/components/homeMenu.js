@@ -3,7 +3,8 @@
  *
  * A hamburger button in the top-left of the home screen toggles a sheet that
  * slides in from the left. It holds the destinations that do not earn a place
- * in the main button stack: the tutorial, Unlimited mode, and the support and
+ * in the main button stack: the tutorial, Unlimited mode, the archive, the
+ * statistics, progress export, transfer and import, and the support and
  * feedback links that used to sit in the footer.
  *
  * All open/closed styling hangs off a single `menu-open` class on the home
@@ -13,6 +14,7 @@
 
 import { navigate } from '../router.js';
 import { showTutorialSheet } from './tutorialSheet.js';
+import { showExportSheet, showTransferSheet, showImportSheet } from './progressTransfer.js';
 import { t } from '../i18n/index.js';
 import { initLanguageMenu } from './languageMenu.js';
 
@@ -30,6 +32,11 @@ export function initHomeMenu() {
   const sheet = document.getElementById('home-menu-sheet');
   const tutorialItem = document.getElementById('home-menu-tutorial');
   const unlimitedItem = document.getElementById('home-menu-unlimited');
+  const archiveItem = document.getElementById('home-menu-archive');
+  const statsItem = document.getElementById('home-menu-stats');
+  const exportItem = document.getElementById('home-menu-export');
+  const transferItem = document.getElementById('home-menu-transfer');
+  const importItem = document.getElementById('home-menu-import');
 
   if (!view || !toggle || !scrim || !sheet) return null;
 
@@ -82,6 +89,31 @@ export function initHomeMenu() {
     navigate('/play?difficulty=unlimited', false, { fromHome: true });
   };
 
+  const handleArchive = () => {
+    close();
+    navigate('/archive', false, { fromHome: true });
+  };
+
+  const handleStats = () => {
+    close();
+    navigate('/stats', false, { fromHome: true });
+  };
+
+  const handleExport = () => {
+    close();
+    showExportSheet();
+  };
+
+  const handleTransfer = () => {
+    close();
+    showTransferSheet();
+  };
+
+  const handleImport = () => {
+    close();
+    showImportSheet();
+  };
+
   // External links keep their default behaviour and just close the sheet
   const handleItemClick = (event) => {
     if (event.currentTarget.tagName === 'A') close();
@@ -92,6 +124,11 @@ export function initHomeMenu() {
   window.addEventListener('keydown', handleKeyDown);
   if (tutorialItem) tutorialItem.addEventListener('click', handleTutorial);
   if (unlimitedItem) unlimitedItem.addEventListener('click', handleUnlimited);
+  if (archiveItem) archiveItem.addEventListener('click', handleArchive);
+  if (statsItem) statsItem.addEventListener('click', handleStats);
+  if (exportItem) exportItem.addEventListener('click', handleExport);
+  if (transferItem) transferItem.addEventListener('click', handleTransfer);
+  if (importItem) importItem.addEventListener('click', handleImport);
   items.forEach(item => item.addEventListener('click', handleItemClick));
 
   return () => {
@@ -100,6 +137,11 @@ export function initHomeMenu() {
     window.removeEventListener('keydown', handleKeyDown);
     if (tutorialItem) tutorialItem.removeEventListener('click', handleTutorial);
     if (unlimitedItem) unlimitedItem.removeEventListener('click', handleUnlimited);
+    if (archiveItem) archiveItem.removeEventListener('click', handleArchive);
+    if (statsItem) statsItem.removeEventListener('click', handleStats);
+    if (exportItem) exportItem.removeEventListener('click', handleExport);
+    if (transferItem) transferItem.removeEventListener('click', handleTransfer);
+    if (importItem) importItem.removeEventListener('click', handleImport);
     items.forEach(item => item.removeEventListener('click', handleItemClick));
     if (cleanupLanguage) cleanupLanguage();
 
@@ -0,0 +1,261 @@
+/**
+ * Progress Export, Import & Transfer Sheets
+ *
+ * Opened from the home screen menu. Clearing site data, moving to a new phone
+ * or playing on a host whose storage is sandboxed otherwise wipes a streak for
+ * good; an export is the way to carry it across.
+ *
+ * Progress travels as the text from exportProgress() (see persistence.js),
+ * either as a downloaded file or copied to the clipboard - a download can be
+ * blocked inside an embedding iframe, where copying still works. An import
+ * reloads the page, so every view starts from the restored storage rather
+ * than from whatever it had already read.
+ *
+ * Moving to another device uses a transfer code instead (see
+ * transferCode.js), shown as a QR code for the other device's camera and as
+ * text to paste. The import sheet takes either.
+ */
+
+import { showBottomSheetAsync } from '../bottomSheet.js';
+import { exportProgress, importProgress, getProgressSnapshot, restoreProgressSnapshot } from '../persistence.js';
+import { encodeTransferCode, decodeTransferCode, getTransferUrl } from '../transferCode.js';
+import { createQrCode, drawQrCode, getByteCapacity } from '../qrCode.js';
+import { showButtonFeedback } from '../game/share.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Largest QR version the transfer sheet draws. Version 30 is 137 modules a
+ * side, about as dense as a phone camera reliably reads off another screen.
+ */
+const TRANSFER_QR_VERSION = 30;
+
+/** Width and height of the transfer QR code, in CSS pixels */
+const TRANSFER_QR_SIZE = 240;
+
+// The sheet currently open, destroyed before another replaces it
+let activeSheet = null;
+
+/**
+ * Build the explanatory line at the top of each sheet
+ * @param {string} text - Message
+ * @returns {HTMLElement} Message element
+ */
+function createMessage(text) {
+  const message = document.createElement('div');
+  message.className = 'bottom-sheet-message';
+  const paragraph = document.createElement('p');
+  paragraph.textContent = text;
+  message.appendChild(paragraph);
+  return message;
+}
+
+/**
+ * Build a text button for a sheet's own action row
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn btn-secondary';
+  button.innerHTML = '<span></span>';
+  button.querySelector('span').textContent = label;
+  button.addEventListener('click', () => onClick(button));
+  return button;
+}
+
+/**
+ * Build a read-only text field that selects itself when focused
+ * @param {string} text - Field contents
+ * @returns {HTMLTextAreaElement} Field
+ */
+function createReadOnlyField(text) {
+  const field = document.createElement('textarea');
+  field.className = 'progress-transfer-text';
+  field.readOnly = true;
+  field.rows = 4;
+  field.value = text;
+  field.addEventListener('focus', () => field.select());
+  return field;
+}
+
+/**
+ * Build a Copy button for a read-only field
+ * @param {HTMLTextAreaElement} field - Field whose text to copy
+ * @returns {HTMLButtonElement} Button
+ */
+function createCopyButton(field) {
+  return createActionButton(t('progress.copy'), async (button) => {
+    try {
+      await navigator.clipboard.writeText(field.value);
+      showButtonFeedback(button, t('share.copied'));
+    } catch (error) {
+      // Left selected so it can still be copied by hand
+      field.focus();
+      showButtonFeedback(button, t('share.failed'));
+    }
+  });
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} text - File contents
+ */
+function downloadProgress(text) {
+  const date = new Date();
+  const stamp = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `loopy-progress-${stamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Replace the open sheet with a new one
+ * @param {Object} options - Options for showBottomSheetAsync()
+ */
+function showSheet(options) {
+  if (activeSheet) activeSheet.destroy();
+  activeSheet = showBottomSheetAsync(options);
+}
+
+/**
+ * Show the export sheet: the progress as selectable text, with download and
+ * copy buttons
+ */
+export function showExportSheet() {
+  const text = exportProgress();
+
+  const content = document.createElement('div');
+  content.className = 'progress-transfer';
+  content.appendChild(createMessage(t('progress.exportMessage')));
+
+  const field = createReadOnlyField(text);
+  content.appendChild(field);
+
+  const actions = document.createElement('div');
+  actions.className = 'progress-transfer-actions';
+  actions.appendChild(createActionButton(t('progress.download'), () => downloadProgress(text)));
+  actions.appendChild(createCopyButton(field));
+  content.appendChild(actions);
+
+  showSheet({ title: t('menu.exportProgress'), content });
+}
+
+/**
+ * Show the transfer sheet: a QR code for the other device's camera, and the
+ * transfer code as text with a copy button
+ *
+ * The text always carries the whole history. A long history does not fit a
+ * QR code a camera can read, so the QR code then holds the most recent games
+ * only, and the sheet says so.
+ */
+export function showTransferSheet() {
+  const snapshot = getProgressSnapshot();
+  const { code } = encodeTransferCode(snapshot);
+
+  const content = document.createElement('div');
+  content.className = 'progress-transfer';
+  content.appendChild(createMessage(t('progress.transferMessage')));
+
+  try {
+    const maxLength = getByteCapacity(TRANSFER_QR_VERSION) - getTransferUrl('').length;
+    const qrTransfer = encodeTransferCode(snapshot, { maxLength });
+    const qr = createQrCode(getTransferUrl(qrTransfer.code), { maxVersion: TRANSFER_QR_VERSION });
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'progress-transfer-qr';
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', t('progress.qrLabel'));
+    drawQrCode(canvas, qr, TRANSFER_QR_SIZE);
+    content.appendChild(canvas);
+
+    if (qrTransfer.historyEntries < snapshot.history.length) {
+      content.appendChild(createMessage(t('progress.transferPartial')));
+    }
+  } catch (error) {
+    // Too much even without history - the text still works
+    console.warn('[Progress] No QR code for this transfer:', error.message);
+  }
+
+  const field = createReadOnlyField(code);
+  content.appendChild(field);
+
+  const actions = document.createElement('div');
+  actions.className = 'progress-transfer-actions';
+  actions.appendChild(createCopyButton(field));
+  content.appendChild(actions);
+
+  showSheet({ title: t('menu.transferProgress'), content });
+}
+
+/**
+ * Show the import sheet: paste an export or a transfer code, or choose a
+ * file, then import
+ * @param {string} [text=''] - Text to start with, e.g. a transfer code from the page URL
+ */
+export function showImportSheet(text = '') {
+  const content = document.createElement('div');
+  content.className = 'progress-transfer';
+  content.appendChild(createMessage(t('progress.importMessage')));
+
+  const field = document.createElement('textarea');
+  field.className = 'progress-transfer-text';
+  field.rows = 4;
+  field.placeholder = t('progress.placeholder');
+  field.value = text;
+  content.appendChild(field);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json,.txt';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    if (file) field.value = await file.text();
+    fileInput.value = '';
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'progress-transfer-actions';
+  actions.appendChild(createActionButton(t('progress.chooseFile'), () => fileInput.click()));
+  content.append(fileInput, actions);
+
+  const error = document.createElement('p');
+  error.className = 'progress-transfer-error';
+  error.setAttribute('aria-live', 'polite');
+  content.appendChild(error);
+
+  showSheet({
+    title: t('menu.importProgress'),
+    content,
+    primaryButton: {
+      label: t('progress.import'),
+      onClick: async () => {
+        const value = field.value.trim();
+        let imported;
+        try {
+          // An export is JSON; anything else is taken for a transfer code
+          imported = value.startsWith('{')
+            ? await importProgress(value)
+            : await restoreProgressSnapshot(decodeTransferCode(value));
+        } catch (importError) {
+          console.warn('[Progress] Rejected import:', importError.message);
+          error.textContent = t('progress.invalid');
+          return;
+        }
+
+        if (imported) {
+          window.location.reload();
+        } else {
+          error.textContent = t('progress.failed');
+        }
+      }
+    }
+  });
+}
@@ -16,12 +16,17 @@ function getColors() {
     // Grid and background
     BACKGROUND: tokens.semantic.canvasBg,
     GRID_LINE: tokens.semantic.gridLine,
+    VOID_CELL: tokens.semantic.voidCell,
 
     // Paths
     SOLUTION_PATH: tokens.semantic.solutionPath,
     PLAYER_PATH: tokens.semantic.playerPath,
     PLAYER_PATH_WIN: tokens.semantic.playerPathWin,
 
+    // Logical hint highlight - what to draw, and what to take back
+    LOGICAL_HINT: tokens.semantic.logicalHint,
+    LOGICAL_HINT_WRONG: tokens.semantic.error,
+
     // UI elements
     UI_TEXT: tokens.semantic.textPrimary,
 
@@ -54,6 +59,34 @@ export const CONFIG = {
     // The puzzle on this date is #1; every day after increments by one.
     // Change this to the game's real launch date if it differs.
     PUZZLE_NUMBER_EPOCH: '2025-12-13',
+
+    // Special days played on an irregular board instead of the usual grid.
+    // Keyed by local date (YYYY-MM-DD), then difficulty, naming a shape from
+    // src/generation/boardShapes.js. Full dates rather than recurring ones, so
+    // adding a day never changes a puzzle that has already been played. Only
+    // dates on generator version 2 or later - version 1 has no void cells.
+    SHAPED_DAYS: {
+      '2026-12-13': { hard: 'letterL' },
+      '2027-01-01': { medium: 'plus' },
+      '2027-02-14': { hard: 'heart' },
+      '2027-03-14': { hard: 'donut' },
+    },
+
+    // Daily generator versions, oldest first. Each is live from its date
+    // (local, inclusive) until the next one's, and a date always replays with
+    // the version live on it - daily saves hold no puzzle data, so changing
+    // what an old date generates would rearrange saved games under players.
+    // Dates before the first entry use the first version. To ship a change
+    // that alters daily output, see DAILY_GENERATORS in
+    // src/generation/puzzleBuilder.js.
+    //
+    // 1: Warnsdorff loops, control and dense hints, no quality gate - frozen
+    //    in src/generation/dailyV1.js. Square boards only.
+    // 2: backbite loops, the unique arm, partial loops and the quality gate.
+    GENERATOR_VERSIONS: [
+      { version: 1, from: '2025-12-13' },
+      { version: 2, from: '2026-11-01' },
+    ],
   },
 
   // Cell sizing
@@ -73,6 +106,7 @@ export const CONFIG = {
     SOLUTION_LINE_WIDTH: 16,     // Width of solution path line (thicker for visibility)
     GRID_LINE_WIDTH: 1,          // Width of grid lines
     DOT_RADIUS: 6,               // Radius for isolated cell dots
+    LOGICAL_HINT_LINE_WIDTH: 8,  // Width of an edge picked out by a logical hint
   },
 
   // Hint system
@@ -97,10 +131,15 @@ export const CONFIG = {
   },
 
   // Puzzle generation
+  //
+  // Solution loops come from a backbite random walk (see generator.js). Moves
+  // per cell is how far the walk gets from its starting loop: on 6x6, 20 is
+  // already indistinguishable from uniform sampling, 50 leaves room for 8x8.
+  // Changing either value changes every date's daily puzzle, so it ships as
+  // a new generator version (CONFIG.DAILY.GENERATOR_VERSIONS).
   GENERATION: {
-    ATTEMPTS_4X4: 20,           // Warnsdorff attempts for 4x4 grid
-    ATTEMPTS_6X6: 50,           // Warnsdorff attempts for 6x6 grid
-    ATTEMPTS_8X8: 100,          // Warnsdorff attempts for 8x8 grid
+    MOVES_PER_CELL: 50,          // Backbite moves per cell before the loop may close
+    CLOSING_MOVES_PER_CELL: 200, // Further moves allowed for the path's ends to meet
   },
 
   // Interaction behavior
@@ -135,6 +174,31 @@ export const CONFIG = {
     // directly, so every surface stays in step.
     KEYS: ['easy', 'medium', 'hard', 'unlimited'],
 
+    // Board per difficulty: a number for a square grid, or { width, height }
+    // for a rectangular one (e.g. { width: 6, height: 8 }). The cell count
+    // must be even - no loop can visit every cell of an odd-sized board.
+    //
+    // The daily puzzle is rebuilt from the date seed on every load, so
+    // changing a size changes that difficulty's puzzle for every date, past
+    // ones included. Saves made on another size are discarded on load.
+    GRID_SIZE: {
+      easy: 4,
+      medium: 6,
+      hard: 8,
+    },
+
+    // Share of the board the solution loop visits, per difficulty. 1 is a
+    // Hamiltonian cycle through every cell - what has always shipped. Below
+    // 1 the loop leaves empty regions (see generation/partialLoop.js), and
+    // an odd-sized GRID_SIZE such as 5 or 7 needs a value below 1, since no
+    // loop can visit every cell of it. Changing this changes every date's
+    // daily puzzle, so it ships as a new generator version.
+    LOOP_FILL: {
+      easy: 1,
+      medium: 1,
+      hard: 1,
+    },
+
     // Hint generation configuration per difficulty level - CONTROL arm
     //
     // This is the placement that has always shipped: shuffle every cell, take
@@ -207,14 +271,99 @@ export const CONFIG = {
         anchorMaxValue: 1,
       },
     },
+
+    // Hint generation configuration per difficulty level - UNIQUE arm
+    //
+    // Used by generateHintCellsUnique() in generation/uniquePlacement.js. Starts
+    // from the dense arm's covering placement, then adds hints that rule out
+    // rival loops until the solver finds exactly one answer.
+    //
+    // count:           hints placed by the covering pass before repair begins
+    // maxHints:        hard budget; repair stops adding once it is reached
+    // maxSwaps:        once at budget, how many times the weakest hint may be
+    //                  traded for a more useful one before giving up
+    // lowValueAnchors / anchorMaxValue: as for the dense arm
+    //
+    // Hints needed for a unique answer, measured over 60 daily seeds with no
+    // budget at all:
+    //
+    //   |            | median | p90 | max |
+    //   |------------|--------|-----|-----|
+    //   | Easy       | 4      | 5   | 5   |
+    //   | Tricky     | 10     | 12  | 12  |
+    //   | Diabolical | 18     | 20  | 21  |
+    //
+    // The budgets below sit at the p90-max line, so almost every puzzle ends
+    // unique (59/60 on Diabolical, every seed on the others) without letting an
+    // unlucky loop flood the grid with numbers.
+    HINT_CONFIG_UNIQUE: {
+      easy: {
+        count: 4,
+        maxHints: 6,
+        maxSwaps: 4,
+        lowValueAnchors: 0,    // Impossible on this grid - see HINT_CONFIG_DENSE
+      },
+      medium: {
+        count: 8,
+        maxHints: 12,
+        maxSwaps: 4,
+        lowValueAnchors: 2,
+        anchorMaxValue: 2,
+      },
+      hard: {
+        count: 16,
+        maxHints: 20,
+        maxSwaps: 4,
+        lowValueAnchors: 2,
+        anchorMaxValue: 1,
+      },
+    },
+
+    // Quality gate for daily puzzles, per difficulty
+    //
+    // A daily puzzle that fails any check is thrown away and rebuilt from a
+    // retry seed derived from the day's seed (getRetrySeed() in
+    // seededRandom.js), so every player still gets the same puzzle. See
+    // buildDailyPuzzle() in generation/puzzleBuilder.js. Only dailies from
+    // generator version 2 on are gated - version 1 predates the gate and
+    // keeps each day's first puzzle. Unlimited puzzles are not gated.
+    //
+    // minCoveragePercent: least share of cells inside some hint area
+    // minRedundancy:      least overlap between hint areas (1.0 is none)
+    // maxReseeds:         retries before settling for the best attempt
+    //
+    // The fallback loop always fails. The control arm is exempt: by these
+    // numbers most of its days would fail (median coverage 63% on Easy), and
+    // it must not be tuned while the hint experiment runs. Over 365 daily
+    // seeds the gate fires on 2 covering-arm puzzles, both unique-arm days
+    // where repair swapped out a covering hint.
+    QUALITY_GATE: {
+      easy: {
+        minCoveragePercent: 100,
+        minRedundancy: 1.25,
+        maxReseeds: 3,
+      },
+      medium: {
+        minCoveragePercent: 90,
+        minRedundancy: 1.25,
+        maxReseeds: 3,
+      },
+      hard: {
+        minCoveragePercent: 90,
+        minRedundancy: 1.25,
+        maxReseeds: 3,
+      },
+    },
   },
 
   // Hint generation experiment
   //
-  // A/B test of the two HINT_CONFIG blocks above. Motivated by the observation
+  // A/B/C test of the three HINT_CONFIG blocks above. Motivated by the observation
   // that Tricky completes at 37% while Diabolical - a bigger grid - completes
   // at 53% and solves faster, which traced back to Diabolical's hint areas
-  // overlapping enough to make deduction possible where Tricky's do not.
+  // overlapping enough to make deduction possible where Tricky's do not. The
+  // unique arm was added later, after solvers pointed out that a 2-hint Easy
+  // has many valid loops.
   //
   // Assignment is per person via PostHog and is pinned into each saved game, so
   // a puzzle already in progress can never be regenerated under a player.
@@ -224,7 +373,8 @@ export const CONFIG = {
     HINT_GENERATION: {
       CONTROL: 'control',
       VARIANT: 'dense',
-      // Assignment is a coin flip cached in localStorage, NOT a PostHog feature
+      UNIQUE: 'unique',
+      // Assignment is a random pick cached in storage, NOT a PostHog feature
       // flag - the slim posthog build we ship has no flag support at all. See
       // the module comment in experiment.js. The matching PostHog experiment
       // (id 405364) exists only as a record of dates and configuration; it
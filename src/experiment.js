@@ -21,7 +21,7 @@
  *
  * **Puzzles are generated, not fetched.** The variant decides which hint
  * placement runs, so it must be known at the moment a puzzle is built, with no
- * network round trip to wait on. A cached coin flip answers instantly and
+ * network round trip to wait on. A cached random pick answers instantly and
  * always, including for players running an ad blocker.
  *
  * **Daily saves hold no puzzle data.** A daily game's hints are regenerated
@@ -30,21 +30,27 @@
  * their drawn path. Every save therefore pins the variant it was created under
  * (see `variantForSavedGame`), and a pinned variant always wins.
  *
- * The assignment is cached in localStorage, so it is stable per browser for the
+ * The assignment is cached in storage, so it is stable per browser for the
  * life of the experiment. It is not stable across devices or after a storage
  * clear - acceptable here, where players are anonymous and mostly visit once.
  */
 
 import { CONFIG } from './config.js';
 import { setPersonProperties } from './analytics.js';
+import { getStorage } from './storage.js';
 
-const { CONTROL, VARIANT, STORAGE_KEY } = CONFIG.EXPERIMENT.HINT_GENERATION;
+const { CONTROL, VARIANT, UNIQUE, STORAGE_KEY } = CONFIG.EXPERIMENT.HINT_GENERATION;
+
+/**
+ * Every arm a browser can be assigned to
+ */
+const ARMS = [CONTROL, VARIANT, UNIQUE];
 
 /**
  * Where an assignment came from
  *
  * Recorded alongside the variant on every game event.
- * - `local` - assigned by coin flip in this browser, and cached
+ * - `local` - assigned by random pick in this browser, and cached
  * - `saved` - pinned into a saved game when that puzzle was first generated
  */
 export const VARIANT_SOURCE = {
@@ -64,7 +70,7 @@ let cached = null;
  * @returns {boolean} True for a known arm
  */
 function isVariant(value) {
-  return value === CONTROL || value === VARIANT;
+  return ARMS.includes(value);
 }
 
 /**
@@ -73,7 +79,7 @@ function isVariant(value) {
  */
 function readStored() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = getStorage().getItem(STORAGE_KEY);
     if (!raw) return null;
 
     const parsed = JSON.parse(raw);
@@ -94,7 +100,7 @@ function readStored() {
  */
 function writeStored(variant, source) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({ variant, source }));
+    getStorage().setItem(STORAGE_KEY, JSON.stringify({ variant, source }));
   } catch {
     // Storage unavailable - the in-memory cache still holds for this session
   }
@@ -119,7 +125,7 @@ function reportAssignment(variant, source) {
 /**
  * Current assignment for this browser
  *
- * In-memory cache, then localStorage, then a fresh coin flip. Always returns
+ * In-memory cache, then storage, then a fresh roll across the arms. Always returns
  * something, without ever touching the network.
  *
  * @returns {{variant: string, source: string}} The assignment and its origin
@@ -136,7 +142,7 @@ export function getHintGenerationAssignment() {
   // First visit in this browser. An even split is the whole point: this game's
   // traffic is dominated by first-time visitors, so anything that quietly sent
   // unresolved visits to one arm would bias the experiment badly.
-  const variant = Math.random() < 0.5 ? CONTROL : VARIANT;
+  const variant = ARMS[Math.floor(Math.random() * ARMS.length)];
   cached = { variant, source: VARIANT_SOURCE.LOCAL };
   writeStored(variant, VARIANT_SOURCE.LOCAL);
   reportAssignment(variant, VARIANT_SOURCE.LOCAL);
@@ -161,15 +167,6 @@ export function variantForSavedGame(savedVariant) {
   return getHintGenerationAssignment();
 }
 
-/**
- * Whether a variant name is the dense arm
- * @param {string} variant - Arm name
- * @returns {boolean} True for the dense arm
- */
-export function isDenseVariant(variant) {
-  return variant === VARIANT;
-}
-
 /**
  * Prime the assignment as early as possible
  *
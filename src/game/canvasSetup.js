@@ -6,6 +6,7 @@
  */
 
 import { CONFIG } from '../config.js';
+import { getGridDimensions } from '../utils.js';
 
 /**
  * Calculate optimal cell size for current viewport
@@ -16,8 +17,12 @@ import { CONFIG } from '../config.js';
  *
  * We calculate what a 4x4 grid would be (the reference size), then use
  * that total size for all grids by dividing by the actual grid size.
+ * The reference is worked out per axis, so a rectangular grid fits whichever
+ * side runs out of room first - a portrait board on a phone grows into the
+ * height a square board leaves unused. On a square grid both axes agree with
+ * the single square reference.
  *
- * @param {number} gridSize - Number of cells per row/column
+ * @param {GridSize} gridSize - Number of cells per row/column
  * @param {number} [extraVerticalSpace=0] - Additional space to reserve (e.g., for tutorial text)
  * @returns {number} Cell size in pixels
  */
@@ -27,33 +32,35 @@ export function calculateCellSize(gridSize, extraVerticalSpace = 0) {
   const availableHeight = viewportHeight - CONFIG.LAYOUT.TOP_BAR_HEIGHT - extraVerticalSpace;
   const availableWidth = viewportWidth - CONFIG.LAYOUT.HORIZONTAL_PADDING;
 
-  // Calculate cell size based on a 4x4 reference grid
+  // Calculate total size along each axis based on a 4x4 reference grid
   const REFERENCE_GRID_SIZE = 4;
-  const referenceCellSize = Math.min(availableWidth / REFERENCE_GRID_SIZE, availableHeight / REFERENCE_GRID_SIZE);
-  const clampedReferenceCellSize = Math.max(CONFIG.CELL_SIZE_MIN, Math.min(referenceCellSize, CONFIG.CELL_SIZE_MAX));
+  const fixedTotalSize = (available) => {
+    const referenceCellSize = available / REFERENCE_GRID_SIZE;
+    return Math.max(CONFIG.CELL_SIZE_MIN, Math.min(referenceCellSize, CONFIG.CELL_SIZE_MAX)) * REFERENCE_GRID_SIZE;
+  };
 
-  // Fix total canvas size based on the 4x4 reference
-  const fixedTotalSize = clampedReferenceCellSize * REFERENCE_GRID_SIZE;
-
-  // Calculate cell size for actual grid to achieve the fixed total size
-  return fixedTotalSize / gridSize;
+  // Largest cell that keeps the actual grid within the fixed size on both axes
+  const { width, height } = getGridDimensions(gridSize);
+  return Math.min(fixedTotalSize(availableWidth) / width, fixedTotalSize(availableHeight) / height);
 }
 
 /**
  * Configure canvas for high-DPI display
  * @param {HTMLCanvasElement} canvas - Canvas element
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @param {number} cellSize - Cell size in pixels
  */
 export function setupCanvas(canvas, ctx, gridSize, cellSize) {
-  const totalSize = cellSize * gridSize;
+  const { width, height } = getGridDimensions(gridSize);
+  const totalWidth = cellSize * width;
+  const totalHeight = cellSize * height;
   const dpr = window.devicePixelRatio || 1;
 
-  canvas.width = totalSize * dpr;
-  canvas.height = totalSize * dpr;
-  canvas.style.width = totalSize + 'px';
-  canvas.style.height = totalSize + 'px';
+  canvas.width = totalWidth * dpr;
+  canvas.height = totalHeight * dpr;
+  canvas.style.width = totalWidth + 'px';
+  canvas.style.height = totalHeight + 'px';
 
   ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset transform
   ctx.scale(dpr, dpr);
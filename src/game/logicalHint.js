@@ -0,0 +1,87 @@
+/**
+ * Logical Hint
+ *
+ * Finds the next thing a player could deduce, measured against what they have
+ * already drawn. The alternative, viewSolution(), gives the whole answer away
+ * and disqualifies the run; this gives away one fact and the reason for it.
+ *
+ * Deduction replays from the hints alone (see generation/deduction.js), so the
+ * player's drawing is never trusted as a premise - a hint can point at a
+ * mistake as readily as at a missing piece. Where deduction runs out there is
+ * no hint: handing over part of the answer instead would let repeated taps
+ * reveal the whole loop without the disqualification viewSolution() carries.
+ */
+
+import { createCellKey, parseCellKey, isInGrid } from '../utils.js';
+import { readHintValues } from '../generation/solver.js';
+import { createDeduction } from '../generation/deduction.js';
+
+/**
+ * What a logical hint highlights
+ * - `edge-on` - the loop must use this edge, and the player hasn't drawn it
+ * - `edge-off` - the loop cannot use this edge, and the player has drawn it
+ * - `cell-empty` - the loop cannot pass through this drawn cell
+ */
+export const HINT_KIND = {
+  EDGE_ON: 'edge-on',
+  EDGE_OFF: 'edge-off',
+  CELL_EMPTY: 'cell-empty',
+};
+
+/**
+ * Orthogonal neighbours of a cell, within the grid
+ * @param {string} cellKey - Cell
+ * @param {GridSize} gridSize - Grid size
+ * @returns {Array<string>} Neighbour cell keys
+ */
+function neighboursOf(cellKey, gridSize) {
+  const { row, col } = parseCellKey(cellKey);
+  const neighbours = [];
+  for (const [r, c] of [[row - 1, col], [row, col + 1], [row + 1, col], [row, col - 1]]) {
+    if (isInGrid(r, c, gridSize)) neighbours.push(createCellKey(r, c));
+  }
+  return neighbours;
+}
+
+/**
+ * Compare a deduction's conclusions about some cells with the player's drawing
+ *
+ * @returns {{kind: string, cells: Array<string>}|null} First disagreement
+ */
+function findDisagreement(deduction, cells, gridSize, playerDrawnCells, playerConnections) {
+  for (const cellKey of cells) {
+    if (playerDrawnCells.has(cellKey) && deduction.cellState(cellKey) === 'empty') {
+      return { kind: HINT_KIND.CELL_EMPTY, cells: [cellKey] };
+    }
+
+    for (const neighbour of neighboursOf(cellKey, gridSize)) {
+      const drawn = playerConnections.get(cellKey)?.has(neighbour) || false;
+      const state = deduction.edgeState(cellKey, neighbour);
+      if (state === 'on' && !drawn) return { kind: HINT_KIND.EDGE_ON, cells: [cellKey, neighbour] };
+      if (state === 'off' && drawn) return { kind: HINT_KIND.EDGE_OFF, cells: [cellKey, neighbour] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the next logical step for the player
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Set<string>} hintCells - Hint cells
+ * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
+ * @param {Set<string>} playerDrawnCells - Player's drawn cells
+ * @param {Map<string, Set<string>>} playerConnections - Player's connections
+ * @returns {{kind: string, cells: Array<string>, reason: string, hint: (string|undefined)}|null}
+ *   What to highlight and why (a technique name), or null when the drawing
+ *   already agrees with everything the techniques can deduce
+ */
+export function findNextLogicalStep(gridSize, hintCells, solutionTurnMap, playerDrawnCells, playerConnections) {
+  const deduction = createDeduction(gridSize, readHintValues(gridSize, hintCells, solutionTurnMap));
+
+  for (let step = deduction.step(); step; step = deduction.step()) {
+    const found = findDisagreement(deduction, step.cells, gridSize, playerDrawnCells, playerConnections);
+    if (found) return { ...found, reason: step.technique, hint: step.hint };
+  }
+  return null;
+}
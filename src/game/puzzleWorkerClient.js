@@ -0,0 +1,124 @@
+/**
+ * Puzzle Worker Client
+ *
+ * Promise API over the generation worker (generation/puzzleWorker.js). One
+ * worker is started on first use and kept for the session. Where workers are
+ * unavailable, or the worker fails to start, requests run on the main thread
+ * through the same runPuzzleTask() - so a daily puzzle comes out identical
+ * either way, just without the responsiveness.
+ */
+
+import { runPuzzleTask } from '../generation/puzzleBuilder.js';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+
+// Requests sent to the worker and not yet answered, by id
+const pending = new Map();
+
+/**
+ * Run a task on the main thread, asynchronously like the worker would
+ * @param {Object} task - Request for runPuzzleTask()
+ * @returns {Promise<Object>} Result
+ */
+function runLocally(task) {
+  return new Promise((resolve) => resolve(runPuzzleTask(task)));
+}
+
+/**
+ * Give up on the worker and finish its outstanding requests here instead
+ */
+function abandonWorker(reason) {
+  console.warn('Puzzle worker unavailable, generating on the main thread:', reason);
+  workerFailed = true;
+  worker?.terminate();
+  worker = null;
+
+  for (const [id, request] of pending) {
+    pending.delete(id);
+    runLocally(request.task).then(request.resolve, request.reject);
+  }
+}
+
+/**
+ * Start the worker on first use
+ * @returns {Worker|null} Worker, or null to run on the main thread
+ */
+function getWorker() {
+  if (worker || workerFailed) return worker;
+
+  if (typeof Worker === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('../generation/puzzleWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    abandonWorker(error.message);
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+
+  // Fires when the worker script cannot load or throws outside a request
+  worker.onerror = (event) => {
+    event.preventDefault();
+    abandonWorker(event.message);
+  };
+
+  return worker;
+}
+
+/**
+ * Send a task to the worker, or run it here without one
+ * @param {Object} task - Request for runPuzzleTask()
+ * @returns {Promise<Object>} Result
+ */
+function request(task) {
+  const target = getWorker();
+  if (!target) return runLocally(task);
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { task, resolve, reject });
+    target.postMessage({ id, task });
+  });
+}
+
+/**
+ * Generate a puzzle
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {string} difficulty - Difficulty key
+ * @param {number|null} seed - Daily seed, or null for a random puzzle
+ * @param {string} variant - Experiment arm
+ * @param {number|null} [generatorVersion] - Generator version for a daily seed (see getGeneratorVersion())
+ * @returns {Promise<{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, shape: Object}>} Puzzle
+ */
+export function requestPuzzle(gridSize, difficulty, seed, variant, generatorVersion = null) {
+  return request({ type: 'build', gridSize, difficulty, seed, variant, generatorVersion });
+}
+
+/**
+ * Measure a saved puzzle's shape (see measurePuzzle())
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Set<string>} hints - Hint cells
+ * @param {Array<{row: number, col: number}>} solution - Solution path
+ * @returns {Promise<Object>} Shape
+ */
+export function requestPuzzleShape(gridSize, hints, solution) {
+  return request({ type: 'measure', gridSize, hints, solution });
+}
@@ -55,7 +55,7 @@ export function buildShareText(difficulty, time) {
  * @param {string} text - Feedback text to show
  * @param {number} [duration=2000] - Duration in ms
  */
-function showButtonFeedback(button, text, duration = 2000) {
+export function showButtonFeedback(button, text, duration = 2000) {
   const spanEl = button.querySelector('span');
   const originalText = spanEl?.textContent || button.textContent;
 
@@ -4,7 +4,7 @@
  * Win condition checking for both game and tutorial views.
  */
 
-import { checkStructuralLoop, checkPartialStructuralLoop, buildSolutionTurnMap, countTurnsInArea, parseCellKey } from '../utils.js';
+import { checkStructuralLoop, checkPartialStructuralLoop, buildSolutionTurnMap, countTurnsInArea, parseCellKey, countPlayableCells } from '../utils.js';
 import { buildPlayerTurnMap } from '../renderer.js';
 import { CONFIG } from '../config.js';
 import { t } from '../i18n/index.js';
@@ -23,7 +23,7 @@ export const DIFFICULTY = {
  * Check if player has drawn a valid closed loop
  * @param {Set<string>} playerDrawnCells - Set of drawn cell keys
  * @param {Map<string, Set<string>>} playerConnections - Map of cell connections
- * @param {number} gridSize - Size of the grid
+ * @param {GridSize} gridSize - Size of the grid
  * @returns {boolean} True if a valid structural loop exists
  */
 export function checkStructuralWin(playerDrawnCells, playerConnections, gridSize) {
@@ -35,7 +35,7 @@ export function checkStructuralWin(playerDrawnCells, playerConnections, gridSize
  * @param {Map<string, boolean>} solutionTurnMap - Solution turn map
  * @param {Map<string, boolean>} playerTurnMap - Player turn map
  * @param {Set<string>} hintCells - Cells with hint numbers
- * @param {number} gridSize - Size of the grid
+ * @param {GridSize} gridSize - Size of the grid
  * @returns {boolean} True if all hints are satisfied
  */
 export function validateHints(solutionTurnMap, playerTurnMap, hintCells, gridSize) {
@@ -53,7 +53,7 @@ export function validateHints(solutionTurnMap, playerTurnMap, hintCells, gridSiz
  * @param {Object} gameState - { playerDrawnCells, playerConnections }
  * @param {Array<{row: number, col: number}>} solutionPath - Solution path
  * @param {Set<string>} hintCells - Cells with hint numbers
- * @param {number} gridSize - Size of the grid
+ * @param {GridSize} gridSize - Size of the grid
  * @param {Map<string, boolean>} [solutionTurnMap] - Optional pre-built solution turn map
  * @param {Map<string, boolean>} [playerTurnMap] - Optional pre-built player turn map
  * @returns {boolean} True if player has won
@@ -87,11 +87,11 @@ export function checkPartialStructuralWin(playerDrawnCells, playerConnections) {
 /**
  * Check if all cells in the grid have been visited
  * @param {Set<string>} playerDrawnCells - Set of drawn cell keys
- * @param {number} gridSize - Size of the grid
+ * @param {GridSize} gridSize - Size of the grid
  * @returns {boolean} True if all cells are visited
  */
 export function checkAllCellsVisited(playerDrawnCells, gridSize) {
-  const totalCells = gridSize * gridSize;
+  const totalCells = countPlayableCells(gridSize);
   return playerDrawnCells.size === totalCells;
 }
 
@@ -196,7 +196,7 @@ export function getScoreLabel(percentage) {
  *
  * @param {Set<string>} hintCells - Cells with hint numbers
  * @param {Set<string>} playerDrawnCells - Cells drawn by player
- * @param {number} gridSize - Size of the grid
+ * @param {GridSize} gridSize - Size of the grid
  * @param {Map<string, boolean>} solutionTurnMap - Pre-built solution turn map
  * @param {Map<string, boolean>} playerTurnMap - Pre-built player turn map
  * @returns {{ percentage: number, label: string } | null} Score object or null if no hints
@@ -235,8 +235,10 @@ export function calculateScore(hintCells, playerDrawnCells, gridSize, solutionTu
   }
 
   // Calculate Hamiltonian bonus (10% by default, proportional to cell coverage)
+  // Coverage is measured against the answer's length, which is every cell
+  // unless the puzzle was built with a partial loop (CONFIG.DIFFICULTY.LOOP_FILL)
   const cellsVisited = playerDrawnCells ? playerDrawnCells.size : 0;
-  const totalCells = gridSize * gridSize;
+  const totalCells = solutionTurnMap.size || countPlayableCells(gridSize);
   const coverageScore = (cellsVisited / totalCells) * CONFIG.SCORING.HAMILTONIAN_BONUS_PERCENT;
 
   // Total score (hints + coverage, clamped to 0-100 range)
@@ -6,13 +6,13 @@
  * drag interactions, and connection management.
  */
 
-import { isAdjacent, determineConnectionToBreak, getCellsAlongLine, parseCellKey, createCellKey } from './utils.js';
+import { isAdjacent, determineConnectionToBreak, getCellsAlongLine, parseCellKey, createCellKey, isInGrid } from './utils.js';
 import { CONFIG } from './config.js';
 
 /**
  * Creates a game core instance with encapsulated state and methods
  * @param {Object} config - Configuration object
- * @param {number} config.gridSize - Size of the game grid (e.g., 4 for 4x4)
+ * @param {GridSize} config.gridSize - Size of the game grid (e.g., 4 for 4x4, or { width: 6, height: 8 })
  * @param {HTMLCanvasElement} config.canvas - The canvas element to interact with
  * @param {Function} config.onRender - Callback to trigger rendering after state changes
  * @returns {Object} Game core API with methods and state access
@@ -56,7 +56,7 @@ export function createGameCore({ gridSize, canvas, onRender }) {
     const col = Math.floor(x / state.cellSize);
     const row = Math.floor(y / state.cellSize);
 
-    if (row >= 0 && row < state.gridSize && col >= 0 && col < state.gridSize) {
+    if (isInGrid(row, col, state.gridSize)) {
       return { row, col, key: createCellKey(row, col) };
     }
     return null;
@@ -0,0 +1,96 @@
+/**
+ * Irregular board shapes
+ *
+ * Every daily puzzle is a plain square, so the calendar has no visual
+ * variety at all. A shaped board - a plus, a donut, a heart - is the same
+ * puzzle on a rectangle with some cells cut out. The cut-out cells ("voids")
+ * travel in the grid size itself (see GridSize in utils.js), so generation,
+ * hints, solving, drawing and saves all pick them up without a separate
+ * argument.
+ *
+ * Shapes are drawn as rows of text: `#` is a playable cell, `.` a void. A
+ * shape only works if a loop can visit all of its cells, which needs:
+ *   - one connected region, with every cell having at least two playable
+ *     neighbours (so no one-cell-wide spurs or single-cell diagonal joins)
+ *   - as many cells of each checkerboard colour as of the other
+ * The generator rejects a shape that fails the colour test and searches for a
+ * first cycle to start its random walk from, but a new shape should still be
+ * tried on every difficulty it is scheduled for before it ships.
+ *
+ * Which days get which shape is configured in CONFIG.DAILY.SHAPED_DAYS.
+ */
+
+import { createCellKey } from '../utils.js';
+
+/**
+ * Available shapes, by name
+ */
+export const BOARD_SHAPES = {
+  // 6x6 with 2x2 corners removed
+  plus: [
+    '..##..',
+    '..##..',
+    '######',
+    '######',
+    '..##..',
+    '..##..',
+  ],
+
+  // 8x8 with a 2x2 hole in the middle
+  donut: [
+    '########',
+    '########',
+    '########',
+    '###..###',
+    '###..###',
+    '########',
+    '########',
+    '########',
+  ],
+
+  // 8x8
+  heart: [
+    '.##..##.',
+    '########',
+    '########',
+    '########',
+    '########',
+    '.######.',
+    '..####..',
+    '...##...',
+  ],
+
+  // 8x8 - "L" for Loopy. Strokes are four wide: at two wide the only loop
+  // is the outline, which leaves nothing to solve.
+  letterL: [
+    '####....',
+    '####....',
+    '####....',
+    '####....',
+    '####....',
+    '####....',
+    '########',
+    '########',
+  ],
+};
+
+/**
+ * Turn a shape drawing into a grid size
+ *
+ * @param {Array<string>} rows - Shape rows (`#` playable, `.` void)
+ * @returns {{width: number, height: number, voids: Array<string>}} Grid size with voids
+ */
+export function boardFromShape(rows) {
+  const voids = [];
+  rows.forEach((line, row) => {
+    for (let col = 0; col < line.length; col++) {
+      if (line[col] !== '#') voids.push(createCellKey(row, col));
+    }
+  });
+
+  return {
+    width: Math.max(...rows.map((line) => line.length)),
+    height: rows.length,
+    voids,
+  };
+}
@@ -0,0 +1,453 @@
+/**
+ * Daily generator version 1 - frozen
+ *
+ * Every daily puzzle dated before version 2 went live (see
+ * CONFIG.DAILY.GENERATOR_VERSIONS) was built by the code in this file, and a
+ * daily save holds no puzzle data, so it has to go on building exactly the
+ * same puzzles for as long as those dates can be replayed - from a save, the
+ * archive, or a /play?date= link. Nothing here may change, and it reads no
+ * config: the values it used are copied below.
+ *
+ * Solution loops come from Warnsdorff's heuristic, retried from random starts
+ * until one closes (~0.5ms per attempt, >99.99% success on 8x8), with a
+ * pre-generated cycle as the fallback. Hints use the two placements of the
+ * hint-generation experiment as it first ran: the control arm's spaced random
+ * pick and the dense arm's cover -> fill -> anchor (see hintPlacement.js for
+ * the reasoning behind both). There is no quality gate - the day's seed is
+ * the puzzle. Square boards only.
+ *
+ * The unique arm came later. Version 1 builds it, and any other arm but
+ * dense, with the control placement, as the game did at the time, so unique
+ * arm results only count from version 2's first date.
+ */
+
+import { isAdjacent, createCellKey, parseCellKey, countTurnsInArea, getAdjacentCells, buildSolutionTurnMap } from '../utils.js';
+import { createSeededRandom } from '../seededRandom.js';
+
+/**
+ * Warnsdorff attempts per grid size, as CONFIG.GENERATION held them
+ */
+const ATTEMPTS = {
+  4: 20,
+  6: 50,
+  8: 100,
+};
+
+/**
+ * Experiment arm built with the dense placement; every other arm is control
+ */
+const DENSE_ARM = 'dense';
+
+/**
+ * Hint settings per difficulty, as CONFIG.DIFFICULTY.HINT_CONFIG held them
+ */
+const HINT_CONFIG = {
+  easy: { count: 2, minDistance: 3 },
+  medium: { count: 5, minDistance: 2 },
+  hard: { count: 16, minDistance: 0 },
+};
+
+/**
+ * Hint settings per difficulty, as CONFIG.DIFFICULTY.HINT_CONFIG_DENSE held them
+ */
+const HINT_CONFIG_DENSE = {
+  easy: { count: 4, lowValueAnchors: 0 },
+  medium: { count: 8, lowValueAnchors: 2, anchorMaxValue: 2 },
+  hard: { count: 16, lowValueAnchors: 2, anchorMaxValue: 1 },
+};
+
+/**
+ * Anchor threshold when a difficulty names none
+ */
+const DEFAULT_ANCHOR_MAX_VALUE = 1;
+
+/**
+ * Pre-generated valid Hamiltonian cycles for fallback
+ */
+const FALLBACK_CYCLES = {
+  4: [
+    {row:0,col:2},{row:0,col:3},{row:1,col:3},{row:2,col:3},{row:3,col:3},{row:3,col:2},
+    {row:3,col:1},{row:3,col:0},{row:2,col:0},{row:1,col:0},{row:0,col:0},{row:0,col:1},
+    {row:1,col:1},{row:2,col:1},{row:2,col:2},{row:1,col:2}
+  ],
+  6: [
+    {row:2,col:1},{row:1,col:1},{row:0,col:1},{row:0,col:0},{row:1,col:0},{row:2,col:0},
+    {row:3,col:0},{row:4,col:0},{row:5,col:0},{row:5,col:1},{row:4,col:1},{row:3,col:1},
+    {row:3,col:2},{row:3,col:3},{row:4,col:3},{row:4,col:2},{row:5,col:2},{row:5,col:3},
+    {row:5,col:4},{row:5,col:5},{row:4,col:5},{row:4,col:4},{row:3,col:4},{row:3,col:5},
+    {row:2,col:5},{row:1,col:5},{row:0,col:5},{row:0,col:4},{row:1,col:4},{row:2,col:4},
+    {row:2,col:3},{row:1,col:3},{row:0,col:3},{row:0,col:2},{row:1,col:2},{row:2,col:2}
+  ],
+  8: [
+    {row:2,col:6},{row:2,col:7},{row:1,col:7},{row:0,col:7},{row:0,col:6},{row:1,col:6},
+    {row:1,col:5},{row:0,col:5},{row:0,col:4},{row:1,col:4},{row:1,col:3},{row:0,col:3},
+    {row:0,col:2},{row:0,col:1},{row:0,col:0},{row:1,col:0},{row:1,col:1},{row:1,col:2},
+    {row:2,col:2},{row:2,col:1},{row:2,col:0},{row:3,col:0},{row:3,col:1},{row:3,col:2},
+    {row:4,col:2},{row:4,col:1},{row:4,col:0},{row:5,col:0},{row:6,col:0},{row:7,col:0},
+    {row:7,col:1},{row:6,col:1},{row:5,col:1},{row:5,col:2},{row:6,col:2},{row:7,col:2},
+    {row:7,col:3},{row:7,col:4},{row:7,col:5},{row:7,col:6},{row:7,col:7},{row:6,col:7},
+    {row:6,col:6},{row:6,col:5},{row:6,col:4},{row:6,col:3},{row:5,col:3},{row:4,col:3},
+    {row:3,col:3},{row:2,col:3},{row:2,col:4},{row:2,col:5},{row:3,col:5},{row:3,col:4},
+    {row:4,col:4},{row:5,col:4},{row:5,col:5},{row:4,col:5},{row:4,col:6},{row:5,col:6},
+    {row:5,col:7},{row:4,col:7},{row:3,col:7},{row:3,col:6}
+  ]
+};
+
+/**
+ * Paths returned by getFallbackCycle(), for isFallbackCycleV1()
+ */
+const fallbackPaths = new WeakSet();
+
+/**
+ * Build a version-1 daily puzzle from its seed
+ *
+ * Solution first, hints second, from a single seeded random source.
+ *
+ * @param {number} size - Grid size
+ * @param {string} difficulty - Difficulty key
+ * @param {number} seed - Seed from getDailySeed()
+ * @param {string} variant - Experiment arm
+ * @returns {{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, anchorMaxValue: number|undefined}} Puzzle,
+ *   with the anchor threshold to measure it against
+ */
+export function buildPuzzleV1(size, difficulty, seed, variant) {
+  const randomFn = createSeededRandom(seed);
+  const solution = generateSolutionPathV1(size, randomFn);
+  const turnMap = buildSolutionTurnMap(solution);
+
+  if (variant === DENSE_ARM) {
+    const hintConfig = HINT_CONFIG_DENSE[difficulty];
+    const hints = generateHintCellsCoveringV1(size, hintConfig, turnMap, randomFn);
+    return { solution, turnMap, hints, anchorMaxValue: hintConfig.anchorMaxValue };
+  }
+
+  const hintConfig = HINT_CONFIG[difficulty];
+  const hints = generateHintCellsWithMinDistanceV1(size, hintConfig.count, hintConfig.minDistance, randomFn);
+  return { solution, turnMap, hints, anchorMaxValue: undefined };
+}
+
+/**
+ * Generate a random Hamiltonian cycle with Warnsdorff's heuristic
+ *
+ * @param {number} size - Grid size (e.g., 8 for 8x8)
+ * @param {function(): number} randomFn - Seeded random function
+ * @returns {Array<{row: number, col: number}>} Array of cell coordinates forming the path
+ */
+export function generateSolutionPathV1(size, randomFn) {
+  const totalCells = size * size;
+  const attempts = getAttemptCount(size);
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const startRow = Math.floor(randomFn() * size);
+    const startCol = Math.floor(randomFn() * size);
+    const path = tryWarnsdorff(size, startRow, startCol, totalCells, randomFn);
+
+    if (path) {
+      return path;
+    }
+  }
+
+  return getFallbackCycle(size);
+}
+
+/**
+ * Whether a solution path is version 1's fallback rather than a random loop
+ *
+ * @param {Array<{row: number, col: number}>} path - From generateSolutionPathV1()
+ * @returns {boolean} True if the path came from the fallback
+ */
+export function isFallbackCycleV1(path) {
+  return fallbackPaths.has(path);
+}
+
+/**
+ * Get the number of Warnsdorff attempts for a grid size
+ */
+function getAttemptCount(size) {
+  if (size <= 4) return ATTEMPTS[4];
+  if (size <= 6) return ATTEMPTS[6];
+  return ATTEMPTS[8];
+}
+
+/**
+ * Try to find a Hamiltonian cycle using Warnsdorff's heuristic
+ *
+ * Always moves to the neighbor with the fewest unvisited neighbors, breaking
+ * ties at random.
+ *
+ * @returns {Array|null} Valid Hamiltonian cycle path, or null if failed
+ */
+function tryWarnsdorff(size, startRow, startCol, totalCells, randomFn) {
+  const visited = Array(size).fill(null).map(() => Array(size).fill(false));
+  const path = [];
+
+  let row = startRow;
+  let col = startCol;
+
+  for (let i = 0; i < totalCells; i++) {
+    visited[row][col] = true;
+    path.push({ row, col });
+
+    // Cycle must close: last cell must be adjacent to start
+    if (i === totalCells - 1) {
+      return isAdjacent(row, col, startRow, startCol) ? path : null;
+    }
+
+    const neighbors = getNeighbors(size, row, col)
+      .filter(n => !visited[n.row][n.col])
+      .map(n => ({
+        row: n.row,
+        col: n.col,
+        degree: countUnvisitedNeighbors(size, n.row, n.col, visited)
+      }))
+      .sort((a, b) => a.degree - b.degree);
+
+    if (neighbors.length === 0) return null;
+
+    const minDegree = neighbors[0].degree;
+    const candidates = neighbors.filter(n => n.degree === minDegree);
+    const next = candidates[Math.floor(randomFn() * candidates.length)];
+
+    row = next.row;
+    col = next.col;
+  }
+
+  return null;
+}
+
+/**
+ * Count how many unvisited neighbors a cell has
+ */
+function countUnvisitedNeighbors(size, row, col, visited) {
+  let count = 0;
+  for (const n of getNeighbors(size, row, col)) {
+    if (!visited[n.row][n.col]) count++;
+  }
+  return count;
+}
+
+/**
+ * Get the pre-generated fallback cycle, marked for isFallbackCycleV1()
+ */
+function getFallbackCycle(size) {
+  const cycle = FALLBACK_CYCLES[size];
+
+  if (!cycle) {
+    console.error(`No fallback cycle defined for size ${size}x${size}`);
+    return generateSimplePattern(size);
+  }
+
+  if (typeof console !== 'undefined') {
+    console.warn(`Using fallback pattern for ${size}x${size} (rare event)`);
+  }
+
+  const path = cycle.slice();
+  fallbackPaths.add(path);
+  return path;
+}
+
+/**
+ * Generate a simple row-wise pattern as absolute last resort
+ */
+function generateSimplePattern(size) {
+  const path = [];
+  for (let row = 0; row < size; row++) {
+    if (row % 2 === 0) {
+      for (let col = 0; col < size; col++) path.push({ row, col });
+    } else {
+      for (let col = size - 1; col >= 0; col--) path.push({ row, col });
+    }
+  }
+  return path;
+}
+
+/**
+ * Get all orthogonal neighbors of a cell
+ */
+function getNeighbors(size, row, col) {
+  const neighbors = [];
+  const dirs = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  for (const [dr, dc] of dirs) {
+    const r = row + dr;
+    const c = col + dc;
+    if (r >= 0 && r < size && c >= 0 && c < size) {
+      neighbors.push({ row: r, col: c });
+    }
+  }
+  return neighbors;
+}
+
+/* ============================================================================
+ * HINT PLACEMENT
+ * ========================================================================= */
+
+/**
+ * List every cell in the grid, in reading order
+ */
+function allCells(gridSize) {
+  const cells = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      cells.push(createCellKey(row, col));
+    }
+  }
+  return cells;
+}
+
+/**
+ * Fisher-Yates shuffle using the supplied random function
+ */
+function shuffle(items, randomFn) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(randomFn() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Control arm: shuffle every cell, take the first `count` that sit at least
+ * `minDistance` (Chebyshev) from every hint already taken
+ *
+ * @returns {Set<string>} Hint cells
+ */
+function generateHintCellsWithMinDistanceV1(gridSize, count, minDistance, randomFn) {
+  const hints = new Set();
+
+  for (const cellKey of shuffle(allCells(gridSize), randomFn)) {
+    if (isFarEnough(cellKey, hints, minDistance)) {
+      hints.add(cellKey);
+      if (hints.size >= count) break;
+    }
+  }
+
+  return hints;
+}
+
+/**
+ * Whether a cell is at least minDistance from every placed hint
+ */
+function isFarEnough(cellKey, hints, minDistance) {
+  if (minDistance === 0) return true;
+
+  const { row, col } = parseCellKey(cellKey);
+  for (const hintKey of hints) {
+    const hint = parseCellKey(hintKey);
+    if (Math.max(Math.abs(row - hint.row), Math.abs(col - hint.col)) < minDistance) return false;
+  }
+  return true;
+}
+
+/**
+ * Cells inside the 3x3 area a hint at this cell would constrain
+ */
+function areaOf(cellKey, gridSize) {
+  const { row, col } = parseCellKey(cellKey);
+  const area = [];
+  for (const [r, c] of getAdjacentCells(row, col)) {
+    if (r >= 0 && r < gridSize && c >= 0 && c < gridSize) {
+      area.push(createCellKey(r, c));
+    }
+  }
+  return area;
+}
+
+/**
+ * Greedily select hints until every cell is covered, shuffled order deciding ties
+ */
+function selectCoveringHints(gridSize, maxHints, randomFn) {
+  const hints = new Set();
+  const uncovered = new Set(allCells(gridSize));
+  const candidates = shuffle(allCells(gridSize), randomFn);
+
+  while (uncovered.size > 0 && hints.size < maxHints) {
+    let best = null;
+    let bestGain = 0;
+
+    for (const candidate of candidates) {
+      if (hints.has(candidate)) continue;
+
+      let gain = 0;
+      for (const cell of areaOf(candidate, gridSize)) {
+        if (uncovered.has(cell)) gain++;
+      }
+
+      if (gain > bestGain) {
+        bestGain = gain;
+        best = candidate;
+      }
+    }
+
+    if (!best) break;
+
+    hints.add(best);
+    for (const cell of areaOf(best, gridSize)) uncovered.delete(cell);
+  }
+
+  return hints;
+}
+
+/**
+ * Whether a hint set leaves every cell of the grid constrained
+ */
+function coversGrid(hints, gridSize) {
+  const covered = new Set();
+  for (const cellKey of hints) {
+    for (const cell of areaOf(cellKey, gridSize)) covered.add(cell);
+  }
+  return covered.size === gridSize * gridSize;
+}
+
+/**
+ * Dense arm: cover the grid, fill the remaining budget at random, then swap
+ * hints for low-value anchors wherever coverage survives the swap
+ *
+ * @returns {Set<string>} Hint cells
+ */
+function generateHintCellsCoveringV1(gridSize, config, solutionTurnMap, randomFn) {
+  const { count, lowValueAnchors = 0, anchorMaxValue = DEFAULT_ANCHOR_MAX_VALUE } = config;
+
+  const hints = new Set(selectCoveringHints(gridSize, count, randomFn));
+
+  const pool = shuffle(allCells(gridSize).filter((cell) => !hints.has(cell)), randomFn);
+  for (const cell of pool) {
+    if (hints.size >= count) break;
+    hints.add(cell);
+  }
+
+  if (lowValueAnchors > 0) {
+    const isAnchor = (cell) => {
+      const { row, col } = parseCellKey(cell);
+      return countTurnsInArea(row, col, gridSize, solutionTurnMap) <= anchorMaxValue;
+    };
+
+    let anchorCount = 0;
+    for (const cell of hints) {
+      if (isAnchor(cell)) anchorCount++;
+    }
+
+    const candidates = pool.filter((cell) => !hints.has(cell) && isAnchor(cell));
+
+    while (anchorCount < lowValueAnchors && candidates.length > 0) {
+      const candidate = candidates.pop();
+      const removable = Array.from(hints).filter((cell) => !isAnchor(cell)).reverse();
+
+      let swapped = false;
+      for (const victim of removable) {
+        hints.delete(victim);
+        hints.add(candidate);
+        if (coversGrid(hints, gridSize)) {
+          swapped = true;
+          break;
+        }
+        hints.delete(candidate);
+        hints.add(victim);
+      }
+
+      if (swapped) anchorCount++;
+    }
+  }
+
+  return hints;
+}
@@ -0,0 +1,591 @@
+/**
+ * Human-style deduction for grading puzzles
+ *
+ * solver.js answers "how many answers are there"; it does not say how hard the
+ * one answer is to *find*. describePuzzle() reports coverage, redundancy and
+ * anchors, which correlate with difficulty but do not measure it - which is how
+ * Tricky can play harder than Diabolical. This module solves a puzzle the way a
+ * person would, one named deduction at a time, and records which techniques it
+ * needed and how many steps it took.
+ *
+ * **Model.** Every cell holds the set of pieces it could still be: empty, one
+ * of two straights, or one of four corners. A deduction removes pieces from
+ * some cells. The puzzle is solved when every cell is down to one piece.
+ *
+ * **Techniques**, easiest first. Each step applies the easiest technique that
+ * makes progress anywhere, so the record reflects what a player actually needs
+ * rather than whichever rule happened to be checked first:
+ *
+ *   | technique      | what it says                                         |
+ *   |----------------|------------------------------------------------------|
+ *   | corner         | a loop through a grid corner has to turn there        |
+ *   | border         | the loop never leaves the grid                        |
+ *   | zero-hint      | a 0 means nothing in its 3x3 area turns               |
+ *   | degree         | a loop cell has exactly two neighbours on the loop    |
+ *   | hint-complete  | a hint with all its turns found allows no more        |
+ *   | hint-needs-all | a hint with only just enough candidates uses them all |
+ *   | loop-closure   | closing a loop early would strand the rest of it      |
+ *   | contradiction  | trying a piece leads to a dead end (one level deep)   |
+ *
+ * If nothing applies the puzzle cannot be finished by these techniques - it
+ * has more than one answer, or needs deeper guessing - and grading says so.
+ *
+ * **Limits.** That is the usual outcome, not the exception. The techniques
+ * reason about one cell, one hint or one trial at a time; what a person does
+ * with a whole region of the board - parity, counting the loop's way in and
+ * out - is not here. So most 6x6 and nearly every 8x8 puzzle stalls part way,
+ * single answer or not, and a stalled puzzle's difficultyScore is mostly its
+ * undecided cells (UNDECIDED_CELL_WEIGHT). Between stalled puzzles the score
+ * ranks how far the techniques got, not how hard a player finds them. Only
+ * solved grades compare as difficulty; npm run audit:daily reports how many
+ * puzzles that leaves. Until that is most of them, game events carry only
+ * whether a puzzle graded as solved (puzzleProperties() in analytics.js).
+ *
+ * Like hintPlacement.js this imports only from utils.js, so it runs in Node
+ * without a DOM.
+ */
+
+import { createCellKey, parseCellKey, getAdjacentCells, getGridDimensions, isInGrid } from '../utils.js';
+
+/**
+ * Names of the deduction techniques, as recorded in steps
+ */
+export const TECHNIQUE = {
+  CORNER: 'corner',
+  BORDER: 'border',
+  ZERO_HINT: 'zero-hint',
+  DEGREE: 'degree',
+  HINT_COMPLETE: 'hint-complete',
+  HINT_NEEDS_ALL: 'hint-needs-all',
+  LOOP_CLOSURE: 'loop-closure',
+  CONTRADICTION: 'contradiction',
+};
+
+/**
+ * How much each technique adds to the difficulty score
+ *
+ * Roughly "how long a player stares before spotting it". Reading the grid's
+ * edges is free in practice; counting turns against a hint takes a moment;
+ * seeing that a loop must not close yet takes real insight; and a trial that
+ * has to be followed to a dead end is the hardest thing this engine asks for.
+ */
+const TECHNIQUE_WEIGHT = {
+  [TECHNIQUE.CORNER]: 0,
+  [TECHNIQUE.BORDER]: 0,
+  [TECHNIQUE.ZERO_HINT]: 1,
+  [TECHNIQUE.DEGREE]: 1,
+  [TECHNIQUE.HINT_COMPLETE]: 2,
+  [TECHNIQUE.HINT_NEEDS_ALL]: 2,
+  [TECHNIQUE.LOOP_CLOSURE]: 3,
+  [TECHNIQUE.CONTRADICTION]: 5,
+};
+
+/**
+ * Score charged per cell still undecided when the techniques run out
+ *
+ * Each such cell is, at best, a guess. Charged at the contradiction rate so an
+ * unfinishable puzzle always outscores one that is merely long.
+ */
+const UNDECIDED_CELL_WEIGHT = TECHNIQUE_WEIGHT[TECHNIQUE.CONTRADICTION];
+
+/**
+ * Trial pieces a whole deduction may try before contradiction gives up
+ *
+ * Grading runs as a puzzle starts, so it has to be cheap. Most trials lead
+ * nowhere, and on a puzzle with many answers they can go on for a long time;
+ * this caps an 8x8 at around 100ms. Running out is not an error - the cells
+ * still open are charged as guesses, which is what they would be to a player.
+ * Nor is it usually why a grade stalls: at over ten times the budget most
+ * stalled puzzles stay stalled, as no technique here applies (see Limits above).
+ */
+const TRIAL_BUDGET = 1500;
+
+// Edge directions, as bits
+const N = 1;
+const E = 2;
+const S = 4;
+const W = 8;
+const DIRECTIONS = [N, E, S, W];
+const OPPOSITE = { [N]: S, [E]: W, [S]: N, [W]: E };
+const OFFSET = { [N]: [-1, 0], [E]: [0, 1], [S]: [1, 0], [W]: [0, -1] };
+
+/**
+ * Every piece a cell can hold, as the set of edges it uses
+ *
+ * Index i is bit (1 << i) in a cell's domain.
+ */
+const PIECES = [0, E | W, N | S, N | E, E | S, S | W, W | N];
+const FULL = (1 << PIECES.length) - 1;
+const EMPTY = 1;
+const TURNS = 0b1111000;
+
+/**
+ * Domain bits of the pieces that use a given edge, by direction
+ */
+const USING = Object.fromEntries(
+  DIRECTIONS.map((dir) => [dir, PIECES.reduce((mask, edges, i) => (edges & dir ? mask | (1 << i) : mask), 0)])
+);
+
+/**
+ * Build a fresh board: every cell may be anything
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count
+ * @returns {Object} Board
+ */
+function createBoard(gridSize, hintValues) {
+  const { width, height } = getGridDimensions(gridSize);
+  const neighbours = [];
+  const domains = [];
+  for (let cell = 0; cell < width * height; cell++) {
+    const row = Math.floor(cell / width);
+    const col = cell % width;
+    const playable = isInGrid(row, col, gridSize);
+    const byDir = {};
+    for (const dir of DIRECTIONS) {
+      const r = row + OFFSET[dir][0];
+      const c = col + OFFSET[dir][1];
+      byDir[dir] = playable && isInGrid(r, c, gridSize) ? r * width + c : -1;
+    }
+    neighbours.push(byDir);
+    // A void cell is settled before any deduction starts: it is simply not there
+    domains.push(playable ? FULL : EMPTY);
+  }
+
+  const hints = [];
+  for (const [cellKey, value] of hintValues) {
+    const { row, col } = parseCellKey(cellKey);
+    const area = [];
+    for (const [r, c] of getAdjacentCells(row, col)) {
+      if (isInGrid(r, c, gridSize)) area.push(r * width + c);
+    }
+    hints.push({ key: cellKey, value, area });
+  }
+
+  return {
+    width,
+    domains,
+    neighbours,
+    hints,
+    trialsLeft: TRIAL_BUDGET,
+  };
+}
+
+function indexOf(board, cellKey) {
+  const { row, col } = parseCellKey(cellKey);
+  return row * board.width + col;
+}
+
+function cellKeyOf(board, cell) {
+  return createCellKey(Math.floor(cell / board.width), cell % board.width);
+}
+
+/**
+ * Narrow a cell's domain to the pieces in `keep`
+ * @returns {boolean} True if anything was removed
+ */
+function restrict(board, cell, keep) {
+  const next = board.domains[cell] & keep;
+  if (next === board.domains[cell]) return false;
+  board.domains[cell] = next;
+  return true;
+}
+
+function isTurn(domain) {
+  return domain !== 0 && (domain & ~TURNS) === 0;
+}
+
+function isOnLoop(domain) {
+  return (domain & EMPTY) === 0;
+}
+
+/**
+ * Turns a hint has found, and turns it could still find
+ */
+function tallyHint(board, hint) {
+  let found = 0;
+  let possible = 0;
+  for (const cell of hint.area) {
+    const domain = board.domains[cell];
+    if (isTurn(domain)) found++;
+    if (domain & TURNS) possible++;
+  }
+  return { found, possible };
+}
+
+/**
+ * Whether an edge is certainly part of the loop
+ */
+function isDefiniteEdge(board, cell, dir) {
+  const other = board.neighbours[cell][dir];
+  if (other < 0) return false;
+  return (board.domains[cell] & ~USING[dir]) === 0 || (board.domains[other] & ~USING[OPPOSITE[dir]]) === 0;
+}
+
+/**
+ * Group cells joined by certain edges into path fragments
+ *
+ * @returns {{root: function(number): number, cycles: Set<number>, onLoop: Int32Array, totalOnLoop: number}}
+ *   Fragment lookup, the roots of fragments that already close into a loop,
+ *   and how many cells known to be on the loop each root's fragment holds
+ */
+function findFragments(board) {
+  const total = board.domains.length;
+  const parent = new Int32Array(total);
+  for (let cell = 0; cell < total; cell++) parent[cell] = cell;
+  const root = (cell) => {
+    while (parent[cell] !== cell) {
+      parent[cell] = parent[parent[cell]];
+      cell = parent[cell];
+    }
+    return cell;
+  };
+
+  const closing = [];
+  for (let cell = 0; cell < total; cell++) {
+    for (const dir of [E, S]) {
+      if (!isDefiniteEdge(board, cell, dir)) continue;
+      const a = root(cell);
+      const b = root(board.neighbours[cell][dir]);
+      if (a === b) closing.push(a);
+      else parent[b] = a;
+    }
+  }
+
+  const onLoop = new Int32Array(total);
+  let totalOnLoop = 0;
+  for (let cell = 0; cell < total; cell++) {
+    if (!isOnLoop(board.domains[cell])) continue;
+    onLoop[root(cell)]++;
+    totalOnLoop++;
+  }
+
+  // Roots may have moved since a cycle was recorded
+  return { root, cycles: new Set(closing.map(root)), onLoop, totalOnLoop };
+}
+
+/* ============================================================================
+ * TECHNIQUES
+ *
+ * Each takes the board and a `sweep` flag. Without it the technique applies at
+ * the first place it makes progress and returns that step; with it, it applies
+ * everywhere it can (used inside trials, where only the outcome matters).
+ * Returns the cells it changed, or null when it found nothing.
+ * ========================================================================= */
+
+function applyCorner(board) {
+  const changed = [];
+  for (let cell = 0; cell < board.domains.length; cell++) {
+    const open = DIRECTIONS.filter((dir) => board.neighbours[cell][dir] >= 0);
+    if (open.length !== 2) continue;
+    const turn = 1 << PIECES.indexOf(open[0] | open[1]);
+    if (restrict(board, cell, EMPTY | turn)) changed.push(cell);
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+function applyBorder(board) {
+  const changed = [];
+  for (let cell = 0; cell < board.domains.length; cell++) {
+    let keep = FULL;
+    for (const dir of DIRECTIONS) {
+      if (board.neighbours[cell][dir] < 0) keep &= ~USING[dir];
+    }
+    if (restrict(board, cell, keep)) changed.push(cell);
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+function applyZeroHint(board, sweep) {
+  const changed = [];
+  for (const hint of board.hints) {
+    if (hint.value !== 0) continue;
+    const before = changed.length;
+    for (const cell of hint.area) {
+      if (restrict(board, cell, ~TURNS)) changed.push(cell);
+    }
+    if (!sweep && changed.length > before) return { cells: changed, hint: hint.key };
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+function applyDegree(board, sweep) {
+  const changed = [];
+  for (let cell = 0; cell < board.domains.length; cell++) {
+    let keep = FULL;
+    for (const dir of DIRECTIONS) {
+      const other = board.neighbours[cell][dir];
+      if (other < 0) continue;
+      const theirs = board.domains[other];
+      const back = USING[OPPOSITE[dir]];
+      // Neighbour can't come this way: neither can we go that way
+      if ((theirs & back) === 0) keep &= ~USING[dir];
+      // Neighbour must come this way: so must we
+      else if ((theirs & ~back) === 0) keep &= USING[dir];
+    }
+    if (restrict(board, cell, keep)) {
+      changed.push(cell);
+      if (!sweep) return { cells: changed };
+    }
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+function applyHintComplete(board, sweep) {
+  const changed = [];
+  for (const hint of board.hints) {
+    if (hint.value === 0) continue;
+    const { found, possible } = tallyHint(board, hint);
+    if (found !== hint.value || possible === found) continue;
+    for (const cell of hint.area) {
+      if (!isTurn(board.domains[cell]) && restrict(board, cell, ~TURNS)) changed.push(cell);
+    }
+    if (!sweep) return { cells: changed, hint: hint.key };
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+function applyHintNeedsAll(board, sweep) {
+  const changed = [];
+  for (const hint of board.hints) {
+    const { found, possible } = tallyHint(board, hint);
+    if (possible !== hint.value || possible === found) continue;
+    for (const cell of hint.area) {
+      if (board.domains[cell] & TURNS && restrict(board, cell, TURNS)) changed.push(cell);
+    }
+    if (!sweep) return { cells: changed, hint: hint.key };
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+function applyLoopClosure(board, sweep) {
+  const changed = [];
+  const { root, cycles, onLoop, totalOnLoop } = findFragments(board);
+
+  // A closed loop is the whole answer: everything else is empty
+  for (const cycle of cycles) {
+    for (let cell = 0; cell < board.domains.length; cell++) {
+      if (root(cell) !== cycle && restrict(board, cell, EMPTY)) changed.push(cell);
+    }
+    if (changed.length > 0) return { cells: changed };
+  }
+
+  // Joining a fragment's two ends closes it, which is only allowed if nothing
+  // known to be on the loop lies outside it
+  for (let cell = 0; cell < board.domains.length; cell++) {
+    for (const dir of [E, S]) {
+      const other = board.neighbours[cell][dir];
+      if (other < 0 || isDefiniteEdge(board, cell, dir)) continue;
+      if ((board.domains[cell] & USING[dir]) === 0) continue;
+      const fragment = root(cell);
+      if (root(other) !== fragment || onLoop[fragment] === totalOnLoop) continue;
+
+      const before = changed.length;
+      if (restrict(board, cell, ~USING[dir])) changed.push(cell);
+      if (restrict(board, other, ~USING[OPPOSITE[dir]])) changed.push(other);
+      if (!sweep && changed.length > before) return { cells: changed };
+    }
+  }
+  return changed.length > 0 ? { cells: changed } : null;
+}
+
+/**
+ * Techniques a trial may lean on
+ *
+ * Everything except trials themselves, and except the grid-edge rules: those
+ * never find anything new after their first step, and trials only ever start
+ * once every cheaper technique is exhausted.
+ */
+const PROPAGATORS = [
+  applyZeroHint,
+  applyDegree,
+  applyHintComplete,
+  applyHintNeedsAll,
+  applyLoopClosure,
+];
+
+/**
+ * Whether the board can no longer be completed
+ */
+function isBroken(board) {
+  if (board.domains.some((domain) => domain === 0)) return true;
+
+  for (const hint of board.hints) {
+    const { found, possible } = tallyHint(board, hint);
+    if (found > hint.value || possible < hint.value) return true;
+  }
+
+  const { cycles, onLoop, totalOnLoop } = findFragments(board);
+  if (cycles.size > 1) return true;
+  for (const cycle of cycles) {
+    if (onLoop[cycle] !== totalOnLoop) return true;
+  }
+
+  // Fully decided but no loop drawn at all
+  if (board.domains.every((domain) => domain === EMPTY)) return true;
+
+  return false;
+}
+
+/**
+ * Run every propagator to a fixed point
+ * @returns {boolean} False if the board broke along the way
+ */
+function propagate(board) {
+  let progress = true;
+  while (progress) {
+    if (isBroken(board)) return false;
+    progress = false;
+    for (const technique of PROPAGATORS) {
+      if (technique(board, true)) progress = true;
+    }
+  }
+  return !isBroken(board);
+}
+
+function applyContradiction(board) {
+  // Cells with the fewest options first - the trials a person would try
+  const candidates = [];
+  for (let cell = 0; cell < board.domains.length; cell++) {
+    const options = countBits(board.domains[cell]);
+    if (options > 1) candidates.push({ cell, options });
+  }
+  candidates.sort((a, b) => a.options - b.options || a.cell - b.cell);
+
+  for (const { cell } of candidates) {
+    for (let piece = 0; piece < PIECES.length; piece++) {
+      const bit = 1 << piece;
+      if ((board.domains[cell] & bit) === 0) continue;
+
+      if (board.trialsLeft <= 0) return null;
+      board.trialsLeft--;
+
+      const trial = { ...board, domains: board.domains.slice() };
+      trial.domains[cell] = bit;
+      if (!propagate(trial)) {
+        restrict(board, cell, ~bit);
+        return { cells: [cell] };
+      }
+    }
+  }
+  return null;
+}
+
+function countBits(mask) {
+  let count = 0;
+  for (; mask; mask &= mask - 1) count++;
+  return count;
+}
+
+/**
+ * Every technique in the order steps try them
+ */
+const TECHNIQUES = [
+  [TECHNIQUE.CORNER, applyCorner],
+  [TECHNIQUE.BORDER, applyBorder],
+  [TECHNIQUE.ZERO_HINT, applyZeroHint],
+  [TECHNIQUE.DEGREE, applyDegree],
+  [TECHNIQUE.HINT_COMPLETE, applyHintComplete],
+  [TECHNIQUE.HINT_NEEDS_ALL, applyHintNeedsAll],
+  [TECHNIQUE.LOOP_CLOSURE, applyLoopClosure],
+  [TECHNIQUE.CONTRADICTION, applyContradiction],
+];
+
+/**
+ * Start a step-by-step deduction
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count,
+ *   e.g. from readHintValues() in solver.js
+ * @returns {Object} Deduction: step(), isSolved(), undecidedCells(), and
+ *   cellState() / edgeState() for reading what has been deduced so far
+ */
+export function createDeduction(gridSize, hintValues) {
+  const board = createBoard(gridSize, hintValues);
+
+  return {
+    /**
+     * Apply the easiest deduction available
+     * @returns {Object|null} The step taken, or null when stuck or solved
+     */
+    step() {
+      if (isBroken(board)) return null;
+      for (const [technique, apply] of TECHNIQUES) {
+        const result = apply(board, false);
+        if (!result) continue;
+        return {
+          technique,
+          cells: result.cells.map((cell) => cellKeyOf(board, cell)),
+          hint: result.hint,
+        };
+      }
+      return null;
+    },
+
+    isSolved() {
+      return !isBroken(board) && board.domains.every((domain) => countBits(domain) === 1);
+    },
+
+    undecidedCells() {
+      return board.domains.filter((domain) => countBits(domain) > 1).length;
+    },
+
+    /**
+     * What has been deduced about a cell so far
+     * @param {string} cellKey - Cell
+     * @returns {'loop'|'empty'|'unknown'} Whether the loop must or cannot pass
+     */
+    cellState(cellKey) {
+      const domain = board.domains[indexOf(board, cellKey)];
+      if (domain === EMPTY) return 'empty';
+      return isOnLoop(domain) ? 'loop' : 'unknown';
+    },
+
+    /**
+     * What has been deduced about the edge between two adjacent cells so far
+     * @param {string} fromKey - Cell
+     * @param {string} toKey - Orthogonal neighbour
+     * @returns {'on'|'off'|'unknown'} Whether the loop must or cannot use it
+     */
+    edgeState(fromKey, toKey) {
+      const from = indexOf(board, fromKey);
+      const to = indexOf(board, toKey);
+      const dir = DIRECTIONS.find((d) => board.neighbours[from][d] === to);
+      if (dir === undefined) return 'off';
+      if (isDefiniteEdge(board, from, dir)) return 'on';
+      if ((board.domains[from] & USING[dir]) === 0 || (board.domains[to] & USING[OPPOSITE[dir]]) === 0) return 'off';
+      return 'unknown';
+    },
+  };
+}
+
+/**
+ * Grade a puzzle by the deductions needed to solve it
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count
+ * @returns {{solved: boolean, steps: number, techniques: Object<string, number>, hardestTechnique: (string|null), difficultyScore: number}}
+ *   `techniques` counts steps per technique; `difficultyScore` sums technique
+ *   weights, plus a guess's worth for every cell left undecided
+ */
+export function gradePuzzle(gridSize, hintValues) {
+  const deduction = createDeduction(gridSize, hintValues);
+  const techniques = {};
+  let steps = 0;
+  let score = 0;
+  let hardestTechnique = null;
+
+  for (let step = deduction.step(); step; step = deduction.step()) {
+    steps++;
+    techniques[step.technique] = (techniques[step.technique] || 0) + 1;
+    score += TECHNIQUE_WEIGHT[step.technique];
+    if (hardestTechnique === null || TECHNIQUE_WEIGHT[step.technique] > TECHNIQUE_WEIGHT[hardestTechnique]) {
+      hardestTechnique = step.technique;
+    }
+  }
+
+  const solved = deduction.isSolved();
+  if (!solved) score += deduction.undecidedCells() * UNDECIDED_CELL_WEIGHT;
+
+  return { solved, steps, techniques, hardestTechnique, difficultyScore: score };
+}
@@ -39,7 +39,7 @@
  * outside a browser without pulling in the CSS-backed colour tokens.
  */
 
-import { createCellKey, parseCellKey, countTurnsInArea, getAdjacentCells } from '../utils.js';
+import { createCellKey, parseCellKey, countTurnsInArea, getAdjacentCells, getGridDimensions, isInGrid, countPlayableCells } from '../utils.js';
 
 /**
  * Default turn count at or below which a hint counts as an "anchor"
@@ -65,16 +65,17 @@ import { createCellKey, parseCellKey, countTurnsInArea, getAdjacentCells } from
 const DEFAULT_ANCHOR_MAX_VALUE = 1;
 
 /**
- * List every cell in the grid, in reading order
+ * List every cell in the grid, in reading order, skipping void cells
  *
- * @param {number} gridSize - Grid size (e.g. 6 for 6x6)
+ * @param {GridSize} gridSize - Grid size (e.g. 6 for 6x6)
  * @returns {Array<string>} Cell keys
  */
 function allCells(gridSize) {
+  const { width, height } = getGridDimensions(gridSize);
   const cells = [];
-  for (let row = 0; row < gridSize; row++) {
-    for (let col = 0; col < gridSize; col++) {
-      cells.push(createCellKey(row, col));
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (isInGrid(row, col, gridSize)) cells.push(createCellKey(row, col));
     }
   }
   return cells;
@@ -84,14 +85,14 @@ function allCells(gridSize) {
  * Cells inside the 3x3 area a hint at this cell would constrain
  *
  * @param {string} cellKey - Hint cell
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @returns {Array<string>} Cell keys within the grid, including the hint itself
  */
 function areaOf(cellKey, gridSize) {
   const { row, col } = parseCellKey(cellKey);
   const area = [];
   for (const [r, c] of getAdjacentCells(row, col)) {
-    if (r >= 0 && r < gridSize && c >= 0 && c < gridSize) {
+    if (isInGrid(r, c, gridSize)) {
       area.push(createCellKey(r, c));
     }
   }
@@ -128,7 +129,7 @@ function shuffle(items, randomFn) {
  * Stops early if it runs out of budget, which only happens when `maxHints` is
  * below the number needed to cover the grid.
  *
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @param {number} maxHints - Hard cap on hints placed here
  * @param {function(): number} randomFn - Seeded random source
  * @returns {Set<string>} Covering hint cells
@@ -172,7 +173,7 @@ function selectCoveringHints(gridSize, maxHints, randomFn) {
  * Turn count a hint at this cell would display on a finished solution
  *
  * @param {string} cellKey - Hint cell
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
  * @returns {number} Expected turn count for the hint's area
  */
@@ -185,7 +186,7 @@ function hintValue(cellKey, gridSize, solutionTurnMap) {
  * Whether a hint set leaves every cell of the grid constrained
  *
  * @param {Iterable<string>} hints - Hint cells
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @returns {boolean} True when coverage is complete
  */
 function coversGrid(hints, gridSize) {
@@ -193,7 +194,7 @@ function coversGrid(hints, gridSize) {
   for (const cellKey of hints) {
     for (const cell of areaOf(cellKey, gridSize)) covered.add(cell);
   }
-  return covered.size === gridSize * gridSize;
+  return covered.size === countPlayableCells(gridSize);
 }
 
 /**
@@ -204,7 +205,7 @@ function coversGrid(hints, gridSize) {
  * against, produces a slightly weaker puzzle rather than an error. Coverage is
  * never traded away for an anchor - every swap is checked first.
  *
- * @param {number} gridSize - Grid size (e.g. 6 for 6x6)
+ * @param {GridSize} gridSize - Grid size (e.g. 6 for 6x6)
  * @param {{ count: number, lowValueAnchors?: number, anchorMaxValue?: number }} config - Difficulty config
  * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
  * @param {function(): number} [randomFn] - Seeded random for daily puzzles
@@ -270,11 +271,11 @@ export function generateHintCellsCovering(gridSize, config, solutionTurnMap, ran
  * experiment arm a player landed in. Useful well beyond the experiment: it is
  * the only way to tell an unlucky day's puzzle from a bad difficulty setting.
  *
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @param {Set<string>} hintCells - Placed hints
  * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
  * @param {number} [anchorMaxValue] - Threshold this difficulty counts as an anchor
- * @returns {{hintCount: number, expectedTurnsTotal: number, coveragePercent: number, redundancy: number, solutionTurns: number, anchorHints: number}}
+ * @returns {{hintCount: number, expectedTurnsTotal: number, coveragePercent: number, redundancy: number, solutionTurns: number, anchorHints: number, loopFillPercent: number}}
  */
 export function describePuzzle(gridSize, hintCells, solutionTurnMap, anchorMaxValue = DEFAULT_ANCHOR_MAX_VALUE) {
   const coverCount = new Map();
@@ -291,7 +292,7 @@ export function describePuzzle(gridSize, hintCells, solutionTurnMap, anchorMaxVa
     }
   }
 
-  const totalCells = gridSize * gridSize;
+  const totalCells = countPlayableCells(gridSize);
   const covered = coverCount.size;
   let overlapSum = 0;
   for (const n of coverCount.values()) overlapSum += n;
@@ -305,5 +306,7 @@ export function describePuzzle(gridSize, hintCells, solutionTurnMap, anchorMaxVa
     // overlap at all, so no cross-checking and no deduction is possible.
     redundancy: covered > 0 ? Math.round((overlapSum / covered) * 100) / 100 : 0,
     solutionTurns: Array.from(solutionTurnMap.values()).filter(Boolean).length,
+    // Share of the board the answer visits: 100 for a Hamiltonian cycle
+    loopFillPercent: Math.round((solutionTurnMap.size / totalCells) * 100),
   };
 }
@@ -0,0 +1,195 @@
+/**
+ * Solution loops that visit only part of the grid
+ *
+ * A player wins with any single closed loop that satisfies every hint (see
+ * checkPartialStructuralWin and validateHints) - the rules never ask for every
+ * cell. The main generator still only builds Hamiltonian cycles, so every
+ * puzzle is a space-filling snake and an odd-sized grid, which has no such
+ * cycle, cannot be played at all. This builds loops with a chosen share of the
+ * board left empty.
+ *
+ * **How.** Think of the loop as the outline of a region. The region is made of
+ * "faces": the squares between four cell centres, so an N x M grid of cells
+ * has (N-1) x (M-1) faces. The outline of any hole-free region of faces whose
+ * faces never meet at a single corner only is a simple closed loop through
+ * cell centres - exactly a valid solution.
+ *
+ * The region starts as one random face (a 2x2 loop) and grows one face at a
+ * time. A face may join only when:
+ *   - it touches the region along at least one side, and the region faces
+ *     around it form one unbroken run - two runs would enclose a hole
+ *   - no region face touches it only at a corner - that corner would be
+ *     visited twice
+ * Each growth step picks at random among the faces that lengthen the outline,
+ * and growth stops once the outline reaches the target number of cells, or
+ * nothing can lengthen it any more. The result lands within two cells of the
+ * target when the target is reachable at all - a fill of 1 generally is not,
+ * which is what generateSolutionPath's Hamiltonian search is for.
+ *
+ * Faces only exist where all four corners are playable, so voids and grid
+ * edges are respected without special cases. Like the rest of generation/
+ * this takes its randomness as an argument and runs in Node.
+ */
+
+import { createCellKey, parseCellKey, getGridDimensions, isInGrid, countPlayableCells } from '../utils.js';
+
+/**
+ * The eight faces around a face, in ring order starting north
+ * Even indices share a side with the centre face, odd ones only a corner.
+ */
+const RING = [[-1, 0], [-1, 1], [0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1]];
+
+/**
+ * Corner cells of the face whose top-left cell is (row, col)
+ */
+function cornersOf(row, col) {
+  return [
+    createCellKey(row, col),
+    createCellKey(row, col + 1),
+    createCellKey(row + 1, col + 1),
+    createCellKey(row + 1, col),
+  ];
+}
+
+/**
+ * Whether a face can join the region without breaking its outline
+ *
+ * @param {Set<string>} region - Face keys (by top-left cell)
+ * @param {number} row - Face row
+ * @param {number} col - Face column
+ * @returns {boolean} True if the outline stays one simple loop
+ */
+function canAdd(region, row, col) {
+  const inRegion = RING.map(([dr, dc]) => region.has(createCellKey(row + dr, col + dc)));
+
+  let touchesSide = false;
+  let runs = 0;
+  for (let i = 0; i < RING.length; i++) {
+    if (!inRegion[i]) continue;
+    if (i % 2 === 0) {
+      touchesSide = true;
+    } else if (!inRegion[i - 1] && !inRegion[(i + 1) % RING.length]) {
+      return false; // Meets only at a corner
+    }
+    if (!inRegion[(i + RING.length - 1) % RING.length]) runs++;
+  }
+
+  return touchesSide && runs === 1;
+}
+
+/**
+ * Count the region's faces around a cell
+ */
+function facesAround(region, cellKey) {
+  const { row, col } = parseCellKey(cellKey);
+  let count = 0;
+  for (const [dr, dc] of [[-1, -1], [-1, 0], [0, -1], [0, 0]]) {
+    if (region.has(createCellKey(row + dr, col + dc))) count++;
+  }
+  return count;
+}
+
+/**
+ * Change in outline length if a face joins the region
+ *
+ * A corner cell joins the outline if no region face touched it before, and
+ * leaves it if the new face is the last of its four.
+ */
+function outlineGain(region, row, col) {
+  let gain = 0;
+  for (const cellKey of cornersOf(row, col)) {
+    const before = facesAround(region, cellKey);
+    if (before === 0) gain++;
+    if (before === 3) gain--;
+  }
+  return gain;
+}
+
+/**
+ * Walk the region's outline into a path
+ *
+ * @param {Set<string>} region - Face keys
+ * @returns {Array<{row: number, col: number}>} Loop in order
+ */
+function traceOutline(region) {
+  // Every side of a region face with no region face across it is on the outline
+  const links = new Map();
+  const link = (a, b) => {
+    if (!links.has(a)) links.set(a, []);
+    if (!links.has(b)) links.set(b, []);
+    links.get(a).push(b);
+    links.get(b).push(a);
+  };
+
+  for (const faceKey of region) {
+    const { row, col } = parseCellKey(faceKey);
+    const [topLeft, topRight, bottomRight, bottomLeft] = cornersOf(row, col);
+    if (!region.has(createCellKey(row - 1, col))) link(topLeft, topRight);
+    if (!region.has(createCellKey(row, col + 1))) link(topRight, bottomRight);
+    if (!region.has(createCellKey(row + 1, col))) link(bottomRight, bottomLeft);
+    if (!region.has(createCellKey(row, col - 1))) link(bottomLeft, topLeft);
+  }
+
+  const start = links.keys().next().value;
+  const path = [parseCellKey(start)];
+  let previous = start;
+  let current = links.get(start)[0];
+  while (current !== start) {
+    path.push(parseCellKey(current));
+    const [a, b] = links.get(current);
+    const next = a === previous ? b : a;
+    previous = current;
+    current = next;
+  }
+  return path;
+}
+
+/**
+ * Generate a loop visiting roughly a given share of the board
+ *
+ * @param {GridSize} gridSize - Grid size (at least 2x2 playable somewhere)
+ * @param {number} fillRatio - Share of playable cells the loop should visit (0-1)
+ * @param {function(): number} [randomFn] - Seeded random for daily puzzles
+ * @returns {Array<{row: number, col: number}>} Loop path, shaped like generateSolutionPath()'s
+ */
+export function generatePartialLoop(gridSize, fillRatio, randomFn = Math.random) {
+  const { width, height } = getGridDimensions(gridSize);
+  const target = Math.max(4, Math.round(countPlayableCells(gridSize) * fillRatio));
+
+  // Faces whose four corners are all on the board
+  const faces = [];
+  for (let row = 0; row < height - 1; row++) {
+    for (let col = 0; col < width - 1; col++) {
+      if (cornersOf(row, col).every((cellKey) => {
+        const cell = parseCellKey(cellKey);
+        return isInGrid(cell.row, cell.col, gridSize);
+      })) {
+        faces.push({ row, col, key: createCellKey(row, col) });
+      }
+    }
+  }
+
+  if (faces.length === 0) {
+    console.error('No room for a loop on this board');
+    return [];
+  }
+
+  const first = faces[Math.floor(randomFn() * faces.length)];
+  const region = new Set([first.key]);
+  let outline = 4;
+
+  while (outline < target) {
+    const growing = faces.filter((face) =>
+      !region.has(face.key) &&
+      outlineGain(region, face.row, face.col) > 0 &&
+      canAdd(region, face.row, face.col)
+    );
+    if (growing.length === 0) break;
+
+    const next = growing[Math.floor(randomFn() * growing.length)];
+    outline += outlineGain(region, next.row, next.col);
+    region.add(next.key);
+  }
+
+  return traceOutline(region);
+}
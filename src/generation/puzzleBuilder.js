@@ -0,0 +1,204 @@
+/**
+ * Puzzle assembly - solution loop, hints and measurements in one call
+ *
+ * Shared by the generation worker (puzzleWorker.js) and by the main thread
+ * when no worker is available, so both produce exactly the same puzzle from
+ * the same seed. Everything here must load without a DOM, which is why the
+ * arm names are read from CONFIG rather than through experiment.js (that
+ * module touches localStorage and analytics).
+ */
+
+import { generateSolutionPath, isFallbackCycle } from '../generator.js';
+import { buildSolutionTurnMap } from '../utils.js';
+import { CONFIG } from '../config.js';
+import { createSeededRandom, getRetrySeed } from '../seededRandom.js';
+import { generateHintCellsWithMinDistance } from '../renderer.js';
+import { generateHintCellsCovering, describePuzzle } from './hintPlacement.js';
+import { generateHintCellsUnique } from './uniquePlacement.js';
+import { readHintValues } from './solver.js';
+import { gradePuzzle } from './deduction.js';
+import { buildPuzzleV1 } from './dailyV1.js';
+
+const { CONTROL, VARIANT, UNIQUE } = CONFIG.EXPERIMENT.HINT_GENERATION;
+
+/**
+ * Build a puzzle with whichever hint placement this player's arm calls for
+ *
+ * Every arm consumes the random source in the same order - solution first,
+ * hints second - so on any given day the arms share an identical solution loop
+ * and differ only in where the hints sit on it. That keeps the comparison to
+ * the one thing being tested.
+ *
+ * @param {GridSize} size - Grid size
+ * @param {string} difficulty - Difficulty key for hint configuration
+ * @param {function(): number} randomFn - Seeded random (daily) or Math.random
+ * @param {string} variant - Experiment arm
+ * @returns {{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, shape: Object}} Puzzle
+ */
+export function buildPuzzle(size, difficulty, randomFn, variant) {
+  const solution = generateSolutionPath(size, randomFn, CONFIG.DIFFICULTY.LOOP_FILL[difficulty]);
+
+  // The dense and unique placements need to know what each candidate hint
+  // would read, so the turn map has to exist before hints are chosen rather
+  // than after
+  const turnMap = buildSolutionTurnMap(solution);
+
+  let hints;
+  let anchorMaxValue;
+
+  if (variant === UNIQUE) {
+    const hintConfig = CONFIG.DIFFICULTY.HINT_CONFIG_UNIQUE[difficulty];
+    hints = generateHintCellsUnique(size, hintConfig, turnMap, randomFn);
+    anchorMaxValue = hintConfig.anchorMaxValue;
+  } else if (variant === VARIANT) {
+    const hintConfig = CONFIG.DIFFICULTY.HINT_CONFIG_DENSE[difficulty];
+    hints = generateHintCellsCovering(size, hintConfig, turnMap, randomFn);
+    anchorMaxValue = hintConfig.anchorMaxValue;
+  } else {
+    const hintConfig = CONFIG.DIFFICULTY.HINT_CONFIG[difficulty];
+    hints = generateHintCellsWithMinDistance(size, hintConfig.count, hintConfig.minDistance, randomFn);
+  }
+
+  return { solution, turnMap, hints, shape: measurePuzzle(size, hints, turnMap, anchorMaxValue) };
+}
+
+/**
+ * List the quality gate checks a daily puzzle fails
+ *
+ * @param {{solution: Array, shape: Object}} puzzle - From buildPuzzle()
+ * @param {{minCoveragePercent: number, minRedundancy: number}} gate - CONFIG.DIFFICULTY.QUALITY_GATE entry
+ * @returns {Array<string>} Failed checks, empty when the puzzle passes
+ */
+export function checkPuzzleQuality(puzzle, gate) {
+  const failures = [];
+  if (isFallbackCycle(puzzle.solution)) failures.push('fallback');
+  if (puzzle.shape.coveragePercent < gate.minCoveragePercent) failures.push('coverage');
+  if (puzzle.shape.redundancy < gate.minRedundancy) failures.push('redundancy');
+  return failures;
+}
+
+/**
+ * Build a version-1 daily puzzle (see dailyV1.js)
+ *
+ * Only the measurement is current: it says how the frozen puzzle plays, and
+ * does not feed back into it.
+ *
+ * @param {number} size - Grid size
+ * @param {string} difficulty - Difficulty key
+ * @param {number} seed - Seed from getDailySeed()
+ * @param {string} variant - Experiment arm
+ * @returns {{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, shape: Object}} Puzzle
+ */
+function buildDailyPuzzleV1(size, difficulty, seed, variant) {
+  const { solution, turnMap, hints, anchorMaxValue } = buildPuzzleV1(size, difficulty, seed, variant);
+  const shape = measurePuzzle(size, hints, turnMap, anchorMaxValue);
+  shape.reseeds = 0;
+  return { solution, turnMap, hints, shape };
+}
+
+/**
+ * Build a daily puzzle, reseeding past weak ones (generator version 2)
+ *
+ * Tries the day's seed, then each retry seed from getRetrySeed() in turn,
+ * until a puzzle passes CONFIG.DIFFICULTY.QUALITY_GATE. If none do, the
+ * attempt failing the fewest checks wins, the earliest on a tie. Nothing here
+ * depends on anything but the seed, so every player gets the same result.
+ *
+ * The control arm is built from the day's seed alone - see QUALITY_GATE. A
+ * reseeded arm no longer shares that day's solution loop with the others
+ * (see buildPuzzle()), which is why the retry count travels with the shape.
+ *
+ * @param {GridSize} size - Grid size
+ * @param {string} difficulty - Difficulty key
+ * @param {number} seed - Seed from getDailySeed()
+ * @param {string} variant - Experiment arm
+ * @returns {{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, shape: Object}} Puzzle, with
+ *   the number of retries it took under `shape.reseeds`
+ */
+export function buildDailyPuzzle(size, difficulty, seed, variant) {
+  const gate = CONFIG.DIFFICULTY.QUALITY_GATE[difficulty];
+  const maxReseeds = variant === CONTROL || !gate ? 0 : gate.maxReseeds;
+
+  let best = null;
+  let bestFailures = Infinity;
+
+  for (let attempt = 0; attempt <= maxReseeds; attempt++) {
+    const attemptSeed = attempt === 0 ? seed : getRetrySeed(seed, attempt);
+    const puzzle = buildPuzzle(size, difficulty, createSeededRandom(attemptSeed), variant);
+    puzzle.shape.reseeds = attempt;
+
+    if (maxReseeds === 0) return puzzle;
+
+    const failures = checkPuzzleQuality(puzzle, gate).length;
+    if (failures === 0) return puzzle;
+    if (failures < bestFailures) {
+      best = puzzle;
+      bestFailures = failures;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Daily puzzle builders by generator version (CONFIG.DAILY.GENERATOR_VERSIONS)
+ *
+ * A daily save holds no puzzle data, so whatever a date generated once it must
+ * generate forever. Any change that alters the puzzle for a given seed -
+ * generator.js, hint placement, the hint or gate config, the order randomness
+ * is drawn in - ships as a new version: freeze the current code path under
+ * its number (with copies of the config it reads), point a new number at the
+ * new code, and give it a start date in the future. Unlimited puzzles are
+ * saved in full and always use the newest code. Version 1 is the game as it
+ * first shipped, frozen in dailyV1.js.
+ */
+const DAILY_GENERATORS = {
+  1: buildDailyPuzzleV1,
+  2: buildDailyPuzzle,
+};
+
+/**
+ * Measure a puzzle's shape and how hard it is to reason through
+ *
+ * describePuzzle() says where the hints sit; gradePuzzle() says which
+ * deductions a player needs to get from them to the answer. Together they are
+ * what analytics uses to tell a hard day from an unlucky one.
+ *
+ * @param {GridSize} size - Grid size
+ * @param {Set<string>} hints - Placed hints
+ * @param {Map<string, boolean>} turnMap - From buildSolutionTurnMap()
+ * @param {number} [anchorMaxValue] - Threshold this difficulty counts as an anchor
+ * @returns {Object} Shape, with the grade under `grade`
+ */
+export function measurePuzzle(size, hints, turnMap, anchorMaxValue) {
+  return {
+    ...describePuzzle(size, hints, turnMap, anchorMaxValue),
+    grade: gradePuzzle(size, readHintValues(size, hints, turnMap)),
+  };
+}
+
+/**
+ * Carry out one generation request
+ *
+ * Requests are plain data so they can cross to a worker:
+ * - `{ type: 'build', gridSize, difficulty, seed, variant, generatorVersion }` -
+ *   a seed of null means Math.random (unlimited mode); a daily seed is built by
+ *   that generator version (see DAILY_GENERATORS)
+ * - `{ type: 'measure', gridSize, hints, solution }` - shape of a saved puzzle
+ *
+ * @param {Object} task - Request
+ * @returns {Object} Puzzle from buildPuzzle(), or shape from measurePuzzle()
+ */
+export function runPuzzleTask(task) {
+  if (task.type === 'measure') {
+    return measurePuzzle(task.gridSize, task.hints, buildSolutionTurnMap(task.solution));
+  }
+
+  if (task.seed === null) {
+    return buildPuzzle(task.gridSize, task.difficulty, Math.random, task.variant);
+  }
+
+  const build = DAILY_GENERATORS[task.generatorVersion];
+  if (!build) throw new Error(`Unknown generator version: ${task.generatorVersion}`);
+  return build(task.gridSize, task.difficulty, task.seed, task.variant);
+}
@@ -0,0 +1,19 @@
+/**
+ * Puzzle generation worker
+ *
+ * Runs runPuzzleTask() off the main thread, so a slow generation (large
+ * boards, solver-checked uniqueness) never freezes drawing or the UI. Started
+ * and spoken to by game/puzzleWorkerClient.js. Maps and Sets in the result
+ * survive postMessage as they are.
+ */
+
+import { runPuzzleTask } from './puzzleBuilder.js';
+
+self.onmessage = ({ data }) => {
+  const { id, task } = data;
+  try {
+    self.postMessage({ id, result: runPuzzleTask(task) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,404 @@
+/**
+ * Solution counting for generated puzzles
+ *
+ * The generator picks a loop and then places hints on it, but nothing checks
+ * what those hints actually pin down. A player wins with *any* single closed
+ * loop whose turns match every hint (see checkPartialStructuralWin and
+ * validateHints), so a puzzle whose hints fit hundreds of loops is a puzzle
+ * with hundreds of answers. This module counts them.
+ *
+ * The count is exact but capped: callers only ever need to know "none", "one"
+ * or "more than one", so the search stops as soon as it reaches the limit.
+ *
+ * **How it searches.** Cells are decided one at a time in reading order. Each
+ * cell is either off the loop or one of six pieces - two straights and four
+ * corners - and because the edges coming in from above and from the left are
+ * already fixed by earlier cells, there are never more than two choices:
+ *
+ *   | in from above | in from left | options                       |
+ *   |---------------|--------------|-------------------------------|
+ *   | no            | no           | empty, or a corner going R+D  |
+ *   | no            | yes          | straight on R, or turn D      |
+ *   | yes           | no           | straight on D, or turn R      |
+ *   | yes           | yes          | corner joining the two        |
+ *
+ * The only state that matters for the rest of the grid is the *frontier*: the
+ * edges crossing from decided cells into undecided ones, and which of them are
+ * two ends of the same partial path. Two partial grids with the same frontier
+ * complete in exactly the same ways, so results are memoised on it. That is
+ * the classic transfer-matrix trick for counting grid cycles, and it is what
+ * keeps an 8x8 with a unique answer - where the whole space has to be ruled
+ * out - down to milliseconds rather than an exhaustive walk. The frontier is
+ * one row wide, so on a rectangular grid the cost follows the width, not the
+ * height.
+ *
+ * Hints ride along in the memo key as running turn counts, but only while
+ * their 3x3 window is part-decided. A hint is checked exactly when the last
+ * cell of its window is placed, and pruned earlier whenever its count has
+ * overshot or can no longer be reached.
+ *
+ * **One loop, not several.** Joining the two ends of one path closes a loop.
+ * That is only allowed when nothing else is open on the frontier, and once a
+ * loop is closed every remaining cell must stay empty - so a second, separate
+ * loop is never counted.
+ *
+ * Like hintPlacement.js this imports only from utils.js, so it runs in Node
+ * without a DOM.
+ */
+
+import { createCellKey, parseCellKey, countTurnsInArea, getAdjacentCells, getGridDimensions, isInGrid } from '../utils.js';
+
+/**
+ * Default cap on the count
+ *
+ * Two is enough to answer the only question generation asks - is the answer
+ * unique - and stopping there keeps an under-constrained puzzle, which may
+ * have millions of loops, as cheap to reject as a good one is to accept.
+ */
+const DEFAULT_LIMIT = 2;
+
+/**
+ * Read the value each hint displays on a finished solution
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Iterable<string>} hintCells - Hint cell keys
+ * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
+ * @returns {Map<string, number>} Cell key -> expected turn count
+ */
+export function readHintValues(gridSize, hintCells, solutionTurnMap) {
+  const values = new Map();
+  for (const cellKey of hintCells) {
+    const { row, col } = parseCellKey(cellKey);
+    values.set(cellKey, countTurnsInArea(row, col, gridSize, solutionTurnMap));
+  }
+  return values;
+}
+
+/**
+ * Precompute each hint's window as cell indices in reading order
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count
+ * @returns {{hints: Array<Object>, hintsByCell: Array<Array<number>>}} Hint
+ *   records, and for every cell index the hints whose window contains it
+ */
+function prepareHints(gridSize, hintValues) {
+  const { width, height } = getGridDimensions(gridSize);
+  const hints = [];
+  const hintsByCell = Array.from({ length: width * height }, () => []);
+
+  for (const [cellKey, value] of hintValues) {
+    const { row, col } = parseCellKey(cellKey);
+    const cells = [];
+    for (const [r, c] of getAdjacentCells(row, col)) {
+      if (isInGrid(r, c, gridSize)) {
+        cells.push(r * width + c);
+      }
+    }
+    cells.sort((a, b) => a - b);
+
+    const index = hints.length;
+    hints.push({
+      key: cellKey,
+      value,
+      first: cells[0],
+      last: cells[cells.length - 1],
+      // Cells of the window still undecided once a given cell is placed
+      remainingAfter: new Map(cells.map((cell, i) => [cell, cells.length - 1 - i])),
+    });
+
+    for (const cell of cells) hintsByCell[cell].push(index);
+  }
+
+  return { hints, hintsByCell };
+}
+
+/**
+ * Renumber frontier labels in order of first appearance
+ *
+ * Two frontiers that pair up the same edges are the same state whatever the
+ * labels happen to be, so the memo key has to see them as equal.
+ *
+ * @param {Array<number>} labels - Frontier labels (0 = no edge)
+ * @returns {string} Canonical form for the memo key
+ */
+function canonicalFrontier(labels) {
+  const mapping = new Map();
+  let next = 1;
+  let key = '';
+  for (const label of labels) {
+    if (label === 0) {
+      key += '0.';
+      continue;
+    }
+    if (!mapping.has(label)) mapping.set(label, next++);
+    key += `${mapping.get(label)}.`;
+  }
+  return key;
+}
+
+/**
+ * Piece recorded for each cell of a found solution
+ */
+const PIECE = {
+  EMPTY: 0,
+  STRAIGHT: 1,
+  TURN: 2,
+};
+
+/**
+ * Build a search over the loops that satisfy a set of hints
+ *
+ * Shared by countSolutions() and findSolutions(): both walk exactly the same
+ * tree, one summing it and the other following it down to the leaves.
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count
+ * @param {number} limit - Stop once this many loops are found
+ * @returns {{count: function(): number, find: function(): Array<Map<string, boolean>>}} Search
+ */
+function createSearch(gridSize, hintValues, limit) {
+  const { width, height } = getGridDimensions(gridSize);
+  const totalCells = width * height;
+  const playable = Array.from({ length: totalCells }, (_, cell) =>
+    isInGrid(Math.floor(cell / width), cell % width, gridSize)
+  );
+  const { hints, hintsByCell } = prepareHints(gridSize, hintValues);
+
+  // A hint asking for more turns than its window has cells can never be met
+  const impossible = hints.some(
+    (hint) => hint.value < 0 || hint.value > hint.remainingAfter.size
+  );
+
+  // labels[0..width-1]: the vertical edge crossing into the current row at
+  // each column (or out of it, for columns already passed). labels[width]:
+  // the horizontal edge coming into the current cell from the left.
+  const labels = new Array(width + 1).fill(0);
+  const counts = new Array(hints.length).fill(0);
+  const pieces = new Array(totalCells).fill(PIECE.EMPTY);
+  const memo = new Map();
+  const found = [];
+  let nextLabel = 1;
+  let closed = false;
+
+  /**
+   * Apply a placed cell's turn to every hint watching it
+   * @returns {boolean} False if any hint is now impossible
+   */
+  function applyTurn(cell, isTurn) {
+    let ok = true;
+    for (const h of hintsByCell[cell]) {
+      const hint = hints[h];
+      if (isTurn) counts[h]++;
+      const count = counts[h];
+      if (count > hint.value || count + hint.remainingAfter.get(cell) < hint.value) ok = false;
+    }
+    return ok;
+  }
+
+  function undoTurn(cell, isTurn) {
+    if (!isTurn) return;
+    for (const h of hintsByCell[cell]) counts[h]--;
+  }
+
+  function memoKey(cell) {
+    let key = `${cell}|${closed ? 1 : 0}|${canonicalFrontier(labels)}|`;
+    for (let h = 0; h < hints.length; h++) {
+      if (hints[h].first < cell && hints[h].last >= cell) key += `${counts[h]},`;
+    }
+    return key;
+  }
+
+  /**
+   * Turn the recorded pieces into a turn map shaped like buildSolutionTurnMap()
+   * @returns {Map<string, boolean>} Cell key -> isTurn, for cells on the loop
+   */
+  function snapshot() {
+    const turnMap = new Map();
+    for (let cell = 0; cell < totalCells; cell++) {
+      if (pieces[cell] === PIECE.EMPTY) continue;
+      const key = createCellKey(Math.floor(cell / width), cell % width);
+      turnMap.set(key, pieces[cell] === PIECE.TURN);
+    }
+    return turnMap;
+  }
+
+  /**
+   * Place one cell's piece, continue, and put the frontier back
+   *
+   * @param {number} cell - Cell index being decided
+   * @param {number} down - Label on the edge leaving downwards (0 = none)
+   * @param {number} right - Label on the edge leaving rightwards (0 = none)
+   * @param {number} piece - PIECE value for the cell
+   * @param {function(number): number} next - count or collect
+   * @returns {number} Completions from here, capped
+   */
+  function place(cell, down, right, piece, next) {
+    const col = cell % width;
+    const savedUp = labels[col];
+    const savedLeft = labels[width];
+    const isTurn = piece === PIECE.TURN;
+
+    labels[col] = down;
+    labels[width] = right;
+    pieces[cell] = piece;
+
+    let completions = 0;
+    if (applyTurn(cell, isTurn)) completions = next(cell + 1);
+    undoTurn(cell, isTurn);
+
+    labels[col] = savedUp;
+    labels[width] = savedLeft;
+    return completions;
+  }
+
+  /**
+   * Try every legal piece for a cell
+   *
+   * @param {number} cell - Cell index being decided
+   * @param {function(number): number} next - count or collect
+   * @returns {number} Completions from here, capped
+   */
+  function explore(cell, next) {
+    // A void cell is never on the loop, and no neighbour may lead into it
+    if (!playable[cell]) return place(cell, 0, 0, PIECE.EMPTY, next);
+
+    const row = Math.floor(cell / width);
+    const col = cell % width;
+    const canGoDown = row < height - 1 && playable[cell + width];
+    const canGoRight = col < width - 1 && playable[cell + 1];
+    const up = labels[col];
+    const left = labels[width];
+    let total = 0;
+
+    if (up === 0 && left === 0) {
+      // Off the loop
+      total += place(cell, 0, 0, PIECE.EMPTY, next);
+
+      // Start a new path with a corner, unless the one loop is already drawn
+      if (total < limit && !closed && canGoDown && canGoRight) {
+        const label = nextLabel++;
+        total += place(cell, label, label, PIECE.TURN, next);
+      }
+    } else if (up === 0 || left === 0) {
+      const through = up || left;
+      const fromAbove = up !== 0;
+
+      // Straight on in the direction of travel
+      if (fromAbove ? canGoDown : canGoRight) {
+        total += fromAbove
+          ? place(cell, through, 0, PIECE.STRAIGHT, next)
+          : place(cell, 0, through, PIECE.STRAIGHT, next);
+      }
+      // Turn the corner
+      if (total < limit && (fromAbove ? canGoRight : canGoDown)) {
+        total += fromAbove
+          ? place(cell, 0, through, PIECE.TURN, next)
+          : place(cell, through, 0, PIECE.TURN, next);
+      }
+    } else if (up === left) {
+      // Joining a path to itself closes a loop. Only legal if it is the only
+      // thing open - anything else left on the frontier would become a second
+      // loop or a dangling path.
+      let othersOpen = false;
+      for (let i = 0; i < width; i++) {
+        if (i !== col && labels[i] !== 0) {
+          othersOpen = true;
+          break;
+        }
+      }
+      if (!othersOpen) {
+        closed = true;
+        total += place(cell, 0, 0, PIECE.TURN, next);
+        closed = false;
+      }
+    } else {
+      // Joining two different paths: their far ends now belong to one path
+      const saved = labels.slice();
+      for (let i = 0; i <= width; i++) {
+        if (labels[i] === left) labels[i] = up;
+      }
+      total += place(cell, 0, 0, PIECE.TURN, next);
+      for (let i = 0; i <= width; i++) labels[i] = saved[i];
+    }
+
+    return Math.min(total, limit);
+  }
+
+  function count(cell) {
+    if (cell === totalCells) return closed ? 1 : 0;
+
+    const key = memoKey(cell);
+    const cached = memo.get(key);
+    if (cached !== undefined) return cached;
+
+    const total = explore(cell, count);
+    memo.set(key, total);
+    return total;
+  }
+
+  // Follows the same tree as count(), but only down branches count() says
+  // lead somewhere, so it never wanders into a dead subtree
+  function collect(cell) {
+    if (cell === totalCells) {
+      if (!closed) return 0;
+      found.push(snapshot());
+      return 1;
+    }
+    if (count(cell) === 0) return 0;
+    return explore(cell, collect);
+  }
+
+  return {
+    count: () => (impossible ? 0 : count(0)),
+    find: () => {
+      if (!impossible) collect(0);
+      return found;
+    },
+  };
+}
+
+/**
+ * Count the single closed loops that satisfy every hint
+ *
+ * A loop need not visit every cell - that matches the win check, which only
+ * asks for one closed loop with every hint satisfied.
+ *
+ * @param {GridSize} gridSize - Grid size (e.g. 6 for 6x6)
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count,
+ *   e.g. from readHintValues()
+ * @param {number} [limit=2] - Stop counting once this many are found
+ * @returns {number} Number of valid loops, capped at `limit`
+ */
+export function countSolutions(gridSize, hintValues, limit = DEFAULT_LIMIT) {
+  return createSearch(gridSize, hintValues, limit).count();
+}
+
+/**
+ * Find the loops that satisfy every hint
+ *
+ * The same search as countSolutions(), returning the loops themselves. Used to
+ * find *where* a second answer differs from the intended one, which is the
+ * information needed to add a hint that rules it out.
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, number>} hintValues - Cell key -> expected turn count
+ * @param {number} [limit=2] - Stop once this many are found
+ * @returns {Array<Map<string, boolean>>} Up to `limit` turn maps, shaped like
+ *   buildSolutionTurnMap() - one entry per loop cell, true at the turns
+ */
+export function findSolutions(gridSize, hintValues, limit = DEFAULT_LIMIT) {
+  return createSearch(gridSize, hintValues, limit).find();
+}
+
+/**
+ * Whether a set of hints pins down exactly one loop
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Iterable<string>} hintCells - Hint cell keys
+ * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
+ * @returns {boolean} True when the hints admit one loop and one only
+ */
+export function hasUniqueSolution(gridSize, hintCells, solutionTurnMap) {
+  return countSolutions(gridSize, readHintValues(gridSize, hintCells, solutionTurnMap)) === 1;
+}
@@ -0,0 +1,160 @@
+/**
+ * Hint placement for the "unique" generation variant
+ *
+ * Neither of the other arms checks what its hints actually pin down. A player
+ * wins with any single closed loop that satisfies every hint, so a 2-hint Easy
+ * can have dozens of valid answers, and serious solvers notice: a puzzle with
+ * many answers cannot be reasoned through, only stumbled into.
+ *
+ * This arm starts from the dense arm's covering placement and then repairs it
+ * against the solver until exactly one loop remains:
+ *
+ *   1. **Start** - place `count` hints with generateHintCellsCovering(), so the
+ *      grid begins fully covered with the same anchors the dense arm gets.
+ *   2. **Find a rival** - ask the solver for two loops. If there is only one,
+ *      stop. Otherwise one of them is a loop other than the intended answer.
+ *   3. **Rule it out** - every cell whose 3x3 window reads differently on the
+ *      rival than on the answer is a hint that would reject the rival. Add the
+ *      one whose readings differ most; ties are broken with the seeded random
+ *      function, so placement still varies from day to day.
+ *   4. **Swap when full** - once `maxHints` is reached, give up the hint that
+ *      says least (the highest reading, per the anchor reasoning in
+ *      hintPlacement.js) to make room, at most `maxSwaps` times.
+ *
+ * Each step removes at least the current rival, so the loop converges quickly
+ * in practice. If the budget runs out first the puzzle ships with more than
+ * one answer rather than failing - the same "slightly weaker puzzle, never an
+ * error" rule the dense arm follows.
+ *
+ * Like hintPlacement.js this imports nothing browser-specific and takes its
+ * configuration as an argument.
+ */
+
+import { createCellKey, parseCellKey, countTurnsInArea, getGridDimensions, isInGrid } from '../utils.js';
+import { generateHintCellsCovering } from './hintPlacement.js';
+import { readHintValues, findSolutions } from './solver.js';
+
+/**
+ * Whether two turn maps describe the same loop
+ *
+ * @param {Map<string, boolean>} a - Turn map
+ * @param {Map<string, boolean>} b - Turn map
+ * @returns {boolean} True when both cover the same cells with the same turns
+ */
+function sameLoop(a, b) {
+  if (a.size !== b.size) return false;
+  for (const [cellKey, isTurn] of a) {
+    if (b.get(cellKey) !== isTurn) return false;
+  }
+  return true;
+}
+
+/**
+ * Turn count a hint at this cell would display on a given loop
+ *
+ * @param {string} cellKey - Hint cell
+ * @param {GridSize} gridSize - Grid size
+ * @param {Map<string, boolean>} turnMap - Loop to read against
+ * @returns {number} Turn count for the hint's area
+ */
+function hintValue(cellKey, gridSize, turnMap) {
+  const { row, col } = parseCellKey(cellKey);
+  return countTurnsInArea(row, col, gridSize, turnMap);
+}
+
+/**
+ * Pick the free cell that best separates the answer from a rival loop
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Set<string>} hints - Current hints (never returned)
+ * @param {Map<string, boolean>} solutionTurnMap - The intended answer
+ * @param {Map<string, boolean>} rivalTurnMap - Another loop the hints allow
+ * @param {function(): number} randomFn - Seeded random, for ties
+ * @returns {string|null} Cell key, or null if no hint could tell them apart
+ */
+function pickSeparatingCell(gridSize, hints, solutionTurnMap, rivalTurnMap, randomFn) {
+  let best = null;
+  let bestGap = 0;
+  let ties = 0;
+
+  const { width, height } = getGridDimensions(gridSize);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const cellKey = createCellKey(row, col);
+      if (hints.has(cellKey) || !isInGrid(row, col, gridSize)) continue;
+
+      const gap = Math.abs(
+        hintValue(cellKey, gridSize, solutionTurnMap) - hintValue(cellKey, gridSize, rivalTurnMap)
+      );
+      if (gap === 0 || gap < bestGap) continue;
+
+      if (gap > bestGap) {
+        best = cellKey;
+        bestGap = gap;
+        ties = 1;
+        continue;
+      }
+
+      // Reservoir sampling over equal gaps: each tie is kept with equal odds
+      // without collecting them first
+      ties++;
+      if (randomFn() * ties < 1) best = cellKey;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Pick the hint to give up when the budget is full
+ *
+ * @param {GridSize} gridSize - Grid size
+ * @param {Set<string>} hints - Current hints
+ * @param {Map<string, boolean>} solutionTurnMap - The intended answer
+ * @returns {string} Hint with the highest reading, oldest first on ties
+ */
+function pickWeakestHint(gridSize, hints, solutionTurnMap) {
+  let weakest = null;
+  let weakestValue = -1;
+  for (const cellKey of hints) {
+    const value = hintValue(cellKey, gridSize, solutionTurnMap);
+    if (value > weakestValue) {
+      weakest = cellKey;
+      weakestValue = value;
+    }
+  }
+  return weakest;
+}
+
+/**
+ * Generate hint cells whose solution is unique, budget permitting
+ *
+ * @param {GridSize} gridSize - Grid size (e.g. 6 for 6x6)
+ * @param {{ count: number, maxHints: number, maxSwaps?: number, lowValueAnchors?: number, anchorMaxValue?: number }} config - Difficulty config
+ * @param {Map<string, boolean>} solutionTurnMap - From buildSolutionTurnMap()
+ * @param {function(): number} [randomFn] - Seeded random for daily puzzles
+ * @returns {Set<string>} Hint cells
+ */
+export function generateHintCellsUnique(gridSize, config, solutionTurnMap, randomFn = Math.random) {
+  const { maxHints, maxSwaps = 0 } = config;
+  const hints = generateHintCellsCovering(gridSize, config, solutionTurnMap, randomFn);
+  let swaps = 0;
+
+  for (;;) {
+    const values = readHintValues(gridSize, hints, solutionTurnMap);
+    const rival = findSolutions(gridSize, values).find((loop) => !sameLoop(loop, solutionTurnMap));
+    if (!rival) break;
+
+    const cell = pickSeparatingCell(gridSize, hints, solutionTurnMap, rival, randomFn);
+    if (!cell) break;
+
+    if (hints.size >= maxHints) {
+      if (swaps >= maxSwaps) break;
+      hints.delete(pickWeakestHint(gridSize, hints, solutionTurnMap));
+      swaps++;
+    }
+    hints.add(cell);
+  }
+
+  return hints;
+}
@@ -1,15 +1,34 @@
 /**
- * Puzzle generation module using Warnsdorff's heuristic
+ * Puzzle generation module using a backbite Markov chain
  *
  * Strategy:
- * 1. Try Warnsdorff's heuristic many times (fast, ~0.5ms per attempt)
- * 2. Fallback to pre-generated valid Hamiltonian cycle
+ * 1. Start from any Hamiltonian cycle (a serpentine, or a search on shaped
+ *    boards)
+ * 2. Open it into a path and walk through the space of Hamiltonian paths with
+ *    random backbite moves, driven by the seeded random function
+ * 3. Close the path into a cycle as soon as its ends are neighbours
+ * 4. Fallback to pre-generated valid Hamiltonian cycle if they never meet
  *
- * Performance: ~50ms average for 8x8, >99.99% success rate
+ * Greedy construction (Warnsdorff's rule, used before) favours loops that hug
+ * the edges, so daily puzzles looked alike. The walk has no favourites: run
+ * long enough, every loop is equally likely. Daily puzzles from before the
+ * walk shipped still replay with Warnsdorff - see generation/dailyV1.js.
+ *
+ * Performance: ~2ms for 8x8; the fallback is not reached in practice
+ *
+ * Grids may be rectangular (see getGridDimensions); any grid with an even
+ * number of cells has a cycle. Irregular boards with void cells (see
+ * generation/boardShapes.js) skip the voids, and find their starting cycle
+ * (and fallback) with an exhaustive search instead.
+ *
+ * A fill ratio below 1 asks for a loop that leaves part of the board empty
+ * instead, built by generation/partialLoop.js. That also covers odd-sized
+ * grids, where no cycle through every cell exists.
  */
 
-import { isAdjacent } from './utils.js';
+import { isAdjacent, getGridDimensions, getVoidCells, isInGrid, countPlayableCells, formatGridSize } from './utils.js';
 import { CONFIG } from './config.js';
+import { generatePartialLoop } from './generation/partialLoop.js';
 
 /**
  * Pre-generated valid Hamiltonian cycles for fallback
@@ -46,105 +65,133 @@ const FALLBACK_CYCLES = {
 
 /**
  * Generate a random Hamiltonian cycle on a grid
- * @param {number} size - Grid size (e.g., 8 for 8x8)
+ * @param {GridSize} size - Grid size (e.g., 8 for 8x8, or { width: 6, height: 8 })
  * @param {function(): number} randomFn - Optional random function (defaults to Math.random)
+ * @param {number} [fillRatio=1] - Share of cells the loop visits; below 1 builds a partial loop
  * @returns {Array<{row: number, col: number}>} Array of cell coordinates forming the path
  */
-export function generateSolutionPath(size, randomFn = Math.random) {
-  const totalCells = size * size;
-
-  // Determine number of Warnsdorff attempts based on grid size
-  // With 100 attempts, probability of success for 8x8 is 1 - (0.75)^100 ≈ 99.9999%
-  const attempts = getAttemptCount(size);
-
-  // Try Warnsdorff's heuristic multiple times
-  // Very fast (~0.5ms per attempt) with ~25% success rate per attempt
-  for (let attempt = 0; attempt < attempts; attempt++) {
-    const startRow = Math.floor(randomFn() * size);
-    const startCol = Math.floor(randomFn() * size);
-    const path = tryWarnsdorff(size, startRow, startCol, totalCells, randomFn);
+export function generateSolutionPath(size, randomFn = Math.random, fillRatio = 1) {
+  if (fillRatio < 1) {
+    return generatePartialLoop(size, fillRatio, randomFn);
+  }
 
-    if (path) {
-      return path; // Success! Found a valid cycle
-    }
+  const { width, height } = getGridDimensions(size);
+  if (!hasBalancedColours(size) || width < 2 || height < 2) {
+    return getFallbackCycle(size);
   }
 
-  // Fallback to pre-generated valid cycle (extremely rare with 100 attempts)
-  return getFallbackCycle(size);
+  // Any cycle will do as a starting point: the chain walks away from it
+  const seed = getVoidCells(size).size === 0 ? buildSerpentineCycle(width, height) : searchCycle(size);
+  const cycle = seed && sampleCycle(size, seed, randomFn);
+
+  // Fallback to pre-generated valid cycle (only if the chain never closes)
+  return cycle || getFallbackCycle(size);
 }
 
 /**
- * Get optimal number of Warnsdorff attempts for each grid size
- * Tuned to balance speed vs success rate
+ * Check the board passes the parity test every Hamiltonian cycle needs
+ *
+ * Colour the grid like a checkerboard: every step changes colour, so a closed
+ * loop through every cell visits as many of one colour as of the other. On a
+ * full rectangle that just means an even cell count; voids can upset it even
+ * when the count is even.
  */
-function getAttemptCount(size) {
-  if (size <= 4) return CONFIG.GENERATION.ATTEMPTS_4X4;
-  if (size <= 6) return CONFIG.GENERATION.ATTEMPTS_6X6;
-  return CONFIG.GENERATION.ATTEMPTS_8X8;
+function hasBalancedColours(size) {
+  const { width, height } = getGridDimensions(size);
+  let balance = 0;
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (isInGrid(row, col, size)) balance += (row + col) % 2 === 0 ? 1 : -1;
+    }
+  }
+  return balance === 0;
 }
 
 /**
- * Try to find Hamiltonian cycle using Warnsdorff's heuristic
- *
- * Warnsdorff's rule: Always move to the neighbor with the fewest unvisited neighbors.
- * This greedy strategy avoids creating dead ends by saving well-connected cells for later.
+ * Walk from one Hamiltonian cycle to a random one
  *
- * Fast (~0.5ms) but not guaranteed to find cycles. Success rate ~25-30% for 8x8.
+ * Opens the cycle into a path by dropping a random edge, applies
+ * CONFIG.GENERATION.MOVES_PER_CELL backbite moves per cell, then keeps going
+ * until the path's two ends are neighbours and closes it there.
  *
- * @param {function(): number} randomFn - Random function for tie-breaking
- * @returns {Array|null} Valid Hamiltonian cycle path, or null if failed
+ * @param {GridSize} size - Grid size
+ * @param {Array<{row: number, col: number}>} seed - Any Hamiltonian cycle on the board
+ * @param {function(): number} randomFn - Random function driving the chain
+ * @returns {Array<{row: number, col: number}>|null} Cycle, or null if the ends never met
  */
-function tryWarnsdorff(size, startRow, startCol, totalCells, randomFn = Math.random) {
-  const visited = Array(size).fill(null).map(() => Array(size).fill(false));
-  const path = [];
-
-  let row = startRow;
-  let col = startCol;
+function sampleCycle(size, seed, randomFn) {
+  const { width } = getGridDimensions(size);
+  const totalCells = seed.length;
 
-  // Build path greedily following Warnsdorff's rule
-  for (let i = 0; i < totalCells; i++) {
-    visited[row][col] = true;
-    path.push({ row, col });
+  // Cells as indices (row * width + col), each with its four neighbours in a
+  // fixed order and -1 off the board, so every direction is proposed equally
+  const neighbours = new Map();
+  for (const { row, col } of seed) {
+    neighbours.set(row * width + col, [[-1, 0], [1, 0], [0, -1], [0, 1]].map(([dr, dc]) =>
+      (isInGrid(row + dr, col + dc, size) ? (row + dr) * width + col + dc : -1)
+    ));
+  }
 
-    // If we've visited all cells, check if we can close the cycle
-    if (i === totalCells - 1) {
-      // Cycle must close: last cell must be adjacent to start
-      if (isAdjacent(row, col, startRow, startCol)) {
-        return path; // Success!
-      }
-      return null; // Can't close the cycle
-    }
+  // Rotate so the dropped edge is the closing one (last cell back to first)
+  const cut = Math.floor(randomFn() * totalCells) + 1;
+  const path = [...seed.slice(cut), ...seed.slice(0, cut)].map(({ row, col }) => row * width + col);
+  const position = new Map(path.map((cell, i) => [cell, i]));
 
-    // Get unvisited neighbors with their degree (count of unvisited neighbors)
-    const neighbors = getNeighbors(size, row, col)
-      .filter(n => !visited[n.row][n.col])
-      .map(n => ({
-        row: n.row,
-        col: n.col,
-        degree: countUnvisitedNeighbors(size, n.row, n.col, visited)
-      }))
-      .sort((a, b) => a.degree - b.degree);
+  const mixingMoves = CONFIG.GENERATION.MOVES_PER_CELL * totalCells;
+  const maxMoves = mixingMoves + CONFIG.GENERATION.CLOSING_MOVES_PER_CELL * totalCells;
+  const endsMeet = () => neighbours.get(path[0]).includes(path[totalCells - 1]);
 
-    // Dead end - no unvisited neighbors available
-    if (neighbors.length === 0) return null;
+  for (let move = 0; move < maxMoves; move++) {
+    if (move >= mixingMoves && endsMeet()) {
+      return path.map((cell) => ({ row: Math.floor(cell / width), col: cell % width }));
+    }
+    backbite(path, position, neighbours, randomFn);
+  }
+  return null;
+}
 
-    // Warnsdorff's rule: pick neighbor with minimum degree
-    // If multiple have same minimum, pick randomly for variety
-    const minDegree = neighbors[0].degree;
-    const candidates = neighbors.filter(n => n.degree === minDegree);
-    const next = candidates[Math.floor(randomFn() * candidates.length)];
+/**
+ * Apply one backbite move to a Hamiltonian path
+ *
+ * Pick an end and one of its four directions. If that neighbour is on the
+ * path (and not already next to the end), link the end to it and cut the
+ * neighbour's old link on the end's side; reversing the cut-off stretch makes
+ * the array a path again, with a new end. Every move can be undone by another
+ * with the same odds, so the walk favours no path over any other.
+ *
+ * @param {Array<number>} path - Cell indices, modified in place
+ * @param {Map<number, number>} position - Index of each cell in path, kept in step
+ * @param {Map<number, Array<number>>} neighbours - Four neighbours per cell (-1 for none)
+ * @param {function(): number} randomFn - Random function
+ */
+function backbite(path, position, neighbours, randomFn) {
+  const last = path.length - 1;
+  const atTail = randomFn() < 0.5;
+  const target = neighbours.get(path[atTail ? last : 0])[Math.floor(randomFn() * 4)];
+  if (target === -1) return;
 
-    row = next.row;
-    col = next.col;
+  const i = position.get(target);
+  if (atTail) {
+    if (i !== last - 1) reverseStretch(path, position, i + 1, last);
+  } else if (i !== 1) {
+    reverseStretch(path, position, 0, i - 1);
   }
+}
 
-  // Should never reach here, but return null for safety
-  return null;
+/**
+ * Reverse path[from..to] in place, updating positions
+ */
+function reverseStretch(path, position, from, to) {
+  for (let a = from, b = to; a < b; a++, b--) {
+    [path[a], path[b]] = [path[b], path[a]];
+    position.set(path[a], a);
+    position.set(path[b], b);
+  }
 }
 
 /**
  * Count how many unvisited neighbors a cell has
- * Used by Warnsdorff's heuristic to calculate degrees
+ * Used by searchCycle() to order its moves
  */
 function countUnvisitedNeighbors(size, row, col, visited) {
   const neighbors = getNeighbors(size, row, col);
@@ -156,48 +203,204 @@ function countUnvisitedNeighbors(size, row, col, visited) {
 }
 
 /**
- * Get pre-generated fallback cycle for a given grid size
- * These cycles are guaranteed to be valid Hamiltonian cycles
+ * Paths returned by getFallbackCycle(), for isFallbackCycle()
+ */
+const fallbackPaths = new WeakSet();
+
+/**
+ * Whether a solution path is a fallback rather than a random loop
+ *
+ * Fallbacks are the same loop every time they are used, so a day that gets
+ * one is worth catching before it ships (see scripts/audit-daily.mjs).
+ *
+ * @param {Array<{row: number, col: number}>} path - From generateSolutionPath()
+ * @returns {boolean} True if the path came from the fallback
+ */
+export function isFallbackCycle(path) {
+  return fallbackPaths.has(path);
+}
+
+/**
+ * Get fallback cycle for a given grid size, marked for isFallbackCycle()
  */
 function getFallbackCycle(size) {
-  const cycle = FALLBACK_CYCLES[size];
+  const path = buildFallbackCycle(size);
+  fallbackPaths.add(path);
+  return path;
+}
 
-  if (!cycle) {
-    console.error(`No fallback cycle defined for size ${size}x${size}`);
-    // Return a simple pattern as last resort (may not be valid)
+/**
+ * Build the fallback cycle
+ * Square difficulties use the pre-generated cycles above, other rectangles a
+ * constructed one, and irregular boards an exhaustive search.
+ */
+function buildFallbackCycle(size) {
+  const { width, height } = getGridDimensions(size);
+  const label = formatGridSize(size);
+
+  if (!hasBalancedColours(size) || width < 2 || height < 2) {
+    console.error(`No Hamiltonian cycle exists on ${label}`);
+    // Return a simple pattern as last resort (not a valid loop)
     return generateSimplePattern(size);
   }
 
   // Log fallback usage for monitoring (should be extremely rare)
   if (typeof console !== 'undefined') {
-    console.warn(`Using fallback pattern for ${size}x${size} (rare event)`);
+    console.warn(`Using fallback pattern for ${label} (rare event)`);
   }
 
+  if (getVoidCells(size).size === 0) {
+    return (width === height && FALLBACK_CYCLES[width]?.slice()) || buildSerpentineCycle(width, height);
+  }
+
+  const cycle = searchCycle(size);
+  if (!cycle) {
+    console.error(`No Hamiltonian cycle found on ${label}`);
+    return generateSimplePattern(size);
+  }
   return cycle;
 }
 
 /**
- * Generate a simple row-wise pattern as absolute last resort
- * Only used if no fallback cycle is defined for the grid size
+ * Build a Hamiltonian cycle by construction
+ *
+ * Snakes row by row through columns 1..width-1, then returns up column 0. The
+ * snake ends where it needs to only when the row count is even, so an odd
+ * height is built on its side and transposed (width is then even, since the
+ * cell count is).
+ *
+ * @param {number} width - Columns (at least 2)
+ * @param {number} height - Rows (at least 2)
+ * @returns {Array<{row: number, col: number}>} Cycle starting at (0, 1)
  */
-function generateSimplePattern(size) {
+function buildSerpentineCycle(width, height) {
+  if (height % 2 !== 0) {
+    return buildSerpentineCycle(height, width).map(({ row, col }) => ({ row: col, col: row }));
+  }
+
   const path = [];
-  for (let row = 0; row < size; row++) {
+  for (let row = 0; row < height; row++) {
     if (row % 2 === 0) {
-      for (let col = 0; col < size; col++) {
-        path.push({ row, col });
-      }
+      for (let col = 1; col < width; col++) path.push({ row, col });
     } else {
-      for (let col = size - 1; col >= 0; col--) {
-        path.push({ row, col });
+      for (let col = width - 1; col >= 1; col--) path.push({ row, col });
+    }
+  }
+  for (let row = height - 1; row >= 0; row--) path.push({ row, col: 0 });
+  return path;
+}
+
+/**
+ * Most steps searchCycle() may take before giving up
+ * The shapes in boardShapes.js all finish in a few thousand at most.
+ */
+const CYCLE_SEARCH_BUDGET = 200000;
+
+/**
+ * Find a Hamiltonian cycle on an irregular board by backtracking
+ *
+ * Deterministic: starts from the first cell in reading order and tries
+ * neighbours with the fewest unvisited neighbours first. A move is abandoned
+ * as soon as it leaves an unvisited cell with fewer than two ways in or out,
+ * or cuts the unvisited cells off from the head or the start, since the loop
+ * has to pass through every cell and close.
+ *
+ * @param {GridSize} size - Board with voids
+ * @returns {Array<{row: number, col: number}>|null} Cycle, or null if none was found within budget
+ */
+function searchCycle(size) {
+  const { width, height } = getGridDimensions(size);
+  const totalCells = countPlayableCells(size);
+  const visited = Array(height).fill(null).map(() => Array(width).fill(false));
+
+  let start = null;
+  for (let row = 0; row < height && !start; row++) {
+    for (let col = 0; col < width && !start; col++) {
+      if (isInGrid(row, col, size)) start = { row, col };
+    }
+  }
+
+  const path = [start];
+  visited[start.row][start.col] = true;
+  let budget = CYCLE_SEARCH_BUDGET;
+
+  // An unvisited cell can still be passed through if two of its neighbours are
+  // unvisited, the path's new head, or the start (where the loop closes)
+  const isStranded = (cell, head) => {
+    let exits = 0;
+    for (const n of getNeighbors(size, cell.row, cell.col)) {
+      const isHead = n.row === head.row && n.col === head.col;
+      const isStart = n.row === start.row && n.col === start.col;
+      if (!visited[n.row][n.col] || isHead || isStart) exits++;
+    }
+    return exits < 2;
+  };
+
+  // The rest of the loop runs from the head through every unvisited cell and
+  // back to the start, so those cells must all be reachable from the head
+  const isSplit = (head) => {
+    const seen = new Set([`${head.row},${head.col}`]);
+    const queue = [head];
+    let reached = 0;
+    let closes = false;
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      for (const n of getNeighbors(size, cell.row, cell.col)) {
+        if (n.row === start.row && n.col === start.col) closes = true;
+        const key = `${n.row},${n.col}`;
+        if (visited[n.row][n.col] || seen.has(key)) continue;
+        seen.add(key);
+        reached++;
+        queue.push(n);
       }
     }
+    return !closes || reached < totalCells - path.length - 1;
+  };
+
+  const extend = (cell) => {
+    if (--budget < 0) return false;
+    if (path.length === totalCells) return isAdjacent(cell.row, cell.col, start.row, start.col);
+
+    const moves = getNeighbors(size, cell.row, cell.col)
+      .filter(n => !visited[n.row][n.col])
+      .sort((a, b) => countUnvisitedNeighbors(size, a.row, a.col, visited) - countUnvisitedNeighbors(size, b.row, b.col, visited));
+
+    for (const next of moves) {
+      visited[next.row][next.col] = true;
+      const stranded = getNeighbors(size, cell.row, cell.col)
+        .some(n => !visited[n.row][n.col] && isStranded(n, next));
+
+      if (!stranded && !isSplit(next)) {
+        path.push(next);
+        if (extend(next)) return true;
+        path.pop();
+      }
+      visited[next.row][next.col] = false;
+    }
+    return false;
+  };
+
+  return extend(start) ? path : null;
+}
+
+/**
+ * Generate a simple row-wise pattern as absolute last resort
+ * Only used on boards where no cycle can exist
+ */
+function generateSimplePattern(size) {
+  const { width, height } = getGridDimensions(size);
+  const path = [];
+  for (let row = 0; row < height; row++) {
+    const cols = Array.from({ length: width }, (_, col) => (row % 2 === 0 ? col : width - 1 - col));
+    for (const col of cols) {
+      if (isInGrid(row, col, size)) path.push({ row, col });
+    }
   }
   return path;
 }
 
 /**
- * Get all orthogonal neighbors of a cell
+ * Get all orthogonal neighbors of a cell (void cells excluded)
  */
 function getNeighbors(size, row, col) {
   const neighbors = [];
@@ -206,7 +409,7 @@ function getNeighbors(size, row, col) {
   for (const [dr, dc] of dirs) {
     const r = row + dr;
     const c = col + dc;
-    if (r >= 0 && r < size && c >= 0 && c < size) {
+    if (isInGrid(r, c, size)) {
       neighbors.push({ row: r, col: c });
     }
   }
@@ -107,6 +107,17 @@ export function formatDate(date, options) {
   return new Intl.DateTimeFormat(ACTIVE_LOCALE.htmlLang, options).format(date);
 }
 
+/**
+ * Format a number in the active locale
+ *
+ * @param {number} value - Number to format
+ * @param {Intl.NumberFormatOptions} [options] - Formatting options, e.g. { style: 'percent' }
+ * @returns {string} Localised number
+ */
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(ACTIVE_LOCALE.htmlLang, options).format(value);
+}
+
 /**
  * Build an absolute in-site URL for a locale
  *
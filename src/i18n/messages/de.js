@@ -12,6 +12,8 @@ export default {
     'Zeichne eine einzige Linie, die sich zu einer Schleife schließt und jede Zahl erfüllt. Jeden Tag ein neues Rätsel in drei Schwierigkeitsgraden. Kostenlos, ohne Anmeldung.',
   'meta.imageAlt': 'Loopy – das kostenlose tägliche Linienrätsel',
   'meta.playTitle': '{difficulty} Loopy — das Linienrätsel von heute',
+  'meta.archiveTitle': 'Loopy-Archiv — alle bisherigen Linienrätsel',
+  'meta.statsTitle': 'Loopy-Statistik — deine Bilanz bei den Linienrätseln',
 
   'home.tagline': 'Das tägliche Linienrätsel',
   'home.howToPlay': 'So wird gespielt',
@@ -20,6 +22,11 @@ export default {
   'menu.close': 'Menü schließen',
   'menu.label': 'Menü',
   'menu.unlimited': 'Unbegrenzt',
+  'menu.archive': 'Archiv',
+  'menu.stats': 'Statistik',
+  'menu.exportProgress': 'Fortschritt exportieren',
+  'menu.transferProgress': 'Auf anderes Gerät übertragen',
+  'menu.importProgress': 'Fortschritt importieren',
   'menu.support': 'Loopy unterstützen',
   'menu.feedback': 'Feedback geben',
   'menu.language': 'Sprache',
@@ -35,7 +42,28 @@ export default {
   'game.settings': 'Einstellungen',
   'game.clear': 'Löschen',
   'game.undo': 'Rückgängig',
+  'game.redo': 'Wiederholen',
   'game.viewedSolution': 'Lösung angesehen',
+  'game.logicalHint': 'Tipp',
+  'game.loadFailed': 'Rätsel nicht geladen',
+  'game.loadFailedMessage': 'Beim Erstellen dieses Rätsels ist etwas schiefgegangen.',
+  'game.tryAgain': 'Erneut versuchen',
+
+  'logicalHint.corner': 'Durch eine Ecke des Gitters muss die Schleife abbiegen.',
+  'logicalHint.border': 'Die Schleife kann das Gitter nicht verlassen.',
+  'logicalHint.zeroHint': 'Diese 0 erzwingt gerade Linien in ihrem Bereich.',
+  'logicalHint.degree': 'Jedes Feld der Schleife hat genau zwei Nachbarn darauf.',
+  'logicalHint.hintComplete': 'Diese Zahl hat schon alle ihre Kurven.',
+  'logicalHint.hintNeedsAll': 'Diese Zahl braucht jede Kurve, die sie noch bekommen kann.',
+  'logicalHint.loopClosure': 'Die Schleife hier zu schließen, würde den Rest abschneiden.',
+  'logicalHint.contradiction': 'Alles andere führt hier in eine Sackgasse.',
+  'logicalHint.none': 'Von hier aus ist keine Folgerung möglich.',
+
+  'checkpoint.set': 'Checkpoint setzen',
+  'checkpoint.title': 'Checkpoint',
+  'checkpoint.message': 'Der blasse Weg auf dem Spielfeld zeigt, wo du den Checkpoint gesetzt hast. Kehre dorthin zurück oder behalte, was du seitdem gezeichnet hast.',
+  'checkpoint.revert': 'Zurück zum Checkpoint',
+  'checkpoint.commit': 'Aktuellen Weg behalten',
 
   'settings.title': 'Einstellungen',
   'common.close': 'Schließen',
@@ -50,6 +78,7 @@ export default {
   'settings.bordersOff': 'Aus',
   'settings.bordersCenter': 'Nur Mitte',
   'settings.bordersFull': 'Vollständig',
+  'settings.copyPuzzleLink': 'Rätsel-Link kopieren',
   'settings.viewSolution': 'Lösung ansehen',
 
   'win.title': 'Perfekte Schleife!',
@@ -61,6 +90,42 @@ export default {
   'share.copied': 'Kopiert!',
   'share.failed': 'Fehlgeschlagen',
 
+  'archive.title': 'Archiv',
+  'archive.puzzleNumber': 'Rätsel Nr. {n}',
+
+  'stats.title': 'Statistik',
+  'stats.finished': 'Beendet',
+  'stats.solved': 'Gelöst',
+  'stats.solutionsViewed': 'Lösung angesehen',
+  'stats.currentStreak': 'Aktuelle Serie',
+  'stats.bestStreak': 'Beste Serie',
+  'stats.averageTime': 'Durchschnittszeit',
+  'stats.bestTime': 'Bestzeit',
+  'stats.solveTimes': 'Lösungszeiten',
+  'stats.empty': 'Löse ein Rätsel, dann erscheint hier deine Statistik.',
+  'stats.underMinutes': 'Unter {n} Min.',
+  'stats.minutesRange': '{from}–{to} Min.',
+  'stats.overMinutes': '{n}+ Min.',
+
+  'calendar.title': 'Deine Tagesrätsel',
+  'calendar.previousMonth': 'Vorheriger Monat',
+  'calendar.nextMonth': 'Nächster Monat',
+  'calendar.daySolved': '{date}: {n} von 3 gelöst',
+  'calendar.viewedSolution': '{label}, Lösung angesehen',
+
+  'progress.exportMessage': 'Bewahre das gut auf. Importiert stellt es auf jedem Gerät deine Serien, Statistik, Einstellungen und angefangenen Rätsel wieder her.',
+  'progress.download': 'Datei herunterladen',
+  'progress.copy': 'Kopieren',
+  'progress.importMessage': 'Füge exportierten Fortschritt oder einen Übertragungscode ein oder wähle eine Datei. Er ersetzt den Fortschritt auf diesem Gerät.',
+  'progress.placeholder': 'Fortschritt hier einfügen',
+  'progress.chooseFile': 'Datei auswählen',
+  'progress.import': 'Importieren',
+  'progress.invalid': 'Das sieht nicht nach Loopy-Fortschritt aus.',
+  'progress.failed': 'Import fehlgeschlagen. Dein Fortschritt ist unverändert.',
+  'progress.transferMessage': 'Scanne dies auf deinem anderen Gerät mit der Kamera oder kopiere den Code und füge ihn unter „Fortschritt importieren“ ein. Er überträgt deine Serien, Einstellungen, den Kalender und die Statistik.',
+  'progress.transferPartial': 'Der QR-Code enthält nur deine letzten Spiele. Kopiere den Code, um deinen ganzen Verlauf mitzunehmen.',
+  'progress.qrLabel': 'QR-Code zum Übertragen deines Fortschritts',
+
   'streak.overall': {
     one: '{n} Tag in Folge',
     other: '{n} Tage in Folge',
@@ -22,6 +22,8 @@ export default {
     'Draw a single path that closes into a loop and satisfies every number. A new puzzle every day, in three difficulties. Free, no sign-up.',
   'meta.imageAlt': 'Loopy - a free daily path-drawing puzzle',
   'meta.playTitle': "{difficulty} Loopy — Today's Path-Drawing Puzzle",
+  'meta.archiveTitle': 'Loopy Archive — Every Past Daily Puzzle',
+  'meta.statsTitle': 'Loopy Statistics — Your Path-Drawing Puzzle Record',
 
   // Home screen
   'home.tagline': 'A daily path-drawing puzzle',
@@ -32,6 +34,11 @@ export default {
   'menu.close': 'Close menu',
   'menu.label': 'Menu',
   'menu.unlimited': 'Unlimited',
+  'menu.archive': 'Archive',
+  'menu.stats': 'Statistics',
+  'menu.exportProgress': 'Export progress',
+  'menu.transferProgress': 'Move to another device',
+  'menu.importProgress': 'Import progress',
   'menu.support': 'Support Loopy',
   'menu.feedback': 'Give feedback',
   'menu.language': 'Language',
@@ -50,7 +57,31 @@ export default {
   'game.settings': 'Settings',
   'game.clear': 'Clear',
   'game.undo': 'Undo',
+  'game.redo': 'Redo',
   'game.viewedSolution': 'Viewed solution',
+  'game.logicalHint': 'Hint',
+  'game.loadFailed': "Puzzle didn't load",
+  'game.loadFailedMessage': 'Something went wrong while building this puzzle.',
+  'game.tryAgain': 'Try again',
+
+  // Reasons shown with a logical hint, one per deduction technique
+  'logicalHint.corner': 'A loop through a grid corner has to turn there.',
+  'logicalHint.border': "The loop can't leave the grid.",
+  'logicalHint.zeroHint': 'This 0 forces straight lines through its area.',
+  'logicalHint.degree': 'Every loop cell joins exactly two neighbours.',
+  'logicalHint.hintComplete': 'This number already has all its turns.',
+  'logicalHint.hintNeedsAll': 'This number needs every turn it can still get.',
+  'logicalHint.loopClosure': 'Closing the loop here would strand the rest of it.',
+  'logicalHint.contradiction': 'Anything else here runs into a dead end.',
+  'logicalHint.none': 'No deduction available from here.',
+
+  // Checkpoint button and sheet. A checkpoint keeps the path as it stood, for
+  // going back to if a guess made after it goes wrong
+  'checkpoint.set': 'Set checkpoint',
+  'checkpoint.title': 'Checkpoint',
+  'checkpoint.message': "The faint path on the board is where you set the checkpoint. Go back to it, or keep what you've drawn since.",
+  'checkpoint.revert': 'Go back to checkpoint',
+  'checkpoint.commit': 'Keep current path',
 
   // Shared across components
   'common.close': 'Close',
@@ -68,6 +99,7 @@ export default {
   'settings.bordersOff': 'Off',
   'settings.bordersCenter': 'Center only',
   'settings.bordersFull': 'Full',
+  'settings.copyPuzzleLink': 'Copy puzzle link',
   'settings.viewSolution': 'View solution',
 
   // Win sheet
@@ -81,6 +113,46 @@ export default {
   'share.copied': 'Copied!',
   'share.failed': 'Failed',
 
+  // Archive of past daily puzzles
+  'archive.title': 'Archive',
+  'archive.puzzleNumber': 'Puzzle #{n}',
+
+  // Statistics view, built from the completion history
+  'stats.title': 'Statistics',
+  'stats.finished': 'Finished',
+  'stats.solved': 'Solved',
+  'stats.solutionsViewed': 'Solutions viewed',
+  'stats.currentStreak': 'Current streak',
+  'stats.bestStreak': 'Best streak',
+  'stats.averageTime': 'Average time',
+  'stats.bestTime': 'Best time',
+  'stats.solveTimes': 'Solve times',
+  'stats.empty': 'Finish a puzzle and your statistics will appear here.',
+  'stats.underMinutes': 'Under {n} min',
+  'stats.minutesRange': '{from}–{to} min',
+  'stats.overMinutes': '{n}+ min',
+
+  // Completion calendar, opened from the home screen streak line
+  'calendar.title': 'Your daily puzzles',
+  'calendar.previousMonth': 'Previous month',
+  'calendar.nextMonth': 'Next month',
+  'calendar.daySolved': '{date}: {n} of 3 solved',
+  'calendar.viewedSolution': '{label}, solution viewed',
+
+  // Progress export, import and device transfer, from the home screen menu
+  'progress.exportMessage': 'Keep this somewhere safe. Importing it restores your streaks, statistics, settings and puzzles in progress on any device.',
+  'progress.download': 'Download file',
+  'progress.copy': 'Copy',
+  'progress.importMessage': 'Paste exported progress or a transfer code, or choose a file. It replaces the progress on this device.',
+  'progress.placeholder': 'Paste progress here',
+  'progress.chooseFile': 'Choose file',
+  'progress.import': 'Import',
+  'progress.invalid': "That doesn't look like Loopy progress.",
+  'progress.failed': "Couldn't import. Your progress is unchanged.",
+  'progress.transferMessage': 'On your other device, scan this with the camera, or copy the code and paste it into Import progress. It brings your streaks, settings, calendar and statistics.',
+  'progress.transferPartial': 'The QR code only holds your most recent games. Copy the code to bring your full history.',
+  'progress.qrLabel': 'QR code for moving your progress',
+
   // Streak lines, shared between the home screen and the win sheet.
   //
   // English does not actually inflect here - "day" is attributive, so it stays
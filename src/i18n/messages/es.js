@@ -12,6 +12,8 @@ export default {
     'Traza un solo camino que se cierre en un bucle y cumpla todos los números. Un nuevo puzle cada día, en tres dificultades. Gratis y sin registro.',
   'meta.imageAlt': 'Loopy: el puzle diario y gratuito de trazar caminos',
   'meta.playTitle': '{difficulty} Loopy — el puzle de trazar caminos de hoy',
+  'meta.archiveTitle': 'Archivo de Loopy — todos los puzles diarios anteriores',
+  'meta.statsTitle': 'Estadísticas de Loopy — tu historial de puzles',
 
   'home.tagline': 'El puzle diario de trazar caminos',
   'home.howToPlay': 'Cómo jugar',
@@ -20,6 +22,11 @@ export default {
   'menu.close': 'Cerrar menú',
   'menu.label': 'Menú',
   'menu.unlimited': 'Ilimitado',
+  'menu.archive': 'Archivo',
+  'menu.stats': 'Estadísticas',
+  'menu.exportProgress': 'Exportar progreso',
+  'menu.transferProgress': 'Pasar a otro dispositivo',
+  'menu.importProgress': 'Importar progreso',
   'menu.support': 'Apoya Loopy',
   'menu.feedback': 'Enviar comentarios',
   'menu.language': 'Idioma',
@@ -35,7 +42,28 @@ export default {
   'game.settings': 'Ajustes',
   'game.clear': 'Borrar',
   'game.undo': 'Deshacer',
+  'game.redo': 'Rehacer',
   'game.viewedSolution': 'Solución vista',
+  'game.logicalHint': 'Pista',
+  'game.loadFailed': 'No se pudo cargar el puzle',
+  'game.loadFailedMessage': 'Algo salió mal al crear este puzle.',
+  'game.tryAgain': 'Reintentar',
+
+  'logicalHint.corner': 'Un bucle que pasa por una esquina tiene que girar ahí.',
+  'logicalHint.border': 'El bucle no puede salir de la cuadrícula.',
+  'logicalHint.zeroHint': 'Este 0 obliga a líneas rectas en su zona.',
+  'logicalHint.degree': 'Cada casilla del bucle une exactamente dos vecinas.',
+  'logicalHint.hintComplete': 'Este número ya tiene todos sus giros.',
+  'logicalHint.hintNeedsAll': 'Este número necesita todos los giros que aún puede tener.',
+  'logicalHint.loopClosure': 'Cerrar el bucle aquí dejaría aislado el resto.',
+  'logicalHint.contradiction': 'Cualquier otra cosa aquí lleva a un callejón sin salida.',
+  'logicalHint.none': 'No hay ninguna deducción posible desde aquí.',
+
+  'checkpoint.set': 'Marcar punto de control',
+  'checkpoint.title': 'Punto de control',
+  'checkpoint.message': 'El camino tenue del tablero es donde marcaste el punto de control. Vuelve a él o quédate con lo que has dibujado desde entonces.',
+  'checkpoint.revert': 'Volver al punto de control',
+  'checkpoint.commit': 'Conservar el camino actual',
 
   'settings.title': 'Ajustes',
   'common.close': 'Cerrar',
@@ -50,6 +78,7 @@ export default {
   'settings.bordersOff': 'Desactivados',
   'settings.bordersCenter': 'Solo el centro',
   'settings.bordersFull': 'Completos',
+  'settings.copyPuzzleLink': 'Copiar enlace del puzle',
   'settings.viewSolution': 'Ver la solución',
 
   'win.title': '¡Bucle perfecto!',
@@ -61,6 +90,42 @@ export default {
   'share.copied': '¡Copiado!',
   'share.failed': 'Error',
 
+  'archive.title': 'Archivo',
+  'archive.puzzleNumber': 'Puzle n.º {n}',
+
+  'stats.title': 'Estadísticas',
+  'stats.finished': 'Terminados',
+  'stats.solved': 'Resueltos',
+  'stats.solutionsViewed': 'Soluciones vistas',
+  'stats.currentStreak': 'Racha actual',
+  'stats.bestStreak': 'Mejor racha',
+  'stats.averageTime': 'Tiempo medio',
+  'stats.bestTime': 'Mejor tiempo',
+  'stats.solveTimes': 'Tiempos de resolución',
+  'stats.empty': 'Termina un puzle y aquí aparecerán tus estadísticas.',
+  'stats.underMinutes': 'Menos de {n} min',
+  'stats.minutesRange': '{from}–{to} min',
+  'stats.overMinutes': '{n}+ min',
+
+  'calendar.title': 'Tus puzles diarios',
+  'calendar.previousMonth': 'Mes anterior',
+  'calendar.nextMonth': 'Mes siguiente',
+  'calendar.daySolved': '{date}: {n} de 3 resueltos',
+  'calendar.viewedSolution': '{label}, solución vista',
+
+  'progress.exportMessage': 'Guárdalo en un lugar seguro. Al importarlo recuperarás tus rachas, estadísticas, ajustes y puzles empezados en cualquier dispositivo.',
+  'progress.download': 'Descargar archivo',
+  'progress.copy': 'Copiar',
+  'progress.importMessage': 'Pega el progreso exportado o un código de traspaso, o elige un archivo. Sustituirá el progreso de este dispositivo.',
+  'progress.placeholder': 'Pega aquí el progreso',
+  'progress.chooseFile': 'Elegir archivo',
+  'progress.import': 'Importar',
+  'progress.invalid': 'Eso no parece progreso de Loopy.',
+  'progress.failed': 'No se pudo importar. Tu progreso no ha cambiado.',
+  'progress.transferMessage': 'En tu otro dispositivo, escanea esto con la cámara o copia el código y pégalo en Importar progreso. Incluye tus rachas, ajustes, calendario y estadísticas.',
+  'progress.transferPartial': 'El código QR solo incluye tus partidas más recientes. Copia el código para llevar todo tu historial.',
+  'progress.qrLabel': 'Código QR para pasar tu progreso',
+
   'streak.overall': {
     one: '{n} día seguido',
     other: '{n} días seguidos',
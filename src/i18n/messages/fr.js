@@ -15,6 +15,8 @@ export default {
     'Tracez un seul chemin qui se referme en boucle et satisfait tous les nombres. Un nouveau puzzle chaque jour, en trois difficultés. Gratuit et sans inscription.',
   'meta.imageAlt': 'Loopy – le puzzle de tracé quotidien et gratuit',
   'meta.playTitle': '{difficulty} Loopy — le puzzle de tracé du jour',
+  'meta.archiveTitle': 'Archives Loopy — tous les puzzles de tracé passés',
+  'meta.statsTitle': 'Statistiques Loopy — votre bilan de puzzles de tracé',
 
   'home.tagline': 'Le puzzle de tracé quotidien',
   'home.howToPlay': 'Comment jouer',
@@ -23,6 +25,11 @@ export default {
   'menu.close': 'Fermer le menu',
   'menu.label': 'Menu',
   'menu.unlimited': 'Illimité',
+  'menu.archive': 'Archives',
+  'menu.stats': 'Statistiques',
+  'menu.exportProgress': 'Exporter la progression',
+  'menu.transferProgress': 'Transférer vers un autre appareil',
+  'menu.importProgress': 'Importer la progression',
   'menu.support': 'Soutenir Loopy',
   'menu.feedback': 'Donner votre avis',
   'menu.language': 'Langue',
@@ -38,7 +45,28 @@ export default {
   'game.settings': 'Réglages',
   'game.clear': 'Effacer',
   'game.undo': 'Annuler',
+  'game.redo': 'Rétablir',
   'game.viewedSolution': 'Solution consultée',
+  'game.logicalHint': 'Indice',
+  'game.loadFailed': "Le puzzle n'a pas pu être chargé",
+  'game.loadFailedMessage': 'Un problème est survenu lors de la création de ce puzzle.',
+  'game.tryAgain': 'Réessayer',
+
+  'logicalHint.corner': 'Une boucle qui passe par un coin de la grille doit y tourner.',
+  'logicalHint.border': 'La boucle ne peut pas sortir de la grille.',
+  'logicalHint.zeroHint': 'Ce 0 impose des lignes droites dans sa zone.',
+  'logicalHint.degree': 'Chaque case de la boucle relie exactement deux voisines.',
+  'logicalHint.hintComplete': 'Ce nombre a déjà tous ses virages.',
+  'logicalHint.hintNeedsAll': "Ce nombre a besoin de tous les virages qu'il peut encore avoir.",
+  'logicalHint.loopClosure': 'Fermer la boucle ici laisserait le reste isolé.',
+  'logicalHint.contradiction': 'Tout le reste mène ici à une impasse.',
+  'logicalHint.none': "Aucune déduction possible à partir d'ici.",
+
+  'checkpoint.set': 'Placer un point de contrôle',
+  'checkpoint.title': 'Point de contrôle',
+  'checkpoint.message': 'Le tracé pâle sur la grille correspond à votre point de contrôle. Revenez-y, ou gardez ce que vous avez dessiné depuis.',
+  'checkpoint.revert': 'Revenir au point de contrôle',
+  'checkpoint.commit': 'Garder le tracé actuel',
 
   'settings.title': 'Réglages',
   'common.close': 'Fermer',
@@ -53,6 +81,7 @@ export default {
   'settings.bordersOff': 'Aucune',
   'settings.bordersCenter': 'Centre seulement',
   'settings.bordersFull': 'Complètes',
+  'settings.copyPuzzleLink': 'Copier le lien du puzzle',
   'settings.viewSolution': 'Voir la solution',
 
   'win.title': 'Boucle parfaite !',
@@ -64,6 +93,42 @@ export default {
   'share.copied': 'Copié !',
   'share.failed': 'Échec',
 
+  'archive.title': 'Archives',
+  'archive.puzzleNumber': 'Puzzle n° {n}',
+
+  'stats.title': 'Statistiques',
+  'stats.finished': 'Terminés',
+  'stats.solved': 'Résolus',
+  'stats.solutionsViewed': 'Solutions consultées',
+  'stats.currentStreak': 'Série en cours',
+  'stats.bestStreak': 'Meilleure série',
+  'stats.averageTime': 'Temps moyen',
+  'stats.bestTime': 'Meilleur temps',
+  'stats.solveTimes': 'Temps de résolution',
+  'stats.empty': 'Terminez un puzzle et vos statistiques apparaîtront ici.',
+  'stats.underMinutes': 'Moins de {n} min',
+  'stats.minutesRange': '{from} à {to} min',
+  'stats.overMinutes': '{n} min et plus',
+
+  'calendar.title': 'Vos puzzles du jour',
+  'calendar.previousMonth': 'Mois précédent',
+  'calendar.nextMonth': 'Mois suivant',
+  'calendar.daySolved': '{date} : {n} sur 3 résolus',
+  'calendar.viewedSolution': '{label}, solution consultée',
+
+  'progress.exportMessage': 'Conservez-le en lieu sûr. L’importer restaure vos séries, statistiques, réglages et puzzles en cours sur n’importe quel appareil.',
+  'progress.download': 'Télécharger le fichier',
+  'progress.copy': 'Copier',
+  'progress.importMessage': 'Collez une progression exportée ou un code de transfert, ou choisissez un fichier. Elle remplace la progression de cet appareil.',
+  'progress.placeholder': 'Collez la progression ici',
+  'progress.chooseFile': 'Choisir un fichier',
+  'progress.import': 'Importer',
+  'progress.invalid': 'Cela ne ressemble pas à une progression Loopy.',
+  'progress.failed': 'Import impossible. Votre progression est inchangée.',
+  'progress.transferMessage': 'Sur votre autre appareil, scannez ceci avec l’appareil photo, ou copiez le code et collez-le dans Importer la progression. Il transfère vos séries, réglages, calendrier et statistiques.',
+  'progress.transferPartial': 'Le QR code ne contient que vos parties les plus récentes. Copiez le code pour emporter tout votre historique.',
+  'progress.qrLabel': 'QR code pour transférer votre progression',
+
   'streak.overall': {
     one: '{n} jour d’affilée',
     other: '{n} jours d’affilée',
@@ -12,6 +12,8 @@ export default {
     'Traccia un unico percorso che si chiude ad anello e soddisfa tutti i numeri. Ogni giorno un nuovo rompicapo, in tre difficoltà. Gratis e senza registrazione.',
   'meta.imageAlt': 'Loopy – il rompicapo quotidiano dei percorsi, gratis',
   'meta.playTitle': '{difficulty} Loopy — il rompicapo dei percorsi di oggi',
+  'meta.archiveTitle': 'Archivio di Loopy — tutti i rompicapi dei percorsi passati',
+  'meta.statsTitle': 'Statistiche di Loopy — il tuo bilancio dei rompicapi',
 
   'home.tagline': 'Il rompicapo quotidiano dei percorsi',
   'home.howToPlay': 'Come si gioca',
@@ -20,6 +22,11 @@ export default {
   'menu.close': 'Chiudi il menu',
   'menu.label': 'Menu',
   'menu.unlimited': 'Illimitato',
+  'menu.archive': 'Archivio',
+  'menu.stats': 'Statistiche',
+  'menu.exportProgress': 'Esporta progressi',
+  'menu.transferProgress': 'Trasferisci su un altro dispositivo',
+  'menu.importProgress': 'Importa progressi',
   'menu.support': 'Sostieni Loopy',
   'menu.feedback': 'Invia un feedback',
   'menu.language': 'Lingua',
@@ -35,7 +42,28 @@ export default {
   'game.settings': 'Impostazioni',
   'game.clear': 'Cancella',
   'game.undo': 'Annulla',
+  'game.redo': 'Ripeti',
   'game.viewedSolution': 'Soluzione vista',
+  'game.logicalHint': 'Suggerimento',
+  'game.loadFailed': 'Rompicapo non caricato',
+  'game.loadFailedMessage': 'Qualcosa è andato storto durante la creazione del rompicapo.',
+  'game.tryAgain': 'Riprova',
+
+  'logicalHint.corner': 'Un anello che passa per un angolo della griglia deve curvare lì.',
+  'logicalHint.border': "L'anello non può uscire dalla griglia.",
+  'logicalHint.zeroHint': 'Questo 0 impone linee dritte nella sua area.',
+  'logicalHint.degree': "Ogni casella dell'anello collega esattamente due vicine.",
+  'logicalHint.hintComplete': 'Questo numero ha già tutte le sue curve.',
+  'logicalHint.hintNeedsAll': 'Questo numero ha bisogno di ogni curva che può ancora avere.',
+  'logicalHint.loopClosure': "Chiudere l'anello qui lascerebbe isolato il resto.",
+  'logicalHint.contradiction': 'Qualsiasi altra cosa qui porta a un vicolo cieco.',
+  'logicalHint.none': 'Nessuna deduzione possibile da qui.',
+
+  'checkpoint.set': 'Imposta checkpoint',
+  'checkpoint.title': 'Checkpoint',
+  'checkpoint.message': 'Il percorso sbiadito sul tabellone è dove hai impostato il checkpoint. Torna lì oppure tieni quello che hai disegnato dopo.',
+  'checkpoint.revert': 'Torna al checkpoint',
+  'checkpoint.commit': 'Tieni il percorso attuale',
 
   'settings.title': 'Impostazioni',
   'common.close': 'Chiudi',
@@ -50,6 +78,7 @@ export default {
   'settings.bordersOff': 'Disattivati',
   'settings.bordersCenter': 'Solo il centro',
   'settings.bordersFull': 'Completi',
+  'settings.copyPuzzleLink': 'Copia link del rompicapo',
   'settings.viewSolution': 'Vedi la soluzione',
 
   'win.title': 'Anello perfetto!',
@@ -61,6 +90,42 @@ export default {
   'share.copied': 'Copiato!',
   'share.failed': 'Non riuscito',
 
+  'archive.title': 'Archivio',
+  'archive.puzzleNumber': 'Rompicapo n. {n}',
+
+  'stats.title': 'Statistiche',
+  'stats.finished': 'Finiti',
+  'stats.solved': 'Risolti',
+  'stats.solutionsViewed': 'Soluzioni viste',
+  'stats.currentStreak': 'Serie attuale',
+  'stats.bestStreak': 'Serie migliore',
+  'stats.averageTime': 'Tempo medio',
+  'stats.bestTime': 'Tempo migliore',
+  'stats.solveTimes': 'Tempi di soluzione',
+  'stats.empty': 'Completa un rompicapo e qui compariranno le tue statistiche.',
+  'stats.underMinutes': 'Meno di {n} min',
+  'stats.minutesRange': '{from}–{to} min',
+  'stats.overMinutes': '{n}+ min',
+
+  'calendar.title': 'I tuoi rompicapi del giorno',
+  'calendar.previousMonth': 'Mese precedente',
+  'calendar.nextMonth': 'Mese successivo',
+  'calendar.daySolved': '{date}: {n} su 3 risolti',
+  'calendar.viewedSolution': '{label}, soluzione vista',
+
+  'progress.exportMessage': 'Conservalo in un posto sicuro. Importandolo ripristini serie, statistiche, impostazioni e rompicapi in corso su qualsiasi dispositivo.',
+  'progress.download': 'Scarica file',
+  'progress.copy': 'Copia',
+  'progress.importMessage': 'Incolla i progressi esportati o un codice di trasferimento, oppure scegli un file. Sostituiranno i progressi su questo dispositivo.',
+  'progress.placeholder': 'Incolla qui i progressi',
+  'progress.chooseFile': 'Scegli file',
+  'progress.import': 'Importa',
+  'progress.invalid': 'Non sembrano progressi di Loopy.',
+  'progress.failed': 'Importazione non riuscita. I tuoi progressi sono invariati.',
+  'progress.transferMessage': 'Sull’altro dispositivo, inquadra questo codice con la fotocamera oppure copia il codice e incollalo in Importa progressi. Porta con sé serie, impostazioni, calendario e statistiche.',
+  'progress.transferPartial': 'Il codice QR contiene solo le partite più recenti. Copia il codice per portare tutta la cronologia.',
+  'progress.qrLabel': 'Codice QR per trasferire i progressi',
+
   'streak.overall': {
     one: '{n} giorno di fila',
     other: '{n} giorni di fila',
@@ -19,6 +19,8 @@ export default {
     '一本の線を描いて輪をつくり、すべての数字を満たそう。毎日新しいパズルが3つの難易度で登場。無料、登録不要。',
   'meta.imageAlt': 'Loopy – 無料で遊べる毎日の一筆書きパズル',
   'meta.playTitle': '{difficulty} Loopy — 今日の一筆書きパズル',
+  'meta.archiveTitle': 'Loopy アーカイブ — これまでの一筆書きパズル',
+  'meta.statsTitle': 'Loopy 統計 — あなたの一筆書きパズル記録',
 
   'home.tagline': '毎日の一筆書きパズル',
   'home.howToPlay': '遊び方',
@@ -27,6 +29,11 @@ export default {
   'menu.close': 'メニューを閉じる',
   'menu.label': 'メニュー',
   'menu.unlimited': '無制限',
+  'menu.archive': 'アーカイブ',
+  'menu.stats': '統計',
+  'menu.exportProgress': '進行状況を書き出す',
+  'menu.transferProgress': '別の端末に移す',
+  'menu.importProgress': '進行状況を読み込む',
   'menu.support': 'Loopyを応援する',
   'menu.feedback': 'ご意見を送る',
   'menu.language': '言語',
@@ -42,7 +49,28 @@ export default {
   'game.settings': '設定',
   'game.clear': 'クリア',
   'game.undo': '元に戻す',
+  'game.redo': 'やり直す',
   'game.viewedSolution': '答えを見ました',
+  'game.logicalHint': 'ヒント',
+  'game.loadFailed': 'パズルを読み込めませんでした',
+  'game.loadFailedMessage': 'パズルの作成中に問題が発生しました。',
+  'game.tryAgain': 'もう一度試す',
+
+  'logicalHint.corner': 'グリッドの角を通るループは、そこで曲がるしかありません。',
+  'logicalHint.border': 'ループはグリッドの外に出られません。',
+  'logicalHint.zeroHint': 'この0の範囲では線はまっすぐ進みます。',
+  'logicalHint.degree': 'ループ上のマスは、ちょうど2つの隣のマスとつながります。',
+  'logicalHint.hintComplete': 'この数字はもう曲がり角がそろっています。',
+  'logicalHint.hintNeedsAll': 'この数字は、残っている曲がり角の候補をすべて使います。',
+  'logicalHint.loopClosure': 'ここでループを閉じると、残りが取り残されます。',
+  'logicalHint.contradiction': 'ほかの置き方では行き詰まります。',
+  'logicalHint.none': 'ここから導ける推理はありません。',
+
+  'checkpoint.set': 'チェックポイントを設定',
+  'checkpoint.title': 'チェックポイント',
+  'checkpoint.message': '盤面の薄い線がチェックポイントを設定したときの状態です。そこに戻るか、その後に描いた線を残すかを選んでください。',
+  'checkpoint.revert': 'チェックポイントに戻る',
+  'checkpoint.commit': '今の線を残す',
 
   'common.close': '閉じる',
 
@@ -58,6 +86,7 @@ export default {
   'settings.bordersOff': 'なし',
   'settings.bordersCenter': '中央のみ',
   'settings.bordersFull': 'すべて',
+  'settings.copyPuzzleLink': 'パズルのリンクをコピー',
   'settings.viewSolution': '答えを見る',
 
   'win.title': '完璧なループ！',
@@ -69,6 +98,42 @@ export default {
   'share.copied': 'コピーしました！',
   'share.failed': '失敗しました',
 
+  'archive.title': 'アーカイブ',
+  'archive.puzzleNumber': 'パズル #{n}',
+
+  'stats.title': '統計',
+  'stats.finished': '終了数',
+  'stats.solved': 'クリア数',
+  'stats.solutionsViewed': '答えを見た',
+  'stats.currentStreak': '現在の連続記録',
+  'stats.bestStreak': '最長連続記録',
+  'stats.averageTime': '平均タイム',
+  'stats.bestTime': 'ベストタイム',
+  'stats.solveTimes': 'クリアタイム分布',
+  'stats.empty': 'パズルを終えると、ここに統計が表示されます。',
+  'stats.underMinutes': '{n}分未満',
+  'stats.minutesRange': '{from}〜{to}分',
+  'stats.overMinutes': '{n}分以上',
+
+  'calendar.title': '毎日のパズル',
+  'calendar.previousMonth': '前の月',
+  'calendar.nextMonth': '次の月',
+  'calendar.daySolved': '{date}：3問中{n}問クリア',
+  'calendar.viewedSolution': '{label}、答えを見ました',
+
+  'progress.exportMessage': '大切に保管してください。読み込むと、どの端末でも連続記録・統計・設定・途中のパズルが元に戻ります。',
+  'progress.download': 'ファイルを保存',
+  'progress.copy': 'コピー',
+  'progress.importMessage': '書き出した進行状況か移行コードを貼り付けるか、ファイルを選んでください。この端末の進行状況は置き換えられます。',
+  'progress.placeholder': 'ここに貼り付け',
+  'progress.chooseFile': 'ファイルを選択',
+  'progress.import': '読み込む',
+  'progress.invalid': 'Loopy の進行状況ではないようです。',
+  'progress.failed': '読み込めませんでした。進行状況は変わっていません。',
+  'progress.transferMessage': 'もう一方の端末のカメラでこれを読み取るか、コードをコピーして「進行状況を読み込む」に貼り付けてください。連続記録、設定、カレンダー、統計が移ります。',
+  'progress.transferPartial': 'QR コードには最近のプレイだけが入ります。すべての履歴を移すにはコードをコピーしてください。',
+  'progress.qrLabel': '進行状況を移すための QR コード',
+
   'streak.overall': {
     other: '{n}日連続',
   },
@@ -22,6 +22,8 @@ export default {
     '선 하나로 고리를 그려 모든 숫자를 만족시켜 보세요. 매일 새로운 퍼즐이 세 가지 난이도로. 무료, 가입 불필요.',
   'meta.imageAlt': 'Loopy – 매일 즐기는 무료 한붓그리기 퍼즐',
   'meta.playTitle': '{difficulty} Loopy — 오늘의 한붓그리기 퍼즐',
+  'meta.archiveTitle': 'Loopy 아카이브 — 지난 한붓그리기 퍼즐 모음',
+  'meta.statsTitle': 'Loopy 통계 — 나의 한붓그리기 퍼즐 기록',
 
   'home.tagline': '매일의 한붓그리기 퍼즐',
   'home.howToPlay': '게임 방법',
@@ -30,6 +32,11 @@ export default {
   'menu.close': '메뉴 닫기',
   'menu.label': '메뉴',
   'menu.unlimited': '무제한',
+  'menu.archive': '아카이브',
+  'menu.stats': '통계',
+  'menu.exportProgress': '진행 상황 내보내기',
+  'menu.transferProgress': '다른 기기로 옮기기',
+  'menu.importProgress': '진행 상황 가져오기',
   'menu.support': 'Loopy 응원하기',
   'menu.feedback': '의견 보내기',
   'menu.language': '언어',
@@ -45,7 +52,28 @@ export default {
   'game.settings': '설정',
   'game.clear': '지우기',
   'game.undo': '실행 취소',
+  'game.redo': '다시 실행',
   'game.viewedSolution': '정답을 봤어요',
+  'game.logicalHint': '힌트',
+  'game.loadFailed': '퍼즐을 불러오지 못했어요',
+  'game.loadFailedMessage': '퍼즐을 만드는 중에 문제가 생겼어요.',
+  'game.tryAgain': '다시 시도',
+
+  'logicalHint.corner': '격자 모서리를 지나는 고리는 거기서 꺾여야 해요.',
+  'logicalHint.border': '고리는 격자 밖으로 나갈 수 없어요.',
+  'logicalHint.zeroHint': '이 0의 영역에서는 선이 곧게 지나가요.',
+  'logicalHint.degree': '고리 위의 칸은 정확히 두 이웃과 이어져요.',
+  'logicalHint.hintComplete': '이 숫자는 이미 꺾임을 모두 채웠어요.',
+  'logicalHint.hintNeedsAll': '이 숫자는 남은 꺾임 후보를 모두 써야 해요.',
+  'logicalHint.loopClosure': '여기서 고리를 닫으면 나머지가 고립돼요.',
+  'logicalHint.contradiction': '다른 방법은 모두 막다른 길이에요.',
+  'logicalHint.none': '여기서 더 추론할 수 있는 곳이 없어요.',
+
+  'checkpoint.set': '체크포인트 설정',
+  'checkpoint.title': '체크포인트',
+  'checkpoint.message': '판에 흐리게 보이는 경로가 체크포인트를 설정한 상태예요. 그때로 돌아가거나, 그 뒤에 그린 경로를 유지하세요.',
+  'checkpoint.revert': '체크포인트로 돌아가기',
+  'checkpoint.commit': '현재 경로 유지',
 
   'common.close': '닫기',
 
@@ -61,6 +89,7 @@ export default {
   'settings.bordersOff': '없음',
   'settings.bordersCenter': '가운데만',
   'settings.bordersFull': '전체',
+  'settings.copyPuzzleLink': '퍼즐 링크 복사',
   'settings.viewSolution': '정답 보기',
 
   'win.title': '완벽한 고리!',
@@ -72,6 +101,42 @@ export default {
   'share.copied': '복사했어요!',
   'share.failed': '실패했어요',
 
+  'archive.title': '아카이브',
+  'archive.puzzleNumber': '퍼즐 #{n}',
+
+  'stats.title': '통계',
+  'stats.finished': '끝낸 게임',
+  'stats.solved': '완성',
+  'stats.solutionsViewed': '정답 확인',
+  'stats.currentStreak': '현재 연속 기록',
+  'stats.bestStreak': '최고 연속 기록',
+  'stats.averageTime': '평균 시간',
+  'stats.bestTime': '최고 기록',
+  'stats.solveTimes': '완성 시간 분포',
+  'stats.empty': '퍼즐을 끝내면 여기에 통계가 표시돼요.',
+  'stats.underMinutes': '{n}분 미만',
+  'stats.minutesRange': '{from}~{to}분',
+  'stats.overMinutes': '{n}분 이상',
+
+  'calendar.title': '나의 오늘의 퍼즐',
+  'calendar.previousMonth': '이전 달',
+  'calendar.nextMonth': '다음 달',
+  'calendar.daySolved': '{date}: 3개 중 {n}개 완성',
+  'calendar.viewedSolution': '{label}, 정답을 봤어요',
+
+  'progress.exportMessage': '안전한 곳에 보관하세요. 가져오면 어느 기기에서든 연속 기록, 통계, 설정, 진행 중인 퍼즐이 복원돼요.',
+  'progress.download': '파일 다운로드',
+  'progress.copy': '복사',
+  'progress.importMessage': '내보낸 진행 상황이나 이전 코드를 붙여 넣거나 파일을 선택하세요. 이 기기의 진행 상황을 대체해요.',
+  'progress.placeholder': '여기에 붙여 넣기',
+  'progress.chooseFile': '파일 선택',
+  'progress.import': '가져오기',
+  'progress.invalid': 'Loopy 진행 상황이 아닌 것 같아요.',
+  'progress.failed': '가져오지 못했어요. 진행 상황은 그대로예요.',
+  'progress.transferMessage': '다른 기기의 카메라로 이 코드를 스캔하거나, 코드를 복사해 진행 상황 가져오기에 붙여 넣으세요. 연속 기록, 설정, 달력, 통계가 옮겨져요.',
+  'progress.transferPartial': 'QR 코드에는 최근 게임만 담겨요. 전체 기록을 옮기려면 코드를 복사하세요.',
+  'progress.qrLabel': '진행 상황을 옮기는 QR 코드',
+
   'streak.overall': {
     other: '{n}일 연속',
   },
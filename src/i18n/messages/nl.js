@@ -12,6 +12,8 @@ export default {
     'Teken één lijn die zich sluit tot een lus en aan elk getal voldoet. Elke dag een nieuwe puzzel, in drie moeilijkheidsgraden. Gratis en zonder account.',
   'meta.imageAlt': 'Loopy – de gratis dagelijkse tekenpuzzel',
   'meta.playTitle': '{difficulty} Loopy — de tekenpuzzel van vandaag',
+  'meta.archiveTitle': 'Loopy-archief — alle eerdere tekenpuzzels',
+  'meta.statsTitle': 'Loopy-statistieken — jouw tekenpuzzelprestaties',
 
   'home.tagline': 'De dagelijkse tekenpuzzel',
   'home.howToPlay': 'Zo speel je',
@@ -20,6 +22,11 @@ export default {
   'menu.close': 'Menu sluiten',
   'menu.label': 'Menu',
   'menu.unlimited': 'Onbeperkt',
+  'menu.archive': 'Archief',
+  'menu.stats': 'Statistieken',
+  'menu.exportProgress': 'Voortgang exporteren',
+  'menu.transferProgress': 'Naar ander apparaat overzetten',
+  'menu.importProgress': 'Voortgang importeren',
   'menu.support': 'Steun Loopy',
   'menu.feedback': 'Feedback geven',
   'menu.language': 'Taal',
@@ -35,7 +42,28 @@ export default {
   'game.settings': 'Instellingen',
   'game.clear': 'Wissen',
   'game.undo': 'Ongedaan maken',
+  'game.redo': 'Opnieuw',
   'game.viewedSolution': 'Oplossing bekeken',
+  'game.logicalHint': 'Hint',
+  'game.loadFailed': 'Puzzel niet geladen',
+  'game.loadFailedMessage': 'Er ging iets mis bij het maken van deze puzzel.',
+  'game.tryAgain': 'Opnieuw proberen',
+
+  'logicalHint.corner': 'Een lus door een hoek van het rooster moet daar afslaan.',
+  'logicalHint.border': 'De lus kan het rooster niet verlaten.',
+  'logicalHint.zeroHint': 'Deze 0 dwingt rechte lijnen af in zijn gebied.',
+  'logicalHint.degree': 'Elk vakje van de lus raakt precies twee buren.',
+  'logicalHint.hintComplete': 'Dit getal heeft al al zijn bochten.',
+  'logicalHint.hintNeedsAll': 'Dit getal heeft elke bocht nodig die het nog kan krijgen.',
+  'logicalHint.loopClosure': 'De lus hier sluiten zou de rest afsnijden.',
+  'logicalHint.contradiction': 'Al het andere loopt hier dood.',
+  'logicalHint.none': 'Vanaf hier is er geen afleiding mogelijk.',
+
+  'checkpoint.set': 'Checkpoint zetten',
+  'checkpoint.title': 'Checkpoint',
+  'checkpoint.message': 'Het vage pad op het bord is waar je het checkpoint zette. Ga ernaar terug, of houd wat je sindsdien hebt getekend.',
+  'checkpoint.revert': 'Terug naar checkpoint',
+  'checkpoint.commit': 'Huidig pad houden',
 
   'settings.title': 'Instellingen',
   'common.close': 'Sluiten',
@@ -50,6 +78,7 @@ export default {
   'settings.bordersOff': 'Uit',
   'settings.bordersCenter': 'Alleen midden',
   'settings.bordersFull': 'Volledig',
+  'settings.copyPuzzleLink': 'Puzzellink kopiëren',
   'settings.viewSolution': 'Oplossing bekijken',
 
   'win.title': 'Perfecte lus!',
@@ -61,6 +90,42 @@ export default {
   'share.copied': 'Gekopieerd!',
   'share.failed': 'Mislukt',
 
+  'archive.title': 'Archief',
+  'archive.puzzleNumber': 'Puzzel #{n}',
+
+  'stats.title': 'Statistieken',
+  'stats.finished': 'Afgerond',
+  'stats.solved': 'Opgelost',
+  'stats.solutionsViewed': 'Oplossing bekeken',
+  'stats.currentStreak': 'Huidige reeks',
+  'stats.bestStreak': 'Langste reeks',
+  'stats.averageTime': 'Gemiddelde tijd',
+  'stats.bestTime': 'Snelste tijd',
+  'stats.solveTimes': 'Oplostijden',
+  'stats.empty': 'Maak een puzzel af en je statistieken verschijnen hier.',
+  'stats.underMinutes': 'Onder {n} min',
+  'stats.minutesRange': '{from}–{to} min',
+  'stats.overMinutes': '{n}+ min',
+
+  'calendar.title': 'Jouw dagpuzzels',
+  'calendar.previousMonth': 'Vorige maand',
+  'calendar.nextMonth': 'Volgende maand',
+  'calendar.daySolved': '{date}: {n} van 3 opgelost',
+  'calendar.viewedSolution': '{label}, oplossing bekeken',
+
+  'progress.exportMessage': 'Bewaar dit goed. Door het te importeren krijg je je reeksen, statistieken, instellingen en lopende puzzels terug op elk apparaat.',
+  'progress.download': 'Bestand downloaden',
+  'progress.copy': 'Kopiëren',
+  'progress.importMessage': 'Plak geëxporteerde voortgang of een overzetcode, of kies een bestand. Het vervangt de voortgang op dit apparaat.',
+  'progress.placeholder': 'Plak hier je voortgang',
+  'progress.chooseFile': 'Bestand kiezen',
+  'progress.import': 'Importeren',
+  'progress.invalid': 'Dat lijkt geen Loopy-voortgang.',
+  'progress.failed': 'Importeren mislukt. Je voortgang is ongewijzigd.',
+  'progress.transferMessage': 'Scan dit op je andere apparaat met de camera, of kopieer de code en plak hem bij Voortgang importeren. Je reeksen, instellingen, kalender en statistieken gaan mee.',
+  'progress.transferPartial': 'De QR-code bevat alleen je recentste spellen. Kopieer de code om je hele geschiedenis mee te nemen.',
+  'progress.qrLabel': 'QR-code om je voortgang over te zetten',
+
   'streak.overall': {
     one: '{n} dag op rij',
     other: '{n} dagen op rij',
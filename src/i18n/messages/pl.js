@@ -21,6 +21,8 @@ export default {
     'Narysuj jedną linię, która zamyka się w pętlę i spełnia każdą liczbę. Nowa łamigłówka każdego dnia, w trzech poziomach trudności. Za darmo i bez rejestracji.',
   'meta.imageAlt': 'Loopy – darmowa codzienna łamigłówka z rysowaniem',
   'meta.playTitle': '{difficulty} Loopy — dzisiejsza łamigłówka z rysowaniem',
+  'meta.archiveTitle': 'Archiwum Loopy — wszystkie wcześniejsze łamigłówki',
+  'meta.statsTitle': 'Statystyki Loopy — twój bilans łamigłówek',
 
   'home.tagline': 'Codzienna łamigłówka z rysowaniem',
   'home.howToPlay': 'Jak grać',
@@ -29,6 +31,11 @@ export default {
   'menu.close': 'Zamknij menu',
   'menu.label': 'Menu',
   'menu.unlimited': 'Bez limitu',
+  'menu.archive': 'Archiwum',
+  'menu.stats': 'Statystyki',
+  'menu.exportProgress': 'Eksportuj postępy',
+  'menu.transferProgress': 'Przenieś na inne urządzenie',
+  'menu.importProgress': 'Importuj postępy',
   'menu.support': 'Wesprzyj Loopy',
   'menu.feedback': 'Prześlij opinię',
   'menu.language': 'Język',
@@ -44,7 +51,28 @@ export default {
   'game.settings': 'Ustawienia',
   'game.clear': 'Wyczyść',
   'game.undo': 'Cofnij',
+  'game.redo': 'Ponów',
   'game.viewedSolution': 'Podejrzano rozwiązanie',
+  'game.logicalHint': 'Podpowiedź',
+  'game.loadFailed': 'Nie udało się wczytać łamigłówki',
+  'game.loadFailedMessage': 'Coś poszło nie tak podczas tworzenia tej łamigłówki.',
+  'game.tryAgain': 'Spróbuj ponownie',
+
+  'logicalHint.corner': 'Pętla przechodząca przez róg planszy musi w nim skręcić.',
+  'logicalHint.border': 'Pętla nie może wyjść poza planszę.',
+  'logicalHint.zeroHint': 'To 0 wymusza proste linie w swoim obszarze.',
+  'logicalHint.degree': 'Każde pole pętli łączy się z dokładnie dwoma sąsiadami.',
+  'logicalHint.hintComplete': 'Ta liczba ma już wszystkie swoje zakręty.',
+  'logicalHint.hintNeedsAll': 'Ta liczba potrzebuje każdego zakrętu, jaki jeszcze może dostać.',
+  'logicalHint.loopClosure': 'Zamknięcie pętli tutaj odcięłoby resztę.',
+  'logicalHint.contradiction': 'Wszystko inne prowadzi tu w ślepy zaułek.',
+  'logicalHint.none': 'Stąd nie da się już nic wywnioskować.',
+
+  'checkpoint.set': 'Ustaw punkt kontrolny',
+  'checkpoint.title': 'Punkt kontrolny',
+  'checkpoint.message': 'Blada ścieżka na planszy to stan z punktu kontrolnego. Wróć do niego albo zachowaj to, co narysowano później.',
+  'checkpoint.revert': 'Wróć do punktu kontrolnego',
+  'checkpoint.commit': 'Zachowaj obecną ścieżkę',
 
   'settings.title': 'Ustawienia',
   'common.close': 'Zamknij',
@@ -59,6 +87,7 @@ export default {
   'settings.bordersOff': 'Wyłączone',
   'settings.bordersCenter': 'Tylko środek',
   'settings.bordersFull': 'Pełne',
+  'settings.copyPuzzleLink': 'Kopiuj link do łamigłówki',
   'settings.viewSolution': 'Zobacz rozwiązanie',
 
   'win.title': 'Idealna pętla!',
@@ -70,6 +99,42 @@ export default {
   'share.copied': 'Skopiowano!',
   'share.failed': 'Nie udało się',
 
+  'archive.title': 'Archiwum',
+  'archive.puzzleNumber': 'Łamigłówka nr {n}',
+
+  'stats.title': 'Statystyki',
+  'stats.finished': 'Ukończone',
+  'stats.solved': 'Rozwiązane',
+  'stats.solutionsViewed': 'Podejrzane rozwiązania',
+  'stats.currentStreak': 'Obecna seria',
+  'stats.bestStreak': 'Najlepsza seria',
+  'stats.averageTime': 'Średni czas',
+  'stats.bestTime': 'Najlepszy czas',
+  'stats.solveTimes': 'Czasy rozwiązań',
+  'stats.empty': 'Ukończ łamigłówkę, a tutaj pojawią się twoje statystyki.',
+  'stats.underMinutes': 'Poniżej {n} min',
+  'stats.minutesRange': '{from}–{to} min',
+  'stats.overMinutes': '{n}+ min',
+
+  'calendar.title': 'Twoje codzienne łamigłówki',
+  'calendar.previousMonth': 'Poprzedni miesiąc',
+  'calendar.nextMonth': 'Następny miesiąc',
+  'calendar.daySolved': '{date}: rozwiązane {n} z 3',
+  'calendar.viewedSolution': '{label}, podejrzano rozwiązanie',
+
+  'progress.exportMessage': 'Zachowaj to w bezpiecznym miejscu. Import przywróci twoje serie, statystyki, ustawienia i rozpoczęte łamigłówki na każdym urządzeniu.',
+  'progress.download': 'Pobierz plik',
+  'progress.copy': 'Kopiuj',
+  'progress.importMessage': 'Wklej wyeksportowane postępy lub kod przeniesienia albo wybierz plik. Zastąpią one postępy na tym urządzeniu.',
+  'progress.placeholder': 'Wklej tutaj postępy',
+  'progress.chooseFile': 'Wybierz plik',
+  'progress.import': 'Importuj',
+  'progress.invalid': 'To nie wygląda na postępy z Loopy.',
+  'progress.failed': 'Nie udało się zaimportować. Twoje postępy się nie zmieniły.',
+  'progress.transferMessage': 'Na drugim urządzeniu zeskanuj to aparatem albo skopiuj kod i wklej go w Importuj postępy. Przenosi serie, ustawienia, kalendarz i statystyki.',
+  'progress.transferPartial': 'Kod QR zawiera tylko najnowsze gry. Skopiuj kod, aby przenieść całą historię.',
+  'progress.qrLabel': 'Kod QR do przeniesienia postępów',
+
   'streak.overall': {
     one: '{n} dzień z rzędu',
     few: '{n} dni z rzędu',
@@ -15,6 +15,8 @@ export default {
     'Trace um único caminho que se fecha em um laço e satisfaz todos os números. Um novo quebra-cabeça por dia, em três dificuldades. Grátis e sem cadastro.',
   'meta.imageAlt': 'Loopy – o quebra-cabeça diário e gratuito de traçar caminhos',
   'meta.playTitle': '{difficulty} Loopy — o quebra-cabeça de traçar caminhos de hoje',
+  'meta.archiveTitle': 'Arquivo do Loopy — todos os quebra-cabeças anteriores',
+  'meta.statsTitle': 'Estatísticas do Loopy — seu histórico de quebra-cabeças',
 
   'home.tagline': 'O quebra-cabeça diário de traçar caminhos',
   'home.howToPlay': 'Como jogar',
@@ -23,6 +25,11 @@ export default {
   'menu.close': 'Fechar menu',
   'menu.label': 'Menu',
   'menu.unlimited': 'Ilimitado',
+  'menu.archive': 'Arquivo',
+  'menu.stats': 'Estatísticas',
+  'menu.exportProgress': 'Exportar progresso',
+  'menu.transferProgress': 'Passar para outro aparelho',
+  'menu.importProgress': 'Importar progresso',
   'menu.support': 'Apoie o Loopy',
   'menu.feedback': 'Enviar feedback',
   'menu.language': 'Idioma',
@@ -38,7 +45,28 @@ export default {
   'game.settings': 'Configurações',
   'game.clear': 'Limpar',
   'game.undo': 'Desfazer',
+  'game.redo': 'Refazer',
   'game.viewedSolution': 'Solução vista',
+  'game.logicalHint': 'Dica',
+  'game.loadFailed': 'O quebra-cabeça não carregou',
+  'game.loadFailedMessage': 'Algo deu errado ao montar este quebra-cabeça.',
+  'game.tryAgain': 'Tentar de novo',
+
+  'logicalHint.corner': 'Um laço que passa por um canto da grade precisa virar ali.',
+  'logicalHint.border': 'O laço não pode sair da grade.',
+  'logicalHint.zeroHint': 'Este 0 obriga linhas retas na sua área.',
+  'logicalHint.degree': 'Cada casa do laço liga exatamente duas vizinhas.',
+  'logicalHint.hintComplete': 'Este número já tem todas as suas curvas.',
+  'logicalHint.hintNeedsAll': 'Este número precisa de todas as curvas que ainda pode ter.',
+  'logicalHint.loopClosure': 'Fechar o laço aqui deixaria o resto isolado.',
+  'logicalHint.contradiction': 'Qualquer outra coisa aqui leva a um beco sem saída.',
+  'logicalHint.none': 'Nenhuma dedução possível a partir daqui.',
+
+  'checkpoint.set': 'Marcar ponto de controle',
+  'checkpoint.title': 'Ponto de controle',
+  'checkpoint.message': 'O caminho apagado no tabuleiro é onde você marcou o ponto de controle. Volte para ele ou fique com o que desenhou desde então.',
+  'checkpoint.revert': 'Voltar ao ponto de controle',
+  'checkpoint.commit': 'Manter o caminho atual',
 
   'settings.title': 'Configurações',
   'common.close': 'Fechar',
@@ -53,6 +81,7 @@ export default {
   'settings.bordersOff': 'Desativadas',
   'settings.bordersCenter': 'Somente o centro',
   'settings.bordersFull': 'Completas',
+  'settings.copyPuzzleLink': 'Copiar link do quebra-cabeça',
   'settings.viewSolution': 'Ver a solução',
 
   'win.title': 'Laço perfeito!',
@@ -64,6 +93,42 @@ export default {
   'share.copied': 'Copiado!',
   'share.failed': 'Falhou',
 
+  'archive.title': 'Arquivo',
+  'archive.puzzleNumber': 'Quebra-cabeça nº {n}',
+
+  'stats.title': 'Estatísticas',
+  'stats.finished': 'Concluídos',
+  'stats.solved': 'Resolvidos',
+  'stats.solutionsViewed': 'Soluções vistas',
+  'stats.currentStreak': 'Sequência atual',
+  'stats.bestStreak': 'Melhor sequência',
+  'stats.averageTime': 'Tempo médio',
+  'stats.bestTime': 'Melhor tempo',
+  'stats.solveTimes': 'Tempos de resolução',
+  'stats.empty': 'Termine um quebra-cabeça e suas estatísticas aparecerão aqui.',
+  'stats.underMinutes': 'Menos de {n} min',
+  'stats.minutesRange': '{from}–{to} min',
+  'stats.overMinutes': '{n}+ min',
+
+  'calendar.title': 'Seus quebra-cabeças diários',
+  'calendar.previousMonth': 'Mês anterior',
+  'calendar.nextMonth': 'Próximo mês',
+  'calendar.daySolved': '{date}: {n} de 3 resolvidos',
+  'calendar.viewedSolution': '{label}, solução vista',
+
+  'progress.exportMessage': 'Guarde isto em um lugar seguro. Ao importar, você recupera suas sequências, estatísticas, configurações e quebra-cabeças em andamento em qualquer aparelho.',
+  'progress.download': 'Baixar arquivo',
+  'progress.copy': 'Copiar',
+  'progress.importMessage': 'Cole o progresso exportado ou um código de transferência, ou escolha um arquivo. Ele substitui o progresso deste aparelho.',
+  'progress.placeholder': 'Cole o progresso aqui',
+  'progress.chooseFile': 'Escolher arquivo',
+  'progress.import': 'Importar',
+  'progress.invalid': 'Isso não parece progresso do Loopy.',
+  'progress.failed': 'Não foi possível importar. Seu progresso não mudou.',
+  'progress.transferMessage': 'No outro aparelho, escaneie isto com a câmera ou copie o código e cole em Importar progresso. Ele leva suas sequências, configurações, calendário e estatísticas.',
+  'progress.transferPartial': 'O QR code guarda só suas partidas mais recentes. Copie o código para levar todo o histórico.',
+  'progress.qrLabel': 'QR code para passar seu progresso',
+
   'streak.overall': {
     one: '{n} dia seguido',
     other: '{n} dias seguidos',
@@ -21,6 +21,8 @@ export default {
     '画出一条封闭的线，满足所有数字。每天更新，三种难度。免费、无需注册。',
   'meta.imageAlt': 'Loopy – 每日免费一笔画谜题',
   'meta.playTitle': '{difficulty} Loopy — 今日一笔画谜题',
+  'meta.archiveTitle': 'Loopy 往期谜题 — 所有往日一笔画谜题',
+  'meta.statsTitle': 'Loopy 统计 — 你的一笔画谜题记录',
 
   'home.tagline': '每日一笔画谜题',
   'home.howToPlay': '玩法说明',
@@ -29,6 +31,11 @@ export default {
   'menu.close': '关闭菜单',
   'menu.label': '菜单',
   'menu.unlimited': '无限模式',
+  'menu.archive': '往期谜题',
+  'menu.stats': '统计',
+  'menu.exportProgress': '导出进度',
+  'menu.transferProgress': '转移到其他设备',
+  'menu.importProgress': '导入进度',
   'menu.support': '支持 Loopy',
   'menu.feedback': '反馈意见',
   'menu.language': '语言',
@@ -44,7 +51,28 @@ export default {
   'game.settings': '设置',
   'game.clear': '清除',
   'game.undo': '撤销',
+  'game.redo': '重做',
   'game.viewedSolution': '已查看答案',
+  'game.logicalHint': '提示',
+  'game.loadFailed': '谜题加载失败',
+  'game.loadFailedMessage': '生成这道谜题时出了问题。',
+  'game.tryAgain': '重试',
+
+  'logicalHint.corner': '经过网格角落的环必须在那里转弯。',
+  'logicalHint.border': '环不能离开网格。',
+  'logicalHint.zeroHint': '这个 0 让它的区域里只能走直线。',
+  'logicalHint.degree': '环上的每个格子恰好连接两个相邻格。',
+  'logicalHint.hintComplete': '这个数字的转弯已经齐了。',
+  'logicalHint.hintNeedsAll': '这个数字需要用上所有剩下的转弯候选。',
+  'logicalHint.loopClosure': '在这里闭合环会把其余部分孤立。',
+  'logicalHint.contradiction': '其他走法都会走进死胡同。',
+  'logicalHint.none': '从这里无法再推理出什么。',
+
+  'checkpoint.set': '设置检查点',
+  'checkpoint.title': '检查点',
+  'checkpoint.message': '棋盘上的淡色路径就是设置检查点时的样子。可以回到那里，也可以保留之后画的路径。',
+  'checkpoint.revert': '回到检查点',
+  'checkpoint.commit': '保留当前路径',
 
   'common.close': '关闭',
 
@@ -60,6 +88,7 @@ export default {
   'settings.bordersOff': '关闭',
   'settings.bordersCenter': '仅中心',
   'settings.bordersFull': '完整',
+  'settings.copyPuzzleLink': '复制谜题链接',
   'settings.viewSolution': '查看答案',
 
   'win.title': '完美环线！',
@@ -71,6 +100,42 @@ export default {
   'share.copied': '已复制！',
   'share.failed': '失败',
 
+  'archive.title': '往期谜题',
+  'archive.puzzleNumber': '第 {n} 题',
+
+  'stats.title': '统计',
+  'stats.finished': '已结束',
+  'stats.solved': '已解开',
+  'stats.solutionsViewed': '查看答案',
+  'stats.currentStreak': '当前连续',
+  'stats.bestStreak': '最长连续',
+  'stats.averageTime': '平均用时',
+  'stats.bestTime': '最佳用时',
+  'stats.solveTimes': '用时分布',
+  'stats.empty': '完成一道谜题后，你的统计会显示在这里。',
+  'stats.underMinutes': '{n} 分钟内',
+  'stats.minutesRange': '{from}–{to} 分钟',
+  'stats.overMinutes': '{n} 分钟以上',
+
+  'calendar.title': '你的每日谜题',
+  'calendar.previousMonth': '上个月',
+  'calendar.nextMonth': '下个月',
+  'calendar.daySolved': '{date}：完成 {n}/3',
+  'calendar.viewedSolution': '{label}，已查看答案',
+
+  'progress.exportMessage': '请妥善保存。导入后可在任何设备上恢复你的连续记录、统计、设置和未完成的谜题。',
+  'progress.download': '下载文件',
+  'progress.copy': '复制',
+  'progress.importMessage': '粘贴导出的进度或转移代码，或选择文件。它会替换此设备上的进度。',
+  'progress.placeholder': '在此粘贴进度',
+  'progress.chooseFile': '选择文件',
+  'progress.import': '导入',
+  'progress.invalid': '这看起来不是 Loopy 的进度。',
+  'progress.failed': '导入失败，你的进度没有改变。',
+  'progress.transferMessage': '在另一台设备上用相机扫描此码，或复制代码并粘贴到“导入进度”中。连续记录、设置、日历和统计都会一并转移。',
+  'progress.transferPartial': '二维码只包含你最近的游戏。复制代码可转移全部记录。',
+  'progress.qrLabel': '用于转移进度的二维码',
+
   'streak.overall': {
     other: '连续 {n} 天',
   },
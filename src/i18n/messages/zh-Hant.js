@@ -20,6 +20,8 @@ export default {
     '畫出一條封閉的線，滿足所有數字。每天更新，三種難度。免費、免註冊。',
   'meta.imageAlt': 'Loopy – 每日免費一筆畫謎題',
   'meta.playTitle': '{difficulty} Loopy — 今日一筆畫謎題',
+  'meta.archiveTitle': 'Loopy 往期謎題 — 所有往日一筆畫謎題',
+  'meta.statsTitle': 'Loopy 統計 — 你的一筆畫謎題紀錄',
 
   'home.tagline': '每日一筆畫謎題',
   'home.howToPlay': '玩法說明',
@@ -28,6 +30,11 @@ export default {
   'menu.close': '關閉選單',
   'menu.label': '選單',
   'menu.unlimited': '無限模式',
+  'menu.archive': '往期謎題',
+  'menu.stats': '統計',
+  'menu.exportProgress': '匯出進度',
+  'menu.transferProgress': '轉移到其他裝置',
+  'menu.importProgress': '匯入進度',
   'menu.support': '支持 Loopy',
   'menu.feedback': '意見回饋',
   'menu.language': '語言',
@@ -43,7 +50,28 @@ export default {
   'game.settings': '設定',
   'game.clear': '清除',
   'game.undo': '復原',
+  'game.redo': '重做',
   'game.viewedSolution': '已查看答案',
+  'game.logicalHint': '提示',
+  'game.loadFailed': '謎題載入失敗',
+  'game.loadFailedMessage': '產生這道謎題時出了問題。',
+  'game.tryAgain': '重試',
+
+  'logicalHint.corner': '經過網格角落的迴圈必須在那裡轉彎。',
+  'logicalHint.border': '迴圈不能離開網格。',
+  'logicalHint.zeroHint': '這個 0 讓它的區域裡只能走直線。',
+  'logicalHint.degree': '迴圈上的每個格子恰好連接兩個相鄰格。',
+  'logicalHint.hintComplete': '這個數字的轉彎已經齊了。',
+  'logicalHint.hintNeedsAll': '這個數字需要用上所有剩下的轉彎候選。',
+  'logicalHint.loopClosure': '在這裡閉合迴圈會把其餘部分孤立。',
+  'logicalHint.contradiction': '其他走法都會走進死胡同。',
+  'logicalHint.none': '從這裡無法再推理出什麼。',
+
+  'checkpoint.set': '設定檢查點',
+  'checkpoint.title': '檢查點',
+  'checkpoint.message': '棋盤上的淡色路徑就是設定檢查點時的樣子。可以回到那裡，也可以保留之後畫的路徑。',
+  'checkpoint.revert': '回到檢查點',
+  'checkpoint.commit': '保留目前路徑',
 
   'common.close': '關閉',
 
@@ -59,6 +87,7 @@ export default {
   'settings.bordersOff': '關閉',
   'settings.bordersCenter': '僅中心',
   'settings.bordersFull': '完整',
+  'settings.copyPuzzleLink': '複製謎題連結',
   'settings.viewSolution': '查看答案',
 
   'win.title': '完美環線！',
@@ -70,6 +99,42 @@ export default {
   'share.copied': '已複製！',
   'share.failed': '失敗',
 
+  'archive.title': '往期謎題',
+  'archive.puzzleNumber': '第 {n} 題',
+
+  'stats.title': '統計',
+  'stats.finished': '已結束',
+  'stats.solved': '已解開',
+  'stats.solutionsViewed': '查看答案',
+  'stats.currentStreak': '目前連續',
+  'stats.bestStreak': '最長連續',
+  'stats.averageTime': '平均用時',
+  'stats.bestTime': '最佳用時',
+  'stats.solveTimes': '用時分布',
+  'stats.empty': '完成一道謎題後，你的統計會顯示在這裡。',
+  'stats.underMinutes': '{n} 分鐘內',
+  'stats.minutesRange': '{from}–{to} 分鐘',
+  'stats.overMinutes': '{n} 分鐘以上',
+
+  'calendar.title': '你的每日謎題',
+  'calendar.previousMonth': '上個月',
+  'calendar.nextMonth': '下個月',
+  'calendar.daySolved': '{date}：完成 {n}/3',
+  'calendar.viewedSolution': '{label}，已查看答案',
+
+  'progress.exportMessage': '請妥善保存。匯入後可在任何裝置上恢復你的連續紀錄、統計、設定和未完成的謎題。',
+  'progress.download': '下載檔案',
+  'progress.copy': '複製',
+  'progress.importMessage': '貼上匯出的進度或轉移代碼，或選擇檔案。它會取代此裝置上的進度。',
+  'progress.placeholder': '在此貼上進度',
+  'progress.chooseFile': '選擇檔案',
+  'progress.import': '匯入',
+  'progress.invalid': '這看起來不是 Loopy 的進度。',
+  'progress.failed': '匯入失敗，你的進度沒有改變。',
+  'progress.transferMessage': '在另一台裝置上用相機掃描此碼，或複製代碼並貼到「匯入進度」中。連續紀錄、設定、日曆和統計都會一併轉移。',
+  'progress.transferPartial': 'QR 碼只包含你最近的遊戲。複製代碼可轉移全部紀錄。',
+  'progress.qrLabel': '用於轉移進度的 QR 碼',
+
   'streak.overall': {
     other: '連續 {n} 天',
   },
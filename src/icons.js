@@ -12,26 +12,33 @@
  * - Dices: New puzzle button
  * - RefreshCcw: Restart puzzle button
  * - Undo2: Undo button in game view
+ * - Redo2: Redo button in game view
+ * - Flag: Checkpoint button and sheet in game view
+ * - Lightbulb: Logical hint button in game view
  * - PartyPopper: Win/celebration bottom sheets
  * - CircleOff: Error/incorrect feedback bottom sheets (legacy)
  * - Shell: Partial win bottom sheets
  * - Share2: Share button in win bottom sheet
  * - Check: Tutorial completed icon on home screen
- * - Trophy: Daily puzzle completed icon on home screen
- * - Skull: Viewed solution completed icon on home screen
+ * - Trophy: Daily puzzle completed icon on home screen and in the archive
+ * - Skull: Viewed solution completed icon on home screen, in the archive and
+ *   in the completion calendar
  * - Eye: View solution button icon in settings
+ * - Link: Copy puzzle link row in unlimited mode settings
+ * - CalendarDays: Home screen streak line when no streak is live
  * - GraduationCap: Tutorial lesson intro bottom sheets
  * - CircleHelp: Help button in tutorial navigation to re-open lesson sheet
  * - CircleCheckBig: End/Finish button in game view (legacy)
  * - HeartCrack: End/Finish button in game view (legacy)
  * - OctagonAlert: End game confirmation modal icon
  * - ChevronDown: Settings select dropdown indicator
+ * - ChevronLeft / ChevronRight: Month buttons in the completion calendar
  * - Languages: Language switcher row in the home screen menu
  * - Flame: Daily streak indicator, for players on reduced motion. Everyone
  *   else gets the animated emoji instead - see components/streakFlame.js
  */
 
-import { createIcons, ArrowLeft, Settings, X, Menu, Dices, RefreshCcw, Undo2, PartyPopper, CircleOff, Shell, Share2, Check, Trophy, Skull, Eye, GraduationCap, CircleHelp, CircleCheckBig, HeartCrack, OctagonAlert, ChevronDown, Flame, Languages } from 'lucide';
+import { createIcons, ArrowLeft, Settings, X, Menu, Dices, RefreshCcw, Undo2, Redo2, Lightbulb, PartyPopper, CircleOff, Shell, Share2, Check, Trophy, Skull, Eye, GraduationCap, CircleHelp, CircleCheckBig, HeartCrack, OctagonAlert, ChevronDown, ChevronLeft, ChevronRight, Flame, Languages, Flag, Link, CalendarDays } from 'lucide';
 
 /**
  * Initialize all Lucide icons on the page
@@ -54,6 +61,8 @@ export function initIcons() {
       Dices,
       RefreshCcw,
       Undo2,
+      Redo2,
+      Lightbulb,
       PartyPopper,
       CircleOff,
       Shell,
@@ -68,8 +77,13 @@ export function initIcons() {
       HeartCrack,
       OctagonAlert,
       ChevronDown,
+      ChevronLeft,
+      ChevronRight,
       Flame,
-      Languages
+      Languages,
+      Flag,
+      Link,
+      CalendarDays
     },
     attrs: {
       'stroke-width': '2',
@@ -10,10 +10,13 @@
 import { initRouter } from './router.js';
 import { initIcons } from './icons.js';
 import { cleanupOldSaves, reconcileStreaks } from './persistence.js';
+import { initStorage } from './storage.js';
 import { initHintGenerationExperiment } from './experiment.js';
 import { CONFIG } from './config.js';
 import tokens from './tokens.js';
 import { ACTIVE_LOCALE } from './i18n/index.js';
+import { readTransferCodeFromUrl } from './transferCode.js';
+import { showImportSheet } from './components/progressTransfer.js';
 
 // Preload critical fonts for faster loading
 // Using Vite's ?url import to get correct paths in dev and production
@@ -33,6 +36,11 @@ import interExt500 from '@fontsource/inter/files/inter-latin-ext-500-normal.woff
 import interExt600 from '@fontsource/inter/files/inter-latin-ext-600-normal.woff2?url';
 import interExt700 from '@fontsource/inter/files/inter-latin-ext-700-normal.woff2?url';
 
+// Open storage straight away. IndexedDB answers asynchronously, so this
+// overlaps with the page loading; nothing that reads progress runs before it
+// has settled (see init() and startApp())
+const storageReady = initStorage();
+
 /**
  * Preload fonts to start downloading immediately
  * Creates <link rel="preload"> elements for critical fonts
@@ -106,18 +114,22 @@ function init() {
   // Preload fonts first for fastest loading
   preloadFonts();
 
-  // Clean up old saved games from previous days
-  cleanupOldSaves();
-
-  // Catch up any streak that was missed because the puzzle was completed on a
-  // build without streak tracking
-  reconcileStreaks();
-
-  // Resolve the hint generation experiment arm now, while the player is still
-  // on the home screen. By the time they pick a difficulty the PostHog response
-  // has usually landed, so the first puzzle they open is generated from a real
-  // assignment rather than the local fallback.
-  initHintGenerationExperiment();
+  // Everything that touches progress waits for storage. Registered here, on
+  // DOMContentLoaded, so it always runs before startApp() renders a view.
+  storageReady.then(() => {
+    // Clean up old saved games from previous days
+    cleanupOldSaves();
+
+    // Catch up any streak that was missed because the puzzle was completed on
+    // a build without streak tracking
+    reconcileStreaks();
+
+    // Resolve the hint generation experiment arm now, while the player is
+    // still on the home screen. By the time they pick a difficulty the PostHog
+    // response has usually landed, so the first puzzle they open is generated
+    // from a real assignment rather than the local fallback.
+    initHintGenerationExperiment();
+  });
 
   // Listen for theme changes and update meta tag
   window.addEventListener('themeChanged', updateThemeColor);
@@ -164,7 +176,7 @@ function init() {
  * Start the app after stylesheets are fully loaded
  * This must happen AFTER CSS is ready to ensure color tokens load correctly
  */
-function startApp() {
+async function startApp() {
   // Load color tokens from CSS now that stylesheets are guaranteed to be ready
   // This eliminates the race condition where module-level color loading
   // happens before CSS is fully loaded
@@ -173,8 +185,18 @@ function startApp() {
   // Set initial theme-color meta tag (requires colors to be loaded)
   updateThemeColor();
 
-  // Initialize router and start the app
+  // Initialize router and start the app once progress can be read
+  await storageReady;
   initRouter();
+
+  // Opened by scanning a transfer QR code: offer the import over whatever
+  // view the URL named. The code comes out of the address bar first, so a
+  // reload or a bookmark never offers it again.
+  const transferCode = readTransferCodeFromUrl();
+  if (transferCode) {
+    history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    showImportSheet(transferCode);
+  }
 }
 
 // Phase 1: Initialize app structure when DOM is ready (but stylesheets may still be loading)
@@ -1,7 +1,8 @@
 /**
  * Game State Persistence Module
  *
- * Handles saving and loading game progress to/from localStorage.
+ * Handles saving and loading game progress through the storage adapter (see
+ * storage.js) - IndexedDB where available, localStorage or memory otherwise.
  * Supports both daily puzzles and unlimited mode with different storage strategies.
  *
  * Storage is per-origin rather than per-path, so saves, settings and streaks
@@ -10,18 +11,36 @@
  */
 
 import { t } from './i18n/index.js';
+import { getStorage } from './storage.js';
 
 /**
  * @typedef {Object} GameState
  * @property {string|null} puzzleId - Daily puzzle ID (format: "YYYY-MM-DD-difficulty") or null for unlimited
  * @property {string} difficulty - Game difficulty: "easy", "medium", or "hard"
- * @property {number} gridSize - Size of the game grid (4, 6, or 8)
+ * @property {number|{width: number, height: number, voids?: Array<string>}} gridSize - Size of the game grid (4, 6, or 8, or width x height with optional void cells)
  * @property {boolean} isUnlimitedMode - Whether this is an unlimited (random) game
+ * @property {boolean} [isLinkedPuzzle] - Whether this puzzle was opened from a link to a date or seed
  * @property {Set<string>} playerDrawnCells - Set of cell keys that player has drawn (format: "row,col")
  * @property {Map<string, Set<string>>} playerConnections - Map of cell connections (key: "row,col", value: Set of connected cell keys)
  * @property {number} elapsedSeconds - Time elapsed in seconds
  * @property {Array<{row: number, col: number}>} solutionPath - The solution path (saved only for unlimited mode)
  * @property {Set<string>} hintCells - Set of hint cell keys (saved only for unlimited mode)
+ * @property {number} hintsUsed - Logical hints taken on this puzzle
+ * @property {number} undosUsed - Undos taken on this puzzle
+ * @property {number} restarts - Times this puzzle was cleared and started again
+ * @property {string|null} generatorVariant - Hint generation arm the puzzle was built with
+ * @property {number|null} generatorVersion - Generator version a daily puzzle was built with
+ * @property {Array<BoardStep>} [undoHistory] - Boards to step back to, oldest first
+ * @property {Array<BoardStep>} [redoHistory] - Boards undone and not yet redone, the next redo last
+ * @property {BoardStep|null} [checkpoint] - Board the player set a checkpoint on, to go back to if a guess goes wrong
+ */
+
+/**
+ * A board kept in the undo or redo history
+ * @typedef {Object} BoardStep
+ * @property {Set<string>} playerDrawnCells - Drawn cell keys
+ * @property {Map<string, Set<string>>} playerConnections - Cell connections
+ * @property {boolean} hasWon - Whether the puzzle stood won on this board (undoing a restart after a win goes back to it)
  */
 
 /**
@@ -29,7 +48,7 @@ import { t } from './i18n/index.js';
  * @property {number} version - Storage format version
  * @property {string|null} puzzleId - Daily puzzle ID or null for unlimited
  * @property {string} difficulty - Game difficulty
- * @property {number} gridSize - Size of the game grid
+ * @property {number|{width: number, height: number, voids?: Array<string>}} gridSize - Size of the game grid
  * @property {boolean} isUnlimitedMode - Whether this is unlimited mode
  * @property {Array<string>} playerDrawnCells - Array of drawn cell keys
  * @property {Object<string, Array<string>>} playerConnections - Object mapping cell keys to arrays of connected cells
@@ -37,6 +56,17 @@ import { t } from './i18n/index.js';
  * @property {number} savedAt - Timestamp when state was saved
  * @property {Array<{row: number, col: number}>} [solutionPath] - Solution path (unlimited only)
  * @property {Array<string>} [hintCells] - Hint cells array (unlimited only)
+ * @property {number} [hintsUsed] - Logical hints taken (absent on older saves)
+ * @property {number} [undosUsed] - Undos taken (absent on older saves)
+ * @property {number} [restarts] - Restarts (absent on older saves)
+ * @property {string|null} [generatorVariant] - Hint generation arm (absent on older saves)
+ * @property {number|null} [generatorVersion] - Daily generator version (absent on older saves)
+ * @property {Array<{playerDrawnCells: Array<string>, playerConnections: Object<string, Array<string>>, hasWon: boolean}>} [undoHistory] - Undo
+ *   history (absent on older saves)
+ * @property {Array<{playerDrawnCells: Array<string>, playerConnections: Object<string, Array<string>>, hasWon: boolean}>} [redoHistory] - Redo
+ *   history (absent on older saves)
+ * @property {{playerDrawnCells: Array<string>, playerConnections: Object<string, Array<string>>, hasWon: boolean}|null} [checkpoint] - Checkpoint
+ *   (absent on older saves)
  */
 
 /**
@@ -48,23 +78,61 @@ import { t } from './i18n/index.js';
  * @property {string} lastUnlimitedDifficulty - Last selected unlimited difficulty
  */
 
-const STORAGE_VERSION = 1;
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string|null} puzzleId - Puzzle ID, or null for unlimited
+ * @property {string} difficulty - 'easy', 'medium', or 'hard'
+ * @property {string} mode - Game mode, as analytics reports it ('daily', 'archive', 'linked', 'unlimited')
+ * @property {number} seconds - Time on the clock when the puzzle was finished
+ * @property {number} undos - Undos taken
+ * @property {number} restarts - Times the puzzle was cleared and started again
+ * @property {number} hintsUsed - Logical hints taken
+ * @property {boolean} viewedSolution - Whether it ended with the solution viewed rather than a win
+ * @property {string|null} generatorVariant - Hint generation arm the puzzle was built with
+ * @property {number|null} [generatorVersion] - Daily generator version the puzzle was built with (absent on older entries)
+ * @property {number} completedAt - Timestamp when it was finished
+ */
+
 const STORAGE_PREFIX = 'loop-game';
 const SAVE_COOLDOWN_MS = 5000;
 const SETTINGS_ANIMATION_DURATION_MS = 300;
 
+/**
+ * Most entries the completion history keeps. Three dailies a day is about a
+ * year; heavy unlimited play reaches it sooner, and the oldest entries go
+ * first.
+ */
+const HISTORY_MAX_ENTRIES = 1000;
+
+/**
+ * Days an unfinished save of a linked puzzle (a date, seed or code link) is kept
+ * since it was last played. A finished one goes the day after it was finished.
+ */
+const LINKED_SAVE_MAX_AGE_DAYS = 30;
+
 /* ============================================================================
  * STORAGE KEY MANAGEMENT
  * ========================================================================= */
 
 /**
  * Generate storage key for a game session
- * @param {string|null} puzzleId - Puzzle ID for daily mode, null for unlimited
+ * @param {string|null} puzzleId - Puzzle ID for daily and linked puzzles, null for unlimited
  * @param {string} difficulty - Game difficulty
  * @param {boolean} isUnlimitedMode - Whether this is unlimited mode
- * @returns {string} localStorage key
+ * @param {boolean} [isLinkedPuzzle] - Whether this puzzle was opened from a link
+ * @returns {string} Storage key
  */
-function getStorageKey(puzzleId, difficulty, isUnlimitedMode) {
+function getStorageKey(puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle = false) {
+  if (isLinkedPuzzle) {
+    // A puzzle opened by date, seed or code (/play?date=..., ?seed=..., ?code=...).
+    // Kept apart from the daily key space: a past date's ID looks just like
+    // a daily one, and must neither be swept up with yesterday's dailies by
+    // cleanupOldSaves() nor read as that day's daily.
+    // Format: "loop-game:linked:2025-11-30-easy", "loop-game:linked:seed-42-easy"
+    // or "loop-game:linked:code-<code>-easy"
+    return `${STORAGE_PREFIX}:linked:${puzzleId}`;
+  }
+
   if (isUnlimitedMode) {
     // Include difficulty so each unlimited difficulty has separate save slot
     // Format: "loop-game:unlimited:easy"
@@ -78,7 +146,7 @@ function getStorageKey(puzzleId, difficulty, isUnlimitedMode) {
 
 /**
  * Parse a storage key to extract metadata
- * @param {string} key - localStorage key
+ * @param {string} key - Storage key
  * @returns {Object|null} Parsed metadata or null if invalid
  */
 function parseStorageKey(key) {
@@ -94,6 +162,14 @@ function parseStorageKey(key) {
     };
   }
 
+  if (parts[1] === 'linked' && parts.length === 3) {
+    // Format: loop-game:linked:2025-11-30-easy
+    return {
+      type: 'linked',
+      puzzleId: parts[2]
+    };
+  }
+
   if (parts[1] === 'daily' && parts.length === 3) {
     // Format: loop-game:daily:2025-11-30-easy
     // The puzzleId is the third part
@@ -110,7 +186,7 @@ function parseStorageKey(key) {
 /**
  * Get storage key for daily completion tracking
  * @param {string} difficulty - 'easy', 'medium', or 'hard'
- * @returns {string} localStorage key
+ * @returns {string} Storage key
  */
 function getCompletedKey(difficulty) {
   return `${STORAGE_PREFIX}:completed:${difficulty}`;
@@ -119,7 +195,7 @@ function getCompletedKey(difficulty) {
 /**
  * Get storage key for viewed solution tracking
  * @param {string} difficulty - 'easy', 'medium', or 'hard'
- * @returns {string} localStorage key
+ * @returns {string} Storage key
  */
 function getViewedSolutionKey(difficulty) {
   return `${STORAGE_PREFIX}:completed-viewed-solution:${difficulty}`;
@@ -128,7 +204,7 @@ function getViewedSolutionKey(difficulty) {
 /**
  * Get storage key for streak tracking
  * @param {string} difficulty - 'easy', 'medium', or 'hard'
- * @returns {string} localStorage key
+ * @returns {string} Storage key
  */
 function getStreakKey(difficulty) {
   return `${STORAGE_PREFIX}:streak:${difficulty}`;
@@ -141,7 +217,7 @@ const OVERALL_STREAK_KEY = 'overall';
 
 /**
  * Get storage key for settings
- * @returns {string} localStorage key
+ * @returns {string} Storage key
  */
 function getSettingsKey() {
   return `${STORAGE_PREFIX}:settings`;
@@ -149,12 +225,20 @@ function getSettingsKey() {
 
 /**
  * Get storage key for tutorial completion
- * @returns {string} localStorage key
+ * @returns {string} Storage key
  */
 function getTutorialCompletedKey() {
   return `${STORAGE_PREFIX}:tutorial-completed`;
 }
 
+/**
+ * Get storage key for the completion history
+ * @returns {string} Storage key
+ */
+function getHistoryKey() {
+  return `${STORAGE_PREFIX}:history`;
+}
+
 /**
  * Format a Date as YYYY-MM-DD using local calendar components
  * @param {Date} date - Date to format
@@ -186,10 +270,194 @@ function getYesterdayDateString() {
   return toDateString(yesterday);
 }
 
+/* ============================================================================
+ * SCHEMA MIGRATIONS
+ * ========================================================================= */
+
+/*
+ * Each versioned store keeps an ordered list of transforms, where entry i
+ * upgrades version i + 1 to version i + 2 - so a store's current version is
+ * always one more than its number of migrations. To change a stored shape,
+ * append a transform; never edit or reorder one that has shipped, since data
+ * at every older version may still be sitting in someone's browser.
+ *
+ * A transform receives the parsed value and returns the upgraded one. It must
+ * not touch storage: writing back is migrateStoredValue()'s job, which is
+ * what keeps a half-finished upgrade from ever reaching storage.
+ */
+
+/** Game saves. Every save has carried a version since the first one. */
+const GAME_SAVE_MIGRATIONS = [];
+
+/** Settings. Written without a version before migrations, which reads as 1. */
+const SETTINGS_MIGRATIONS = [
+  // v1 -> v2: the 'none' hint mode was dropped in favour of 'partial', so
+  // players who had numbers off see partial numbers; and countdown went from
+  // a boolean to 'on' / 'off' / 'both'
+  (settings) => ({
+    ...settings,
+    ...(settings.hintMode === 'none' && { hintMode: 'partial' }),
+    ...(typeof settings.countdown === 'boolean' && { countdown: settings.countdown ? 'on' : 'off' })
+  })
+];
+
+/** Streak records. Written without a version before migrations, which reads as 1. */
+const STREAK_MIGRATIONS = [];
+
+const STORAGE_VERSION = GAME_SAVE_MIGRATIONS.length + 1;
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS.length + 1;
+const STREAK_VERSION = STREAK_MIGRATIONS.length + 1;
+
+/**
+ * Run a value through its store's migrations in memory, without storing it
+ *
+ * Data from a newer version than this build knows - a rolled-back deploy, or
+ * an import from a newer build - is returned as unusable rather than
+ * guessed at.
+ *
+ * @param {string} key - Storage key the value belongs to, for the log
+ * @param {any} value - Parsed stored value
+ * @param {Array<Function>} migrations - The store's migrations
+ * @returns {Object|null} Value at the current version, or null if it cannot be used
+ */
+function upgradeStoredValue(key, value, migrations) {
+  if (!value || typeof value !== 'object') return null;
+
+  const currentVersion = migrations.length + 1;
+  const fromVersion = value.version === undefined ? 1 : value.version;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion > currentVersion) {
+    console.warn(`[Persistence] Unsupported version ${value.version} in ${key}, ignoring`);
+    return null;
+  }
+
+  let upgraded = value;
+  try {
+    for (let version = fromVersion; version < currentVersion; version++) {
+      upgraded = { ...migrations[version - 1](upgraded), version: version + 1 };
+    }
+  } catch (error) {
+    console.warn(`[Persistence] Failed to migrate ${key} from version ${fromVersion}:`, error);
+    return null;
+  }
+
+  return upgraded;
+}
+
+/**
+ * Bring a stored value up to its store's current version
+ *
+ * Every transform runs on the value in memory first. Only once all of them
+ * have succeeded - and the result passes `isValid` - is the upgraded value
+ * written back, so a transform that throws or produces garbage leaves the
+ * stored original exactly as it was. A failed write (storage full) is not
+ * fatal either: the upgraded value is still returned for this session and
+ * the migration simply runs again on the next load. Data this build cannot
+ * upgrade is not overwritten here.
+ *
+ * @param {string} key - Storage key the value was read from
+ * @param {any} value - Parsed stored value
+ * @param {Array<Function>} migrations - The store's migrations
+ * @param {Function} [isValid] - Check the upgraded value must pass
+ * @returns {Object|null} Value at the current version, or null if it cannot be used
+ */
+function migrateStoredValue(key, value, migrations, isValid = () => true) {
+  const upgraded = upgradeStoredValue(key, value, migrations);
+  if (!upgraded || !isValid(upgraded)) return null;
+
+  if (upgraded !== value) {
+    try {
+      getStorage().setItem(key, JSON.stringify(upgraded));
+    } catch (error) {
+      console.warn(`[Persistence] Failed to save migrated ${key}:`, error);
+    }
+  }
+
+  return upgraded;
+}
+
 /* ============================================================================
  * DATA SERIALIZATION
  * ========================================================================= */
 
+/**
+ * Convert cell connections to a plain object
+ * @param {Map<string, Set<string>>} connections - Connections
+ * @returns {Object<string, Array<string>>} Serializable connections
+ */
+function serializeConnections(connections) {
+  return Object.fromEntries(
+    Array.from(connections.entries()).map(([key, value]) => [
+      key,
+      Array.from(value)
+    ])
+  );
+}
+
+/**
+ * Convert saved cell connections back to a Map
+ * @param {Object<string, Array<string>>} connections - Saved connections
+ * @returns {Map<string, Set<string>>} Connections
+ */
+function deserializeConnections(connections) {
+  return new Map(
+    Object.entries(connections).map(([key, value]) => [
+      key,
+      new Set(value)
+    ])
+  );
+}
+
+/**
+ * Convert a board from the undo history or a checkpoint to JSON-serializable format
+ * @param {BoardStep} step - Board
+ * @returns {Object} Serializable board
+ */
+function serializeBoardStep(step) {
+  return {
+    playerDrawnCells: Array.from(step.playerDrawnCells),
+    playerConnections: serializeConnections(step.playerConnections),
+    hasWon: step.hasWon || false
+  };
+}
+
+/**
+ * Convert a saved board back
+ * @param {any} step - Saved board
+ * @returns {BoardStep|null} Board, or null if malformed
+ */
+function deserializeBoardStep(step) {
+  if (!Array.isArray(step?.playerDrawnCells)) return null;
+  if (!step.playerConnections || typeof step.playerConnections !== 'object') return null;
+
+  return {
+    playerDrawnCells: new Set(step.playerDrawnCells),
+    playerConnections: deserializeConnections(step.playerConnections),
+    hasWon: step.hasWon === true
+  };
+}
+
+/**
+ * Convert an undo or redo history to JSON-serializable format
+ * @param {Array<BoardStep>} [steps] - History
+ * @returns {Array<Object>} Serializable history
+ */
+function serializeBoardSteps(steps = []) {
+  return steps.map(serializeBoardStep);
+}
+
+/**
+ * Convert a saved undo or redo history back, dropping malformed steps
+ *
+ * Absent on saves from before history was kept, which just start empty.
+ *
+ * @param {any} steps - Saved history
+ * @returns {Array<BoardStep>} History
+ */
+function deserializeBoardSteps(steps) {
+  if (!Array.isArray(steps)) return [];
+  return steps.map(deserializeBoardStep).filter(Boolean);
+}
+
 /**
  * Convert game state to JSON-serializable format
  * @param {GameState} state - Current game state
@@ -208,19 +476,21 @@ function serializeGameState(state) {
     hintCells,
     hasWon,
     hasViewedSolution,
-    generatorVariant
+    generatorVariant,
+    generatorVersion,
+    hintsUsed,
+    undosUsed,
+    restarts,
+    undoHistory,
+    redoHistory,
+    checkpoint
   } = state;
 
   // Convert Set to Array
   const serializedCells = Array.from(playerDrawnCells);
 
   // Convert Map<string, Set<string>> to Object<string, Array<string>>
-  const serializedConnections = Object.fromEntries(
-    Array.from(playerConnections.entries()).map(([key, value]) => [
-      key,
-      Array.from(value)
-    ])
-  );
+  const serializedConnections = serializeConnections(playerConnections);
 
   const baseState = {
     version: STORAGE_VERSION,
@@ -239,6 +509,23 @@ function serializeGameState(state) {
     // find their part-finished puzzle rearranged. Absent on saves written
     // before the experiment shipped, which fall back to the live assignment.
     generatorVariant: generatorVariant || null,
+    // Which generator version built this daily puzzle, for the same reason:
+    // the date would otherwise be replayed with whatever version is live on it
+    // now. Null for unlimited, whose puzzle data is saved in full. Absent on
+    // saves written before versions existed, which take their date's version.
+    generatorVersion: generatorVersion || null,
+    // Logical hints taken. Unlike hasViewedSolution this never disqualifies
+    // the run - it is kept so a hinted solve can be told from an unaided one.
+    hintsUsed: hintsUsed || 0,
+    // Kept for the completion history, which records them once the puzzle is
+    // finished - possibly several visits after the undos were taken
+    undosUsed: undosUsed || 0,
+    restarts: restarts || 0,
+    // Kept so a reload, or a hard puzzle picked up again later, can still
+    // step back (and forward again) through the moves that led here
+    undoHistory: serializeBoardSteps(undoHistory),
+    redoHistory: serializeBoardSteps(redoHistory),
+    checkpoint: checkpoint ? serializeBoardStep(checkpoint) : null,
     savedAt: Date.now()
   };
 
@@ -253,7 +540,7 @@ function serializeGameState(state) {
 
 /**
  * Convert saved JSON data back to game state format
- * @param {SerializedGameState} saved - Saved state from localStorage
+ * @param {SerializedGameState} saved - Saved state from storage
  * @returns {GameState} Deserialized state
  */
 function deserializeGameState(saved) {
@@ -269,19 +556,21 @@ function deserializeGameState(saved) {
     hintCells,
     hasWon,
     hasViewedSolution,
-    generatorVariant
+    generatorVariant,
+    generatorVersion,
+    hintsUsed,
+    undosUsed,
+    restarts,
+    undoHistory,
+    redoHistory,
+    checkpoint
   } = saved;
 
   // Convert Array to Set
   const deserializedCells = new Set(playerDrawnCells);
 
   // Convert Object<string, Array<string>> to Map<string, Set<string>>
-  const deserializedConnections = new Map(
-    Object.entries(playerConnections).map(([key, value]) => [
-      key,
-      new Set(value)
-    ])
-  );
+  const deserializedConnections = deserializeConnections(playerConnections);
 
   const baseState = {
     puzzleId,
@@ -293,7 +582,14 @@ function deserializeGameState(saved) {
     elapsedSeconds,
     hasWon: hasWon || false,
     hasViewedSolution: hasViewedSolution || false,
-    generatorVariant: generatorVariant || null
+    generatorVariant: generatorVariant || null,
+    generatorVersion: generatorVersion || null,
+    hintsUsed: hintsUsed || 0,
+    undosUsed: undosUsed || 0,
+    restarts: restarts || 0,
+    undoHistory: deserializeBoardSteps(undoHistory),
+    redoHistory: deserializeBoardSteps(redoHistory),
+    checkpoint: deserializeBoardStep(checkpoint)
   };
 
   // For unlimited mode, restore the puzzle data
@@ -309,15 +605,32 @@ function deserializeGameState(saved) {
  * VALIDATION
  * ========================================================================= */
 
+/**
+ * Validate a saved grid size
+ * Square grids are stored as a number (as they always have been), rectangular
+ * ones as { width, height }, and irregular boards add a voids array.
+ * @param {any} gridSize - Saved gridSize field
+ * @returns {boolean} Whether it describes a usable grid
+ */
+function isValidGridSize(gridSize) {
+  if (typeof gridSize === 'number') return Number.isInteger(gridSize) && gridSize > 0;
+  if (!gridSize || typeof gridSize !== 'object') return false;
+  if (!Number.isInteger(gridSize.width) || gridSize.width <= 0) return false;
+  if (!Number.isInteger(gridSize.height) || gridSize.height <= 0) return false;
+  if (gridSize.voids === undefined) return true;
+  return Array.isArray(gridSize.voids) && gridSize.voids.every((cellKey) => typeof cellKey === 'string');
+}
+
 /**
  * Validate that saved state has required fields and correct types
- * @param {any} saved - Data loaded from localStorage
+ * @param {any} saved - Data loaded from storage
  * @returns {boolean} Whether the saved state is valid
  */
 function isValidSavedState(saved) {
   if (!saved || typeof saved !== 'object') return false;
 
-  // Check version compatibility
+  // Older saves are migrated before they get here, so anything else is
+  // from a newer build
   if (saved.version !== STORAGE_VERSION) return false;
 
   // Check required fields
@@ -336,7 +649,7 @@ function isValidSavedState(saved) {
   }
 
   // Validate types
-  if (typeof saved.gridSize !== 'number') return false;
+  if (!isValidGridSize(saved.gridSize)) return false;
   if (typeof saved.isUnlimitedMode !== 'boolean') return false;
   if (!Array.isArray(saved.playerDrawnCells)) return false;
   if (typeof saved.playerConnections !== 'object') return false;
@@ -356,50 +669,98 @@ function isValidSavedState(saved) {
  * ========================================================================= */
 
 /**
- * Save current game state to localStorage
+ * Save current game state to storage
  * @param {GameState} state - Current game state
  * @returns {boolean} Whether save was successful
  */
 export function saveGameState(state) {
   try {
-    const key = getStorageKey(state.puzzleId, state.difficulty, state.isUnlimitedMode);
+    const key = getStorageKey(state.puzzleId, state.difficulty, state.isUnlimitedMode, state.isLinkedPuzzle);
+
+    if (wouldReopenFinishedGame(key, state)) {
+      console.warn('[Persistence] Puzzle was finished in another tab, not overwriting it');
+      return false;
+    }
+
     const serialized = serializeGameState(state);
     const json = JSON.stringify(serialized);
 
-    localStorage.setItem(key, json);
+    getStorage().setItem(key, json);
     return true;
   } catch (error) {
-    // localStorage might be full, disabled, or in private browsing mode
+    // Storage might be full, disabled, or in private browsing mode
     console.warn('Failed to save game state:', error);
     return false;
   }
 }
 
 /**
- * Load saved game state from localStorage
- * @param {string|null} puzzleId - Puzzle ID for daily mode, null for unlimited
+ * Whether saving a state would undo a finish recorded by another tab
+ *
+ * With the same puzzle open in two tabs, the one that did not finish it still
+ * holds the unfinished board and would write it back over the finished save on
+ * its next throttled save or page hide. An unfinished state may only replace a
+ * finished one when it comes from clearing the puzzle to play it again, which
+ * counts a restart the finished save does not have.
+ *
+ * @param {string} key - Storage key the state would be saved under
+ * @param {GameState} state - State about to be saved
+ * @returns {boolean} True if the save should be refused
+ */
+function wouldReopenFinishedGame(key, state) {
+  if (state.hasWon || state.hasViewedSolution) return false;
+
+  const json = getStorage().getItem(key);
+  if (!json) return false;
+
+  try {
+    const stored = JSON.parse(json);
+    const isFinished = stored.hasWon || stored.hasViewedSolution;
+    return Boolean(isFinished) && (state.restarts || 0) <= (stored.restarts || 0);
+  } catch {
+    // Unreadable anyway, so nothing to protect
+    return false;
+  }
+}
+
+/**
+ * Whether a change from another tab touched a game's save
+ * @param {Array<string>} keys - Changed keys, from a 'storageChanged' event (see storage.js)
+ * @param {string|null} puzzleId - Puzzle ID for daily and linked puzzles, null for unlimited
+ * @param {string} difficulty - Game difficulty
+ * @param {boolean} isUnlimitedMode - Whether this is unlimited mode
+ * @param {boolean} [isLinkedPuzzle] - Whether this puzzle was opened from a link
+ * @returns {boolean} Whether the save is among them
+ */
+export function isGameStateChanged(keys, puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle = false) {
+  return keys.includes(getStorageKey(puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle));
+}
+
+/**
+ * Load saved game state from storage
+ * @param {string|null} puzzleId - Puzzle ID for daily and linked puzzles, null for unlimited
  * @param {string} difficulty - Game difficulty
  * @param {boolean} isUnlimitedMode - Whether this is unlimited mode
+ * @param {boolean} [isLinkedPuzzle] - Whether this puzzle was opened from a link
  * @returns {GameState|null} Deserialized game state or null if no save exists
  */
-export function loadGameState(puzzleId, difficulty, isUnlimitedMode) {
+export function loadGameState(puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle = false) {
   try {
-    const key = getStorageKey(puzzleId, difficulty, isUnlimitedMode);
-    const json = localStorage.getItem(key);
+    const key = getStorageKey(puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle);
+    const json = getStorage().getItem(key);
 
     if (!json) {
       return null;
     }
 
-    const saved = JSON.parse(json);
-
-    // Validate saved state
-    if (!isValidSavedState(saved)) {
+    // Upgrade saves written by older builds rather than discarding them
+    const saved = migrateStoredValue(key, JSON.parse(json), GAME_SAVE_MIGRATIONS, isValidSavedState);
+    if (!saved) {
       console.warn('[Persistence] Invalid saved state, ignoring');
       return null;
     }
 
-    // For daily puzzles, ensure the puzzleId matches
+    // For daily and linked puzzles, ensure the puzzleId matches
     // (in case there's a clock change or corrupted data)
     if (!isUnlimitedMode && saved.puzzleId !== puzzleId) {
       console.warn('[Persistence] Puzzle ID mismatch, ignoring saved state');
@@ -414,15 +775,16 @@ export function loadGameState(puzzleId, difficulty, isUnlimitedMode) {
 }
 
 /**
- * Clear saved game state from localStorage
- * @param {string|null} puzzleId - Puzzle ID for daily mode, null for unlimited
+ * Clear saved game state from storage
+ * @param {string|null} puzzleId - Puzzle ID for daily and linked puzzles, null for unlimited
  * @param {string} difficulty - Game difficulty
  * @param {boolean} isUnlimitedMode - Whether this is unlimited mode
+ * @param {boolean} [isLinkedPuzzle] - Whether this puzzle was opened from a link
  */
-export function clearGameState(puzzleId, difficulty, isUnlimitedMode) {
+export function clearGameState(puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle = false) {
   try {
-    const key = getStorageKey(puzzleId, difficulty, isUnlimitedMode);
-    localStorage.removeItem(key);
+    const key = getStorageKey(puzzleId, difficulty, isUnlimitedMode, isLinkedPuzzle);
+    getStorage().removeItem(key);
   } catch (error) {
     console.warn('[Persistence] Failed to clear game state:', error);
   }
@@ -433,18 +795,42 @@ export function clearGameState(puzzleId, difficulty, isUnlimitedMode) {
  * ========================================================================= */
 
 /**
- * Remove saved games from previous days
+ * Whether a linked puzzle's save has outlived LINKED_SAVE_MAX_AGE_DAYS
+ *
+ * Each one can carry a full undo and redo history, and links are opened
+ * freely from the archive, so without this they would pile up for good.
+ *
+ * @param {string|null} raw - Stored save
+ * @param {number} startOfToday - Local midnight today, as a timestamp
+ * @returns {boolean} Whether to remove it
+ */
+function isStaleLinkedSave(raw, startOfToday) {
+  try {
+    const saved = JSON.parse(raw);
+    const savedAt = typeof saved?.savedAt === 'number' ? saved.savedAt : 0;
+    if (saved?.hasWon || saved?.hasViewedSolution) return savedAt < startOfToday;
+
+    const maxAgeMs = LINKED_SAVE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    return savedAt < startOfToday - maxAgeMs;
+  } catch {
+    // Unreadable, so it could never be restored anyway
+    return true;
+  }
+}
+
+/**
+ * Remove saved games from previous days, and linked puzzles' saves that are
+ * finished or long abandoned (see isStaleLinkedSave)
  * Should be called on app initialization
  */
 export function cleanupOldSaves() {
   try {
     const today = getTodayDateString();
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
     const keysToRemove = [];
 
-    // Iterate through all localStorage keys
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+    for (const key of getStorage().keys()) {
+      if (!key.startsWith(STORAGE_PREFIX)) continue;
 
       const parsed = parseStorageKey(key);
 
@@ -460,12 +846,14 @@ export function cleanupOldSaves() {
             keysToRemove.push(key);
           }
         }
+      } else if (parsed?.type === 'linked' && isStaleLinkedSave(getStorage().getItem(key), startOfToday)) {
+        keysToRemove.push(key);
       }
     }
 
     // Remove old saves
     for (const key of keysToRemove) {
-      localStorage.removeItem(key);
+      getStorage().removeItem(key);
     }
   } catch (error) {
     console.warn('Failed to cleanup old saves:', error);
@@ -568,7 +956,7 @@ export function markDailyCompleted(difficulty) {
   const key = getCompletedKey(difficulty);
 
   try {
-    localStorage.setItem(key, today);
+    getStorage().setItem(key, today);
     return true;
   } catch (error) {
     console.warn('Failed to save daily completion:', error);
@@ -586,7 +974,7 @@ export function isDailyCompleted(difficulty) {
   const key = getCompletedKey(difficulty);
 
   try {
-    const completedDate = localStorage.getItem(key);
+    const completedDate = getStorage().getItem(key);
     return completedDate === today;
   } catch (error) {
     console.warn('Failed to check daily completion:', error);
@@ -600,7 +988,7 @@ export function isDailyCompleted(difficulty) {
  */
 export function markTutorialCompleted() {
   try {
-    localStorage.setItem(getTutorialCompletedKey(), 'true');
+    getStorage().setItem(getTutorialCompletedKey(), 'true');
     return true;
   } catch (error) {
     console.warn('Failed to save tutorial completion:', error);
@@ -614,7 +1002,7 @@ export function markTutorialCompleted() {
  */
 export function isTutorialCompleted() {
   try {
-    return localStorage.getItem(getTutorialCompletedKey()) === 'true';
+    return getStorage().getItem(getTutorialCompletedKey()) === 'true';
   } catch (error) {
     console.warn('Failed to check tutorial completion:', error);
     return false;
@@ -632,7 +1020,7 @@ export function markDailyCompletedWithViewedSolution(difficulty) {
   const key = getViewedSolutionKey(difficulty);
 
   try {
-    localStorage.setItem(key, today);
+    getStorage().setItem(key, today);
     return true;
   } catch (error) {
     console.warn('Failed to save viewed solution completion:', error);
@@ -650,7 +1038,7 @@ export function isDailyCompletedWithViewedSolution(difficulty) {
   const key = getViewedSolutionKey(difficulty);
 
   try {
-    const completedDate = localStorage.getItem(key);
+    const completedDate = getStorage().getItem(key);
     return completedDate === today;
   } catch (error) {
     console.warn('Failed to check viewed solution completion:', error);
@@ -658,6 +1046,184 @@ export function isDailyCompletedWithViewedSolution(difficulty) {
   }
 }
 
+/* ============================================================================
+ * PUZZLE RESULTS
+ * ========================================================================= */
+
+/**
+ * Get storage key for a history of finished daily puzzles
+ *
+ * The completion flags above only ever hold today, so the archive needs a
+ * record that outlives the day. Today's dailies and archive replays keep
+ * separate histories: an archive result shows in the archive but never counts
+ * as having played the puzzle on its day.
+ *
+ * @param {boolean} isArchive - Whether this is the archive history
+ * @returns {string} Storage key
+ */
+function getResultsKey(isArchive) {
+  return `${STORAGE_PREFIX}:${isArchive ? 'archive-results' : 'daily-results'}`;
+}
+
+/**
+ * Read a results history
+ * @param {boolean} isArchive - Whether to read the archive history
+ * @returns {Object<string, string>} Result ('won' or 'viewed-solution') by puzzle ID
+ */
+function readResults(isArchive) {
+  try {
+    const parsed = JSON.parse(getStorage().getItem(getResultsKey(isArchive)) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.warn('Failed to read puzzle results:', error);
+    return {};
+  }
+}
+
+/**
+ * Record how a daily puzzle was finished
+ *
+ * Separate from markDailyCompleted() and recordDailyStreak(), which only know
+ * about today: this is the permanent record the archive reads. A win is never
+ * downgraded by a later viewed solution.
+ *
+ * @param {string} puzzleId - Daily puzzle ID, e.g. "2025-11-30-easy"
+ * @param {'won'|'viewed-solution'} result - How it was finished
+ * @param {Object} [options]
+ * @param {boolean} [options.archive=false] - Whether it was replayed from the archive rather than played on its day
+ * @returns {boolean} Whether save was successful
+ */
+export function recordPuzzleResult(puzzleId, result, { archive = false } = {}) {
+  const results = readResults(archive);
+  if (results[puzzleId] === 'won') return true;
+  results[puzzleId] = result;
+
+  try {
+    getStorage().setItem(getResultsKey(archive), JSON.stringify(results));
+    return true;
+  } catch (error) {
+    console.warn('Failed to save puzzle result:', error);
+    return false;
+  }
+}
+
+/**
+ * Get every daily puzzle finished on its own day
+ *
+ * Archive replays are left out: this is the record of turning up each day,
+ * which is what the completion calendar shows.
+ *
+ * @returns {Object<string, 'won'|'viewed-solution'>} Result by puzzle ID
+ */
+export function getDailyResults() {
+  return readResults(false);
+}
+
+/**
+ * Look up how a daily puzzle was finished
+ *
+ * A result from the day itself takes precedence over an archive replay.
+ *
+ * @param {string} puzzleId - Daily puzzle ID, e.g. "2025-11-30-easy"
+ * @returns {{result: 'won'|'viewed-solution', archive: boolean}|null} Result, or null if never finished
+ */
+export function getPuzzleResult(puzzleId) {
+  const daily = readResults(false)[puzzleId];
+  if (daily) return { result: daily, archive: false };
+
+  const archived = readResults(true)[puzzleId];
+  return archived ? { result: archived, archive: true } : null;
+}
+
+/* ============================================================================
+ * COMPLETION HISTORY
+ * ========================================================================= */
+
+/**
+ * Whether a storage error means storage is full
+ *
+ * The localStorage adapter throws these from setItem(); IndexedDB reports a
+ * full disk when its writes commit, through the storage's flush(). Browsers
+ * disagree on how to say so: most use a QuotaExceededError, older Firefox
+ * NS_ERROR_DOM_QUOTA_REACHED, and some only set the legacy code.
+ *
+ * @param {any} error - Error from setItem() or flush()
+ * @returns {boolean} Whether it was a quota error
+ */
+function isQuotaExceededError(error) {
+  return error instanceof DOMException && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * Whether a stored value looks like a history entry
+ * @param {any} entry - Parsed array item
+ * @returns {boolean} Whether it has the fields every reader relies on
+ */
+function isHistoryEntry(entry) {
+  return Boolean(entry) && typeof entry === 'object' &&
+    typeof entry.difficulty === 'string' &&
+    typeof entry.completedAt === 'number';
+}
+
+/**
+ * Read the completion history
+ *
+ * Entries that do not look like history entries are dropped rather than
+ * failing the whole read, so one bad write never costs the rest.
+ *
+ * @returns {Array<HistoryEntry>} Entries, oldest first
+ */
+export function getHistory() {
+  try {
+    const parsed = JSON.parse(getStorage().getItem(getHistoryKey()) || '[]');
+    if (!Array.isArray(parsed)) return [];
+
+    return parsed.filter(isHistoryEntry);
+  } catch (error) {
+    console.warn('Failed to read completion history:', error);
+    return [];
+  }
+}
+
+/**
+ * Append a finished puzzle to the completion history
+ *
+ * The history is append-only: entries are never edited, only dropped from the
+ * front once there are more than HISTORY_MAX_ENTRIES. When storage is full
+ * the oldest half is given up and the write retried, so a full store costs
+ * old history rather than today's entry - and never the saves and streaks
+ * that share it, which are written elsewhere and left alone.
+ *
+ * @param {Omit<HistoryEntry, 'completedAt'>} entry - The finished puzzle
+ * @returns {Promise<boolean>} Whether the entry was stored
+ */
+export async function appendHistoryEntry(entry) {
+  const history = [...getHistory(), { ...entry, completedAt: Date.now() }]
+    .slice(-HISTORY_MAX_ENTRIES);
+
+  while (history.length > 0) {
+    try {
+      getStorage().setItem(getHistoryKey(), JSON.stringify(history));
+      await getStorage().flush();
+      return true;
+    } catch (error) {
+      if (!isQuotaExceededError(error)) {
+        console.warn('Failed to save completion history:', error);
+        return false;
+      }
+      history.splice(0, Math.max(1, Math.floor(history.length / 2)));
+    }
+  }
+
+  console.warn('Failed to save completion history: storage is full');
+  return false;
+}
+
 /* ============================================================================
  * STREAK TRACKING
  * ========================================================================= */
@@ -671,10 +1237,12 @@ function readStreakRecord(key) {
   const empty = { current: 0, best: 0, lastDate: null };
 
   try {
-    const raw = localStorage.getItem(getStreakKey(key));
+    const raw = getStorage().getItem(getStreakKey(key));
     if (!raw) return empty;
 
-    const parsed = JSON.parse(raw);
+    const parsed = migrateStoredValue(getStreakKey(key), JSON.parse(raw), STREAK_MIGRATIONS);
+    if (!parsed) return empty;
+
     return {
       current: Number(parsed.current) || 0,
       best: Number(parsed.best) || 0,
@@ -734,9 +1302,9 @@ function extendStreak(key) {
   const best = Math.max(current, record.best);
 
   try {
-    localStorage.setItem(
+    getStorage().setItem(
       getStreakKey(key),
-      JSON.stringify({ current, best, lastDate: today })
+      JSON.stringify({ version: STREAK_VERSION, current, best, lastDate: today })
     );
   } catch (error) {
     console.warn('Failed to save streak:', error);
@@ -793,6 +1361,10 @@ export function formatStreakLabel(days, difficultyLabel) {
  * Record a completed daily puzzle against both the overall streak and the
  * streak for that specific difficulty
  *
+ * Only ever for today's puzzle. Archive replays are recorded with
+ * recordPuzzleResult() alone - finishing last Tuesday's puzzle today must not
+ * keep today's streak alive.
+ *
  * @param {string} difficulty - 'easy', 'medium', or 'hard'
  * @returns {{difficulty: Object, overall: Object}} Updated streak states
  */
@@ -839,6 +1411,288 @@ export function reconcileStreaks() {
   return backfilled;
 }
 
+/* ============================================================================
+ * EXPORT & IMPORT
+ * ========================================================================= */
+
+/** Marks an exported file as Loopy progress rather than any other JSON */
+const EXPORT_FORMAT = 'loopy-progress';
+
+/** Version of the export wrapper. Raise it when its shape changes. */
+const EXPORT_VERSION = 1;
+
+/**
+ * Every key this game owns, i.e. under STORAGE_PREFIX
+ * @returns {Array<string>} Storage keys
+ */
+function getOwnedKeys() {
+  return getStorage().keys().filter((key) => key.startsWith(`${STORAGE_PREFIX}:`));
+}
+
+/** Difficulties with their own completion flags and streak */
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/** Key the hint generation experiment keeps its assignment under (see experiment.js) */
+const EXPERIMENT_KEY = `${STORAGE_PREFIX}:experiment:hint-generation`;
+
+/**
+ * Parse a stored JSON value, or null if it is not JSON
+ * @param {string} value - Stored string
+ * @returns {any} Parsed value
+ */
+function parseStoredJSON(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD date string
+ * @param {any} value - Candidate
+ * @returns {boolean} Whether it is one
+ */
+function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Check one entry of an export against the store its key names
+ *
+ * Each store is held to what its own reader expects, after the same
+ * migrations the reader would run, so an import from an older build passes
+ * and one that would only be read back as defaults does not.
+ *
+ * @param {string} key - Storage key
+ * @param {string} value - Stored string
+ * @returns {boolean} Whether this build can use it
+ */
+function isValidProgressEntry(key, value) {
+  const name = key.slice(STORAGE_PREFIX.length + 1);
+  const [store, detail] = name.split(':');
+
+  if (parseStorageKey(key)) {
+    const saved = upgradeStoredValue(key, parseStoredJSON(value), GAME_SAVE_MIGRATIONS);
+    return Boolean(saved) && isValidSavedState(saved);
+  }
+
+  if (key === getSettingsKey()) {
+    const settings = upgradeStoredValue(key, parseStoredJSON(value), SETTINGS_MIGRATIONS);
+    return Boolean(settings) && !Array.isArray(settings) && Object.keys(DEFAULT_SETTINGS).every((setting) =>
+      settings[setting] === undefined || typeof settings[setting] === typeof DEFAULT_SETTINGS[setting]
+    );
+  }
+
+  if (key === getTutorialCompletedKey()) return value === 'true';
+
+  if (key === getHistoryKey()) {
+    const history = parseStoredJSON(value);
+    return Array.isArray(history) && history.every(isHistoryEntry);
+  }
+
+  if (key === getResultsKey(false) || key === getResultsKey(true)) {
+    const results = parseStoredJSON(value);
+    return Boolean(results) && typeof results === 'object' && !Array.isArray(results) &&
+      Object.values(results).every((result) => result === 'won' || result === 'viewed-solution');
+  }
+
+  if (store === 'streak' && (DIFFICULTIES.includes(detail) || detail === OVERALL_STREAK_KEY)) {
+    const record = upgradeStoredValue(key, parseStoredJSON(value), STREAK_MIGRATIONS);
+    return Boolean(record) &&
+      Number.isInteger(record.current) && record.current >= 0 &&
+      Number.isInteger(record.best) && record.best >= 0 &&
+      (record.lastDate === null || isDateString(record.lastDate));
+  }
+
+  if ((store === 'completed' || store === 'completed-viewed-solution') && DIFFICULTIES.includes(detail)) {
+    return isDateString(value);
+  }
+
+  if (key === EXPERIMENT_KEY) {
+    return typeof parseStoredJSON(value)?.variant === 'string';
+  }
+
+  return false;
+}
+
+/**
+ * Export all progress as text
+ *
+ * Every key under STORAGE_PREFIX goes in as its raw stored string - settings,
+ * streaks, completion flags and results, history, in-progress saves and the
+ * experiment assignment alike - so an import puts back exactly what was there
+ * without this module having to understand each store.
+ *
+ * @returns {string} JSON text, for a file or the clipboard
+ */
+export function exportProgress() {
+  const data = {};
+  for (const key of getOwnedKeys()) {
+    data[key] = getStorage().getItem(key);
+  }
+
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  });
+}
+
+/**
+ * Replace all progress with an export
+ *
+ * The text is validated in full before anything is touched: every entry must
+ * be a store this build knows and hold a value its reader can use, or the
+ * whole import is refused. The import then replaces rather than merges - a
+ * streak cannot be meaningfully merged - and if it cannot all be stored
+ * (storage full) the previous progress is put back.
+ *
+ * @param {string} text - Text from exportProgress()
+ * @returns {Promise<boolean>} Whether it was stored; false leaves the old progress in place
+ * @throws {Error} If the text is not a usable export
+ */
+export async function importProgress(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid progress: not JSON');
+  }
+
+  if (!parsed || parsed.format !== EXPORT_FORMAT) {
+    throw new Error('Invalid progress: not a Loopy export');
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version < 1 || parsed.version > EXPORT_VERSION) {
+    throw new Error(`Invalid progress: unsupported version ${parsed.version}`);
+  }
+  if (!parsed.data || typeof parsed.data !== 'object' || Array.isArray(parsed.data)) {
+    throw new Error('Invalid progress: no data');
+  }
+
+  const entries = Object.entries(parsed.data);
+  for (const [key, value] of entries) {
+    if (!key.startsWith(`${STORAGE_PREFIX}:`) || typeof value !== 'string' || !isValidProgressEntry(key, value)) {
+      throw new Error(`Invalid progress: unexpected entry "${key}"`);
+    }
+  }
+
+  const previous = getOwnedKeys().map((key) => [key, getStorage().getItem(key)]);
+  const replaceAll = (pairs) => {
+    for (const key of getOwnedKeys()) getStorage().removeItem(key);
+    for (const [key, value] of pairs) getStorage().setItem(key, value);
+  };
+
+  try {
+    replaceAll(entries);
+    await getStorage().flush();
+    return true;
+  } catch (error) {
+    console.warn('Failed to import progress:', error);
+    replaceAll(previous);
+    return false;
+  }
+}
+
+/**
+ * @typedef {Object} ProgressSnapshot
+ * @property {string} today - Local date it was read on, which the completion flags are checked against
+ * @property {Settings} settings - Settings, as loadSettings() returns them
+ * @property {boolean} tutorialCompleted - Whether the tutorial was finished
+ * @property {Object<string, {current: number, best: number, lastDate: string|null}>} streaks -
+ *   Streak records by difficulty, plus OVERALL_STREAK_KEY
+ * @property {Object<string, string|null>} completed - Date each difficulty's daily was last solved
+ * @property {Object<string, string|null>} viewedSolution - Date each difficulty's daily last ended with the solution viewed
+ * @property {Object<string, string>} dailyResults - From getDailyResults()
+ * @property {Object<string, string>} archiveResults - Archive replay results by puzzle ID
+ * @property {Array<HistoryEntry>} history - From getHistory()
+ */
+
+/**
+ * Read the progress worth carrying to another device, as values rather than
+ * stored strings
+ *
+ * Unlike exportProgress() this understands each store, so the transfer code
+ * (see transferCode.js) can pack it far smaller than its JSON. In-progress
+ * saves and the experiment assignment are left out: a half-drawn puzzle is
+ * not worth the space, and the new device keeps the arm it already has.
+ *
+ * @returns {ProgressSnapshot} Snapshot
+ */
+export function getProgressSnapshot() {
+  const difficulties = ['easy', 'medium', 'hard'];
+  const readDate = (key) => {
+    try {
+      return getStorage().getItem(key);
+    } catch (error) {
+      console.warn('Failed to read completion date:', error);
+      return null;
+    }
+  };
+
+  return {
+    today: getTodayDateString(),
+    settings: loadSettings(),
+    tutorialCompleted: isTutorialCompleted(),
+    streaks: Object.fromEntries(
+      [...difficulties, OVERALL_STREAK_KEY].map((key) => [key, readStreakRecord(key)])
+    ),
+    completed: Object.fromEntries(difficulties.map((difficulty) => [difficulty, readDate(getCompletedKey(difficulty))])),
+    viewedSolution: Object.fromEntries(difficulties.map((difficulty) => [difficulty, readDate(getViewedSolutionKey(difficulty))])),
+    dailyResults: readResults(false),
+    archiveResults: readResults(true),
+    history: getHistory()
+  };
+}
+
+/**
+ * Replace progress with a snapshot from getProgressSnapshot()
+ *
+ * Replaces every store the snapshot covers, as importProgress() does, and
+ * leaves the rest - in-progress saves, the experiment assignment - alone. If
+ * it cannot all be stored the previous values are put back.
+ *
+ * @param {ProgressSnapshot} snapshot - Snapshot to restore
+ * @returns {Promise<boolean>} Whether it was stored; false leaves the old progress in place
+ */
+export async function restoreProgressSnapshot(snapshot) {
+  const pairs = [
+    [getSettingsKey(), JSON.stringify({ ...snapshot.settings, version: SETTINGS_VERSION })],
+    [getTutorialCompletedKey(), snapshot.tutorialCompleted ? 'true' : null],
+    ...Object.entries(snapshot.streaks).map(([key, record]) => [
+      getStreakKey(key),
+      record.lastDate ? JSON.stringify({ version: STREAK_VERSION, ...record }) : null
+    ]),
+    ...Object.entries(snapshot.completed).map(([difficulty, date]) => [getCompletedKey(difficulty), date]),
+    ...Object.entries(snapshot.viewedSolution).map(([difficulty, date]) => [getViewedSolutionKey(difficulty), date]),
+    [getResultsKey(false), JSON.stringify(snapshot.dailyResults)],
+    [getResultsKey(true), JSON.stringify(snapshot.archiveResults)],
+    [getHistoryKey(), JSON.stringify(snapshot.history)]
+  ];
+
+  const write = (entries) => {
+    for (const [key, value] of entries) {
+      if (value === null) {
+        getStorage().removeItem(key);
+      } else {
+        getStorage().setItem(key, value);
+      }
+    }
+  };
+
+  const previous = pairs.map(([key]) => [key, getStorage().getItem(key)]);
+  try {
+    write(pairs);
+    await getStorage().flush();
+    return true;
+  } catch (error) {
+    console.warn('Failed to restore progress:', error);
+    write(previous);
+    return false;
+  }
+}
+
 /* ============================================================================
  * SETTINGS PERSISTENCE
  * ========================================================================= */
@@ -851,14 +1705,14 @@ const DEFAULT_SETTINGS = {
 };
 
 /**
- * Save user settings to localStorage
+ * Save user settings to storage
  * @param {Settings} settings - Settings object
  * @returns {boolean} Whether save was successful
  */
 export function saveSettings(settings) {
   try {
     const key = getSettingsKey();
-    localStorage.setItem(key, JSON.stringify(settings));
+    getStorage().setItem(key, JSON.stringify({ ...settings, version: SETTINGS_VERSION }));
     return true;
   } catch (error) {
     console.warn('Failed to save settings:', error);
@@ -867,35 +1721,27 @@ export function saveSettings(settings) {
 }
 
 /**
- * Load user settings from localStorage
+ * Load user settings from storage
  * @returns {Settings} Settings object (merged with defaults)
  */
 export function loadSettings() {
   try {
     const key = getSettingsKey();
-    const json = localStorage.getItem(key);
+    const json = getStorage().getItem(key);
 
     if (!json) {
       return { ...DEFAULT_SETTINGS };
     }
 
-    const settings = JSON.parse(json);
-    // Merge with defaults in case new settings are added in future
-    const merged = { ...DEFAULT_SETTINGS, ...settings };
-
-    // MIGRATION: Convert old 'none' state to 'partial'
-    // This ensures existing users who had numbers disabled will now see partial numbers
-    if (merged.hintMode === 'none') {
-      merged.hintMode = 'partial';
-    }
-
-    // MIGRATION: Convert countdown from boolean to string
-    // true -> 'on', false -> 'off'
-    if (typeof merged.countdown === 'boolean') {
-      merged.countdown = merged.countdown ? 'on' : 'off';
+    const settings = migrateStoredValue(key, JSON.parse(json), SETTINGS_MIGRATIONS);
+    if (!settings) {
+      return { ...DEFAULT_SETTINGS };
     }
 
-    return merged;
+    // Merge with defaults in case new settings are added in future. The
+    // version is storage bookkeeping, not a setting.
+    const { version, ...stored } = settings;
+    return { ...DEFAULT_SETTINGS, ...stored };
   } catch (error) {
     console.warn('Failed to load settings:', error);
     return { ...DEFAULT_SETTINGS };
@@ -0,0 +1,248 @@
+/**
+ * Puzzle codes
+ *
+ * A puzzle as a short URL-safe string, for sharing, bookmarking and attaching
+ * to bug reports. Unlimited puzzles are random, so until now they only ever
+ * existed as the solutionPath / hintCells arrays in a localStorage save; a
+ * code carries everything needed to put the same puzzle back on the board.
+ *
+ * A code is base64url over these bytes:
+ *
+ *   | bytes      | field                                                   |
+ *   |------------|---------------------------------------------------------|
+ *   | 1          | format version (FORMAT_VERSION)                         |
+ *   | 1 + 1      | width, height                                           |
+ *   | 1          | generator version, 0 for none                           |
+ *   | 1          | hint generation arm, 0 for none (see ARMS)              |
+ *   | 1          | flags - bit 0: a void mask follows                      |
+ *   | cells / 8  | void mask, row-major, one bit per cell (if flagged)     |
+ *   | 2 + 2      | loop length, index of the loop's first cell             |
+ *   | steps / 4  | each step round the loop as a direction, 2 bits apiece  |
+ *   | cells / 8  | hint mask, row-major, one bit per cell                  |
+ *   | 2          | checksum of everything before it                        |
+ *
+ * The loop's last step, back to its first cell, is implied. Hint values are
+ * not stored: they follow from the loop, so they can never disagree with it.
+ * An 8x8 puzzle comes to 48 characters.
+ *
+ * Codes travel as /play?code=<code> links (getPuzzleUrl()), copied from the
+ * settings sheet in unlimited mode and opened by the game view.
+ */
+
+import { CONFIG } from './config.js';
+import { BASE_PATH } from './i18n/index.js';
+import { BOARD_SHAPES } from './generation/boardShapes.js';
+import {
+  createCellKey, getGridDimensions, getVoidCells, isInGrid, parseCellKey,
+  checksum, packBits, unpackBits, toBase64Url, fromBase64Url
+} from './utils.js';
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Largest width or height a code may describe: the biggest board the game
+ * offers, over the difficulties' grids and the shaped boards. A code for
+ * anything larger did not come from the game, and would still go straight to
+ * the worker, the grader and the renderer.
+ */
+const MAX_SIDE = Math.max(
+  ...Object.values(CONFIG.DIFFICULTY.GRID_SIZE).flatMap((size) => {
+    const { width, height } = getGridDimensions(size);
+    return [width, height];
+  }),
+  ...Object.values(BOARD_SHAPES).flatMap((rows) => [rows[0].length, rows.length])
+);
+
+/** Loop directions by their 2-bit code: up, right, down, left */
+const DIRECTIONS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+
+/** Hint generation arms by their code, from 1 (0 means none recorded) */
+const ARMS = [
+  CONFIG.EXPERIMENT.HINT_GENERATION.CONTROL,
+  CONFIG.EXPERIMENT.HINT_GENERATION.VARIANT,
+  CONFIG.EXPERIMENT.HINT_GENERATION.UNIQUE,
+];
+
+const FLAG_VOIDS = 1;
+
+/**
+ * @typedef {Object} CodedPuzzle
+ * @property {GridSize} gridSize - Board, voids included
+ * @property {Array<{row: number, col: number}>} solution - Solution loop
+ * @property {Set<string>} hints - Hint cell keys
+ * @property {number|null} generatorVersion - Generator version that built it, if known
+ * @property {string|null} variant - Hint generation arm that built it, if known
+ */
+
+/* ============================================================================
+ * ENCODE / DECODE
+ * ========================================================================= */
+
+/**
+ * Fail a decode with a reason a bug report can quote
+ * @param {string} reason - What is wrong with the code
+ */
+function invalid(reason) {
+  throw new Error(`Invalid puzzle code: ${reason}`);
+}
+
+/**
+ * Encode a puzzle as a code
+ *
+ * @param {GridSize} gridSize - Board
+ * @param {Array<{row: number, col: number}>} solution - Solution loop
+ * @param {Set<string>|Array<string>} hints - Hint cell keys
+ * @param {Object} [options]
+ * @param {number|null} [options.generatorVersion] - Generator version that built it
+ * @param {string|null} [options.variant] - Hint generation arm that built it
+ * @returns {string} Puzzle code
+ */
+export function encodePuzzle(gridSize, solution, hints, { generatorVersion = null, variant = null } = {}) {
+  const { width, height } = getGridDimensions(gridSize);
+  if (width > MAX_SIDE || height > MAX_SIDE) {
+    throw new Error(`Board ${width}x${height} is too large for a puzzle code`);
+  }
+  if (generatorVersion !== null && !(generatorVersion >= 1 && generatorVersion <= 255)) {
+    throw new Error(`Generator version ${generatorVersion} cannot be encoded`);
+  }
+
+  const armCode = variant === null ? 0 : ARMS.indexOf(variant) + 1;
+  if (armCode === 0 && variant !== null) {
+    throw new Error(`Unknown hint generation arm: ${variant}`);
+  }
+
+  const voids = getVoidCells(gridSize);
+  const bytes = [FORMAT_VERSION, width, height, generatorVersion || 0, armCode, voids.size > 0 ? FLAG_VOIDS : 0];
+
+  const cellMask = (cells) => {
+    const bits = new Array(width * height).fill(0);
+    for (const cellKey of cells) {
+      const { row, col } = parseCellKey(cellKey);
+      bits[row * width + col] = 1;
+    }
+    return packBits(bits, 1);
+  };
+
+  if (voids.size > 0) bytes.push(...cellMask(voids));
+
+  const start = solution[0].row * width + solution[0].col;
+  bytes.push(solution.length >> 8, solution.length & 0xFF, start >> 8, start & 0xFF);
+
+  const steps = [];
+  for (let i = 1; i < solution.length; i++) {
+    const dRow = solution[i].row - solution[i - 1].row;
+    const dCol = solution[i].col - solution[i - 1].col;
+    const direction = DIRECTIONS.findIndex(([r, c]) => r === dRow && c === dCol);
+    if (direction === -1) throw new Error('Solution is not a path of adjacent cells');
+    steps.push(direction);
+  }
+  bytes.push(...packBits(steps, 2));
+  bytes.push(...cellMask(hints));
+
+  const sum = checksum(bytes);
+  bytes.push(sum >> 8, sum & 0xFF);
+  return toBase64Url(bytes);
+}
+
+/**
+ * Decode and validate a puzzle code
+ *
+ * Checks everything the game would otherwise trip over later: the checksum,
+ * the format version, that the loop stays on the board, never revisits a cell
+ * and closes, and that every hint sits on a playable cell.
+ *
+ * @param {string} code - Puzzle code from encodePuzzle()
+ * @returns {CodedPuzzle} Puzzle
+ * @throws {Error} If the code is malformed, damaged or describes no valid puzzle
+ */
+export function decodePuzzle(code) {
+  const bytes = fromBase64Url(String(code).trim());
+  if (!bytes || bytes.length < 8) invalid('not a puzzle code');
+
+  const body = bytes.slice(0, -2);
+  const sum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  if (checksum(body) !== sum) invalid('checksum mismatch');
+
+  let offset = 0;
+  const take = (count) => {
+    if (offset + count > body.length) invalid('too short');
+    const slice = body.slice(offset, offset + count);
+    offset += count;
+    return slice;
+  };
+
+  const [formatVersion, width, height, generatorVersion, armCode, flags] = take(6);
+  if (formatVersion !== FORMAT_VERSION) invalid(`unsupported format ${formatVersion}`);
+  if (width < 2 || height < 2) invalid(`board ${width}x${height} is too small`);
+  if (width > MAX_SIDE || height > MAX_SIDE) invalid(`board ${width}x${height} is too large`);
+  if (armCode > ARMS.length) invalid(`unknown hint generation arm ${armCode}`);
+
+  const cellCount = width * height;
+  const readMask = () => unpackBits(take(Math.ceil(cellCount / 8)), cellCount, 1)
+    .flatMap((bit, index) => (bit ? [createCellKey(Math.floor(index / width), index % width)] : []));
+
+  let gridSize;
+  if (flags & FLAG_VOIDS) {
+    gridSize = { width, height, voids: readMask() };
+  } else {
+    gridSize = width === height ? width : { width, height };
+  }
+
+  const [lengthHigh, lengthLow, startHigh, startLow] = take(4);
+  const length = (lengthHigh << 8) | lengthLow;
+  const start = (startHigh << 8) | startLow;
+  if (length < 4) invalid('loop too short');
+  if (start >= cellCount) invalid('loop starts off the board');
+
+  const steps = unpackBits(take(Math.ceil((length - 1) / 4)), length - 1, 2);
+  const solution = [{ row: Math.floor(start / width), col: start % width }];
+  const visited = new Set([createCellKey(solution[0].row, solution[0].col)]);
+
+  for (const direction of steps) {
+    const previous = solution[solution.length - 1];
+    const row = previous.row + DIRECTIONS[direction][0];
+    const col = previous.col + DIRECTIONS[direction][1];
+    const cellKey = createCellKey(row, col);
+    if (!isInGrid(row, col, gridSize)) invalid('loop leaves the board');
+    if (visited.has(cellKey)) invalid('loop crosses itself');
+    visited.add(cellKey);
+    solution.push({ row, col });
+  }
+
+  if (!isInGrid(solution[0].row, solution[0].col, gridSize)) invalid('loop starts off the board');
+  const last = solution[solution.length - 1];
+  if (Math.abs(last.row - solution[0].row) + Math.abs(last.col - solution[0].col) !== 1) {
+    invalid('loop does not close');
+  }
+
+  const hints = new Set(readMask());
+  for (const cellKey of hints) {
+    const { row, col } = parseCellKey(cellKey);
+    if (!isInGrid(row, col, gridSize)) invalid('hint on a void cell');
+  }
+
+  if (offset !== body.length) invalid('unexpected trailing data');
+
+  return {
+    gridSize,
+    solution,
+    hints,
+    generatorVersion: generatorVersion || null,
+    variant: armCode === 0 ? null : ARMS[armCode - 1],
+  };
+}
+
+/* ============================================================================
+ * LINKS
+ * ========================================================================= */
+
+/**
+ * The link that opens a coded puzzle in this build's language
+ *
+ * @param {string} code - Puzzle code from encodePuzzle()
+ * @param {string} difficulty - Difficulty to file it under ('easy', 'medium' or 'hard')
+ * @returns {string} URL
+ */
+export function getPuzzleUrl(code, difficulty) {
+  return `${CONFIG.SITE.URL}${BASE_PATH}play?difficulty=${difficulty}&code=${code}`;
+}
@@ -0,0 +1,495 @@
+/**
+ * QR Codes
+ *
+ * A small QR code encoder (ISO/IEC 18004), so a transfer code can be drawn on
+ * one screen and scanned by another device's camera with no server and no
+ * extra dependency. It covers only what the game needs: byte mode, error
+ * correction level M, versions 1-40, with the mask chosen by the standard
+ * penalty rules.
+ *
+ * Level M restores up to 15% of the code, which is plenty for a clean screen
+ * held up to a camera and leaves more room for data than Q or H.
+ */
+
+/** Largest version, and so the most data, the standard allows */
+export const MAX_VERSION = 40;
+
+/** Error correction codewords per block, by version (level M) */
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+];
+
+/** Error correction blocks, by version (level M) */
+const ERROR_CORRECTION_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+
+/** Level M in the format information */
+const ECC_FORMAT_BITS = 0;
+
+/** Mode indicator for byte mode */
+const BYTE_MODE = 0b0100;
+
+/**
+ * Masks by number, each saying whether to flip the module at a column and row
+ */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * @typedef {Object} QrCode
+ * @property {number} version - QR version, 1-40
+ * @property {number} size - Modules along each side, quiet zone excluded
+ * @property {Array<Array<boolean>>} modules - Dark modules, by row then column
+ */
+
+/* ============================================================================
+ * CAPACITY
+ * ========================================================================= */
+
+/**
+ * Modules left for data and error correction once the function patterns are
+ * placed, remainder bits included
+ * @param {number} version - QR version
+ * @returns {number} Module count
+ */
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Data codewords a version holds at level M
+ * @param {number} version - QR version
+ * @returns {number} Codeword count
+ */
+function getDataCodewords(version) {
+  return Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * Width of the character count field in byte mode
+ * @param {number} version - QR version
+ * @returns {number} Bits
+ */
+function getCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+/**
+ * Most bytes a version holds at level M
+ * @param {number} version - QR version
+ * @returns {number} Byte count
+ */
+export function getByteCapacity(version) {
+  return Math.floor((getDataCodewords(version) * 8 - 4 - getCountBits(version)) / 8);
+}
+
+/* ============================================================================
+ * REED-SOLOMON
+ * ========================================================================= */
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function multiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Generator polynomial for a number of error correction codewords, highest
+ * coefficient first with the leading 1 left out
+ * @param {number} degree - Error correction codewords
+ * @returns {Array<number>} Coefficients
+ */
+function getDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = multiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = multiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Error correction codewords for one block
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - From getDivisor()
+ * @returns {Array<number>} Error correction codewords
+ */
+function getRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= multiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/* ============================================================================
+ * CODEWORDS
+ * ========================================================================= */
+
+/**
+ * Encode bytes as data codewords, padded to the version's capacity
+ * @param {Uint8Array} bytes - Data
+ * @param {number} version - QR version
+ * @returns {Array<number>} Data codewords
+ */
+function getDataCodewordsFor(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, getCountBits(version));
+  for (const byte of bytes) append(byte, 8);
+
+  const capacity = getDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add each block's error correction and interleave
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {Array<number>} Every codeword, in placement order
+ */
+function addErrorCorrection(data, version) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortLength = Math.floor(rawCodewords / blockCount);
+  const divisor = getDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = getRemainder(block, divisor);
+    // Short blocks get a placeholder so every block lines up when interleaved
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/* ============================================================================
+ * MODULES
+ * ========================================================================= */
+
+/**
+ * Centres of the alignment patterns along each axis
+ * @param {number} version - QR version
+ * @returns {Array<number>} Positions
+ */
+function getAlignmentPositions(version) {
+  if (version === 1) return [];
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let position = version * 4 + 10; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+/**
+ * Lay out a symbol: function patterns, then the codewords, unmasked
+ * @param {number} version - QR version
+ * @param {Array<number>} codewords - From addErrorCorrection()
+ * @returns {{modules: Array<Array<boolean>>, reserved: Array<Array<boolean>>}}
+ *   Modules, and which of them belong to function patterns
+ */
+function layOut(version, codewords) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format information; drawFormatBits() fills it per mask
+  drawFormatBits(set, size, 0);
+
+  // Version information
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Codewords, zigzagging up and down two columns at a time from the right
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+          bit++;
+        }
+      }
+    }
+  }
+
+  return { modules, reserved };
+}
+
+/**
+ * Draw both copies of the format information for a mask
+ * @param {Function} set - Module setter taking column, row and darkness
+ * @param {number} size - Modules along each side
+ * @param {number} mask - Mask number
+ */
+function drawFormatBits(set, size, mask) {
+  const data = (ECC_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bitAt = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bitAt(i));
+  set(8, 7, bitAt(6));
+  set(8, 8, bitAt(7));
+  set(7, 8, bitAt(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(i));
+  set(8, size - 8, true);
+}
+
+/**
+ * Apply a mask to a laid-out symbol
+ * @param {Array<Array<boolean>>} modules - Unmasked modules
+ * @param {Array<Array<boolean>>} reserved - Function pattern modules, left alone
+ * @param {number} mask - Mask number
+ * @returns {Array<Array<boolean>>} Masked copy, format information included
+ */
+function applyMask(modules, reserved, mask) {
+  const flip = MASKS[mask];
+  const result = modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== flip(x, y))));
+  drawFormatBits((x, y, dark) => { result[y][x] = dark; }, result.length, mask);
+  return result;
+}
+
+/**
+ * Score a masked symbol by the standard's penalty rules; lower scans better
+ * @param {Array<Array<boolean>>} modules - Masked modules
+ * @returns {number} Penalty
+ */
+function getPenalty(modules) {
+  const size = modules.length;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map((row) => row[x])),
+  ];
+
+  let penalty = 0;
+  for (const line of lines) {
+    // Runs of five or more of the same colour
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    // Anything that looks like a finder pattern
+    const text = line.map((dark) => (dark ? '1' : '0')).join('');
+    for (const pattern of ['10111010000', '00001011101']) {
+      for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) penalty += 40;
+    }
+  }
+
+  // 2x2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) penalty += 3;
+    }
+  }
+
+  // Balance of dark and light
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
+
+/* ============================================================================
+ * ENCODE / DRAW
+ * ========================================================================= */
+
+/**
+ * Encode text as a QR code, in the smallest version it fits
+ *
+ * @param {string} text - Text to encode, as UTF-8
+ * @param {Object} [options]
+ * @param {number} [options.maxVersion=MAX_VERSION] - Largest version to allow
+ * @returns {QrCode} QR code
+ * @throws {Error} If the text does not fit in maxVersion
+ */
+export function createQrCode(text, { maxVersion = MAX_VERSION } = {}) {
+  const bytes = new TextEncoder().encode(text);
+
+  let version = 1;
+  while (getByteCapacity(version) < bytes.length) {
+    if (version >= maxVersion) {
+      throw new Error(`${bytes.length} bytes do not fit in a version ${maxVersion} QR code`);
+    }
+    version++;
+  }
+
+  const codewords = addErrorCorrection(getDataCodewordsFor(bytes, version), version);
+  const { modules, reserved } = layOut(version, codewords);
+
+  let best = null;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const masked = applyMask(modules, reserved, mask);
+    const penalty = getPenalty(masked);
+    if (penalty < bestPenalty) {
+      best = masked;
+      bestPenalty = penalty;
+    }
+  }
+
+  return { version, size: modules.length, modules: best };
+}
+
+/**
+ * Draw a QR code onto a canvas, with its quiet zone
+ *
+ * Always dark on white whatever the theme: scanners expect dark modules on a
+ * light ground, and some refuse the inverse. Each module is a whole number of
+ * device pixels so the edges stay sharp.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {QrCode} qr - From createQrCode()
+ * @param {number} displaySize - Width and height the canvas is shown at, in CSS pixels
+ */
+export function drawQrCode(canvas, qr, displaySize) {
+  const QUIET_ZONE = 4;
+  const span = qr.size + QUIET_ZONE * 2;
+  const dpr = window.devicePixelRatio || 1;
+  const scale = Math.max(1, Math.ceil((displaySize * dpr) / span));
+
+  canvas.width = span * scale;
+  canvas.height = span * scale;
+  canvas.style.width = `${displaySize}px`;
+  canvas.style.height = `${displaySize}px`;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) ctx.fillRect((x + QUIET_ZONE) * scale, (y + QUIET_ZONE) * scale, scale, scale);
+    });
+  });
+}
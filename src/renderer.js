@@ -3,7 +3,7 @@
  */
 
 import { CONFIG } from './config.js';
-import { drawSmoothCurve, buildSolutionTurnMap, countTurnsInArea, parseCellKey, createCellKey } from './utils.js';
+import { drawSmoothCurve, buildSolutionTurnMap, countTurnsInArea, parseCellKey, createCellKey, getGridDimensions, getVoidCells, isInGrid } from './utils.js';
 
 /**
  * Animation state for number scaling animations is now owned by each view (game.js, tutorial.js)
@@ -174,28 +174,41 @@ function getAnimatedCellPosition(cellKey, cellSize, currentTime, pathAnimationSt
 
 /**
  * Render the grid lines
+ * Void cells of an irregular board are filled in over the lines, so the
+ * playable shape reads at a glance.
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} size - Grid size (e.g., 5 for 5x5)
+ * @param {GridSize} size - Grid size (e.g., 5 for 5x5)
  * @param {number} cellSize - Size of each cell in pixels
  */
 export function renderGrid(ctx, size, cellSize) {
+  const { width, height } = getGridDimensions(size);
   ctx.strokeStyle = CONFIG.COLORS.GRID_LINE;
   ctx.lineWidth = 1;
 
-  // Draw grid lines
-  for (let i = 0; i <= size; i++) {
-    // Vertical lines
+  // Vertical lines
+  for (let i = 0; i <= width; i++) {
     ctx.beginPath();
     ctx.moveTo(i * cellSize, 0);
-    ctx.lineTo(i * cellSize, size * cellSize);
+    ctx.lineTo(i * cellSize, height * cellSize);
     ctx.stroke();
+  }
 
-    // Horizontal lines
+  // Horizontal lines
+  for (let i = 0; i <= height; i++) {
     ctx.beginPath();
     ctx.moveTo(0, i * cellSize);
-    ctx.lineTo(size * cellSize, i * cellSize);
+    ctx.lineTo(width * cellSize, i * cellSize);
     ctx.stroke();
   }
+
+  // Void cells
+  const voids = getVoidCells(size);
+  if (voids.size === 0) return;
+  ctx.fillStyle = CONFIG.COLORS.VOID_CELL;
+  for (const cellKey of voids) {
+    const { row, col } = parseCellKey(cellKey);
+    ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+  }
 }
 
 /**
@@ -247,6 +260,95 @@ export function renderPath(ctx, path, cellSize) {
   ctx.restore();
 }
 
+/**
+ * Render a checkpoint's path as a faint ghost
+ *
+ * Drawn under the player's path while they explore from a checkpoint, so they
+ * can see what going back to it would restore. Same shape as the player's
+ * path, without the animation.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Set<string>} drawnCells - Cells drawn at the checkpoint
+ * @param {Map<string, Set<string>>} connections - Connections at the checkpoint
+ * @param {number} cellSize - Size of each cell in pixels
+ */
+export function renderGhostPath(ctx, drawnCells, connections, cellSize) {
+  if (!drawnCells || drawnCells.size === 0) return;
+
+  ctx.save();
+  ctx.globalAlpha = 0.25;
+
+  const color = CONFIG.COLORS.PLAYER_PATH;
+  for (const segment of tracePathSegments(connections)) {
+    drawSmoothSegment(ctx, segment, connections, cellSize, color);
+  }
+
+  for (const cellKey of drawnCells) {
+    if (connections.get(cellKey)?.size) continue;
+    const { row, col } = parseCellKey(cellKey);
+    ctx.beginPath();
+    ctx.arc(col * cellSize + cellSize / 2, row * cellSize + cellSize / 2, CONFIG.RENDERING.DOT_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Render the highlight for a logical hint
+ *
+ * An edge the loop must use is drawn as a bar between the two cell centres; an
+ * edge or cell the player has to take back is drawn in the error colour. The
+ * hint cell that justifies the step, if any, is outlined so the reason has
+ * something to point at.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{kind: string, cells: Array<string>, hint?: string}} logicalHint - From findNextLogicalStep()
+ * @param {number} cellSize - Size of each cell in pixels
+ */
+export function renderLogicalHint(ctx, logicalHint, cellSize) {
+  if (!logicalHint) return;
+
+  const centre = (cellKey) => {
+    const { row, col } = parseCellKey(cellKey);
+    return { x: col * cellSize + cellSize / 2, y: row * cellSize + cellSize / 2 };
+  };
+  const isWrong = logicalHint.kind !== 'edge-on';
+  const color = isWrong ? CONFIG.COLORS.LOGICAL_HINT_WRONG : CONFIG.COLORS.LOGICAL_HINT;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineCap = 'round';
+
+  if (logicalHint.hint) {
+    const { row, col } = parseCellKey(logicalHint.hint);
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 4]);
+    ctx.strokeRect(col * cellSize + 2, row * cellSize + 2, cellSize - 4, cellSize - 4);
+    ctx.setLineDash([]);
+  }
+
+  ctx.globalAlpha = 0.7;
+  ctx.lineWidth = CONFIG.RENDERING.LOGICAL_HINT_LINE_WIDTH;
+
+  if (logicalHint.cells.length === 2) {
+    const from = centre(logicalHint.cells[0]);
+    const to = centre(logicalHint.cells[1]);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  } else {
+    const { row, col } = parseCellKey(logicalHint.cells[0]);
+    const inset = cellSize * 0.2;
+    ctx.strokeRect(col * cellSize + inset, row * cellSize + inset, cellSize - 2 * inset, cellSize - 2 * inset);
+  }
+
+  ctx.restore();
+}
+
 /**
  * Check if a cell placement is valid (far enough from existing hints)
  * @param {string} cellKey - Cell key to check
@@ -279,7 +381,7 @@ function isValidHintPlacement(cellKey, existingHints, minDistance) {
  * Generate hint cells with fixed count and minimum distance constraint
  * Uses greedy selection from shuffled candidate pool to ensure spatial distribution
  *
- * @param {number} gridSize - Grid size (e.g., 6 for 6x6)
+ * @param {GridSize} gridSize - Grid size (e.g., 6 for 6x6)
  * @param {number} count - Target number of hints to place
  * @param {number} minDistance - Minimum Chebyshev distance between hints (0 for no constraint)
  * @param {function(): number} randomFn - Random function for shuffling (defaults to Math.random)
@@ -289,10 +391,12 @@ function isValidHintPlacement(cellKey, existingHints, minDistance) {
  * Guaranteed to terminate (finite candidate pool).
  */
 export function generateHintCellsWithMinDistance(gridSize, count, minDistance, randomFn = Math.random) {
-  // 1. Create pool of all grid cells
+  // 1. Create pool of all grid cells (void cells excluded)
+  const { width, height } = getGridDimensions(gridSize);
   const allCells = [];
-  for (let row = 0; row < gridSize; row++) {
-    for (let col = 0; col < gridSize; col++) {
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (!isInGrid(row, col, gridSize)) continue;
       allCells.push(createCellKey(row, col));
     }
   }
@@ -357,15 +461,16 @@ export function buildPlayerTurnMap(playerDrawnCells, playerConnections) {
  * Get the validation area bounds for a hint cell
  * @param {number} row - Row index of hint cell
  * @param {number} col - Column index of hint cell
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @returns {{minRow: number, maxRow: number, minCol: number, maxCol: number}} Validation area bounds
  */
 function getValidationBounds(row, col, gridSize) {
+  const { width, height } = getGridDimensions(gridSize);
   return {
     minRow: Math.max(0, row - 1),
-    maxRow: Math.min(gridSize - 1, row + 1),
+    maxRow: Math.min(height - 1, row + 1),
     minCol: Math.max(0, col - 1),
-    maxCol: Math.min(gridSize - 1, col + 1)
+    maxCol: Math.min(width - 1, col + 1)
   };
 }
 
@@ -420,7 +525,7 @@ function drawHintBorders(ctx, bordersToDraw, cellSize, borderMode) {
  * Calculate border layers for hint cells to prevent visual overlap
  * Uses greedy graph coloring: overlapping validation areas get different layers
  * @param {Set<string>} hintCells - Set of "row,col" strings for hint cells
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @returns {Map<string, number>} Map of cellKey -> layer number (0 = outermost)
  */
 export function calculateBorderLayers(hintCells, gridSize) {
@@ -461,7 +566,7 @@ export function calculateBorderLayers(hintCells, gridSize) {
 /**
  * Render pulsing backgrounds for hint validation areas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} gridSize - Grid size (e.g., 4 for 4x4)
+ * @param {GridSize} gridSize - Grid size (e.g., 4 for 4x4)
  * @param {number} cellSize - Size of each cell in pixels
  * @param {Array<{row: number, col: number}>} solutionPath - The solution path
  * @param {Set<string>} hintCells - Set of cells that have hints
@@ -505,10 +610,7 @@ export function renderHintPulse(ctx, gridSize, cellSize, solutionPath, hintCells
     const hintColor = isValid ? CONFIG.COLORS.HINT_VALIDATED : CONFIG.COLORS.SOLUTION_PATH;
 
     // Calculate validation area (3x3 around hint, bounded by grid)
-    const minRow = Math.max(0, row - 1);
-    const maxRow = Math.min(gridSize - 1, row + 1);
-    const minCol = Math.max(0, col - 1);
-    const maxCol = Math.min(gridSize - 1, col + 1);
+    const { minRow, maxRow, minCol, maxCol } = getValidationBounds(row, col, gridSize);
 
     // Calculate rectangle dimensions
     const x = minCol * cellSize;
@@ -557,7 +659,7 @@ function getColorByMagnitude(value, isValidated) {
 /**
  * Render numbers in each cell showing count of turns in adjacent cells
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} gridSize - Grid size (e.g., 6 for 6x6)
+ * @param {GridSize} gridSize - Grid size (e.g., 6 for 6x6)
  * @param {number} cellSize - Size of each cell in pixels
  * @param {Array<{row: number, col: number}>} solutionPath - The solution path
  * @param {Set<string>} hintCells - Set of cells that should show their hints (the 30% subset)
@@ -597,13 +699,15 @@ export function renderCellNumbers(ctx, gridSize, cellSize, solutionPath, hintCel
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
 
-  for (let row = 0; row < gridSize; row++) {
-    for (let col = 0; col < gridSize; col++) {
+  const { width, height } = getGridDimensions(gridSize);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
       const cellKey = createCellKey(row, col);
       const isInHintSet = hintCells.has(cellKey);
 
       // Determine if we should render this cell
       if (hintMode === 'partial' && !isInHintSet) continue;
+      if (!isInGrid(row, col, gridSize)) continue;
 
       // Count turns in adjacent cells (including diagonals and self)
       const expectedTurnCount = countTurnsInArea(row, col, gridSize, solutionTurnMap);
@@ -640,10 +744,7 @@ export function renderCellNumbers(ctx, gridSize, cellSize, solutionPath, hintCel
           maxCol = col;
         } else {
           // Border around the entire validation area (3x3, or less at edges/corners)
-          minRow = Math.max(0, row - 1);
-          maxRow = Math.min(gridSize - 1, row + 1);
-          minCol = Math.max(0, col - 1);
-          maxCol = Math.min(gridSize - 1, col + 1);
+          ({ minRow, maxRow, minCol, maxCol } = getValidationBounds(row, col, gridSize));
         }
 
         // Get layer for this hint cell (0 for center mode)
@@ -10,6 +10,11 @@
  * route is expressed here without that prefix and translated to and from real
  * URLs by withBase() / stripBase(). Callers pass '/play?difficulty=easy' and
  * never think about the locale.
+ *
+ * /play also takes `date=YYYY-MM-DD` (that day's daily puzzle), `seed=<n>`
+ * (the puzzle built from that seed, by generator version `v=<n>` if given) or
+ * `code=<code>` (a puzzle code, see puzzleCode.js) to open one exact puzzle -
+ * see initGame().
  */
 
 import { trackPageView } from './analytics.js';
@@ -29,7 +34,9 @@ const BASE_PREFIX = BASE_PATH.replace(/\/$/, '');
 // Route definitions, expressed relative to the locale's base path
 const routes = [
   { path: '/', viewId: 'home-view' },
-  { path: '/play', viewId: 'play-view' }
+  { path: '/play', viewId: 'play-view' },
+  { path: '/archive', viewId: 'archive-view' },
+  { path: '/stats', viewId: 'stats-view' }
 ];
 
 /**
@@ -71,6 +78,12 @@ function withBase(path) {
  * @returns {string} Document title
  */
 function getRouteTitle(route, params) {
+  if (route.viewId === 'archive-view') {
+    return t('meta.archiveTitle');
+  }
+  if (route.viewId === 'stats-view') {
+    return t('meta.statsTitle');
+  }
   if (route.viewId !== 'play-view') {
     return t('meta.title');
   }
@@ -177,9 +190,23 @@ async function initView(viewId, params) {
     case 'play-view':
       const { initGame, cleanupGame } = await import('./views/game.js');
       const difficulty = params.get('difficulty') || 'medium';
-      initGame(difficulty);
+      // A date, seed or code opens that exact puzzle instead of today's
+      initGame(difficulty, {
+        date: params.get('date'),
+        seed: params.get('seed'),
+        version: params.get('v'),
+        code: params.get('code')
+      });
       return cleanupGame;
 
+    case 'archive-view':
+      const { initArchive } = await import('./views/archive.js');
+      return initArchive();
+
+    case 'stats-view':
+      const { initStats } = await import('./views/stats.js');
+      return initStats();
+
     default:
       return null;
   }
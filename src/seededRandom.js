@@ -6,6 +6,34 @@
  */
 
 import { CONFIG } from './config.js';
+import { BOARD_SHAPES, boardFromShape } from './generation/boardShapes.js';
+
+/**
+ * Format a date as YYYY-MM-DD from its local calendar components, the form
+ * config keys dates by
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD date key as a local date
+ * @param {string} value - Date key, e.g. from a URL
+ * @returns {Date|null} Local midnight on that date, or null if it is not a real date
+ */
+export function parseDateKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Date rolls 2025-02-30 over into March; only a real date survives the trip
+  return toDateKey(date) === value ? date : null;
+}
 
 /**
  * Get the sequential number of today's daily puzzle
@@ -63,13 +91,13 @@ export function createSeededRandom(seed) {
  *   2025-12-01 Easy   → 202512010
  *
  * @param {string} difficulty - 'easy', 'medium', or 'hard'
+ * @param {Date} [date] - Date to seed (defaults to today, local time)
  * @returns {number} Numeric seed for this difficulty on this date
  */
-export function getDailySeed(difficulty) {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1; // getMonth() is 0-indexed
-  const day = now.getDate();
+export function getDailySeed(difficulty, date = new Date()) {
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1; // getMonth() is 0-indexed
+  const day = date.getDate();
 
   // Different offset for each difficulty ensures different puzzles
   const difficultyOffset = {
@@ -83,21 +111,81 @@ export function getDailySeed(difficulty) {
   return dateSeed * 10 + difficultyOffset;
 }
 
+/**
+ * Derive the seed for another try at a daily puzzle
+ *
+ * Used when the puzzle from a daily seed fails the quality gate (see
+ * CONFIG.DIFFICULTY.QUALITY_GATE). Depends only on the daily seed and the
+ * attempt number, so every player walks the same sequence of retries and
+ * lands on the same puzzle. The seed is hashed rather than incremented:
+ * seed + 1 would be tomorrow's Easy or today's next difficulty.
+ *
+ * @param {number} seed - Seed from getDailySeed()
+ * @param {number} attempt - Retry number, from 1
+ * @returns {number} Seed for that retry
+ */
+export function getRetrySeed(seed, attempt) {
+  let h = Math.imul(seed ^ Math.imul(attempt, 0x9E3779B9), 0x85EBCA6B);
+  h = Math.imul(h ^ h >>> 13, 0xC2B2AE35);
+  return (h ^ h >>> 16) >>> 0;
+}
+
+/**
+ * Get the irregular board scheduled for a daily puzzle, if any
+ *
+ * @param {string} difficulty - 'easy', 'medium', or 'hard'
+ * @param {Date} [date] - Date to look up (defaults to today, local time)
+ * @returns {string|null} Shape name (see boardShapes.js), or null for the usual grid
+ */
+export function getDailyBoardShape(difficulty, date = new Date()) {
+  return CONFIG.DAILY.SHAPED_DAYS[toDateKey(date)]?.[difficulty] || null;
+}
+
+/**
+ * Get the generator version a daily puzzle is built with
+ *
+ * The version live on that date in CONFIG.DAILY.GENERATOR_VERSIONS, so past
+ * dates keep their puzzles when a newer generator ships.
+ *
+ * @param {Date} [date] - Date to look up (defaults to today, local time)
+ * @returns {number} Generator version
+ */
+export function getGeneratorVersion(date = new Date()) {
+  const dateKey = toDateKey(date);
+  const versions = CONFIG.DAILY.GENERATOR_VERSIONS;
+
+  let current = versions[0];
+  for (const entry of versions) {
+    if (entry.from <= dateKey) current = entry;
+  }
+  return current.version;
+}
+
+/**
+ * Get the board for a daily puzzle: the shaped board scheduled in
+ * CONFIG.DAILY.SHAPED_DAYS, or the difficulty's usual grid
+ *
+ * @param {string} difficulty - 'easy', 'medium', or 'hard'
+ * @param {Date} [date] - Date to look up (defaults to today, local time)
+ * @returns {GridSize} Grid size, possibly with voids
+ */
+export function getDailyGridSize(difficulty, date = new Date()) {
+  const shape = BOARD_SHAPES[getDailyBoardShape(difficulty, date)];
+  return shape ? boardFromShape(shape) : CONFIG.DIFFICULTY.GRID_SIZE[difficulty];
+}
+
 /**
  * Get a readable puzzle ID for sharing and statistics
  *
- * Returns a human-readable identifier for today's puzzle.
+ * Returns a human-readable identifier for a date's puzzle.
  * Useful for future social features (sharing, leaderboards, etc.)
  *
  * @param {string} difficulty - 'easy', 'medium', or 'hard'
+ * @param {Date} [date] - Puzzle date (defaults to today, local time)
  * @returns {string} Puzzle ID like "2025-11-30-easy"
  */
-export function getPuzzleId(difficulty) {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}-${difficulty}`;
+export function getPuzzleId(difficulty, date = new Date()) {
+  return `${toDateKey(date)}-${difficulty}`;
 }
 
 /**
@@ -0,0 +1,94 @@
+/**
+ * Player Statistics
+ *
+ * Summaries of the completion history (see getHistory() in persistence.js).
+ * Kept apart from the view that draws them so anything else that wants the
+ * same figures - a share card, personal best notices - reads them from one
+ * place.
+ *
+ * A game counts once it is finished: solved, or ended by viewing the solution.
+ * Puzzles left half-drawn never reach the history, so nothing here is a win
+ * rate: solved and viewed-solution games split the finished ones between them,
+ * and the view labels the counts as finished and solved for that reason.
+ */
+
+/**
+ * Upper edges of the solve-time histogram buckets, in minutes. A final open
+ * bucket holds everything slower than the last edge.
+ */
+export const SOLVE_TIME_BUCKETS = [1, 2, 5, 10, 20];
+
+/**
+ * @typedef {Object} DifficultyStats
+ * @property {number} finished - Finished games
+ * @property {number} solved - Games won without viewing the solution
+ * @property {number|null} averageSeconds - Mean solve time, or null before the first solve
+ * @property {number|null} bestSeconds - Fastest solve time, or null before the first solve
+ * @property {Array<number>} histogram - Solves per SOLVE_TIME_BUCKETS bucket, plus the open one
+ */
+
+/**
+ * @typedef {Object} PlayerStats
+ * @property {number} finished - Finished games
+ * @property {number} solved - Games won without viewing the solution
+ * @property {number} viewedSolution - Games ended by viewing the solution
+ * @property {Object<string, DifficultyStats>} byDifficulty - Breakdown by difficulty
+ */
+
+/**
+ * Find the histogram bucket for a solve time
+ * @param {number} seconds - Solve time
+ * @returns {number} Bucket index
+ */
+function getBucketIndex(seconds) {
+  const index = SOLVE_TIME_BUCKETS.findIndex((minutes) => seconds < minutes * 60);
+  return index === -1 ? SOLVE_TIME_BUCKETS.length : index;
+}
+
+/**
+ * Summarise the completion history
+ *
+ * @param {Array<HistoryEntry>} history - Entries from getHistory()
+ * @param {Array<string>} [difficulties] - Difficulties to break down, in order
+ * @returns {PlayerStats} Statistics
+ */
+export function computeStats(history, difficulties = ['easy', 'medium', 'hard']) {
+  const byDifficulty = Object.fromEntries(difficulties.map((difficulty) => [difficulty, {
+    finished: 0,
+    solved: 0,
+    averageSeconds: null,
+    bestSeconds: null,
+    histogram: new Array(SOLVE_TIME_BUCKETS.length + 1).fill(0),
+  }]));
+
+  let viewedSolution = 0;
+  const totalSeconds = {};
+
+  for (const entry of history) {
+    if (entry.viewedSolution) viewedSolution++;
+
+    const stats = byDifficulty[entry.difficulty];
+    if (!stats) continue;
+
+    stats.finished++;
+    if (entry.viewedSolution) continue;
+
+    stats.solved++;
+    stats.bestSeconds = stats.bestSeconds === null ? entry.seconds : Math.min(stats.bestSeconds, entry.seconds);
+    stats.histogram[getBucketIndex(entry.seconds)]++;
+    totalSeconds[entry.difficulty] = (totalSeconds[entry.difficulty] || 0) + entry.seconds;
+  }
+
+  for (const [difficulty, stats] of Object.entries(byDifficulty)) {
+    if (stats.solved > 0) {
+      stats.averageSeconds = Math.round(totalSeconds[difficulty] / stats.solved);
+    }
+  }
+
+  return {
+    finished: history.length,
+    solved: history.length - viewedSolution,
+    viewedSolution,
+    byDifficulty,
+  };
+}
@@ -0,0 +1,416 @@
+/**
+ * Storage Adapters
+ *
+ * Everything the game keeps - saves, settings, streaks, history - goes through
+ * one adapter with the familiar getItem / setItem / removeItem shape, so
+ * persistence.js does not care where it ends up. Three implementations:
+ *
+ * - IndexedDB: the default. Far more room than localStorage's 5MB, and writes
+ *   happen off the main thread. IndexedDB is asynchronous, so the whole store
+ *   is read into memory once at startup and every read after that is served
+ *   from memory; writes update memory at once and are committed in the
+ *   background, batched per task. Code that has to know a write was stored
+ *   awaits flush().
+ * - localStorage: where IndexedDB cannot be opened.
+ * - Memory: where neither works (some private modes, storage blocked for the
+ *   site), and for tests. Progress lasts until the tab closes.
+ *
+ * The adapter is picked once by initStorage(), which main.js awaits before
+ * anything reads progress.
+ *
+ * The same progress can be open in several tabs at once (or in the installed
+ * app and a browser tab). Whenever another tab changes a key, the adapter in
+ * use dispatches a 'storageChanged' event on window, with the changed keys in
+ * event.detail.keys, so views can pick the change up instead of overwriting
+ * it. localStorage reports other tabs' writes itself; the IndexedDB adapter
+ * tells other tabs about its writes over a BroadcastChannel, and re-reads the
+ * store whenever the tab comes back into view in case it missed any while the
+ * browser had it frozen.
+ */
+
+/** Only keys under this prefix belong to the game */
+const KEY_PREFIX = 'loop-game:';
+
+const DB_NAME = 'loopy';
+const DB_VERSION = 1;
+const DB_STORE = 'progress';
+
+/**
+ * Key in the IndexedDB store recording that localStorage has been copied in.
+ * Outside KEY_PREFIX, so it never shows up among the game's keys.
+ */
+const COPIED_MARKER = 'copied-from-localStorage';
+
+/** BroadcastChannel the IndexedDB adapter announces its writes on */
+const CHANNEL_NAME = 'loopy-storage';
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {'indexedDB'|'localStorage'|'memory'} name - Which implementation this is
+ * @property {(key: string) => string|null} getItem - Read a value
+ * @property {(key: string, value: string) => void} setItem - Write a value.
+ *   The localStorage adapter throws when storage is full, as localStorage does.
+ * @property {(key: string) => void} removeItem - Delete a value
+ * @property {() => Array<string>} keys - Every stored key
+ * @property {() => Promise<void>} flush - Store every write made so far.
+ *   Resolves once they are stored, and rejects if they could not be - the
+ *   only way the IndexedDB adapter reports a full disk, since its setItem()
+ *   returns before anything is written.
+ * @property {() => void} [watch] - Start announcing changes made by other tabs.
+ *   Called once, when the adapter is put in use.
+ */
+
+/** @type {StorageAdapter|null} */
+let storage = null;
+
+/* ============================================================================
+ * IMPLEMENTATIONS
+ * ========================================================================= */
+
+/**
+ * Tell the views another tab changed some keys
+ * @param {Array<string>} keys - Changed keys
+ */
+function announceChanges(keys) {
+  if (keys.length === 0) return;
+  window.dispatchEvent(new CustomEvent('storageChanged', { detail: { keys } }));
+}
+
+/**
+ * Create an adapter over a plain Map
+ * @param {Map<string, string>} [entries] - Initial contents
+ * @returns {StorageAdapter} Memory adapter
+ */
+export function createMemoryStorage(entries = new Map()) {
+  return {
+    name: 'memory',
+    getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => { entries.set(key, String(value)); },
+    removeItem: (key) => { entries.delete(key); },
+    keys: () => [...entries.keys()],
+    flush: () => Promise.resolve(),
+  };
+}
+
+/**
+ * Create an adapter over localStorage
+ * @returns {StorageAdapter} localStorage adapter
+ */
+function createLocalStorage() {
+  return {
+    name: 'localStorage',
+    getItem: (key) => localStorage.getItem(key),
+    setItem: (key, value) => localStorage.setItem(key, value),
+    removeItem: (key) => localStorage.removeItem(key),
+    keys: () => {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key !== null) keys.push(key);
+      }
+      return keys;
+    },
+    // Every write is stored (or has thrown) by the time setItem() returns
+    flush: () => Promise.resolve(),
+    watch: () => {
+      // Only ever fires for other tabs' writes
+      window.addEventListener('storage', (event) => {
+        if (event.storageArea === localStorage && event.key?.startsWith(KEY_PREFIX)) {
+          announceChanges([event.key]);
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Whether localStorage can actually be written
+ *
+ * Merely existing is not enough: older Safari private windows expose it but
+ * throw on every write, and a site with storage blocked throws on access.
+ *
+ * @returns {boolean} Whether it works
+ */
+function isLocalStorageUsable() {
+  try {
+    const probe = `${KEY_PREFIX}probe`;
+    localStorage.setItem(probe, '1');
+    localStorage.removeItem(probe);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Its result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database, creating its store on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(DB_STORE);
+  };
+  // Another tab holding an older version open - nothing to do but wait
+  request.onblocked = () => console.warn('[Storage] Database upgrade blocked by another tab');
+  return promisify(request);
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>} Resolves on commit
+ */
+function whenCommitted(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read the game's keys from the store
+ * @param {IDBDatabase} db - Database
+ * @returns {Promise<Map<string, string>>} Every key under KEY_PREFIX and its value
+ */
+async function readAll(db) {
+  const store = db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE);
+  const [keys, values] = await Promise.all([
+    promisify(store.getAllKeys()),
+    promisify(store.getAll()),
+  ]);
+  return new Map(keys.map((key, i) => [key, values[i]]).filter(([key]) => key.startsWith(KEY_PREFIX)));
+}
+
+/**
+ * Copy the game's localStorage keys into the store, once per browser
+ *
+ * The keys are left in localStorage, where nothing writes them any more, so a
+ * rollback to a release that still reads localStorage finds progress as it
+ * stood at the copy rather than none. The marker stops the copy running
+ * again, which would otherwise bring back that old progress whenever the
+ * store is empty - after a reset, say.
+ *
+ * @param {IDBDatabase} db - Database
+ * @param {Map<string, string>} entries - Store contents, from readAll(); copied keys are added
+ * @returns {Promise<void>} Resolves once the copy is committed
+ */
+async function copyFromLocalStorage(db, entries) {
+  const marker = await promisify(db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE).get(COPIED_MARKER));
+  if (marker !== undefined) return;
+
+  // A store that already holds progress is newer than anything localStorage has
+  const legacy = entries.size === 0 && isLocalStorageUsable()
+    ? createLocalStorage().keys().filter((key) => key.startsWith(KEY_PREFIX))
+    : [];
+
+  const transaction = db.transaction(DB_STORE, 'readwrite');
+  const objectStore = transaction.objectStore(DB_STORE);
+  for (const key of legacy) {
+    const value = localStorage.getItem(key);
+    entries.set(key, value);
+    objectStore.put(value, key);
+  }
+  objectStore.put(new Date().toISOString(), COPIED_MARKER);
+  await whenCommitted(transaction);
+}
+
+/**
+ * Create an adapter over IndexedDB, with the store read into memory
+ *
+ * The first time it opens on a browser that has been playing with
+ * localStorage, the game's keys are copied across (see copyFromLocalStorage).
+ *
+ * Other tabs keep their own copy in memory, so every batch of writes is also
+ * posted to them; they apply it to their copy and announce it.
+ *
+ * @returns {Promise<StorageAdapter>} IndexedDB adapter
+ * @throws {Error} If IndexedDB cannot be opened or read
+ */
+async function createIndexedDbStorage() {
+  const db = await openDatabase();
+  const entries = await readAll(db);
+  await copyFromLocalStorage(db, entries);
+
+  // Writes waiting for the next commit: a value, or null for a removal
+  const pending = new Map();
+
+  // Set up by watch(); until then nothing is sent or received
+  let channel = null;
+
+  /**
+   * Bring memory in line with values another tab wrote
+   *
+   * Keys with a write of our own still pending are left alone: that write
+   * commits after theirs, so it is the one that sticks.
+   *
+   * @param {Iterable<[string, string|null]>} writes - Key and value, or null for a removal
+   */
+  const applyExternal = (writes) => {
+    const changed = [];
+    for (const [key, value] of writes) {
+      if (pending.has(key) || entries.get(key) === (value ?? undefined)) continue;
+      if (value === null) entries.delete(key);
+      else entries.set(key, value);
+      changed.push(key);
+    }
+    announceChanges(changed);
+  };
+
+  // Messages sent while this tab was frozen never arrive, so anything that
+  // differs from the store by the time it is back in view is someone else's
+  const resync = async () => {
+    try {
+      const stored = await readAll(db);
+      const removed = [...entries.keys()].filter((key) => !stored.has(key));
+      applyExternal([...stored, ...removed.map((key) => [key, null])]);
+    } catch (error) {
+      console.warn('[Storage] Failed to re-read storage:', error);
+    }
+  };
+
+  // Commit of the latest batch; transactions commit in the order they were
+  // opened, so once it settles every earlier batch has too
+  let lastCommit = Promise.resolve();
+  let isScheduled = false;
+
+  const flush = () => {
+    if (pending.size === 0) return lastCommit;
+
+    const writes = [...pending];
+    pending.clear();
+    channel?.postMessage(writes);
+
+    const transaction = db.transaction(DB_STORE, 'readwrite');
+    const objectStore = transaction.objectStore(DB_STORE);
+    for (const [key, value] of writes) {
+      if (value === null) objectStore.delete(key);
+      else objectStore.put(value, key);
+    }
+
+    // A failed transaction stores none of its writes. Memory already holds
+    // the values, so the session carries on either way; put the keys back in
+    // the queue so the next batch tries them again, unless they have been
+    // written since
+    lastCommit = whenCommitted(transaction).catch((error) => {
+      for (const [key] of writes) {
+        if (!pending.has(key)) pending.set(key, entries.has(key) ? entries.get(key) : null);
+      }
+      throw error;
+    });
+    return lastCommit;
+  };
+
+  const queue = (key, value) => {
+    pending.set(key, value);
+    if (isScheduled) return;
+    isScheduled = true;
+    queueMicrotask(() => {
+      isScheduled = false;
+      flush().catch((error) => console.warn('[Storage] Failed to save:', error));
+    });
+  };
+
+  const memory = createMemoryStorage(entries);
+  return {
+    ...memory,
+    name: 'indexedDB',
+    setItem: (key, value) => {
+      memory.setItem(key, value);
+      queue(key, String(value));
+    },
+    removeItem: (key) => {
+      memory.removeItem(key);
+      queue(key, null);
+    },
+    flush,
+    watch: () => {
+      if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => applyExternal(event.data);
+      }
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) resync();
+      });
+    },
+  };
+}
+
+/* ============================================================================
+ * SELECTION
+ * ========================================================================= */
+
+/**
+ * Put an adapter in use
+ * @param {StorageAdapter} adapter - Adapter
+ */
+function useStorage(adapter) {
+  storage = adapter;
+  storage.watch?.();
+}
+
+/**
+ * Pick and open the storage adapter: IndexedDB, else localStorage, else memory
+ *
+ * Safe to call more than once; later calls return the adapter already picked.
+ *
+ * @returns {Promise<StorageAdapter>} The adapter in use
+ */
+export async function initStorage() {
+  if (storage) return storage;
+
+  let picked = null;
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      picked = await createIndexedDbStorage();
+    } catch (error) {
+      console.warn('[Storage] IndexedDB unavailable, falling back:', error);
+    }
+  }
+
+  if (!picked) {
+    picked = isLocalStorageUsable() ? createLocalStorage() : createMemoryStorage();
+  }
+
+  // A read before initStorage() finished will have settled on a fallback
+  // already; keep that one rather than splitting progress across two stores
+  if (!storage) useStorage(picked);
+  return storage;
+}
+
+/**
+ * The storage adapter in use
+ *
+ * Before initStorage() has finished this settles on localStorage (or memory),
+ * so code that runs early still works rather than throwing.
+ *
+ * @returns {StorageAdapter} Adapter
+ */
+export function getStorage() {
+  if (!storage) {
+    console.warn('[Storage] Read before initStorage(); using a synchronous fallback');
+    useStorage(isLocalStorageUsable() ? createLocalStorage() : createMemoryStorage());
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage adapter, for tests
+ * @param {StorageAdapter} adapter - Adapter to use
+ */
+export function setStorage(adapter) {
+  useStorage(adapter);
+}
@@ -16,6 +16,10 @@
  * @returns {string} - Computed color value (e.g., '#F8F8F8')
  */
 function getCSSColor(propertyName) {
+  // Puzzle generation imports config.js, and so this module, inside a Web
+  // Worker - there is no document there, and nothing is drawn either
+  if (typeof document === 'undefined') return '';
+
   return getComputedStyle(document.documentElement)
     .getPropertyValue(propertyName)
     .trim();
@@ -130,9 +134,11 @@ function loadSemanticFromCSS() {
     // Game-specific
     canvasBg: getCSSColor('--color-canvas-bg'),
     gridLine: getCSSColor('--color-grid-line'),
+    voidCell: getCSSColor('--color-void-cell'),
     solutionPath: getCSSColor('--color-solution-path'),
     playerPath: getCSSColor('--color-player-path'),
     playerPathWin: getCSSColor('--color-player-path-win'),
+    logicalHint: getCSSColor('--color-logical-hint'),
     hintValidated: getCSSColor('--color-hint-validated'),
     hintExtra: getCSSColor('--color-hint-extra'),
 
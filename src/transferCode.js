@@ -0,0 +1,617 @@
+/**
+ * Transfer codes
+ *
+ * Progress as a short URL-safe string, to move it between devices with no
+ * server: one device shows the code as text and as a QR code, the other scans
+ * or pastes it. It carries what getProgressSnapshot() in persistence.js reads
+ * - settings, streaks, today's completion flags, the daily and archive
+ * results and the completion history - packed far smaller than the JSON of
+ * exportProgress(), which is what lets it fit in a QR code.
+ *
+ * A code is base64url over these bytes, where "varint" is an unsigned LEB128
+ * number and "day" a zigzag varint counting days from the first daily puzzle
+ * (CONFIG.DAILY.PUZZLE_NUMBER_EPOCH):
+ *
+ *   | bytes       | field                                                  |
+ *   |-------------|--------------------------------------------------------|
+ *   | 1           | format version (FORMAT_VERSION)                        |
+ *   | 1           | settings and tutorial flag (see packSettings())        |
+ *   | day         | the day the code was made                              |
+ *   | 1           | bits 0-2: each difficulty solved that day,             |
+ *   |             | bits 3-5: each ended with the solution viewed          |
+ *   | 4 x streak  | easy, medium, hard, overall: current and best as       |
+ *   |             | varints, then last day + 1 as a varint (0 for never)   |
+ *   | 2 x results | daily, then archive: day count varint, then if any the |
+ *   |             | first day and 2 bits per puzzle (see RESULTS), three   |
+ *   |             | puzzles a day                                          |
+ *   | varint      | history entries, then each as in writeHistoryEntry()    |
+ *   | 2           | checksum of everything before it                       |
+ *
+ * Settings, modes and arms are stored by their index in the tables below, so
+ * adding a value to one means appending to it, never reordering.
+ *
+ * Version 1 codes are still read. They differ only in history entries from
+ * links, which held a seed alone: code links were left out, and seed links
+ * come back without their generator version.
+ */
+
+import { CONFIG } from './config.js';
+import { BASE_PATH } from './i18n/index.js';
+import { parseDateKey } from './seededRandom.js';
+import { checksum, packBits, unpackBits, toBase64Url, fromBase64Url } from './utils.js';
+
+const FORMAT_VERSION = 2;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/** Streak records in the order they are packed */
+const STREAK_KEYS = [...DIFFICULTIES, 'overall'];
+
+/** Game modes by their 2-bit code, as getGameMode() in views/game.js reports them */
+const MODES = ['daily', 'archive', 'linked', 'unlimited'];
+
+/** Hint generation arms by their code, from 1 (0 means none recorded) */
+const ARMS = [
+  CONFIG.EXPERIMENT.HINT_GENERATION.CONTROL,
+  CONFIG.EXPERIMENT.HINT_GENERATION.VARIANT,
+  CONFIG.EXPERIMENT.HINT_GENERATION.UNIQUE,
+];
+
+/** Linked puzzles by their kind code, as resolveLinkedPuzzle() in views/game.js names them */
+const LINK_KINDS = ['seed', 'code'];
+
+/** Puzzle results by their 2-bit code; 0 is a puzzle never finished */
+const RESULTS = [null, 'won', 'viewed-solution'];
+
+/** Setting values by code. The first of each is the default. */
+const HINT_MODES = ['partial', 'all'];
+const BORDER_MODES = ['off', 'center', 'full'];
+const COUNTDOWN_MODES = ['on', 'off', 'both'];
+
+/** Marks a transfer code inside a URL: https://loopy.wtf/#transfer=<code> */
+const URL_MARKER = '#transfer=';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/* ============================================================================
+ * BYTES
+ * ========================================================================= */
+
+/**
+ * Fail a decode with a reason the console can show
+ * @param {string} reason - What is wrong with the code
+ */
+function invalid(reason) {
+  throw new Error(`Invalid transfer code: ${reason}`);
+}
+
+/**
+ * Append an unsigned LEB128 varint
+ *
+ * Done with division rather than bit operators, so seeds and timestamps past
+ * 32 bits survive.
+ *
+ * @param {Array<number>} bytes - Bytes to append to
+ * @param {number} value - Non-negative integer
+ */
+function writeVarint(bytes, value) {
+  let rest = Math.max(0, Math.floor(value));
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+}
+
+/**
+ * Map a signed integer onto an unsigned one, small magnitudes first
+ * @param {number} value - Integer
+ * @returns {number} 0, -1, 1, -2... as 0, 1, 2, 3...
+ */
+function zigzag(value) {
+  return value < 0 ? -value * 2 - 1 : value * 2;
+}
+
+/**
+ * Undo zigzag()
+ * @param {number} value - Zigzagged integer
+ * @returns {number} Signed integer
+ */
+function unzigzag(value) {
+  return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+}
+
+/**
+ * Read bytes in order, failing the decode past the end
+ * @param {Array<number>} bytes - Bytes to read
+ * @returns {{take: Function, varint: Function, done: Function}} Reader
+ */
+function createReader(bytes) {
+  let offset = 0;
+
+  const take = (count) => {
+    if (offset + count > bytes.length) invalid('too short');
+    const slice = bytes.slice(offset, offset + count);
+    offset += count;
+    return slice;
+  };
+
+  const varint = () => {
+    let value = 0;
+    for (let scale = 1; ; scale *= 0x80) {
+      const [byte] = take(1);
+      value += (byte & 0x7F) * scale;
+      if (byte < 0x80) return value;
+      if (scale > 2 ** 42) invalid('number too large');
+    }
+  };
+
+  return { take, varint, done: () => offset === bytes.length };
+}
+
+/* ============================================================================
+ * DAYS
+ * ========================================================================= */
+
+const EPOCH_DAY = toDayNumber(CONFIG.DAILY.PUZZLE_NUMBER_EPOCH);
+
+/**
+ * Days since 1970 for a YYYY-MM-DD date, counted in UTC so a daylight saving
+ * change can never make a day 23 or 25 hours long
+ * @param {string} dateKey - Date, e.g. "2025-11-30"
+ * @returns {number|null} Day number, or null if not a date
+ */
+function toDayNumber(dateKey) {
+  const date = parseDateKey(dateKey);
+  if (!date) return null;
+  return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+}
+
+/**
+ * Undo toDayNumber()
+ * @param {number} dayNumber - Days since 1970
+ * @returns {string} Date, e.g. "2025-11-30"
+ */
+function toDateKey(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Array<number>} bytes - Bytes to append to
+ * @param {number} dayNumber - Days since 1970
+ */
+function writeDay(bytes, dayNumber) {
+  writeVarint(bytes, zigzag(dayNumber - EPOCH_DAY));
+}
+
+/**
+ * @param {{varint: Function}} reader - From createReader()
+ * @returns {number} Days since 1970
+ */
+function readDay(reader) {
+  return unzigzag(reader.varint()) + EPOCH_DAY;
+}
+
+/**
+ * Split a daily puzzle ID into its day and difficulty
+ * @param {string} puzzleId - e.g. "2025-11-30-easy"
+ * @returns {{day: number, difficulty: number}|null} Day number and difficulty index, or null
+ */
+function parseDailyId(puzzleId) {
+  const match = /^(\d{4}-\d{2}-\d{2})-(\w+)$/.exec(String(puzzleId));
+  const day = match && toDayNumber(match[1]);
+  const difficulty = match ? DIFFICULTIES.indexOf(match[2]) : -1;
+  return day !== null && difficulty !== -1 ? { day, difficulty } : null;
+}
+
+/* ============================================================================
+ * SECTIONS
+ * ========================================================================= */
+
+/**
+ * Pack the settings and tutorial flag into one byte: hint mode in bit 0,
+ * border mode in bits 1-2, countdown in bits 3-4, last unlimited difficulty in
+ * bits 5-6 and the tutorial in bit 7. Values the tables do not know fall back
+ * to the default.
+ * @param {Settings} settings - Settings
+ * @param {boolean} tutorialCompleted - Whether the tutorial was finished
+ * @returns {number} Byte
+ */
+function packSettings(settings, tutorialCompleted) {
+  const code = (table, value) => Math.max(0, table.indexOf(value));
+  return code(HINT_MODES, settings.hintMode) |
+    (code(BORDER_MODES, settings.borderMode) << 1) |
+    (code(COUNTDOWN_MODES, settings.countdown) << 3) |
+    (code(DIFFICULTIES, settings.lastUnlimitedDifficulty) << 5) |
+    ((tutorialCompleted ? 1 : 0) << 7);
+}
+
+/**
+ * Undo packSettings()
+ * @param {number} byte - Packed settings
+ * @returns {{settings: Settings, tutorialCompleted: boolean}} Settings and tutorial flag
+ */
+function unpackSettings(byte) {
+  const value = (table, shift, mask) => table[(byte >> shift) & mask] ?? table[0];
+  return {
+    settings: {
+      hintMode: value(HINT_MODES, 0, 0b1),
+      borderMode: value(BORDER_MODES, 1, 0b11),
+      countdown: value(COUNTDOWN_MODES, 3, 0b11),
+      lastUnlimitedDifficulty: value(DIFFICULTIES, 5, 0b11),
+    },
+    tutorialCompleted: (byte & 0x80) !== 0,
+  };
+}
+
+/**
+ * Pack a results history as a grid of days by difficulty
+ * @param {Array<number>} bytes - Bytes to append to
+ * @param {Object<string, string>} results - Result by daily puzzle ID
+ */
+function writeResults(bytes, results) {
+  const parsed = Object.entries(results).flatMap(([puzzleId, result]) => {
+    const id = parseDailyId(puzzleId);
+    const code = RESULTS.indexOf(result);
+    return id && code > 0 ? [{ ...id, code }] : [];
+  });
+
+  if (parsed.length === 0) {
+    writeVarint(bytes, 0);
+    return;
+  }
+
+  const first = Math.min(...parsed.map(({ day }) => day));
+  const count = Math.max(...parsed.map(({ day }) => day)) - first + 1;
+  const grid = new Array(count * DIFFICULTIES.length).fill(0);
+  for (const { day, difficulty, code } of parsed) {
+    grid[(day - first) * DIFFICULTIES.length + difficulty] = code;
+  }
+
+  writeVarint(bytes, count);
+  writeDay(bytes, first);
+  bytes.push(...packBits(grid, 2));
+}
+
+/**
+ * Undo writeResults()
+ * @param {{take: Function, varint: Function}} reader - From createReader()
+ * @returns {Object<string, string>} Result by daily puzzle ID
+ */
+function readResults(reader) {
+  const results = {};
+  const count = reader.varint();
+  if (count === 0) return results;
+
+  const first = readDay(reader);
+  const cells = count * DIFFICULTIES.length;
+  unpackBits(reader.take(Math.ceil(cells / 4)), cells, 2).forEach((code, i) => {
+    if (code === 0) return;
+    if (!RESULTS[code]) invalid(`unknown result ${code}`);
+    const puzzleId = `${toDateKey(first + Math.floor(i / DIFFICULTIES.length))}-${DIFFICULTIES[i % DIFFICULTIES.length]}`;
+    results[puzzleId] = RESULTS[code];
+  });
+  return results;
+}
+
+/**
+ * Split a linked puzzle ID into what names the puzzle
+ * @param {string} puzzleId - e.g. "seed-42-easy" or "code-<code>-easy"
+ * @param {string} difficulty - The entry's difficulty, which ends the ID
+ * @returns {{kind: number, value: string}|null} Kind code and the seed or puzzle code, or null
+ */
+function parseLinkedId(puzzleId, difficulty) {
+  // A puzzle code may itself contain "-", so the ID is split by its known
+  // prefix and suffix rather than on dashes
+  const suffix = `-${difficulty}`;
+  const id = String(puzzleId);
+  if (!id.endsWith(suffix)) return null;
+
+  const kind = LINK_KINDS.findIndex((name) => id.startsWith(`${name}-`));
+  if (kind === -1) return null;
+
+  const value = id.slice(LINK_KINDS[kind].length + 1, -suffix.length);
+  const isValid = LINK_KINDS[kind] === 'seed' ? /^\d+$/.test(value) : /^[A-Za-z0-9_-]+$/.test(value);
+  return isValid ? { kind, value } : null;
+}
+
+/**
+ * Pack one history entry:
+ *
+ *   | bytes  | field                                                      |
+ *   |--------|------------------------------------------------------------|
+ *   | 1      | difficulty (bits 0-1), mode (2-3), solution viewed (4),    |
+ *   |        | hint generation arm (5-6)                                  |
+ *   | varies | puzzle: the day for daily and archive, the link (below)    |
+ *   |        | for linked and absent for unlimited                        |
+ *   | varint | seconds since the previous entry finished, zigzagged       |
+ *   | varint | x 4: seconds on the clock, undos, restarts, hints          |
+ *
+ * A link is its kind (see LINK_KINDS) as one byte, then for a seed the seed
+ * and the generator version (0 for none recorded) as varints, and for a
+ * puzzle code its length as a varint and its characters, one byte apiece.
+ * Only a seed keeps the entry's generator version, since only with it does a
+ * seed name one puzzle: a daily's follows from its date and a code carries
+ * its own.
+ *
+ * Completion times keep whole seconds only.
+ *
+ * @param {Array<number>} bytes - Bytes to append to
+ * @param {HistoryEntry} entry - Entry to pack
+ * @param {number} previousAt - The previous entry's completion, in seconds
+ * @returns {number|null} This entry's completion in seconds, or null if it cannot be packed
+ */
+function writeHistoryEntry(bytes, entry, previousAt) {
+  const difficulty = DIFFICULTIES.indexOf(entry.difficulty);
+  const mode = MODES.indexOf(entry.mode);
+  const arm = entry.generatorVariant ? ARMS.indexOf(entry.generatorVariant) + 1 : 0;
+
+  let puzzle = null;
+  if (entry.mode === 'linked') {
+    puzzle = parseLinkedId(entry.puzzleId, entry.difficulty);
+  } else if (entry.mode !== 'unlimited') {
+    puzzle = parseDailyId(entry.puzzleId)?.day ?? null;
+  }
+
+  if (difficulty === -1 || mode === -1 || (puzzle === null && entry.mode !== 'unlimited')) return null;
+
+  const completedAt = Math.floor(entry.completedAt / 1000);
+  bytes.push(difficulty | (mode << 2) | ((entry.viewedSolution ? 1 : 0) << 4) | (Math.max(0, arm) << 5));
+  if (entry.mode === 'linked') {
+    bytes.push(puzzle.kind);
+    if (LINK_KINDS[puzzle.kind] === 'seed') {
+      writeVarint(bytes, Number(puzzle.value));
+      writeVarint(bytes, entry.generatorVersion || 0);
+    } else {
+      writeVarint(bytes, puzzle.value.length);
+      bytes.push(...Array.from(puzzle.value, (char) => char.charCodeAt(0)));
+    }
+  } else if (entry.mode !== 'unlimited') {
+    writeDay(bytes, puzzle);
+  }
+  writeVarint(bytes, zigzag(completedAt - previousAt));
+  for (const value of [entry.seconds, entry.undos, entry.restarts, entry.hintsUsed]) {
+    writeVarint(bytes, Number(value) || 0);
+  }
+  return completedAt;
+}
+
+/**
+ * Undo writeHistoryEntry() for a linked puzzle
+ * @param {{take: Function, varint: Function}} reader - From createReader()
+ * @param {string} difficulty - The entry's difficulty
+ * @param {number} formatVersion - Format version of the code
+ * @returns {{puzzleId: string, generatorVersion: number|null}} Puzzle ID, and the generator version for a seed
+ */
+function readLinkedPuzzle(reader, difficulty, formatVersion) {
+  // Version 1 held a seed alone
+  if (formatVersion === 1) return { puzzleId: `seed-${reader.varint()}-${difficulty}`, generatorVersion: null };
+
+  const [kind] = reader.take(1);
+  if (LINK_KINDS[kind] === 'seed') {
+    const seed = reader.varint();
+    const generatorVersion = reader.varint();
+    return { puzzleId: `seed-${seed}-${difficulty}`, generatorVersion: generatorVersion || null };
+  }
+  if (LINK_KINDS[kind] !== 'code') invalid(`unknown link kind ${kind}`);
+
+  const code = String.fromCharCode(...reader.take(reader.varint()));
+  if (!/^[A-Za-z0-9_-]+$/.test(code)) invalid('malformed puzzle code');
+  return { puzzleId: `code-${code}-${difficulty}`, generatorVersion: null };
+}
+
+/**
+ * Undo writeHistoryEntry()
+ * @param {{take: Function, varint: Function}} reader - From createReader()
+ * @param {number} previousAt - The previous entry's completion, in seconds
+ * @param {number} formatVersion - Format version of the code
+ * @returns {HistoryEntry} Entry
+ */
+function readHistoryEntry(reader, previousAt, formatVersion) {
+  const [flags] = reader.take(1);
+  const difficulty = DIFFICULTIES[flags & 0b11];
+  const mode = MODES[(flags >> 2) & 0b11];
+  const armCode = (flags >> 5) & 0b11;
+  if (!difficulty) invalid(`unknown difficulty ${flags & 0b11}`);
+  if (armCode > ARMS.length || flags & 0x80) invalid('unknown history flags');
+
+  let puzzleId = null;
+  let generatorVersion = null;
+  if (mode === 'linked') ({ puzzleId, generatorVersion } = readLinkedPuzzle(reader, difficulty, formatVersion));
+  else if (mode !== 'unlimited') puzzleId = `${toDateKey(readDay(reader))}-${difficulty}`;
+
+  const completedAt = previousAt + unzigzag(reader.varint());
+  const [seconds, undos, restarts, hintsUsed] = [reader.varint(), reader.varint(), reader.varint(), reader.varint()];
+
+  return {
+    puzzleId,
+    difficulty,
+    mode,
+    seconds,
+    undos,
+    restarts,
+    hintsUsed,
+    viewedSolution: (flags & 0x10) !== 0,
+    generatorVariant: armCode === 0 ? null : ARMS[armCode - 1],
+    ...(generatorVersion !== null && { generatorVersion }),
+    completedAt: completedAt * 1000,
+  };
+}
+
+/* ============================================================================
+ * ENCODE / DECODE
+ * ========================================================================= */
+
+/**
+ * Pack a snapshot, keeping only the newest `historyCount` history entries
+ * @param {ProgressSnapshot} snapshot - Progress to pack
+ * @param {number} historyCount - History entries to keep
+ * @returns {string} Transfer code
+ */
+function pack(snapshot, historyCount) {
+  const bytes = [FORMAT_VERSION, packSettings(snapshot.settings, snapshot.tutorialCompleted)];
+  writeDay(bytes, toDayNumber(snapshot.today));
+
+  let flags = 0;
+  DIFFICULTIES.forEach((difficulty, i) => {
+    if (snapshot.completed[difficulty] === snapshot.today) flags |= 1 << i;
+    if (snapshot.viewedSolution[difficulty] === snapshot.today) flags |= 1 << (i + 3);
+  });
+  bytes.push(flags);
+
+  for (const key of STREAK_KEYS) {
+    const record = snapshot.streaks[key] || {};
+    const lastDay = record.lastDate ? toDayNumber(record.lastDate) : null;
+    writeVarint(bytes, record.current || 0);
+    writeVarint(bytes, record.best || 0);
+    writeVarint(bytes, lastDay === null ? 0 : zigzag(lastDay - EPOCH_DAY) + 1);
+  }
+
+  writeResults(bytes, snapshot.dailyResults);
+  writeResults(bytes, snapshot.archiveResults);
+
+  const entries = [];
+  let previousAt = 0;
+  for (const entry of snapshot.history.slice(snapshot.history.length - historyCount)) {
+    const entryBytes = [];
+    const completedAt = writeHistoryEntry(entryBytes, entry, previousAt);
+    if (completedAt === null) continue;
+    entries.push(entryBytes);
+    previousAt = completedAt;
+  }
+  writeVarint(bytes, entries.length);
+  for (const entryBytes of entries) bytes.push(...entryBytes);
+
+  const sum = checksum(bytes);
+  bytes.push(sum >> 8, sum & 0xFF);
+  return toBase64Url(bytes);
+}
+
+/**
+ * Encode progress as a transfer code
+ *
+ * Everything but the history is small - a year of daily results is under 300
+ * bytes. The history is what can outgrow a QR code, so when the code would run
+ * past `maxLength` the oldest entries are left out until it fits. An export
+ * file carries the whole history.
+ *
+ * @param {ProgressSnapshot} snapshot - From getProgressSnapshot()
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=Infinity] - Longest code to produce
+ * @returns {{code: string, historyEntries: number}} Code, and how many history entries it holds
+ * @throws {Error} If even the code without any history is longer than maxLength
+ */
+export function encodeTransferCode(snapshot, { maxLength = Infinity } = {}) {
+  const total = snapshot.history.length;
+  const code = pack(snapshot, total);
+  if (code.length <= maxLength) return { code, historyEntries: total };
+
+  const minimum = pack(snapshot, 0);
+  if (minimum.length > maxLength) {
+    throw new Error(`Progress needs ${minimum.length} characters, more than ${maxLength}`);
+  }
+
+  // Binary search for the most entries that fit
+  let low = 0;
+  let high = total - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (pack(snapshot, middle).length <= maxLength) low = middle;
+    else high = middle - 1;
+  }
+
+  return { code: pack(snapshot, low), historyEntries: low };
+}
+
+/**
+ * Decode and validate a transfer code
+ *
+ * @param {string} text - Transfer code, or a URL from getTransferUrl()
+ * @returns {ProgressSnapshot} Progress, ready for restoreProgressSnapshot()
+ * @throws {Error} If the code is malformed or damaged
+ */
+export function decodeTransferCode(text) {
+  const trimmed = String(text).trim();
+  const markerAt = trimmed.indexOf(URL_MARKER);
+  const bytes = fromBase64Url(markerAt === -1 ? trimmed : trimmed.slice(markerAt + URL_MARKER.length));
+  if (!bytes || bytes.length < 8) invalid('not a transfer code');
+
+  const body = bytes.slice(0, -2);
+  const sum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  if (checksum(body) !== sum) invalid('checksum mismatch');
+
+  const reader = createReader(body);
+  const [formatVersion, settingsByte] = reader.take(2);
+  if (formatVersion < 1 || formatVersion > FORMAT_VERSION) invalid(`unsupported format ${formatVersion}`);
+
+  const { settings, tutorialCompleted } = unpackSettings(settingsByte);
+  const madeOn = toDateKey(readDay(reader));
+  const [flags] = reader.take(1);
+
+  const completed = {};
+  const viewedSolution = {};
+  DIFFICULTIES.forEach((difficulty, i) => {
+    completed[difficulty] = flags & (1 << i) ? madeOn : null;
+    viewedSolution[difficulty] = flags & (1 << (i + 3)) ? madeOn : null;
+  });
+
+  const streaks = {};
+  for (const key of STREAK_KEYS) {
+    const current = reader.varint();
+    const best = reader.varint();
+    const lastDay = reader.varint();
+    streaks[key] = {
+      current,
+      best,
+      lastDate: lastDay === 0 ? null : toDateKey(unzigzag(lastDay - 1) + EPOCH_DAY),
+    };
+  }
+
+  const dailyResults = readResults(reader);
+  const archiveResults = readResults(reader);
+
+  const history = [];
+  let previousAt = 0;
+  const historyCount = reader.varint();
+  for (let i = 0; i < historyCount; i++) {
+    const entry = readHistoryEntry(reader, previousAt, formatVersion);
+    previousAt = entry.completedAt / 1000;
+    history.push(entry);
+  }
+
+  if (!reader.done()) invalid('unexpected trailing data');
+
+  return {
+    today: madeOn,
+    settings,
+    tutorialCompleted,
+    streaks,
+    completed,
+    viewedSolution,
+    dailyResults,
+    archiveResults,
+    history,
+  };
+}
+
+/**
+ * The link a QR code carries: this build's page with the code in the
+ * fragment. A phone camera opens it straight into the game, which offers the
+ * import (see main.js); the fragment never reaches a server.
+ *
+ * @param {string} code - Transfer code
+ * @returns {string} URL
+ */
+export function getTransferUrl(code) {
+  return `${CONFIG.SITE.URL}${BASE_PATH}${URL_MARKER}${code}`;
+}
+
+/**
+ * Read a transfer code from the page URL, if it was opened from one
+ * @returns {string|null} Code, or null
+ */
+export function readTransferCodeFromUrl() {
+  return window.location.hash.startsWith(URL_MARKER)
+    ? window.location.hash.slice(URL_MARKER.length)
+    : null;
+}
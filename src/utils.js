@@ -26,6 +26,113 @@ export function createCellKey(row, col) {
   return `${row},${col}`;
 }
 
+/* ============================================================================
+ * GRID DIMENSIONS
+ * ========================================================================= */
+
+/**
+ * Size of a grid
+ *
+ * A square grid is described by a single number (6 for 6x6), which is how
+ * every difficulty has always been sized and how existing saves store it. A
+ * rectangular grid is `{ width, height }`. Anything that needs bounds reads
+ * them through getGridDimensions(), so either form is accepted wherever a
+ * gridSize is.
+ *
+ * An irregular board is a rectangle with `voids`: cell keys that are not part
+ * of the board at all. A void is never drawn on, never on the loop and never
+ * inside a hint's area, so isInGrid() treats it exactly like a cell off the
+ * edge. See generation/boardShapes.js for the shapes themselves.
+ *
+ * @typedef {number|{width: number, height: number, voids?: Array<string>}} GridSize
+ */
+
+/** Shared by every grid without voids */
+const NO_VOIDS = new Set();
+
+/** Void cells as a Set, built once per gridSize object */
+const voidCache = new WeakMap();
+
+/**
+ * Width and height of a grid
+ * @param {GridSize} gridSize - Grid size
+ * @returns {{width: number, height: number}} Columns and rows
+ */
+export function getGridDimensions(gridSize) {
+  if (typeof gridSize === 'number') return { width: gridSize, height: gridSize };
+  return { width: gridSize.width, height: gridSize.height };
+}
+
+/**
+ * Void cells of a grid
+ * @param {GridSize} gridSize - Grid size
+ * @returns {Set<string>} Cell keys that are not part of the board (do not modify)
+ */
+export function getVoidCells(gridSize) {
+  if (typeof gridSize === 'number' || !gridSize.voids?.length) return NO_VOIDS;
+
+  let voids = voidCache.get(gridSize);
+  if (!voids) {
+    voids = new Set(gridSize.voids);
+    voidCache.set(gridSize, voids);
+  }
+  return voids;
+}
+
+/**
+ * Check if a cell lies inside the grid
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {GridSize} gridSize - Grid size
+ * @returns {boolean} True if the cell is on the board (in bounds and not void)
+ */
+export function isInGrid(row, col, gridSize) {
+  const { width, height } = getGridDimensions(gridSize);
+  if (row < 0 || row >= height || col < 0 || col >= width) return false;
+  const voids = getVoidCells(gridSize);
+  return voids.size === 0 || !voids.has(createCellKey(row, col));
+}
+
+/**
+ * Count the cells a complete loop has to visit
+ * @param {GridSize} gridSize - Grid size
+ * @returns {number} Cells on the board, voids excluded
+ */
+export function countPlayableCells(gridSize) {
+  const { width, height } = getGridDimensions(gridSize);
+  return width * height - getVoidCells(gridSize).size;
+}
+
+/**
+ * Check if two grid sizes describe the same board
+ * @param {GridSize} a - Grid size
+ * @param {GridSize} b - Grid size
+ * @returns {boolean} True if width, height and voids all match
+ */
+export function isSameGridSize(a, b) {
+  const first = getGridDimensions(a);
+  const second = getGridDimensions(b);
+  if (first.width !== second.width || first.height !== second.height) return false;
+
+  const firstVoids = getVoidCells(a);
+  const secondVoids = getVoidCells(b);
+  if (firstVoids.size !== secondVoids.size) return false;
+  for (const cellKey of firstVoids) {
+    if (!secondVoids.has(cellKey)) return false;
+  }
+  return true;
+}
+
+/**
+ * Human-readable grid size, e.g. "6x8" (width x height)
+ * @param {GridSize} gridSize - Grid size
+ * @returns {string} Formatted size
+ */
+export function formatGridSize(gridSize) {
+  const { width, height } = getGridDimensions(gridSize);
+  return `${width}x${height}`;
+}
+
 /* ============================================================================
  * ADJACENCY UTILITIES
  * ========================================================================= */
@@ -164,7 +271,7 @@ export function getAdjacentCells(row, col) {
  *
  * @param {number} row - Center row
  * @param {number} col - Center column
- * @param {number} gridSize - Grid size for bounds checking
+ * @param {GridSize} gridSize - Grid size for bounds checking
  * @param {Map<string, boolean>} turnMap - Map of cellKey -> isTurn
  * @returns {number} Count of turns in the 3x3 area
  */
@@ -174,7 +281,7 @@ export function countTurnsInArea(row, col, gridSize, turnMap) {
 
   for (const [adjRow, adjCol] of adjacents) {
     // Check bounds
-    if (adjRow >= 0 && adjRow < gridSize && adjCol >= 0 && adjCol < gridSize) {
+    if (isInGrid(adjRow, adjCol, gridSize)) {
       const adjKey = createCellKey(adjRow, adjCol);
       if (turnMap.get(adjKey)) {
         turnCount++;
@@ -256,10 +363,15 @@ export function determineConnectionToBreak(targetCell, comingFromCell, existingC
  * small (<20 elements) and modern JS engines handle these allocations efficiently (~0.01ms).
  * The current implementation prioritizes code clarity over premature optimization.
  *
+ * On an irregular board the preferred intermediate may be a void, in which case
+ * the other one is used; if both are void the gap is left for the caller to
+ * stop at, since no connection can cross it.
+ *
  * @param {Array<string>} cells - Array of cell keys from Bresenham's algorithm
+ * @param {GridSize} gridSize - Grid size, for skipping void cells
  * @returns {Array<string>} Array with intermediate cells inserted for adjacency
  */
-function ensureAdjacentCells(cells) {
+function ensureAdjacentCells(cells, gridSize) {
   if (cells.length <= 1) return cells;
 
   const result = [cells[0]];
@@ -285,20 +397,30 @@ function ensureAdjacentCells(cells) {
       // Diagonal jump detected (Manhattan distance = 2)
       // Insert intermediate cell to maintain 4-connected path continuity
 
-      if (prevDirection === 'horizontal' || prevDirection === null) {
-        // Continue in horizontal direction (or default to horizontal)
-        // Creates path: prev -> (prev.row, curr.col) -> curr
+      // Continue in horizontal direction (or default to horizontal) unless
+      // that corner is void: prev -> (prev.row, curr.col) -> curr
+      const horizontalOpen = isInGrid(prev.row, curr.col, gridSize);
+      const verticalOpen = isInGrid(curr.row, prev.col, gridSize);
+      const goHorizontal = (prevDirection === 'horizontal' || prevDirection === null)
+        ? horizontalOpen
+        : !verticalOpen && horizontalOpen;
+
+      if (goHorizontal) {
         const intermediateCell = createCellKey(prev.row, curr.col);
         result.push(intermediateCell);
         result.push(cells[i]);
         prevDirection = 'vertical'; // Last move was vertical
-      } else { // prevDirection === 'vertical'
+      } else if (verticalOpen) {
         // Continue in vertical direction
         // Creates path: prev -> (curr.row, prev.col) -> curr
         const intermediateCell = createCellKey(curr.row, prev.col);
         result.push(intermediateCell);
         result.push(cells[i]);
         prevDirection = 'horizontal'; // Last move was horizontal
+      } else {
+        // Both corners are void - leave the gap
+        result.push(cells[i]);
+        prevDirection = null;
       }
     } else {
       // Larger gap (distance > 2) - shouldn't happen with Bresenham,
@@ -320,7 +442,7 @@ function ensureAdjacentCells(cells) {
  * @param {number} x2 - Ending x coordinate (in pixels)
  * @param {number} y2 - Ending y coordinate (in pixels)
  * @param {number} cellSize - Size of each grid cell in pixels
- * @param {number} gridSize - Grid dimensions (for bounds checking)
+ * @param {GridSize} gridSize - Grid dimensions (for bounds checking)
  * @returns {Array<string>} Array of cell keys the line passes through (in order)
  */
 export function getCellsAlongLine(x1, y1, x2, y2, cellSize, gridSize) {
@@ -334,7 +456,7 @@ export function getCellsAlongLine(x1, y1, x2, y2, cellSize, gridSize) {
 
   // If start and end are in the same cell, return just that cell
   if (row1 === row2 && col1 === col2) {
-    if (row1 >= 0 && row1 < gridSize && col1 >= 0 && col1 < gridSize) {
+    if (isInGrid(row1, col1, gridSize)) {
       cells.push(createCellKey(row1, col1));
     }
     return cells;
@@ -353,7 +475,7 @@ export function getCellsAlongLine(x1, y1, x2, y2, cellSize, gridSize) {
 
   while (true) {
     // Add current cell if in bounds
-    if (row >= 0 && row < gridSize && col >= 0 && col < gridSize) {
+    if (isInGrid(row, col, gridSize)) {
       cells.push(createCellKey(row, col));
     }
 
@@ -375,7 +497,7 @@ export function getCellsAlongLine(x1, y1, x2, y2, cellSize, gridSize) {
 
   // Post-process to ensure all consecutive cells are adjacent
   // This fixes diagonal jumps from Bresenham's 8-connected output
-  return ensureAdjacentCells(cells);
+  return ensureAdjacentCells(cells, gridSize);
 }
 
 /**
@@ -384,7 +506,7 @@ export function getCellsAlongLine(x1, y1, x2, y2, cellSize, gridSize) {
  *
  * @param {string} fromKey - Starting cell key (format: "row,col")
  * @param {string} toKey - Target cell key (format: "row,col")
- * @param {number} gridSize - Size of the grid for bounds checking
+ * @param {GridSize} gridSize - Size of the grid for bounds checking
  * @returns {Array<string>|null} Array of cell keys forming path, or null if no path exists
  */
 export function findShortestPath(fromKey, toKey, gridSize) {
@@ -407,9 +529,7 @@ export function findShortestPath(fromKey, toKey, gridSize) {
     // Get adjacent cells
     const neighbors = [
       [r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]
-    ].filter(([nr, nc]) =>
-      nr >= 0 && nr < gridSize && nc >= 0 && nc < gridSize
-    );
+    ].filter(([nr, nc]) => isInGrid(nr, nc, gridSize));
 
     for (const [nr, nc] of neighbors) {
       const neighborKey = createCellKey(nr, nc);
@@ -433,11 +553,11 @@ export function findShortestPath(fromKey, toKey, gridSize) {
  * Check if the player has drawn a valid single closed loop
  * @param {Set} playerDrawnCells - Set of cell keys that have been drawn
  * @param {Map} playerConnections - Map of cell keys to their connected neighbors
- * @param {number} gridSize - Grid size
+ * @param {GridSize} gridSize - Grid size
  * @returns {boolean} True if all cells visited and form a single closed loop
  */
 export function checkStructuralLoop(playerDrawnCells, playerConnections, gridSize) {
-  const totalCells = gridSize * gridSize;
+  const totalCells = countPlayableCells(gridSize);
 
   // Check if all cells are visited
   if (playerDrawnCells.size !== totalCells) return false;
@@ -531,3 +651,74 @@ export function showAlertAsync(message, callback) {
     }, 0);
   });
 }
+
+/* ============================================================================
+ * BYTE ENCODING
+ * ========================================================================= */
+
+/**
+ * 16-bit checksum (FNV-1a folded in half) - enough to catch a mistyped or
+ * truncated code, which is all it is for
+ * @param {Array<number>} bytes - Bytes to check
+ * @returns {number} Checksum
+ */
+export function checksum(bytes) {
+  let hash = 0x811C9DC5;
+  for (const byte of bytes) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+  return ((hash >>> 16) ^ hash) & 0xFFFF;
+}
+
+/**
+ * Pack small values into bytes, lowest bits first
+ * @param {Array<number>} values - Values below 2 ** bits
+ * @param {number} bits - Bits per value (1 or 2)
+ * @returns {Array<number>} Bytes
+ */
+export function packBits(values, bits) {
+  const perByte = 8 / bits;
+  const bytes = new Array(Math.ceil(values.length / perByte)).fill(0);
+  values.forEach((value, i) => {
+    bytes[Math.floor(i / perByte)] |= value << ((i % perByte) * bits);
+  });
+  return bytes;
+}
+
+/**
+ * Unpack values written by packBits()
+ * @param {Array<number>} bytes - Packed bytes
+ * @param {number} count - Number of values
+ * @param {number} bits - Bits per value
+ * @returns {Array<number>} Values
+ */
+export function unpackBits(bytes, count, bits) {
+  const perByte = 8 / bits;
+  const mask = (1 << bits) - 1;
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push((bytes[Math.floor(i / perByte)] >> ((i % perByte) * bits)) & mask);
+  }
+  return values;
+}
+
+/**
+ * @param {Array<number>} bytes - Bytes
+ * @returns {string} Base64url, unpadded
+ */
+export function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - Base64url, padded or not
+ * @returns {Array<number>|null} Bytes, or null if the text is not base64url
+ */
+export function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) return null;
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,246 @@
+/**
+ * Archive View
+ *
+ * Every daily puzzle since CONFIG.DAILY.PUZZLE_NUMBER_EPOCH, as a calendar of
+ * months with the newest first. Each day shows how far each of its three
+ * puzzles got, and tapping it offers those puzzles, which open through
+ * /play?date=... and are rebuilt from that day's seed.
+ *
+ * Today is listed too, but opens as the ordinary daily so it still counts
+ * towards the streak.
+ */
+
+import { navigate } from '../router.js';
+import { CONFIG, getDifficultyLabel } from '../config.js';
+import { getPuzzleNumber, getPuzzleId, parseDateKey } from '../seededRandom.js';
+import { getPuzzleResult, isDailyCompleted, isDailyCompletedWithViewedSolution } from '../persistence.js';
+import { createBottomSheet } from '../bottomSheet.js';
+import { initIcons } from '../icons.js';
+import { t, formatDate } from '../i18n/index.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Completion icon for each result, matching the home screen buttons
+ */
+const RESULT_ICONS = {
+  'won': 'trophy',
+  'viewed-solution': 'skull'
+};
+
+/**
+ * Format a Date as YYYY-MM-DD, the form /play?date= takes
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Find how one of a day's puzzles was finished
+ *
+ * Today reads the home screen's completion flags, which also cover puzzles
+ * finished before results were recorded. Every other day reads the results
+ * history.
+ *
+ * @param {Date} date - Puzzle date
+ * @param {string} difficulty - 'easy', 'medium', or 'hard'
+ * @param {boolean} isToday - Whether the date is today
+ * @returns {'won'|'viewed-solution'|null} Result, or null if unfinished
+ */
+function getDayResult(date, difficulty, isToday) {
+  if (isToday) {
+    if (isDailyCompleted(difficulty)) return 'won';
+    if (isDailyCompletedWithViewedSolution(difficulty)) return 'viewed-solution';
+  }
+  return getPuzzleResult(getPuzzleId(difficulty, date))?.result || null;
+}
+
+/**
+ * Build the weekday header row, Monday first
+ * @returns {HTMLElement} Header row
+ */
+function createWeekdayRow() {
+  const row = document.createElement('div');
+  row.className = 'archive-weekdays';
+  row.setAttribute('aria-hidden', 'true');
+
+  // 2024-01-01 was a Monday
+  for (let i = 0; i < 7; i++) {
+    const cell = document.createElement('span');
+    cell.textContent = formatDate(new Date(2024, 0, 1 + i), { weekday: 'narrow' });
+    row.appendChild(cell);
+  }
+
+  return row;
+}
+
+/**
+ * Build one month of the calendar
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month index, 0-11
+ * @param {Date} first - Earliest day to list (the epoch)
+ * @param {Date} today - Latest day to list
+ * @returns {HTMLElement} Month section
+ */
+function createMonth(year, month, first, today) {
+  const section = document.createElement('section');
+  section.className = 'archive-month';
+
+  const heading = document.createElement('h2');
+  heading.className = 'archive-month-title';
+  heading.textContent = formatDate(new Date(year, month, 1), { month: 'long', year: 'numeric' });
+  section.appendChild(heading);
+  section.appendChild(createWeekdayRow());
+
+  const grid = document.createElement('div');
+  grid.className = 'archive-grid';
+
+  // Pad to the month's first weekday, counting from Monday
+  const leading = (new Date(year, month, 1).getDay() + 6) % 7;
+  for (let i = 0; i < leading; i++) {
+    grid.appendChild(document.createElement('span'));
+  }
+
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = new Date(year, month, day);
+
+    // Before the epoch there was no puzzle; after today there is none yet
+    if (date < first || date > today) {
+      grid.appendChild(document.createElement('span'));
+      continue;
+    }
+
+    const isToday = date.getTime() === today.getTime();
+    const button = document.createElement('button');
+    button.className = 'archive-day';
+    button.classList.toggle('today', isToday);
+    button.dataset.date = toDateKey(date);
+    button.setAttribute('aria-label', formatDate(date, { day: 'numeric', month: 'long', year: 'numeric' }));
+
+    const number = document.createElement('span');
+    number.className = 'archive-day-number';
+    number.textContent = String(day);
+    button.appendChild(number);
+
+    const dots = document.createElement('span');
+    dots.className = 'archive-day-dots';
+    for (const difficulty of DIFFICULTIES) {
+      const dot = document.createElement('span');
+      dot.className = 'archive-day-dot';
+      const result = getDayResult(date, difficulty, isToday);
+      if (result) dot.classList.add(result);
+      dots.appendChild(dot);
+    }
+    button.appendChild(dots);
+
+    grid.appendChild(button);
+  }
+
+  section.appendChild(grid);
+  return section;
+}
+
+/**
+ * Build the sheet offering one day's three puzzles
+ *
+ * @param {Date} date - Puzzle date
+ * @param {boolean} isToday - Whether the date is today
+ * @returns {Object} Bottom sheet instance
+ */
+function createDaySheet(date, isToday) {
+  const content = document.createElement('div');
+  content.className = 'archive-day-sheet';
+
+  const number = document.createElement('p');
+  number.className = 'archive-day-sheet-number';
+  number.textContent = t('archive.puzzleNumber', { n: getPuzzleNumber(date) });
+  content.appendChild(number);
+
+  const sheet = createBottomSheet({
+    title: formatDate(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+    content
+  });
+
+  for (const difficulty of DIFFICULTIES) {
+    const result = getDayResult(date, difficulty, isToday);
+    const button = document.createElement('button');
+    button.className = 'btn btn-large';
+    button.classList.toggle('completed', result !== null);
+    button.innerHTML = `<i class="btn-complete-icon" data-lucide="${RESULT_ICONS[result] || 'trophy'}" width="20" height="20"></i><span></span>`;
+    button.querySelector('span').textContent = getDifficultyLabel(difficulty);
+
+    button.addEventListener('click', () => {
+      sheet.destroy();
+      const query = isToday ? '' : `&date=${toDateKey(date)}`;
+      navigate(`/play?difficulty=${difficulty}${query}`, false, { fromHome: true });
+    });
+    content.appendChild(button);
+  }
+
+  return sheet;
+}
+
+/**
+ * Initialize the archive view
+ * @returns {Function} Cleanup function
+ */
+export function initArchive() {
+  const container = document.getElementById('archive-calendar');
+  const backBtn = document.getElementById('archive-back-btn');
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const first = parseDateKey(CONFIG.DAILY.PUZZLE_NUMBER_EPOCH);
+
+  // Rebuilt on every visit, so a puzzle finished since the last one shows
+  container.replaceChildren();
+  for (
+    let month = new Date(today.getFullYear(), today.getMonth(), 1);
+    month >= new Date(first.getFullYear(), first.getMonth(), 1);
+    month.setMonth(month.getMonth() - 1)
+  ) {
+    container.appendChild(createMonth(month.getFullYear(), month.getMonth(), first, today));
+  }
+  container.scrollTop = 0;
+
+  let activeSheet = null;
+
+  const handleDayClick = (event) => {
+    const button = event.target.closest('.archive-day');
+    if (!button) return;
+
+    const date = parseDateKey(button.dataset.date);
+    if (activeSheet) activeSheet.destroy();
+    activeSheet = createDaySheet(date, date.getTime() === today.getTime());
+    activeSheet.show();
+  };
+
+  const handleBack = () => {
+    // Same as the game view: return to the home entry we came from, or
+    // replace a directly visited archive with home
+    if (history.state?.fromHome) {
+      history.back();
+    } else {
+      navigate('/', true);
+    }
+  };
+
+  container.addEventListener('click', handleDayClick);
+  backBtn.addEventListener('click', handleBack);
+  initIcons();
+
+  return () => {
+    container.removeEventListener('click', handleDayClick);
+    backBtn.removeEventListener('click', handleBack);
+    if (activeSheet) {
+      activeSheet.destroy();
+      activeSheet = null;
+    }
+  };
+}
@@ -5,24 +5,25 @@
  * for use in a multi-view SPA
  */
 
-import { renderGrid, clearCanvas, renderPath, renderCellNumbers, generateHintCellsWithMinDistance, renderPlayerPath, buildPlayerTurnMap, calculateBorderLayers } from '../renderer.js';
-import { generateSolutionPath } from '../generator.js';
-import { buildSolutionTurnMap, countTurnsInArea, parseCellKey } from '../utils.js';
+import { renderGrid, clearCanvas, renderPath, renderGhostPath, renderLogicalHint, renderCellNumbers, renderPlayerPath, buildPlayerTurnMap, calculateBorderLayers } from '../renderer.js';
+import { buildSolutionTurnMap, countTurnsInArea, parseCellKey, getGridDimensions, isSameGridSize } from '../utils.js';
 import { CONFIG, getDifficultyLabel } from '../config.js';
 import { navigate } from '../router.js';
 import { createGameCore } from '../gameCore.js';
-import { createSeededRandom, getDailySeed, getPuzzleId } from '../seededRandom.js';
-import { saveGameState, loadGameState, clearGameState, createThrottledSave, saveSettings, loadSettings, markDailyCompleted, markDailyCompletedWithViewedSolution, isDailyCompleted, recordDailyStreak, getOverallStreak, formatStreakLabel } from '../persistence.js';
+import { getDailySeed, getPuzzleId, getDailyGridSize, getGeneratorVersion, parseDateKey } from '../seededRandom.js';
+import { saveGameState, loadGameState, clearGameState, isGameStateChanged, createThrottledSave, saveSettings, loadSettings, markDailyCompleted, markDailyCompletedWithViewedSolution, isDailyCompleted, recordDailyStreak, recordPuzzleResult, appendHistoryEntry, getOverallStreak, formatStreakLabel } from '../persistence.js';
 import { createBottomSheet, showBottomSheetAsync } from '../bottomSheet.js';
 import { createWinStreakLine } from '../components/winStreakLine.js';
 import { createGameTimer, formatTime } from '../game/timer.js';
-import { handleShare as handleShareUtil } from '../game/share.js';
+import { handleShare as handleShareUtil, showButtonFeedback } from '../game/share.js';
 import { calculateCellSize as calculateCellSizeUtil } from '../game/canvasSetup.js';
 import { checkPartialStructuralWin, validateHints, computeStateKey, calculateScore } from '../game/validation.js';
+import { findNextLogicalStep } from '../game/logicalHint.js';
 import { t } from '../i18n/index.js';
 import { showTutorialSheet } from '../components/tutorialSheet.js';
-import { generateHintCellsCovering, describePuzzle } from '../generation/hintPlacement.js';
-import { getHintGenerationAssignment, variantForSavedGame, isDenseVariant } from '../experiment.js';
+import { requestPuzzle, requestPuzzleShape } from '../game/puzzleWorkerClient.js';
+import { getHintGenerationAssignment, variantForSavedGame } from '../experiment.js';
+import { encodePuzzle, decodePuzzle, getPuzzleUrl } from '../puzzleCode.js';
 import {
   trackGameStarted,
   trackGameCompleted,
@@ -30,7 +31,10 @@ import {
   trackGameRestarted,
   trackPuzzleGenerated,
   trackUndoUsed,
+  trackRedoUsed,
+  trackCheckpointUsed,
   trackSolutionViewed,
+  trackLogicalHintUsed,
   trackSettingsOpened,
   trackValidationError,
   trackStreakUpdated
@@ -51,6 +55,27 @@ const GAME_STATE = {
   NEW: 'new'
 };
 
+/**
+ * Message keys for the reason shown with a logical hint, by technique
+ * (see TECHNIQUE in generation/deduction.js)
+ */
+const LOGICAL_HINT_REASON_KEYS = {
+  'corner': 'logicalHint.corner',
+  'border': 'logicalHint.border',
+  'zero-hint': 'logicalHint.zeroHint',
+  'degree': 'logicalHint.degree',
+  'hint-complete': 'logicalHint.hintComplete',
+  'hint-needs-all': 'logicalHint.hintNeedsAll',
+  'loop-closure': 'logicalHint.loopClosure',
+  'contradiction': 'logicalHint.contradiction'
+};
+
+/**
+ * How long a puzzle load may take before the canvas skeleton is shown (ms)
+ * Most loads finish well inside this, and skip the flash of a loading state.
+ */
+const LOADING_INDICATOR_DELAY = 150;
+
 /* ============================================================================
  * STATE VARIABLES
  * ========================================================================= */
@@ -64,15 +89,27 @@ let currentUnlimitedDifficulty = 'easy';
 let currentGameDifficulty = 'easy';
 let currentPuzzleId = null;
 
+// A puzzle opened by date, seed or code from the URL (see resolveLinkedPuzzle), or
+// null for today's daily and unlimited. Linked puzzles are played like a daily
+// but never count as one: no completion mark, no streak, their own save slot.
+// A link to a past date is an archive puzzle, whose result goes into the
+// archive's own history.
+let linkedPuzzle = null;
+
 // DOM elements
 let canvas;
 let canvasContainer;
+let gameContainer;
 let ctx;
 let gameTitle;
 let gameTimerEl;
 let newBtn;
 let clearBtn;
 let undoBtn;
+let redoBtn;
+let checkpointBtn;
+let logicalHintBtn;
+let logicalHintReasonEl;
 let hintsSelect;
 let hintsValue;
 let countdownSelect;
@@ -83,6 +120,8 @@ let backBtn;
 let helpBtn;
 let settingsBtn;
 let difficultySettingsItem;
+let puzzleLinkSettingsItem;
+let copyPuzzleLinkBtn;
 let segmentedControl;
 let segmentButtons;
 
@@ -101,6 +140,14 @@ let hasWon = false;
 let hasViewedSolution = false;
 let lastValidatedStateKey = '';  // Track state to avoid redundant validation
 
+// Logical hints taken on this puzzle, and the one currently highlighted
+let logicalHintsUsed = 0;
+let activeLogicalHint = null;
+
+// Undos and restarts on this puzzle, for the completion history
+let undosUsed = 0;
+let restartsUsed = 0;
+
 // Cached values for performance (recalculated when puzzle changes)
 let cachedBorderLayers = null;
 let cachedSolutionTurnMap = null;
@@ -132,12 +179,23 @@ let throttledSave = throttledSaveObj.save;
 // Animation frame tracking for number animations
 let animationFrameId = null;
 
-// Cached settings values to avoid re-reading localStorage
+// Cached settings values to avoid re-reading storage
 let cachedLastUnlimitedDifficulty = 'easy';
 
-// Undo functionality
+// Undo and redo - both are saved with the game (see captureGameState), so a
+// reload keeps every step back
 const UNDO_HISTORY_LIMIT = 50;
 let undoHistory = [];
+let redoHistory = [];
+
+// Board the player set a checkpoint on, in the same shape as an undo step, or
+// null. Saved with the game.
+let checkpoint = null;
+
+// The stroke under way: the board it started from, and whether it pushed an
+// undo step, which it hands back if it changes nothing (see
+// finishUndoableStroke). Null between strokes.
+let activeStroke = null;
 
 // Score tracking
 let currentScore = null;  // { percentage: number, label: string } | null
@@ -149,27 +207,74 @@ let currentScore = null;  // { percentage: number, label: string } | null
 let currentVariant = null;
 let currentVariantSource = null;
 
-// Measured shape of the current puzzle (hint count, coverage, redundancy...).
-// Sent with game_started / game_completed / game_abandoned so puzzle quality can
-// be correlated with completion independently of the experiment.
+// Generator version the current daily puzzle was built with (null in
+// unlimited mode). Pinned into the save alongside the arm, and sent with it on
+// game events.
+let currentGeneratorVersion = null;
+
+// Measured shape of the current puzzle (hint count, coverage, redundancy,
+// deduction grade...). Sent with game_started / game_completed / game_abandoned
+// so puzzle quality can be correlated with completion independently of the
+// experiment.
 let currentPuzzleShape = null;
 
 // Whether the player has touched the current puzzle and not yet finished it.
 // Drives the abandon event on exit.
 let hasUnfinishedProgress = false;
 
+// Puzzle loading - generation runs in a worker, so a load can still be in
+// flight when the player asks for another one or leaves. Each load takes the
+// next id, and a load that finishes under an old id is dropped.
+let puzzleLoadId = 0;
+let isPuzzleLoading = false;
+let loadingIndicatorTimer = null;
+
+// Another tab saved this puzzle while a load was in flight (see
+// syncWithOtherTab), to be caught up with once the load finishes
+let isTabSyncPending = false;
+
 /* ============================================================================
  * EXPERIMENT & ANALYTICS HELPERS
  * ========================================================================= */
 
 /**
- * The arm the current puzzle was generated with, shaped for analytics
+ * The current game mode, as analytics reports it
+ *
+ * @returns {'daily'|'archive'|'linked'|'unlimited'} Mode
+ */
+function getGameMode() {
+  if (linkedPuzzle) return linkedPuzzle.isArchive ? 'archive' : 'linked';
+  return isDailyMode ? 'daily' : 'unlimited';
+}
+
+/**
+ * Add the current puzzle to the completion history
  *
- * @returns {{variant: string, source: string}|null} Assignment, or null before a puzzle exists
+ * @param {boolean} viewedSolution - Whether it ended with the solution viewed rather than a win
+ */
+function recordHistory(viewedSolution) {
+  appendHistoryEntry({
+    puzzleId: currentPuzzleId,
+    difficulty: currentGameDifficulty,
+    mode: getGameMode(),
+    seconds: gameTimer ? gameTimer.getElapsedSeconds() : 0,
+    undos: undosUsed,
+    restarts: restartsUsed,
+    hintsUsed: logicalHintsUsed,
+    viewedSolution,
+    generatorVariant: currentVariant,
+    generatorVersion: currentGeneratorVersion
+  });
+}
+
+/**
+ * The arm and generator version the current puzzle was built with, shaped for analytics
+ *
+ * @returns {{variant: string, source: string, generatorVersion: number|null}|null} Assignment, or null before a puzzle exists
  */
 function currentAssignment() {
   if (!currentVariant) return null;
-  return { variant: currentVariant, source: currentVariantSource };
+  return { variant: currentVariant, source: currentVariantSource, generatorVersion: currentGeneratorVersion };
 }
 
 /**
@@ -200,7 +305,7 @@ function reportAbandonmentIfAny() {
 
   trackGameAbandoned(
     currentGameDifficulty,
-    isDailyMode ? 'daily' : 'unlimited',
+    getGameMode(),
     gameTimer ? gameTimer.getElapsedSeconds() : 0,
     currentScore ? currentScore.percentage : 0,
     playerDrawnCells.size,
@@ -225,6 +330,7 @@ function captureGameState() {
     difficulty: currentGameDifficulty,
     gridSize,
     isUnlimitedMode,
+    isLinkedPuzzle: linkedPuzzle !== null,
     playerDrawnCells,
     playerConnections,
     elapsedSeconds: gameTimer ? gameTimer.getElapsedSeconds() : 0,
@@ -234,19 +340,26 @@ function captureGameState() {
     hasViewedSolution,
     // Pinned so a daily puzzle, whose hints are rebuilt from the seed on every
     // load, can never be regenerated under a different arm mid-game
-    generatorVariant: currentVariant
+    generatorVariant: currentVariant,
+    generatorVersion: currentGeneratorVersion,
+    hintsUsed: logicalHintsUsed,
+    undosUsed,
+    restarts: restartsUsed,
+    undoHistory,
+    redoHistory,
+    checkpoint
   };
 }
 
 /**
- * Save current settings to localStorage
+ * Save current settings to storage
  */
 function saveCurrentSettings() {
   const settings = {
     hintMode,
     borderMode,
     countdown,
-    // Use cached value instead of re-reading from localStorage
+    // Use cached value instead of re-reading from storage
     lastUnlimitedDifficulty: cachedLastUnlimitedDifficulty
   };
 
@@ -274,6 +387,22 @@ function captureUndoState() {
   };
 }
 
+/**
+ * Turn saved undo or redo steps back into history entries
+ *
+ * A save does not keep lastValidatedStateKey. A step that stood won was
+ * validated on exactly its own board; any other has to be checked afresh.
+ *
+ * @param {Array<Object>} steps - Steps from a saved game
+ * @returns {Array<Object>} History entries
+ */
+function restoreUndoSteps(steps) {
+  return steps.map((step) => ({
+    ...step,
+    lastValidatedStateKey: step.hasWon ? computeStateKey(step.playerDrawnCells, step.playerConnections) : ''
+  }));
+}
+
 /**
  * Compare two undo states for equality
  * Used to prevent duplicate consecutive states in history
@@ -291,12 +420,25 @@ function statesEqual(state1, state2) {
     }
   }
 
+  // Joining two cells that were both drawn already changes only the connections
+  for (const [cell, connections] of state1.playerConnections) {
+    const otherConnections = state2.playerConnections.get(cell);
+    if ((otherConnections?.size ?? 0) !== connections.size) return false;
+    for (const connectedCell of connections) {
+      if (!otherConnections.has(connectedCell)) return false;
+    }
+  }
+  for (const [cell, connections] of state2.playerConnections) {
+    if ((state1.playerConnections.get(cell)?.size ?? 0) !== connections.size) return false;
+  }
+
   return true;
 }
 
 /**
  * Push current state to undo history
  * Automatically enforces history limit and prevents duplicate states
+ * @returns {boolean} Whether a step was pushed
  */
 function pushUndoState() {
   const state = captureUndoState();
@@ -305,7 +447,7 @@ function pushUndoState() {
   if (undoHistory.length > 0) {
     const lastState = undoHistory[undoHistory.length - 1];
     if (statesEqual(lastState, state)) {
-      return;
+      return false;
     }
   }
 
@@ -317,26 +459,45 @@ function pushUndoState() {
   }
 
   updateUndoButton();
+  return true;
 }
 
 /**
- * Perform undo operation - restore previous state from history
+ * Settle the undo and redo history once a stroke on the board ends
+ *
+ * The step is pushed when the pointer goes down, before anything is drawn, so
+ * only now is it known whether the stroke changed anything. A tap that did not
+ * gives its step back and leaves redo alone; a real change starts a new branch
+ * of history, so whatever could have been redone is gone.
  */
-function performUndo() {
-  if (undoHistory.length === 0) return;
+function finishUndoableStroke() {
+  if (!activeStroke) return;
+  const { startState, pushedUndo } = activeStroke;
+  activeStroke = null;
 
-  // Track undo usage
-  trackUndoUsed(currentGameDifficulty, isDailyMode ? 'daily' : 'unlimited');
+  if (statesEqual(startState, captureUndoState())) {
+    if (pushedUndo) undoHistory.pop();
+  } else {
+    redoHistory = [];
+  }
+
+  updateUndoButton();
+}
 
-  const previousState = undoHistory.pop();
+/**
+ * Put a board from the undo or redo history back in place
+ * @param {Object} state - History entry
+ */
+function applyUndoState(state) {
+  clearLogicalHint();
 
   // Restore game state (deep copy to avoid reference issues)
-  gameCore.state.playerDrawnCells = new Set(previousState.playerDrawnCells);
+  gameCore.state.playerDrawnCells = new Set(state.playerDrawnCells);
   gameCore.state.playerConnections = new Map(
-    Array.from(previousState.playerConnections.entries()).map(([key, val]) => [key, new Set(val)])
+    Array.from(state.playerConnections.entries()).map(([key, val]) => [key, new Set(val)])
   );
-  hasWon = previousState.hasWon;
-  lastValidatedStateKey = previousState.lastValidatedStateKey;
+  hasWon = state.hasWon;
+  lastValidatedStateKey = state.lastValidatedStateKey;
 
   // Update UI based on restored state
   if (hasWon) {
@@ -349,6 +510,35 @@ function performUndo() {
   render();
 }
 
+/**
+ * Perform undo operation - restore previous state from history
+ */
+function performUndo() {
+  if (undoHistory.length === 0) return;
+
+  // Track undo usage
+  trackUndoUsed(currentGameDifficulty, getGameMode());
+  undosUsed++;
+
+  redoHistory.push(captureUndoState());
+  applyUndoState(undoHistory.pop());
+}
+
+/**
+ * Perform redo operation - step forward again to the state last undone
+ */
+function performRedo() {
+  if (redoHistory.length === 0) return;
+
+  trackRedoUsed(currentGameDifficulty, getGameMode());
+
+  undoHistory.push(captureUndoState());
+  if (undoHistory.length > UNDO_HISTORY_LIMIT) {
+    undoHistory.shift();
+  }
+  applyUndoState(redoHistory.pop());
+}
+
 /**
  * Helper to update button state with automatic completion check
  * @param {HTMLButtonElement} button - Button element to update
@@ -368,11 +558,12 @@ function updateButtonState(button, enabledCondition) {
 }
 
 /**
- * Update undo button enabled/disabled state
- * Button is enabled only if there's history AND game is not completed
+ * Update undo and redo button enabled/disabled states
+ * Each is enabled only if it has history AND game is not completed
  */
 function updateUndoButton() {
   updateButtonState(undoBtn, () => undoHistory.length > 0);
+  updateButtonState(redoBtn, () => redoHistory.length > 0);
 }
 
 /**
@@ -387,11 +578,21 @@ function updateClearButton() {
 }
 
 /**
- * Clear undo history
+ * Update hint button enabled/disabled state
+ * Button is enabled whenever the game is not completed
+ */
+function updateLogicalHintButton() {
+  updateButtonState(logicalHintBtn, () => true);
+}
+
+/**
+ * Clear undo and redo history
  * Called on new puzzle, difficulty change, or puzzle load
  */
 function clearUndoHistory() {
   undoHistory = [];
+  redoHistory = [];
+  activeStroke = null;
   updateUndoButton();
 }
 
@@ -577,6 +778,29 @@ function hideSettings() {
   }
 }
 
+/**
+ * Copy a link to the current unlimited puzzle
+ *
+ * Unlimited puzzles are random, so a puzzle code (see puzzleCode.js) is the
+ * only way to share one, bookmark it or attach it to a bug report.
+ *
+ * @param {HTMLButtonElement} button - Button to show the outcome on
+ */
+async function copyPuzzleLink(button) {
+  if (isPuzzleLoading) return;
+
+  const code = encodePuzzle(gridSize, solutionPath, hintCells, {
+    generatorVersion: currentGeneratorVersion,
+    variant: currentVariant
+  });
+  try {
+    await navigator.clipboard.writeText(getPuzzleUrl(code, currentGameDifficulty));
+    showButtonFeedback(button, t('share.copied'));
+  } catch (error) {
+    showButtonFeedback(button, t('share.failed'));
+  }
+}
+
 /**
  * Find the next incomplete daily difficulty to play
  *
@@ -727,7 +951,9 @@ function changeDifficulty(newDifficulty) {
 
   // Save current difficulty's state before switching
   // This preserves progress when switching between difficulties
-  saveGameState(captureGameState());
+  if (!isPuzzleLoading) {
+    saveGameState(captureGameState());
+  }
   clearUndoHistory(); // Different difficulty = fresh start
 
   currentUnlimitedDifficulty = newDifficulty;
@@ -781,19 +1007,21 @@ function resizeCanvas() {
   cellSize = calculateCellSize();
   gameCore.setCellSize(cellSize);
 
-  const totalSize = cellSize * gridSize;
+  const { width, height } = getGridDimensions(gridSize);
+  const totalWidth = cellSize * width;
+  const totalHeight = cellSize * height;
   const dpr = window.devicePixelRatio || 1;
 
   // Set container size to prevent layout shift during loading
   if (canvasContainer) {
-    canvasContainer.style.width = totalSize + 'px';
-    canvasContainer.style.height = totalSize + 'px';
+    canvasContainer.style.width = totalWidth + 'px';
+    canvasContainer.style.height = totalHeight + 'px';
   }
 
-  canvas.width = totalSize * dpr;
-  canvas.height = totalSize * dpr;
-  canvas.style.width = totalSize + 'px';
-  canvas.style.height = totalSize + 'px';
+  canvas.width = totalWidth * dpr;
+  canvas.height = totalHeight * dpr;
+  canvas.style.width = totalWidth + 'px';
+  canvas.style.height = totalHeight + 'px';
 
   // DEFENSIVE: Clear animation state when cell size changes
   // Any animation data with old cellSize is now invalid
@@ -809,8 +1037,11 @@ function resizeCanvas() {
 }
 
 function render(triggerSave = true, animationMode = 'auto') {
+  // The puzzle on hand belongs to a board that is being replaced
+  if (isPuzzleLoading) return;
+
   const { playerDrawnCells, playerConnections } = gameCore.state;
-  const totalSize = cellSize * gridSize;
+  const { width, height } = getGridDimensions(gridSize);
   const dpr = window.devicePixelRatio || 1;
 
   // Ensure transform is correct before rendering
@@ -824,7 +1055,7 @@ function render(triggerSave = true, animationMode = 'auto') {
   // Calculate score (but don't update display yet - wait until after rendering)
   currentScore = calculateScore(hintCells, playerDrawnCells, gridSize, cachedSolutionTurnMap, playerTurnMap);
 
-  clearCanvas(ctx, totalSize, totalSize);
+  clearCanvas(ctx, cellSize * width, cellSize * height);
   renderGrid(ctx, gridSize, cellSize);
 
   // Pass pre-built maps for performance
@@ -840,6 +1071,17 @@ function render(triggerSave = true, animationMode = 'auto') {
     renderPath(ctx, solutionPath, cellSize);
   }
 
+  // The checkpoint's ghost sits under the player's path too, showing what
+  // going back to it would restore
+  if (checkpoint && !hasWon && !hasViewedSolution) {
+    renderGhostPath(ctx, checkpoint.playerDrawnCells, checkpoint.playerConnections, cellSize);
+  }
+
+  // Logical hint sits under the player's path so it never hides their drawing
+  if (activeLogicalHint && !hasWon && !hasViewedSolution) {
+    renderLogicalHint(ctx, activeLogicalHint, cellSize);
+  }
+
   // Compute current state key for validation
   const currentStateKey = computeStateKey(playerDrawnCells, playerConnections);
   const stateChanged = currentStateKey !== lastValidatedStateKey;
@@ -896,12 +1138,24 @@ function render(triggerSave = true, animationMode = 'auto') {
       const finalTime = gameTimer ? gameTimer.getFormattedTime() : '0:00';
       const completionTimeSeconds = gameTimer ? gameTimer.getElapsedSeconds() : 0;
 
+      // Nothing left to go back to
+      checkpoint = null;
+
+      // Saved straight away rather than on the throttle, so another tab with
+      // this puzzle open hears about the win together with the trophy below
+      saveGameState(captureGameState());
+
       // Mark daily puzzle as completed (not for unlimited mode)
       if (isDailyMode) {
         markDailyCompleted(currentGameDifficulty);
+        recordPuzzleResult(currentPuzzleId, 'won');
         const streak = recordDailyStreak(currentGameDifficulty);
         trackStreakUpdated(currentGameDifficulty, streak.difficulty, streak.overall);
+      } else if (linkedPuzzle?.isArchive) {
+        // Archive replays get their own history and leave the streak alone
+        recordPuzzleResult(currentPuzzleId, 'won', { archive: true });
       }
+      recordHistory(false);
 
       // Track game completion. The score is passed explicitly rather than left
       // to a default: it is always 100 today, because the win gate below is
@@ -910,12 +1164,13 @@ function render(triggerSave = true, animationMode = 'auto') {
       hasUnfinishedProgress = false;
       trackGameCompleted(
         currentGameDifficulty,
-        isDailyMode ? 'daily' : 'unlimited',
+        getGameMode(),
         completionTimeSeconds,
         finalTime,
         scorePercentage,
         currentPuzzleShape,
-        currentAssignment()
+        currentAssignment(),
+        logicalHintsUsed
       );
 
       // Re-render path with win color (already green from visual validation, but ensures consistency)
@@ -927,8 +1182,10 @@ function render(triggerSave = true, animationMode = 'auto') {
     // Note: Automatic partial win modal removed - players must use Finish button to commit to ending
   }
 
-  // Update finish and Clear button states based on current path
+  // Update finish, Clear, hint and checkpoint button states based on current path
   updateClearButton();
+  updateLogicalHintButton();
+  updateCheckpointButton();
 
   // Save game state (throttled to max once per 5 seconds)
   // Only save if triggered by user interaction, not by restore/display changes
@@ -965,47 +1222,18 @@ function render(triggerSave = true, animationMode = 'auto') {
  * Clears any saved progress, resets game state, and starts a fresh timer.
  * Only available in unlimited mode (daily puzzles are fixed per day).
  */
-/**
- * Build a puzzle with whichever hint placement this player's arm calls for
- *
- * Both arms consume the random source in the same order - solution first, hints
- * second - so on any given day the two arms share an identical solution loop
- * and differ only in where the hints sit on it. That keeps the comparison to
- * the one thing being tested.
- *
- * @param {number} size - Grid size
- * @param {string} difficulty - Difficulty key for hint configuration
- * @param {function(): number} randomFn - Seeded random (daily) or Math.random
- * @param {string} variant - Experiment arm
- * @returns {{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, shape: Object}} Puzzle
- */
-function buildPuzzle(size, difficulty, randomFn, variant) {
-  const solution = generateSolutionPath(size, randomFn);
-
-  // The dense placement needs to know what each candidate hint would read, so
-  // the turn map has to exist before hints are chosen rather than after
-  const turnMap = buildSolutionTurnMap(solution);
+async function generateNewPuzzle() {
+  const loadId = startPuzzleLoad();
 
-  let hints;
-  let anchorMaxValue;
-
-  if (isDenseVariant(variant)) {
-    const hintConfig = CONFIG.DIFFICULTY.HINT_CONFIG_DENSE[difficulty];
-    hints = generateHintCellsCovering(size, hintConfig, turnMap, randomFn);
-    anchorMaxValue = hintConfig.anchorMaxValue;
-  } else {
-    const hintConfig = CONFIG.DIFFICULTY.HINT_CONFIG[difficulty];
-    hints = generateHintCellsWithMinDistance(size, hintConfig.count, hintConfig.minDistance, randomFn);
-  }
-
-  return { solution, turnMap, hints, shape: describePuzzle(size, hints, turnMap, anchorMaxValue) };
-}
-
-function generateNewPuzzle() {
   // Clear any saved progress when generating a new puzzle
   // (Important for unlimited mode when user clicks "New")
-  clearGameState(currentPuzzleId, currentGameDifficulty, isUnlimitedMode);
+  clearGameState(currentPuzzleId, currentGameDifficulty, isUnlimitedMode, linkedPuzzle !== null);
   clearUndoHistory(); // New puzzle = fresh start
+  clearLogicalHint();
+  checkpoint = null;
+  logicalHintsUsed = 0;
+  undosUsed = 0;
+  restartsUsed = 0;
 
   // A fresh puzzle always takes the player's current assignment, and pins it
   // (see captureGameState) so reloading this puzzle regenerates it identically
@@ -1014,15 +1242,28 @@ function generateNewPuzzle() {
   currentVariantSource = assignment.source;
 
   let puzzle;
-  if (isDailyMode) {
-    // Generate daily puzzle with seeded random
-    const seed = getDailySeed(currentGameDifficulty);
-    puzzle = buildPuzzle(gridSize, currentGameDifficulty, createSeededRandom(seed), currentVariant);
-  } else {
-    // Unlimited mode - truly random puzzles
-    puzzle = buildPuzzle(gridSize, currentUnlimitedDifficulty, Math.random, currentVariant);
+  try {
+    if (linkedPuzzle) {
+      // The exact puzzle the link names
+      currentGeneratorVersion = linkedPuzzle.generatorVersion;
+      puzzle = await requestLinkedPuzzle(currentVariant);
+    } else if (isDailyMode) {
+      // Generate daily puzzle with seeded random
+      const seed = getDailySeed(currentGameDifficulty);
+      currentGeneratorVersion = getGeneratorVersion();
+      puzzle = await requestPuzzle(gridSize, currentGameDifficulty, seed, currentVariant, currentGeneratorVersion);
+    } else {
+      // Unlimited mode - truly random puzzles
+      currentGeneratorVersion = null;
+      puzzle = await requestPuzzle(gridSize, currentUnlimitedDifficulty, null, currentVariant);
+    }
+  } catch (error) {
+    failPuzzleLoad(loadId, error);
+    return;
   }
 
+  if (!finishPuzzleLoad(loadId)) return;
+
   solutionPath = puzzle.solution;
   hintCells = puzzle.hints;
   currentPuzzleShape = puzzle.shape;
@@ -1052,7 +1293,7 @@ function generateNewPuzzle() {
   // Track game started (both daily and unlimited for fresh puzzles)
   trackGameStarted(
     currentGameDifficulty,
-    isDailyMode ? 'daily' : 'unlimited',
+    getGameMode(),
     currentPuzzleShape,
     currentAssignment()
   );
@@ -1063,34 +1304,58 @@ function generateNewPuzzle() {
 
   startTimer();
   render();
+  revealCanvas();
 }
 
 /**
  * Restore or regenerate puzzle data (solution path and hint cells)
- * @param {Object|null} savedState - Saved game state, or null to skip restoration
+ * @param {Object} savedState - Saved game state
+ * @returns {Promise<{assignment: Object, generatorVersion: number|null, solution: Array, hints: Set<string>, shape: Object}>} Puzzle,
+ *   with the arm and generator version it was generated under
  */
-function restorePuzzleData(savedState) {
+async function restorePuzzleData(savedState) {
   // A daily save holds no puzzle data - the hints are rebuilt from the date
   // seed every time - so the arm the save was created under has to be honoured
   // here, or a player whose assignment changed between visits would find their
   // half-finished puzzle rearranged around the path they had already drawn.
-  const assignment = variantForSavedGame(savedState?.generatorVariant);
-  currentVariant = assignment.variant;
-  currentVariantSource = assignment.source;
+  const assignment = variantForSavedGame(savedState.generatorVariant);
+
+  if (linkedPuzzle) {
+    const puzzle = await requestLinkedPuzzle(assignment.variant);
+    return { assignment, generatorVersion: linkedPuzzle.generatorVersion, solution: puzzle.solution, hints: puzzle.hints, shape: puzzle.shape };
+  }
 
   if (isDailyMode) {
-    // For daily puzzles, regenerate from seed (deterministic)
+    // For daily puzzles, regenerate from seed (deterministic),
+    // with the generator version it was first built with. Saves from before
+    // versions existed predate any change of version, so today's is theirs.
     const seed = getDailySeed(currentGameDifficulty);
-    const puzzle = buildPuzzle(gridSize, currentGameDifficulty, createSeededRandom(seed), currentVariant);
-    solutionPath = puzzle.solution;
-    hintCells = puzzle.hints;
-    currentPuzzleShape = puzzle.shape;
-  } else if (savedState) {
-    // For unlimited mode, restore saved puzzle data (was truly random)
-    solutionPath = savedState.solutionPath;
-    hintCells = savedState.hintCells;
-    currentPuzzleShape = describePuzzle(gridSize, hintCells, buildSolutionTurnMap(solutionPath));
+    const generatorVersion = savedState.generatorVersion || getGeneratorVersion();
+    const puzzle = await requestPuzzle(gridSize, currentGameDifficulty, seed, assignment.variant, generatorVersion);
+    return { assignment, generatorVersion, solution: puzzle.solution, hints: puzzle.hints, shape: puzzle.shape };
+  }
+
+  // For unlimited mode, restore saved puzzle data (was truly random)
+  const shape = await requestPuzzleShape(gridSize, savedState.hintCells, savedState.solutionPath);
+  return { assignment, generatorVersion: null, solution: savedState.solutionPath, hints: savedState.hintCells, shape };
+}
+
+/**
+ * Build the puzzle a link names
+ *
+ * A coded puzzle arrives whole and only needs measuring, whatever the arm; a
+ * date or seed is rebuilt from its seed.
+ *
+ * @param {string} variant - Hint generation arm
+ * @returns {Promise<{solution: Array, turnMap: Map<string, boolean>, hints: Set<string>, shape: Object}>} Puzzle
+ */
+async function requestLinkedPuzzle(variant) {
+  const { coded } = linkedPuzzle;
+  if (coded) {
+    const shape = await requestPuzzleShape(gridSize, coded.hints, coded.solution);
+    return { solution: coded.solution, turnMap: buildSolutionTurnMap(coded.solution), hints: coded.hints, shape };
   }
+  return requestPuzzle(gridSize, currentGameDifficulty, linkedPuzzle.seed, variant, linkedPuzzle.generatorVersion);
 }
 
 /**
@@ -1114,6 +1379,18 @@ function restorePlayerProgress(savedState) {
   // Restore game state flags
   hasWon = savedState.hasWon;
   hasViewedSolution = savedState.hasViewedSolution || false;
+  logicalHintsUsed = savedState.hintsUsed || 0;
+  undosUsed = savedState.undosUsed || 0;
+  restartsUsed = savedState.restarts || 0;
+
+  // Undo and redo pick up where they were left
+  undoHistory = restoreUndoSteps(savedState.undoHistory || []);
+  redoHistory = restoreUndoSteps(savedState.redoHistory || []);
+  updateUndoButton();
+
+  // And so does a checkpoint
+  checkpoint = savedState.checkpoint ? restoreUndoSteps([savedState.checkpoint])[0] : null;
+  updateCheckpointButton();
 }
 
 /**
@@ -1148,44 +1425,224 @@ function restoreTimerState(savedState) {
  * Load saved game state or generate new puzzle
  * Called during initialization to restore progress if available
  */
-function loadOrGeneratePuzzle() {
-  clearUndoHistory(); // Undo is session-only, not persisted
+async function loadOrGeneratePuzzle() {
+  clearUndoHistory(); // A save brings its own history back (see restorePlayerProgress)
+  clearLogicalHint();
 
   // Try to load saved state
-  const savedState = loadGameState(currentPuzzleId, currentGameDifficulty, isUnlimitedMode);
-
-  if (savedState) {
-    // Restore puzzle, progress, and UI state
-    restorePuzzleData(savedState);
-    cachePuzzleComputations();
-    restorePlayerProgress(savedState);
-
-    // Update UI based on completion status
-    if (hasViewedSolution) {
-      setGameUIState(GAME_STATE.VIEWED_SOLUTION);
-    } else if (hasWon) {
-      setGameUIState(GAME_STATE.WON);
-    } else {
-      setGameUIState(GAME_STATE.IN_PROGRESS);
-    }
+  const savedState = loadGameState(currentPuzzleId, currentGameDifficulty, isUnlimitedMode, linkedPuzzle !== null);
 
-    // Restore timer state
-    restoreTimerState(savedState);
+  if (!savedState || !canReplaySave(savedState)) {
+    // No saved state - generate fresh puzzle
+    await generateNewPuzzle();
+    return;
+  }
 
-    // Render restored state (don't trigger save, no animation on restore)
-    render(false, 'none');
+  await restoreSavedGame(savedState);
+}
 
-    // Show win celebration if applicable
-    if (hasWon && !hasViewedSolution) {
-      const finalTime = gameTimer ? gameTimer.getFormattedTime() : '0:00';
-      showWinCelebration(finalTime);
-    }
+/**
+ * Whether a save belongs to the puzzle being opened
+ *
+ * A save drawn on a different board (the difficulty's grid size has changed
+ * since) cannot be replayed onto this one, nor can a seed link's save from
+ * another generator version - the same seed builds a different puzzle there.
+ *
+ * @param {Object} savedState - Saved game state
+ * @returns {boolean} Whether it can be restored
+ */
+function canReplaySave(savedState) {
+  if (!isSameGridSize(savedState.gridSize, gridSize)) return false;
+  return !linkedPuzzle || !savedState.generatorVersion || savedState.generatorVersion === linkedPuzzle.generatorVersion;
+}
+
+/**
+ * Put a saved game on the board
+ * @param {Object} savedState - Saved game state, already checked with canReplaySave()
+ * @param {{celebrate?: boolean}} [options] - celebrate: show the win sheet if the game is won (default true)
+ */
+async function restoreSavedGame(savedState, { celebrate = true } = {}) {
+  const loadId = startPuzzleLoad();
+  let puzzle;
+  try {
+    puzzle = await restorePuzzleData(savedState);
+  } catch (error) {
+    failPuzzleLoad(loadId, error);
+    return;
+  }
+  if (!finishPuzzleLoad(loadId)) return;
+
+  // Restore puzzle, progress, and UI state
+  currentVariant = puzzle.assignment.variant;
+  currentVariantSource = puzzle.assignment.source;
+  currentGeneratorVersion = puzzle.generatorVersion;
+  solutionPath = puzzle.solution;
+  hintCells = puzzle.hints;
+  currentPuzzleShape = puzzle.shape;
+  cachePuzzleComputations();
+  restorePlayerProgress(savedState);
+
+  // Update UI based on completion status
+  if (hasViewedSolution) {
+    setGameUIState(GAME_STATE.VIEWED_SOLUTION);
+  } else if (hasWon) {
+    setGameUIState(GAME_STATE.WON);
   } else {
-    // No saved state - generate fresh puzzle
-    generateNewPuzzle();
+    setGameUIState(GAME_STATE.IN_PROGRESS);
+  }
+
+  // Restore timer state
+  restoreTimerState(savedState);
+
+  // Render restored state (don't trigger save, no animation on restore)
+  render(false, 'none');
+  revealCanvas();
+
+  // Show win celebration if applicable
+  if (celebrate && hasWon && !hasViewedSolution) {
+    const finalTime = gameTimer ? gameTimer.getFormattedTime() : '0:00';
+    showWinCelebration(finalTime);
+  }
+}
+
+/**
+ * Take over the save another tab just wrote for this puzzle
+ *
+ * With the same puzzle open in two tabs (or in the installed app and a
+ * browser tab), each would otherwise keep overwriting the other's progress,
+ * and a tab left open on a puzzle finished elsewhere would carry on as if it
+ * were not. The tab that saved last is taken to be the one being played: its
+ * save replaces this board, timer and undo history, and any save this tab
+ * still had queued is dropped. A finished save arrives locked, as it would on
+ * a reload, but without the win sheet.
+ */
+async function syncWithOtherTab() {
+  const savedState = loadGameState(currentPuzzleId, currentGameDifficulty, isUnlimitedMode, linkedPuzzle !== null);
+
+  // Cleared, most likely for a new unlimited puzzle that has not been saved
+  // yet - its first save will come through here too
+  if (!savedState || !canReplaySave(savedState)) return;
+
+  throttledSaveObj.destroy();
+  throttledSaveObj = createThrottledSave();
+  throttledSave = throttledSaveObj.save;
+
+  // The progress is the other tab's now, and so is reporting it abandoned
+  hasUnfinishedProgress = false;
+  clearUndoHistory();
+  clearLogicalHint();
+
+  await restoreSavedGame(savedState, { celebrate: false });
+
+  // Restoring resumes the clock, which a tab in the background must not run
+  if (document.hidden) {
+    pauseTimer();
+  }
+}
+
+/**
+ * Start loading a puzzle
+ *
+ * Until finishPuzzleLoad(), the board takes no input and nothing is drawn or
+ * saved against the outgoing puzzle. If the load is slow enough to notice, the
+ * canvas skeleton comes back to show work is under way.
+ *
+ * @returns {number} Id of this load, for finishPuzzleLoad()
+ */
+function startPuzzleLoad() {
+  isPuzzleLoading = true;
+  if (gameContainer) {
+    gameContainer.inert = true;
+  }
+
+  clearTimeout(loadingIndicatorTimer);
+  loadingIndicatorTimer = setTimeout(() => {
+    canvasContainer?.classList.remove('canvas-ready');
+  }, LOADING_INDICATOR_DELAY);
+
+  return ++puzzleLoadId;
+}
+
+/**
+ * Finish loading a puzzle, unless a newer load or leaving the view overtook it
+ * @param {number} loadId - From startPuzzleLoad()
+ * @returns {boolean} True if the result should be used
+ */
+function finishPuzzleLoad(loadId) {
+  if (loadId !== puzzleLoadId) return false;
+
+  isPuzzleLoading = false;
+  if (gameContainer) {
+    gameContainer.inert = false;
+  }
+  clearTimeout(loadingIndicatorTimer);
+
+  // Once the caller has put this load's puzzle on the board
+  if (isTabSyncPending) {
+    isTabSyncPending = false;
+    queueMicrotask(syncWithOtherTab);
   }
+  return true;
+}
 
-  // Trigger canvas fade-in after rendering completes
+/**
+ * Give up on a puzzle load that threw, unless a newer load overtook it
+ *
+ * The worker already falls back to the main thread if it dies, so what lands
+ * here failed both ways - a generator version this build lacks, say. The board
+ * is released and the player offered another try rather than left inert.
+ *
+ * @param {number} loadId - From startPuzzleLoad()
+ * @param {Error} error - Why it failed
+ */
+function failPuzzleLoad(loadId, error) {
+  if (loadId !== puzzleLoadId) return;
+
+  console.error('Failed to load puzzle:', error);
+  cancelPuzzleLoad();
+
+  const message = document.createElement('div');
+  message.className = 'bottom-sheet-message';
+  const paragraph = document.createElement('p');
+  paragraph.textContent = t('game.loadFailedMessage');
+  message.appendChild(paragraph);
+
+  if (activeGameSheet) {
+    activeGameSheet.destroy();
+  }
+  activeGameSheet = showBottomSheetAsync({
+    title: t('game.loadFailed'),
+    content: message,
+    icon: 'circle-off',
+    colorScheme: 'error',
+    primaryButton: {
+      label: t('game.tryAgain'),
+      icon: 'refresh-ccw',
+      onClick: () => {
+        activeGameSheet?.destroy();
+        activeGameSheet = null;
+        loadOrGeneratePuzzle();
+      }
+    }
+  });
+}
+
+/**
+ * Drop any puzzle load in flight
+ */
+function cancelPuzzleLoad() {
+  puzzleLoadId++;
+  isPuzzleLoading = false;
+  if (gameContainer) {
+    gameContainer.inert = false;
+  }
+  clearTimeout(loadingIndicatorTimer);
+}
+
+/**
+ * Trigger canvas fade-in after rendering completes
+ */
+function revealCanvas() {
   // Use requestAnimationFrame to ensure render has painted
   if (canvasContainer) {
     requestAnimationFrame(() => {
@@ -1203,9 +1660,12 @@ function loadOrGeneratePuzzle() {
  */
 function clearPuzzle() {
   // Track game restart
-  trackGameRestarted(currentGameDifficulty, isDailyMode ? 'daily' : 'unlimited');
+  trackGameRestarted(currentGameDifficulty, getGameMode());
+  restartsUsed++;
 
   pushUndoState(); // Save state before restart (enables undoing the restart)
+  redoHistory = [];
+  clearLogicalHint();
 
   gameCore.clearPuzzle();
 
@@ -1235,15 +1695,20 @@ function clearPuzzle() {
  * - Stops the timer and displays "Viewed solution"
  * - Disables Clear button and hides view solution button
  * - Renders the solution path overlay on the canvas
- * - Saves the disqualified state to localStorage
+ * - Saves the disqualified state to storage
  * - Closes the settings sheet
  */
 function viewSolution() {
+  // The settings sheet stays usable while the next puzzle loads
+  if (isPuzzleLoading) return;
+
   // Track solution viewed
-  trackSolutionViewed(currentGameDifficulty, isDailyMode ? 'daily' : 'unlimited');
+  trackSolutionViewed(currentGameDifficulty, getGameMode());
 
   // Mark solution as viewed (disqualifies the player)
   hasViewedSolution = true;
+  checkpoint = null;
+  clearLogicalHint();
 
   // Stop the timer
   stopTimer();
@@ -1263,7 +1728,11 @@ function viewSolution() {
   // For daily puzzles, mark as completed with viewed solution (skull icon)
   if (isDailyMode) {
     markDailyCompletedWithViewedSolution(currentGameDifficulty);
+    recordPuzzleResult(currentPuzzleId, 'viewed-solution');
+  } else if (linkedPuzzle?.isArchive) {
+    recordPuzzleResult(currentPuzzleId, 'viewed-solution', { archive: true });
   }
+  recordHistory(true);
 
   // Close the settings sheet
   hideSettings();
@@ -1276,6 +1745,145 @@ function viewSolution() {
 }
 
 
+/**
+ * Highlight the next logical step and say why
+ *
+ * The graded alternative to viewSolution(): it gives away one deducible cell
+ * or edge, not the whole loop, so the run stays eligible for the streak and
+ * the timer keeps going. Each use is counted in the save and in analytics.
+ */
+function showLogicalHint() {
+  if (hasWon || hasViewedSolution) return;
+
+  const { playerDrawnCells, playerConnections } = gameCore.state;
+  const step = findNextLogicalStep(gridSize, hintCells, cachedSolutionTurnMap, playerDrawnCells, playerConnections);
+
+  if (!step) {
+    clearLogicalHint();
+    if (logicalHintReasonEl) logicalHintReasonEl.textContent = t('logicalHint.none');
+    return;
+  }
+
+  logicalHintsUsed++;
+  activeLogicalHint = step;
+  if (logicalHintReasonEl) logicalHintReasonEl.textContent = t(LOGICAL_HINT_REASON_KEYS[step.reason]);
+
+  trackLogicalHintUsed(currentGameDifficulty, getGameMode(), step.reason, logicalHintsUsed);
+  saveGameState(captureGameState());
+  render(false);
+}
+
+/**
+ * Remove the logical hint highlight and its reason
+ * Called as soon as the player acts, so a stale hint never lingers
+ */
+function clearLogicalHint() {
+  activeLogicalHint = null;
+  if (logicalHintReasonEl) logicalHintReasonEl.textContent = '';
+}
+
+/* ============================================================================
+ * CHECKPOINTS
+ * ========================================================================= */
+
+/**
+ * Update the checkpoint button
+ * Sets a checkpoint when there is none, and opens the checkpoint sheet when
+ * there is; disabled once the game is completed, like the other controls
+ */
+function updateCheckpointButton() {
+  updateButtonState(checkpointBtn, () => true);
+  if (!checkpointBtn) return;
+
+  checkpointBtn.classList.toggle('active', checkpoint !== null);
+  checkpointBtn.setAttribute('aria-label', checkpoint ? t('checkpoint.title') : t('checkpoint.set'));
+}
+
+/**
+ * Keep the board as it stands, to go back to if a guess goes wrong
+ *
+ * Kept in the save, and drawn as a ghost under the path from here on (see
+ * render) so the player can see what going back would restore.
+ */
+function setCheckpoint() {
+  if (hasWon || hasViewedSolution) return;
+
+  checkpoint = captureUndoState();
+  trackCheckpointUsed(currentGameDifficulty, getGameMode(), 'set');
+  updateCheckpointButton();
+  saveGameState(captureGameState());
+  render(false);
+}
+
+/**
+ * Put the checkpoint's board back and drop the checkpoint
+ *
+ * Goes through the undo history like any other change, so a revert made in
+ * haste can itself be undone.
+ */
+function revertToCheckpoint() {
+  if (!checkpoint || hasWon || hasViewedSolution) return;
+
+  trackCheckpointUsed(currentGameDifficulty, getGameMode(), 'revert');
+  const state = checkpoint;
+  checkpoint = null;
+
+  pushUndoState();
+  redoHistory = [];
+  applyUndoState(state);
+  updateCheckpointButton();
+}
+
+/**
+ * Keep the path drawn since the checkpoint and drop the checkpoint
+ */
+function commitCheckpoint() {
+  if (!checkpoint) return;
+
+  trackCheckpointUsed(currentGameDifficulty, getGameMode(), 'commit');
+  checkpoint = null;
+  updateCheckpointButton();
+  saveGameState(captureGameState());
+  render(false);
+}
+
+/**
+ * Show the checkpoint sheet: go back to the checkpoint, or keep the current path
+ */
+function showCheckpointSheet() {
+  const content = document.createElement('div');
+  const message = document.createElement('div');
+  message.className = 'bottom-sheet-message';
+  const paragraph = document.createElement('p');
+  paragraph.textContent = t('checkpoint.message');
+  message.appendChild(paragraph);
+  content.appendChild(message);
+
+  const actions = document.createElement('div');
+  actions.className = 'checkpoint-actions';
+  for (const [label, action] of [[t('checkpoint.revert'), revertToCheckpoint], [t('checkpoint.commit'), commitCheckpoint]]) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      activeGameSheet?.destroy();
+      activeGameSheet = null;
+      action();
+    });
+    actions.appendChild(button);
+  }
+  content.appendChild(actions);
+
+  if (activeGameSheet) {
+    activeGameSheet.destroy();
+  }
+  activeGameSheet = showBottomSheetAsync({
+    title: t('checkpoint.title'),
+    content,
+    icon: 'flag',
+    colorScheme: 'neutral'
+  });
+}
 
 /* ============================================================================
  * INITIALIZATION & CLEANUP
@@ -1283,22 +1891,101 @@ function viewSolution() {
 
 /**
  * Map difficulty to grid size
+ * @returns {GridSize} Number for a square grid, or { width, height }
  */
 function getGridSizeFromDifficulty(difficulty) {
-  const difficultyMap = {
-    'easy': 4,
-    'medium': 6,
-    'hard': 8
-  };
-  return difficultyMap[difficulty] || 6; // Default to medium
+  return CONFIG.DIFFICULTY.GRID_SIZE[difficulty] || CONFIG.DIFFICULTY.GRID_SIZE.medium; // Default to medium
 }
 
 
+/**
+ * Work out which puzzle a /play link asks for
+ *
+ * `seed` is any whole number from 0 to 2^32 - 1, built on the difficulty's
+ * usual board by generator version `version` - the `v` a link carries so it
+ * keeps naming the same puzzle after a newer generator ships. Only a version
+ * already live today is accepted, so a link cannot reach a generator before
+ * its release. A seed link without one gets today's generator. `date` is that day's daily puzzle -
+ * board, seed and generator version as they were on the day - and must fall
+ * between the first daily (CONFIG.DAILY.PUZZLE_NUMBER_EPOCH) and yesterday,
+ * so a link can never show tomorrow's puzzle early. Today's date is just
+ * today's daily, streak and all. `code` is a puzzle code (see puzzleCode.js)
+ * and brings its own board, loop and hints; the difficulty only labels it.
+ * Anything unreadable is ignored with a warning, and today's daily opens
+ * instead.
+ *
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @param {{date?: string|null, seed?: string|null, version?: string|null, code?: string|null}} options - Raw URL parameters
+ * @returns {{puzzleId: string, seed: number|null, coded: CodedPuzzle|null, gridSize: GridSize, generatorVersion: number|null, isArchive: boolean}|null} Linked puzzle, or null for today's daily
+ */
+function resolveLinkedPuzzle(difficulty, { date, seed, version, code }) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (code) {
+    try {
+      const coded = decodePuzzle(code);
+      return {
+        puzzleId: `code-${code.trim()}-${difficulty}`,
+        seed: null,
+        coded,
+        gridSize: coded.gridSize,
+        generatorVersion: coded.generatorVersion,
+        isArchive: false
+      };
+    } catch (error) {
+      console.warn(`Ignoring puzzle code "${code}":`, error.message);
+    }
+  }
+
+  if (seed) {
+    const value = Number(seed);
+    const generatorVersion = version ? Number(version) : getGeneratorVersion();
+    const isReleasedVersion = CONFIG.DAILY.GENERATOR_VERSIONS.some(
+      (entry) => entry.version === generatorVersion && parseDateKey(entry.from) <= today
+    );
+
+    if (/^\d+$/.test(seed) && value <= 0xFFFFFFFF && isReleasedVersion) {
+      return {
+        puzzleId: `seed-${value}-${difficulty}`,
+        seed: value,
+        coded: null,
+        gridSize: getGridSizeFromDifficulty(difficulty),
+        generatorVersion,
+        isArchive: false
+      };
+    }
+    console.warn(`Ignoring invalid puzzle seed "${seed}" (generator version "${version}")`);
+  }
+
+  if (date) {
+    const puzzleDate = parseDateKey(date);
+    const epoch = parseDateKey(CONFIG.DAILY.PUZZLE_NUMBER_EPOCH);
+
+    if (puzzleDate && puzzleDate >= epoch && puzzleDate < today) {
+      return {
+        puzzleId: getPuzzleId(difficulty, puzzleDate),
+        seed: getDailySeed(difficulty, puzzleDate),
+        coded: null,
+        gridSize: getDailyGridSize(difficulty, puzzleDate),
+        generatorVersion: getGeneratorVersion(puzzleDate),
+        isArchive: true
+      };
+    }
+    if (!puzzleDate || puzzleDate.getTime() !== today.getTime()) {
+      console.warn(`Ignoring puzzle date "${date}"`);
+    }
+  }
+
+  return null;
+}
+
 /**
  * Initialize the game view
  * @param {string} difficulty - 'easy', 'medium', 'hard', or 'unlimited'
+ * @param {{date?: string|null, seed?: string|null, version?: string|null, code?: string|null}} [options] - A specific puzzle to open instead of today's (see resolveLinkedPuzzle)
  */
-export function initGame(difficulty) {
+export function initGame(difficulty, options = {}) {
   // Recreate throttled save (may have been destroyed by previous cleanup)
   throttledSaveObj = createThrottledSave();
   throttledSave = throttledSaveObj.save;
@@ -1306,13 +1993,17 @@ export function initGame(difficulty) {
   // Detect unlimited mode
   isUnlimitedMode = (difficulty === 'unlimited');
 
-  // Daily mode is any non-unlimited difficulty (easy, medium, hard)
-  isDailyMode = !isUnlimitedMode;
+  // A link to a date, seed or code replaces today's daily (never unlimited)
+  linkedPuzzle = isUnlimitedMode ? null : resolveLinkedPuzzle(difficulty, options);
+
+  // Daily mode is today's puzzle at any non-unlimited difficulty (easy,
+  // medium, hard)
+  isDailyMode = !isUnlimitedMode && !linkedPuzzle;
 
   // Load saved settings (applies to all modes)
   const settings = loadSettings();
 
-  // Cache lastUnlimitedDifficulty to avoid re-reading localStorage on every settings save
+  // Cache lastUnlimitedDifficulty to avoid re-reading storage on every settings save
   cachedLastUnlimitedDifficulty = settings.lastUnlimitedDifficulty;
 
   // Set grid size from difficulty
@@ -1322,21 +2013,30 @@ export function initGame(difficulty) {
     currentGameDifficulty = cachedLastUnlimitedDifficulty;
     gridSize = getGridSizeFromDifficulty(cachedLastUnlimitedDifficulty);
     currentPuzzleId = null; // Unlimited mode has no puzzle ID
+  } else if (linkedPuzzle) {
+    currentGameDifficulty = difficulty;
+    gridSize = linkedPuzzle.gridSize;
+    currentPuzzleId = linkedPuzzle.puzzleId;
   } else {
     currentGameDifficulty = difficulty;
-    gridSize = getGridSizeFromDifficulty(difficulty);
+    gridSize = getDailyGridSize(difficulty);
     currentPuzzleId = getPuzzleId(difficulty); // Set daily puzzle ID
   }
 
   // Get DOM elements
   canvas = document.getElementById('game-canvas');
   canvasContainer = document.getElementById('canvas-container');
+  gameContainer = canvasContainer.closest('.game-container');
   ctx = canvas.getContext('2d');
   gameTitle = document.getElementById('game-title');
   gameTimerEl = document.getElementById('game-timer');
   newBtn = document.getElementById('new-btn');
   clearBtn = document.getElementById('restart-btn');
   undoBtn = document.getElementById('undo-btn');
+  redoBtn = document.getElementById('redo-btn');
+  checkpointBtn = document.getElementById('checkpoint-btn');
+  logicalHintBtn = document.getElementById('logical-hint-btn');
+  logicalHintReasonEl = document.getElementById('logical-hint-reason');
 
   // Get settings content and play-view elements
   const settingsContent = document.getElementById('settings-content');
@@ -1352,6 +2052,8 @@ export function initGame(difficulty) {
   helpBtn = document.getElementById('help-btn');
   settingsBtn = document.getElementById('settings-btn');
   difficultySettingsItem = document.getElementById('difficulty-settings-item');
+  puzzleLinkSettingsItem = document.getElementById('puzzle-link-settings-item');
+  copyPuzzleLinkBtn = document.getElementById('copy-puzzle-link-btn');
   segmentedControl = document.getElementById('difficulty-segmented-control');
   segmentButtons = segmentedControl ? segmentedControl.querySelectorAll('.segment-btn') : [];
 
@@ -1397,6 +2099,9 @@ export function initGame(difficulty) {
   } else if (difficultySettingsItem) {
     difficultySettingsItem.classList.remove('visible');
   }
+  if (puzzleLinkSettingsItem) {
+    puzzleLinkSettingsItem.classList.toggle('visible', isUnlimitedMode);
+  }
 
   // Apply saved settings (or defaults)
   hintMode = settings.hintMode;
@@ -1407,6 +2112,11 @@ export function initGame(difficulty) {
   hasWon = false;
   hasViewedSolution = false;
   lastValidatedStateKey = '';
+  logicalHintsUsed = 0;
+  undosUsed = 0;
+  restartsUsed = 0;
+  checkpoint = null;
+  clearLogicalHint();
   eventListeners = [];
 
   // Create game core instance
@@ -1438,6 +2148,34 @@ export function initGame(difficulty) {
     e.preventDefault(); // Prevent click event from also firing
     performUndo();
   };
+  const redoBtnHandler = (e) => {
+    if (redoBtn.disabled) return;
+    e.preventDefault();
+    performRedo();
+  };
+  // Ctrl+Z / Cmd+Z to undo; with Shift, or Ctrl+Y as on Windows, to redo.
+  // Goes through the buttons' disabled state so the shortcuts are available
+  // exactly when the buttons are.
+  const keyDownHandler = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.metaKey);
+    if (!isUndo && !isRedo) return;
+
+    // Text fields (the import sheet, say) keep their own undo, and the board
+    // takes none mid-stroke or mid-load
+    if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+    if (isPuzzleLoading || gameCore.state.isDragging) return;
+
+    e.preventDefault();
+    if (isUndo && !undoBtn.disabled) performUndo();
+    if (isRedo && !redoBtn.disabled) performRedo();
+  };
+  const logicalHintBtnHandler = () => {
+    if (logicalHintBtn.disabled) return;
+    showLogicalHint();
+  };
   const hintsHandler = () => handleHintsChange();
   const bordersHandler = () => handleBordersChange();
   const countdownHandler = () => {
@@ -1459,13 +2197,24 @@ export function initGame(difficulty) {
     }
   };
   const helpBtnHandler = () => showTutorialSheet('game', currentGameDifficulty);
+  const checkpointBtnHandler = () => {
+    if (checkpointBtn.disabled) return;
+    if (checkpoint) {
+      showCheckpointSheet();
+    } else {
+      setCheckpoint();
+    }
+  };
   const settingsBtnHandler = () => showSettings();
+  const copyPuzzleLinkHandler = () => copyPuzzleLink(copyPuzzleLinkBtn);
   const visibilityChangeHandler = () => {
     if (document.hidden) {
       pauseTimer();
       // Save immediately when backgrounding to preserve timer state
       // Bypass throttle to ensure we don't lose progress
-      saveGameState(captureGameState());
+      if (!isPuzzleLoading) {
+        saveGameState(captureGameState());
+      }
     } else {
       resumeTimer();
     }
@@ -1475,7 +2224,9 @@ export function initGame(difficulty) {
   // Prevent drawing if game is won, solution was viewed, or manually finished
   const pointerDownHandler = (e) => {
     if (!hasWon && !hasViewedSolution) {
-      pushUndoState(); // Save state before drawing action starts
+      // Save state before drawing action starts
+      activeStroke = { startState: captureUndoState(), pushedUndo: pushUndoState() };
+      clearLogicalHint();
       gameCore.handlePointerDown(e);
     }
   };
@@ -1485,10 +2236,14 @@ export function initGame(difficulty) {
   const pointerUpHandler = (e) => {
     if (!hasWon && !hasViewedSolution) {
       gameCore.handlePointerUp(e);
+      finishUndoableStroke();
     }
   };
   const pointerCancelHandler = (e) => {
-    if (!hasWon && !hasViewedSolution) gameCore.handlePointerCancel(e);
+    if (!hasWon && !hasViewedSolution) {
+      gameCore.handlePointerCancel(e);
+      finishUndoableStroke();
+    }
   };
   const themeChangeHandler = () => {
     // Re-render canvas with updated colors when theme changes
@@ -1500,20 +2255,35 @@ export function initGame(difficulty) {
   const pageHideHandler = () => {
     reportAbandonmentIfAny();
   };
+  // Another tab saved this puzzle (see syncWithOtherTab)
+  const storageChangedHandler = (e) => {
+    if (!isGameStateChanged(e.detail.keys, currentPuzzleId, currentGameDifficulty, isUnlimitedMode, linkedPuzzle !== null)) return;
+    if (isPuzzleLoading) {
+      isTabSyncPending = true;
+    } else {
+      syncWithOtherTab();
+    }
+  };
 
   window.addEventListener('resize', resizeHandler);
   window.addEventListener('themeChanged', themeChangeHandler);
   newBtn.addEventListener('click', newBtnHandler);
   clearBtn.addEventListener('pointerdown', clearBtnHandler);
   undoBtn.addEventListener('pointerdown', undoBtnHandler);
+  redoBtn.addEventListener('pointerdown', redoBtnHandler);
+  window.addEventListener('keydown', keyDownHandler);
+  logicalHintBtn.addEventListener('click', logicalHintBtnHandler);
   hintsSelect.addEventListener('change', hintsHandler);
   countdownSelect.addEventListener('change', countdownHandler);
   bordersSelect.addEventListener('change', bordersHandler);
   backBtn.addEventListener('click', backBtnHandler);
   helpBtn.addEventListener('click', helpBtnHandler);
+  checkpointBtn.addEventListener('click', checkpointBtnHandler);
   settingsBtn.addEventListener('click', settingsBtnHandler);
+  copyPuzzleLinkBtn.addEventListener('click', copyPuzzleLinkHandler);
   document.addEventListener('visibilitychange', visibilityChangeHandler);
   window.addEventListener('pagehide', pageHideHandler);
+  window.addEventListener('storageChanged', storageChangedHandler);
   canvas.addEventListener('pointerdown', pointerDownHandler);
   canvas.addEventListener('pointermove', pointerMoveHandler);
   canvas.addEventListener('pointerup', pointerUpHandler);
@@ -1526,14 +2296,20 @@ export function initGame(difficulty) {
     { element: newBtn, event: 'click', handler: newBtnHandler },
     { element: clearBtn, event: 'pointerdown', handler: clearBtnHandler },
     { element: undoBtn, event: 'pointerdown', handler: undoBtnHandler },
+    { element: redoBtn, event: 'pointerdown', handler: redoBtnHandler },
+    { element: window, event: 'keydown', handler: keyDownHandler },
+    { element: logicalHintBtn, event: 'click', handler: logicalHintBtnHandler },
     { element: hintsSelect, event: 'change', handler: hintsHandler },
     { element: countdownSelect, event: 'change', handler: countdownHandler },
     { element: bordersSelect, event: 'change', handler: bordersHandler },
     { element: backBtn, event: 'click', handler: backBtnHandler },
     { element: helpBtn, event: 'click', handler: helpBtnHandler },
+    { element: checkpointBtn, event: 'click', handler: checkpointBtnHandler },
     { element: settingsBtn, event: 'click', handler: settingsBtnHandler },
+    { element: copyPuzzleLinkBtn, event: 'click', handler: copyPuzzleLinkHandler },
     { element: document, event: 'visibilitychange', handler: visibilityChangeHandler },
     { element: window, event: 'pagehide', handler: pageHideHandler },
+    { element: window, event: 'storageChanged', handler: storageChangedHandler },
     { element: canvas, event: 'pointerdown', handler: pointerDownHandler },
     { element: canvas, event: 'pointermove', handler: pointerMoveHandler },
     { element: canvas, event: 'pointerup', handler: pointerUpHandler },
@@ -1578,8 +2354,9 @@ export function cleanupGame() {
   // Save current state immediately before cleanup
   // This ensures we don't lose timer state or recent draws when navigating away
   // Bypasses throttle for immediate save
-  // Guard against undefined gameCore (shouldn't happen, but defensive)
-  if (gameCore) {
+  // Guard against undefined gameCore (shouldn't happen, but defensive), and
+  // skip mid-load, when the board holds no puzzle worth saving
+  if (gameCore && !isPuzzleLoading) {
     saveGameState(captureGameState());
 
     // Navigating away from a puzzle in progress. Covers the in-app exits (back
@@ -1632,7 +2409,10 @@ export function cleanupGame() {
     gameCore.resetDragState();
   }
 
-  // Reset canvas loading state for next visit
+  // Drop a puzzle still being generated, and reset canvas loading state for
+  // next visit
+  cancelPuzzleLoad();
+  isTabSyncPending = false;
   if (canvasContainer) {
     canvasContainer.classList.remove('canvas-ready');
   }
@@ -2,21 +2,25 @@
  * Home View
  *
  * Main landing page with game title, streak line, difficulty selection buttons
- * and the hamburger menu holding the secondary destinations
+ * and the hamburger menu holding the secondary destinations. Tapping the streak
+ * line opens the completion calendar.
  */
 
 import { navigate } from '../router.js';
-import { isDailyCompleted, isTutorialCompleted, isDailyCompletedWithViewedSolution, getStreak, getOverallStreak, formatStreakLabel } from '../persistence.js';
+import { isDailyCompleted, isTutorialCompleted, isDailyCompletedWithViewedSolution, getStreak, getOverallStreak, formatStreakLabel, getDailyResults } from '../persistence.js';
 import { initIcons } from '../icons.js';
 import { showTutorialSheet } from '../components/tutorialSheet.js';
 import { initHomeMenu } from '../components/homeMenu.js';
 import { createStreakFlameMarkup } from '../components/streakFlame.js';
+import { createCalendarHeatmap } from '../components/calendarHeatmap.js';
+import { createBottomSheet } from '../bottomSheet.js';
+import { t } from '../i18n/index.js';
 import { trackDifficultySelected } from '../analytics.js';
 import { getDifficultyLabelLower } from '../config.js';
 
 /**
  * Difficulties in the order they appear on screen, which is also the order the
- * streak line cycles through them
+ * calendar sheet lists their streaks
  */
 const DIFFICULTIES = ['easy', 'medium', 'hard'];
 
@@ -72,28 +76,75 @@ function updateDailyButtonState(button, difficulty) {
 }
 
 /**
- * Build the list of streaks the streak line cycles through
+ * Build the list of live streaks
  *
  * The overall streak comes first, followed by every difficulty that currently
  * has a live streak of its own. Difficulties with no streak are left out, so
- * tapping never lands on "0 day streak".
+ * the list never shows "0 day streak".
  *
- * @returns {Array<{label: string}>} Streaks to cycle through, overall first
+ * @returns {Array<{label: string}>} Live streaks, overall first
  */
-function buildStreakCycle() {
+function buildStreakList() {
   const overall = getOverallStreak();
   if (overall.current === 0) return [];
 
-  const cycle = [{ label: formatStreakLabel(overall.current) }];
+  const streaks = [{ label: formatStreakLabel(overall.current) }];
 
   for (const difficulty of DIFFICULTIES) {
     const streak = getStreak(difficulty);
     if (streak.current === 0) continue;
 
-    cycle.push({ label: formatStreakLabel(streak.current, getDifficultyLabelLower(difficulty)) });
+    streaks.push({ label: formatStreakLabel(streak.current, getDifficultyLabelLower(difficulty)) });
   }
 
-  return cycle;
+  return streaks;
+}
+
+/**
+ * Whether any daily puzzle has ever been finished on its day
+ * @returns {boolean} True if the completion calendar has something to show
+ */
+function hasDailyResults() {
+  return Object.keys(getDailyResults()).length > 0;
+}
+
+/**
+ * Show the completion calendar, with every live streak listed beneath it
+ *
+ * @param {Array<{label: string}>} streaks - From buildStreakList()
+ * @returns {{destroy: Function}} Handle to tear the sheet and calendar down
+ */
+function showCalendarSheet(streaks) {
+  const calendar = createCalendarHeatmap();
+
+  const content = document.createElement('div');
+  content.className = 'calendar-sheet';
+  content.appendChild(calendar.element);
+
+  if (streaks.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'calendar-sheet-streaks';
+    for (const { label } of streaks) {
+      const item = document.createElement('li');
+      item.textContent = label;
+      list.appendChild(item);
+    }
+    content.appendChild(list);
+  }
+
+  const sheet = createBottomSheet({
+    title: t('calendar.title'),
+    content,
+    onClose: () => calendar.destroy()
+  });
+  sheet.show();
+
+  return {
+    destroy() {
+      calendar.destroy();
+      sheet.destroy();
+    }
+  };
 }
 
 /**
@@ -102,12 +153,15 @@ function buildStreakCycle() {
  * The slot holds one of two things, and reserves its height either way so the
  * difficulty buttons never move:
  *
- * 1. The streak line, whenever a streak is live. Tapping it steps through the
- *    per-difficulty streaks and wraps back to the overall one - an easter egg
- *    rather than a control, so it carries no button affordance.
- * 2. The tutorial button, for players with no streak who have not been through
- *    it yet. Anyone with a streak has plainly worked out how to play, and the
- *    help button in the game view still reaches the tutorial either way.
+ * 1. The streak line, whenever a streak is live or any daily has been
+ *    finished. Tapping it opens the completion calendar, which also lists the
+ *    per-difficulty streaks. With no live streak it names the calendar instead
+ *    of a count - a streak that has just broken is when the calendar is most
+ *    wanted, to see where it broke.
+ * 2. The tutorial button, for players who have finished no daily and have not
+ *    been through it yet. Anyone with a finished daily has plainly worked out
+ *    how to play, and the help button in the game view still reaches the
+ *    tutorial either way.
  *
  * When neither applies the slot simply stays empty.
  *
@@ -118,10 +172,12 @@ function initHomeSlot(tutorialBtn) {
   const streakEl = document.getElementById('home-streak');
   if (!streakEl) return null;
 
-  const cycle = buildStreakCycle();
+  const streaks = buildStreakList();
 
-  if (cycle.length === 0) {
+  if (streaks.length === 0 && !hasDailyResults()) {
     streakEl.classList.remove('visible');
+    streakEl.removeAttribute('role');
+    streakEl.removeAttribute('tabindex');
     tutorialBtn.classList.toggle('visible', !isTutorialCompleted());
     return null;
   }
@@ -131,25 +187,42 @@ function initHomeSlot(tutorialBtn) {
   // Rebuilt on every visit rather than written into index.html, so the flame
   // follows the player's current reduced-motion preference. The initIcons()
   // call in initHome() turns the placeholder into an SVG when the reduced
-  // motion branch is what came back.
-  streakEl.innerHTML = `${createStreakFlameMarkup(STREAK_FLAME_SIZE)}<span class="home-streak-text"></span>`;
+  // motion branch is what came back, and the calendar placeholder always.
+  const icon = streaks.length > 0
+    ? createStreakFlameMarkup(STREAK_FLAME_SIZE)
+    : `<i class="home-streak-calendar" data-lucide="calendar-days" width="${STREAK_FLAME_SIZE}" height="${STREAK_FLAME_SIZE}"></i>`;
+  streakEl.innerHTML = `${icon}<span class="home-streak-text"></span>`;
   const textEl = streakEl.querySelector('.home-streak-text');
 
-  let index = 0;
-  textEl.textContent = cycle[index].label;
+  textEl.textContent = streaks.length > 0 ? streaks[0].label : t('calendar.title');
   streakEl.classList.add('visible');
+  streakEl.setAttribute('role', 'button');
+  streakEl.setAttribute('tabindex', '0');
 
-  // A single entry means there is nothing to cycle to
-  if (cycle.length === 1) return null;
+  let calendarSheet = null;
 
-  const handleCycle = () => {
-    index = (index + 1) % cycle.length;
-    textEl.textContent = cycle[index].label;
+  const handleOpen = () => {
+    if (calendarSheet) calendarSheet.destroy();
+    calendarSheet = showCalendarSheet(streaks);
   };
 
-  streakEl.addEventListener('click', handleCycle);
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    event.preventDefault();
+    handleOpen();
+  };
 
-  return () => streakEl.removeEventListener('click', handleCycle);
+  streakEl.addEventListener('click', handleOpen);
+  streakEl.addEventListener('keydown', handleKeyDown);
+
+  return () => {
+    streakEl.removeEventListener('click', handleOpen);
+    streakEl.removeEventListener('keydown', handleKeyDown);
+    if (calendarSheet) {
+      calendarSheet.destroy();
+      calendarSheet = null;
+    }
+  };
 }
 
 /**
@@ -169,12 +242,34 @@ export function initHome() {
   updateDailyButtonState(mediumBtn, 'medium');
   updateDailyButtonState(hardBtn, 'hard');
 
-  const cleanupSlot = initHomeSlot(tutorialBtn);
+  let cleanupSlot = initHomeSlot(tutorialBtn);
   const cleanupMenu = initHomeMenu();
 
   // Re-initialize icons after updating attributes
   initIcons();
 
+  // A puzzle finished in another tab (or in the installed app) shows up here
+  // without a reload: trophies, and the streak it may have extended. The slot
+  // is only rebuilt when what it shows has changed - the other tab saves every
+  // few seconds while it is being played, and rebuilding closes the calendar.
+  const getSlotState = () => JSON.stringify([buildStreakList(), hasDailyResults(), isTutorialCompleted()]);
+  let slotState = getSlotState();
+
+  const handleStorageChanged = () => {
+    updateDailyButtonState(easyBtn, 'easy');
+    updateDailyButtonState(mediumBtn, 'medium');
+    updateDailyButtonState(hardBtn, 'hard');
+
+    const nextSlotState = getSlotState();
+    if (nextSlotState !== slotState) {
+      slotState = nextSlotState;
+      if (cleanupSlot) cleanupSlot();
+      cleanupSlot = initHomeSlot(tutorialBtn);
+    }
+    initIcons();
+  };
+  window.addEventListener('storageChanged', handleStorageChanged);
+
   // Event handlers - pass fromHome state to track navigation origin
   const handleTutorial = () => showTutorialSheet('home');
   const handleEasy = () => {
@@ -209,6 +304,7 @@ export function initHome() {
     mediumBtn.removeEventListener('click', handleMedium);
     hardBtn.removeEventListener('click', handleHard);
     window.removeEventListener('tutorialCompleted', handleTutorialCompleted);
+    window.removeEventListener('storageChanged', handleStorageChanged);
     if (cleanupSlot) cleanupSlot();
     if (cleanupMenu) cleanupMenu();
   };
@@ -0,0 +1,198 @@
+/**
+ * Statistics View
+ *
+ * Games finished and solved, and streaks, across the board, then per difficulty
+ * the streak, average and best times and a histogram of solve times. Every
+ * figure but the streaks comes from the completion history, so it covers
+ * daily, archive and unlimited play alike.
+ */
+
+import { navigate } from '../router.js';
+import { getDifficultyLabel } from '../config.js';
+import { getHistory, getStreak, getOverallStreak } from '../persistence.js';
+import { computeStats, SOLVE_TIME_BUCKETS } from '../stats.js';
+import { formatTime } from '../game/timer.js';
+import { t, formatNumber } from '../i18n/index.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Shown in place of a time that does not exist yet
+ */
+const NO_VALUE = '–';
+
+/**
+ * Format a share of games as a whole percentage
+ * @param {number} count - Games with the property
+ * @param {number} total - All games
+ * @returns {string} e.g. "87%"
+ */
+function formatShare(count, total) {
+  return formatNumber(total > 0 ? count / total : 0, { style: 'percent', maximumFractionDigits: 0 });
+}
+
+/**
+ * Label each solve-time histogram bucket
+ * @returns {Array<string>} Labels, fastest first
+ */
+function getBucketLabels() {
+  return [
+    t('stats.underMinutes', { n: SOLVE_TIME_BUCKETS[0] }),
+    ...SOLVE_TIME_BUCKETS.slice(1).map((to, i) => t('stats.minutesRange', { from: SOLVE_TIME_BUCKETS[i], to })),
+    t('stats.overMinutes', { n: SOLVE_TIME_BUCKETS[SOLVE_TIME_BUCKETS.length - 1] }),
+  ];
+}
+
+/**
+ * Build a row of figure tiles
+ * @param {Array<{value: string, label: string}>} figures - Figures to show
+ * @returns {HTMLElement} Tile row
+ */
+function createFigures(figures) {
+  const row = document.createElement('dl');
+  row.className = 'stats-figures';
+
+  for (const { value, label } of figures) {
+    const tile = document.createElement('div');
+    tile.className = 'stats-figure';
+
+    const valueEl = document.createElement('dd');
+    valueEl.className = 'stats-figure-value';
+    valueEl.textContent = value;
+
+    const labelEl = document.createElement('dt');
+    labelEl.className = 'stats-figure-label';
+    labelEl.textContent = label;
+
+    // Label after value visually, but first in the markup for screen readers
+    tile.append(labelEl, valueEl);
+    row.appendChild(tile);
+  }
+
+  return row;
+}
+
+/**
+ * Build a horizontal bar chart of solve times
+ * @param {Array<number>} histogram - Solves per bucket
+ * @param {Array<string>} labels - Bucket labels
+ * @returns {HTMLElement} Chart
+ */
+function createHistogram(histogram, labels) {
+  const chart = document.createElement('div');
+  chart.className = 'stats-histogram';
+
+  const largest = Math.max(1, ...histogram);
+  histogram.forEach((count, i) => {
+    const row = document.createElement('div');
+    row.className = 'stats-histogram-row';
+
+    const label = document.createElement('span');
+    label.className = 'stats-histogram-label';
+    label.textContent = labels[i];
+
+    const track = document.createElement('span');
+    track.className = 'stats-histogram-track';
+
+    const bar = document.createElement('span');
+    bar.className = 'stats-histogram-bar';
+    bar.style.width = `${(count / largest) * 100}%`;
+    bar.textContent = formatNumber(count);
+
+    track.appendChild(bar);
+    row.append(label, track);
+    chart.appendChild(row);
+  });
+
+  return chart;
+}
+
+/**
+ * Build the section for one difficulty
+ * @param {string} difficulty - 'easy', 'medium', or 'hard'
+ * @param {DifficultyStats} stats - That difficulty's statistics
+ * @param {Array<string>} bucketLabels - Histogram bucket labels
+ * @returns {HTMLElement} Section
+ */
+function createDifficultySection(difficulty, stats, bucketLabels) {
+  const streak = getStreak(difficulty);
+  const section = document.createElement('section');
+  section.className = 'stats-section';
+
+  const heading = document.createElement('h2');
+  heading.className = 'stats-heading';
+  heading.textContent = getDifficultyLabel(difficulty);
+  section.appendChild(heading);
+
+  section.appendChild(createFigures([
+    { value: formatNumber(stats.finished), label: t('stats.finished') },
+    { value: stats.averageSeconds === null ? NO_VALUE : formatTime(stats.averageSeconds), label: t('stats.averageTime') },
+    { value: stats.bestSeconds === null ? NO_VALUE : formatTime(stats.bestSeconds), label: t('stats.bestTime') },
+    { value: formatNumber(streak.current), label: t('stats.currentStreak') },
+    { value: formatNumber(streak.best), label: t('stats.bestStreak') },
+  ]));
+
+  if (stats.solved > 0) {
+    const histogramHeading = document.createElement('h3');
+    histogramHeading.className = 'stats-subheading';
+    histogramHeading.textContent = t('stats.solveTimes');
+    section.append(histogramHeading, createHistogram(stats.histogram, bucketLabels));
+  }
+
+  return section;
+}
+
+/**
+ * Initialize the statistics view
+ * @returns {Function} Cleanup function
+ */
+export function initStats() {
+  const container = document.getElementById('stats-content');
+  const backBtn = document.getElementById('stats-back-btn');
+
+  const stats = computeStats(getHistory(), DIFFICULTIES);
+  const overall = getOverallStreak();
+
+  // Rebuilt on every visit, so a game finished since the last one counts
+  container.replaceChildren();
+  container.scrollTop = 0;
+
+  const summary = document.createElement('section');
+  summary.className = 'stats-section';
+  summary.appendChild(createFigures([
+    { value: formatNumber(stats.finished), label: t('stats.finished') },
+    { value: formatNumber(stats.solved), label: t('stats.solved') },
+    { value: formatShare(stats.viewedSolution, stats.finished), label: t('stats.solutionsViewed') },
+    { value: formatNumber(overall.current), label: t('stats.currentStreak') },
+    { value: formatNumber(overall.best), label: t('stats.bestStreak') },
+  ]));
+  container.appendChild(summary);
+
+  if (stats.finished === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'stats-empty';
+    empty.textContent = t('stats.empty');
+    container.appendChild(empty);
+  } else {
+    const bucketLabels = getBucketLabels();
+    for (const difficulty of DIFFICULTIES) {
+      container.appendChild(createDifficultySection(difficulty, stats.byDifficulty[difficulty], bucketLabels));
+    }
+  }
+
+  const handleBack = () => {
+    // Same as the game view: return to the home entry we came from, or
+    // replace a directly visited page with home
+    if (history.state?.fromHome) {
+      history.back();
+    } else {
+      navigate('/', true);
+    }
+  };
+
+  backBtn.addEventListener('click', handleBack);
+
+  return () => {
+    backBtn.removeEventListener('click', handleBack);
+  };
+}